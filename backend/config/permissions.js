@@ -0,0 +1,36 @@
+// Every permission a role can be granted. Routes check these through
+// requirePermission() in middleware/auth.js; '*' grants all of them.
+const PERMISSIONS = {
+  'licenses:read': 'View licenses, seats, renewals and reports',
+  'licenses:write': 'Create and update licenses, assign seats and record renewals',
+  'licenses:delete': 'Delete licenses',
+  'licenses:import': 'Bulk import licenses from CSV or XLSX',
+  'licenses:reveal': 'Reveal decrypted license keys (every reveal is audited)',
+  'customers:read': 'View customers',
+  'customers:write': 'Create and update customers',
+  'customers:delete': 'Delete customers',
+  'vendors:read': 'View vendors',
+  'vendors:write': 'Create and update vendors',
+  'vendors:delete': 'Delete vendors',
+  'customers:all': 'See all customers; without it users only see customers assigned to them',
+  'audit:read': 'View the audit trail',
+  'notifications:manage': 'View everyone\'s notification deliveries and resend them',
+  'users:manage': 'Manage users and roles',
+  'settings:manage': 'Manage system settings such as the SMTP mail server'
+};
+
+const ALL_PERMISSIONS = '*';
+
+// The built-in admin role must keep full access so nobody can lock themselves out
+const ADMIN_ROLE = 'admin';
+
+// Check whether a list of granted permissions includes a permission
+const grants = (permissions, permission) =>
+  (permissions || []).includes(ALL_PERMISSIONS) || (permissions || []).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  ADMIN_ROLE,
+  grants
+};
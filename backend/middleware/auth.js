@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { pool } = require('../config/db');
+const { grants } = require('../config/permissions');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_key_here';
 
@@ -16,9 +17,14 @@ exports.authenticate = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, JWT_SECRET);
     
-    // Get user from database
+    // Get user, the permissions of their role and their assigned customers from database
     const userResult = await pool.query(
-      'SELECT id, username, email, role, is_active FROM users WHERE id = $1',
+      `SELECT u.id, u.username, u.email, u.role, u.is_active,
+              COALESCE(r.permissions, '{}') as permissions,
+              ARRAY(SELECT uc.customer_id FROM user_customers uc WHERE uc.user_id = u.id) as customer_ids
+       FROM users u
+       LEFT JOIN roles r ON r.name = u.role
+       WHERE u.id = $1`,
       [decoded.user.id]
     );
     
@@ -26,12 +32,15 @@ exports.authenticate = async (req, res, next) => {
       return res.status(401).json({ error: 'User not found' });
     }
     
-    const user = userResult.rows[0];
+    const { customer_ids, ...user } = userResult.rows[0];
     
     if (!user.is_active) {
       return res.status(401).json({ error: 'User account is deactivated' });
     }
     
+    // customerIds is null for users who see every customer
+    user.customerIds = grants(user.permissions, 'customers:all') ? null : customer_ids;
+
     // Add user to request object
     req.user = user;
     next();
@@ -58,3 +67,25 @@ exports.authorize = (...roles) => {
     next();
   };
 };
+
+// Check whether a user's role grants a permission
+const hasPermission = (user, permission) => grants(user?.permissions, permission);
+
+exports.hasPermission = hasPermission;
+
+// Check whether a customer is within the user's customer scope
+exports.canAccessCustomer = (user, customerId) =>
+  user.customerIds === null || user.customerIds.includes(Number(customerId));
+
+// Middleware to check that the user's role grants all of the given permissions
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: `User role ${req.user.role} is missing permission ${missing.join(', ')}`
+      });
+    }
+    next();
+  };
+};
@@ -0,0 +1,13 @@
+-- Seats are usually held by people outside the system (customer staff), so
+-- allow an assignment to name its holder directly instead of only a user ID
+ALTER TABLE license_assignments
+ADD COLUMN IF NOT EXISTS assignee_name VARCHAR(100),
+ADD COLUMN IF NOT EXISTS assignee_email VARCHAR(100);
+
+-- Active assignments are counted on every license read
+CREATE INDEX IF NOT EXISTS idx_license_assignments_active
+ON license_assignments(license_id)
+WHERE returned_at IS NULL;
+
+COMMENT ON COLUMN license_assignments.assignee_name IS 'Name of the seat holder when not a system user';
+COMMENT ON COLUMN license_assignments.assignee_email IS 'Email of the seat holder when not a system user';
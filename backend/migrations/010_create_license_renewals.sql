@@ -0,0 +1,19 @@
+-- Each row is one paid term of a license; the license itself always
+-- carries the current term's expiration date and cost
+CREATE TABLE IF NOT EXISTS license_renewals (
+  id SERIAL PRIMARY KEY,
+  license_id INTEGER NOT NULL REFERENCES licenses(id) ON DELETE CASCADE,
+  term_start DATE,
+  term_end DATE NOT NULL,
+  cost DECIMAL(10, 2),
+  currency VARCHAR(3) DEFAULT 'USD',
+  purchase_order VARCHAR(100),
+  notes TEXT,
+  created_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_license_renewals_license_id ON license_renewals(license_id);
+
+COMMENT ON TABLE license_renewals IS 'History of license terms recorded through the renewal workflow';
+COMMENT ON COLUMN license_renewals.purchase_order IS 'Purchase order number the term was bought under';
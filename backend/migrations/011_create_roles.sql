@@ -0,0 +1,35 @@
+-- Roles carry a list of permissions (e.g. 'licenses:delete'); '*' grants all.
+-- The permission catalog lives in config/permissions.js
+CREATE TABLE IF NOT EXISTS roles (
+  name VARCHAR(50) PRIMARY KEY,
+  description TEXT,
+  permissions TEXT[] NOT NULL DEFAULT '{}',
+  is_system BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO roles (name, description, permissions, is_system) VALUES
+  ('viewer', 'Read-only access to licenses, customers and vendors',
+   ARRAY['licenses:read', 'customers:read', 'vendors:read'], true),
+  ('editor', 'Create and update licenses, customers and vendors',
+   ARRAY['licenses:read', 'licenses:write', 'customers:read', 'customers:write',
+         'vendors:read', 'vendors:write'], true),
+  ('license-manager', 'Full control over licenses, customers and vendors, including deletes and imports',
+   ARRAY['licenses:read', 'licenses:write', 'licenses:delete', 'licenses:import',
+         'customers:read', 'customers:write', 'customers:delete',
+         'vendors:read', 'vendors:write', 'vendors:delete', 'audit:read'], true),
+  ('admin', 'Full access, including user and role management', ARRAY['*'], true)
+ON CONFLICT (name) DO NOTHING;
+
+-- Existing 'user' accounts keep the create/update access they had, but lose deletes
+ALTER TABLE users ALTER COLUMN role TYPE VARCHAR(50);
+UPDATE users SET role = 'editor' WHERE role = 'user';
+ALTER TABLE users ALTER COLUMN role SET DEFAULT 'viewer';
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_fkey;
+ALTER TABLE users
+ADD CONSTRAINT users_role_fkey FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
+
+COMMENT ON TABLE roles IS 'Named sets of permissions assigned to users';
+COMMENT ON COLUMN roles.is_system IS 'Built-in roles cannot be deleted';
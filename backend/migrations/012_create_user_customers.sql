@@ -0,0 +1,26 @@
+-- Users without the 'customers:all' permission only see the customers
+-- assigned to them here, and those customers' licenses
+CREATE TABLE IF NOT EXISTS user_customers (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, customer_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_customers_customer_id ON user_customers(customer_id);
+
+-- Keep the global view for the existing built-in roles; scoping is opt-in
+-- through roles without 'customers:all', such as account-manager
+UPDATE roles
+SET permissions = array_append(permissions, 'customers:all'),
+    updated_at = CURRENT_TIMESTAMP
+WHERE name IN ('viewer', 'editor', 'license-manager')
+AND NOT ('customers:all' = ANY(permissions));
+
+INSERT INTO roles (name, description, permissions, is_system) VALUES
+  ('account-manager', 'Create and update licenses of the customers assigned to them',
+   ARRAY['licenses:read', 'licenses:write', 'customers:read', 'customers:write',
+         'vendors:read'], true)
+ON CONFLICT (name) DO NOTHING;
+
+COMMENT ON TABLE user_customers IS 'Customers a user is responsible for; limits what users without customers:all can see';
@@ -0,0 +1,35 @@
+-- License keys are stored encrypted (AES-256-GCM) in licenses.license_key.
+-- Searching uses an HMAC of the exact key and lists only show the last characters.
+-- Existing plain text keys are encrypted by scripts/encrypt-license-keys.js,
+-- which needs LICENSE_KEY_ENCRYPTION_KEY and must run right after this migration.
+ALTER TABLE licenses
+  ADD COLUMN IF NOT EXISTS license_key_hash VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS license_key_last4 VARCHAR(4);
+
+CREATE INDEX IF NOT EXISTS idx_licenses_license_key_hash ON licenses(license_key_hash);
+
+-- Revealing keys is its own permission; viewers only see the last characters
+UPDATE roles
+SET permissions = array_append(permissions, 'licenses:reveal'),
+    updated_at = CURRENT_TIMESTAMP
+WHERE name IN ('editor', 'license-manager', 'account-manager')
+AND NOT ('licenses:reveal' = ANY(permissions));
+
+-- Audit snapshots used to copy the plain key; keep only the last characters
+UPDATE audit_logs
+SET old_values = CASE
+      WHEN old_values ? 'license_key'
+      THEN (old_values - 'license_key') || jsonb_build_object('license_key_last4', RIGHT(old_values->>'license_key', 4))
+      ELSE old_values
+    END,
+    new_values = CASE
+      WHEN new_values ? 'license_key'
+      THEN (new_values - 'license_key') || jsonb_build_object('license_key_last4', RIGHT(new_values->>'license_key', 4))
+      ELSE new_values
+    END
+WHERE entity_type = 'license'
+AND (old_values ? 'license_key' OR new_values ? 'license_key');
+
+COMMENT ON COLUMN licenses.license_key IS 'Encrypted license key (v1:iv:tag:ciphertext); reveal through GET /api/licenses/:id/key';
+COMMENT ON COLUMN licenses.license_key_hash IS 'HMAC-SHA256 of the trimmed key for exact-match search';
+COMMENT ON COLUMN licenses.license_key_last4 IS 'Last 4 characters of the key, shown in lists';
@@ -0,0 +1,7 @@
+-- Extra notification channels next to email, keyed by channel type, e.g.
+-- {"slack": {"enabled": true, "webhookUrl": "https://hooks.slack.com/..."},
+--  "webhook": {"enabled": false, "url": "https://...", "secret": "..."}}
+ALTER TABLE user_notification_settings
+  ADD COLUMN IF NOT EXISTS channels JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN user_notification_settings.channels IS 'Per-channel config for Slack, Microsoft Teams and generic webhooks';
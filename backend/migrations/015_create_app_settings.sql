@@ -0,0 +1,12 @@
+-- Instance-wide settings edited by admins, one JSON document per key.
+-- 'smtp' holds the mail server config; its password is encrypted with
+-- LICENSE_KEY_ENCRYPTION_KEY (see utils/crypto.js)
+CREATE TABLE IF NOT EXISTS app_settings (
+  key VARCHAR(100) PRIMARY KEY,
+  value JSONB NOT NULL DEFAULT '{}'::jsonb,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE app_settings IS 'Instance-wide settings, e.g. the SMTP server used for email notifications';
@@ -0,0 +1,42 @@
+-- Expiration reminders are sent in stages (e.g. 90, 60, 30, 7 and 1 days before
+-- expiry) instead of once a day for everything inside a single window.
+-- A stage of 0 sends a final notice on or after the expiration date.
+ALTER TABLE user_notification_settings
+  ADD COLUMN IF NOT EXISTS reminder_stages INTEGER[] NOT NULL DEFAULT '{90,60,30,7,1}';
+
+-- Existing users keep the single threshold they had configured
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'user_notification_settings' AND column_name = 'days_before_expiration'
+  ) THEN
+    UPDATE user_notification_settings SET reminder_stages = ARRAY[days_before_expiration];
+  END IF;
+END $$;
+
+ALTER TABLE user_notification_settings DROP COLUMN IF EXISTS days_before_expiration;
+
+COMMENT ON COLUMN user_notification_settings.reminder_stages IS 'Days before expiration at which reminders are sent, e.g. {90,60,30,7,1}';
+
+-- One row per license, term, stage and destination that was notified, so every
+-- stage is delivered at most once. The expiration date is part of the key, so
+-- a renewed license gets a fresh set of reminders.
+CREATE TABLE IF NOT EXISTS license_notifications (
+  id SERIAL PRIMARY KEY,
+  license_id INTEGER NOT NULL REFERENCES licenses(id) ON DELETE CASCADE,
+  expiration_date DATE NOT NULL,
+  stage INTEGER NOT NULL,
+  channel VARCHAR(20) NOT NULL,
+  recipient TEXT NOT NULL,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  sent_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (license_id, expiration_date, stage, channel, recipient)
+);
+
+CREATE INDEX IF NOT EXISTS idx_license_notifications_recipient ON license_notifications(channel, recipient);
+
+COMMENT ON TABLE license_notifications IS 'Expiration reminders already delivered, per license term, stage, channel and recipient';
+
+-- Replaced by license_notifications
+ALTER TABLE licenses DROP COLUMN IF EXISTS notification_sent;
@@ -0,0 +1,33 @@
+-- Every attempt to deliver an expiration notification, successful or not, so
+-- support can show what was sent where and resend failed deliveries
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  channel VARCHAR(20) NOT NULL,
+  recipient TEXT NOT NULL,
+  subject TEXT,
+  license_ids INTEGER[] NOT NULL DEFAULT '{}',
+  -- [{ "licenseId": 1, "name": "...", "stage": 30, "daysUntilExpiry": 28 }] as sent
+  licenses JSONB NOT NULL DEFAULT '[]'::jsonb,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('sent', 'failed')),
+  error TEXT,
+  message_id TEXT,
+  resent_from INTEGER REFERENCES notification_deliveries(id) ON DELETE SET NULL,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_created_at ON notification_deliveries(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_user_id ON notification_deliveries(user_id);
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_license_ids ON notification_deliveries USING GIN (license_ids);
+
+COMMENT ON TABLE notification_deliveries IS 'Log of expiration notification attempts per channel and recipient';
+COMMENT ON COLUMN notification_deliveries.user_id IS 'User the notification was for; NULL for the admin mailbox';
+COMMENT ON COLUMN notification_deliveries.created_by IS 'User who triggered a manual resend; NULL for scheduled runs';
+
+-- License managers already read the audit trail; they also answer "we never got the warning"
+UPDATE roles
+SET permissions = array_append(permissions, 'notifications:manage'),
+    updated_at = CURRENT_TIMESTAMP
+WHERE name = 'license-manager'
+AND NOT ('notifications:manage' = ANY(permissions));
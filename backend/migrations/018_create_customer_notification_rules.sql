@@ -0,0 +1,31 @@
+-- Optional per-customer rules for renewal notices sent outside the company:
+-- a customer-facing notice to customers.email and a heads-up to the email of
+-- each vendor involved. Each audience has its own CC list, and can CC the
+-- users assigned to the customer (user_customers).
+CREATE TABLE IF NOT EXISTS customer_notification_rules (
+  customer_id INTEGER PRIMARY KEY REFERENCES customers(id) ON DELETE CASCADE,
+  notify_customer BOOLEAN NOT NULL DEFAULT false,
+  customer_cc TEXT[] NOT NULL DEFAULT '{}',
+  customer_cc_assigned_users BOOLEAN NOT NULL DEFAULT true,
+  notify_vendor BOOLEAN NOT NULL DEFAULT false,
+  vendor_cc TEXT[] NOT NULL DEFAULT '{}',
+  vendor_cc_assigned_users BOOLEAN NOT NULL DEFAULT false,
+  reminder_stages INTEGER[] NOT NULL DEFAULT '{60,30,7}',
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE customer_notification_rules IS 'Renewal notices to customer and vendor contacts, per customer';
+
+-- Deliveries now also go to customer and vendor contacts
+ALTER TABLE notification_deliveries
+  ADD COLUMN IF NOT EXISTS audience VARCHAR(20) NOT NULL DEFAULT 'internal',
+  ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS cc TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE notification_deliveries DROP CONSTRAINT IF EXISTS notification_deliveries_audience_check;
+ALTER TABLE notification_deliveries
+  ADD CONSTRAINT notification_deliveries_audience_check CHECK (audience IN ('internal', 'customer', 'vendor'));
+
+COMMENT ON COLUMN notification_deliveries.audience IS 'internal (users), customer (customer contact) or vendor (vendor contact)';
@@ -0,0 +1,14 @@
+-- Admin-edited versions of the notification emails. Templates are Mustache, keyed
+-- by the template IDs in services/emailTemplates.js; a template without a row here
+-- uses the built-in default, so deleting a row resets it.
+CREATE TABLE IF NOT EXISTS email_templates (
+  id VARCHAR(50) PRIMARY KEY,
+  subject TEXT NOT NULL,
+  html TEXT NOT NULL,
+  text TEXT NOT NULL,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE email_templates IS 'Customized subject, HTML and plain-text templates of notification emails';
@@ -0,0 +1,6 @@
+-- Timezone each user's reminders are scheduled in and their "days remaining" are
+-- counted in. Existing users keep the previously hard-coded Asia/Bangkok
+ALTER TABLE user_notification_settings
+  ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'Asia/Bangkok';
+
+COMMENT ON COLUMN user_notification_settings.timezone IS 'IANA timezone, e.g. Europe/Berlin, for notification_time and days until expiry';
@@ -0,0 +1,18 @@
+-- Users can swap the daily staged reminders for a weekly or monthly digest.
+-- Weekdays follow cron (0 = Sunday); the day of the month stops at 28 so every
+-- month has it
+ALTER TABLE user_notification_settings
+  ADD COLUMN IF NOT EXISTS digest_frequency VARCHAR(10) NOT NULL DEFAULT 'daily'
+    CHECK (digest_frequency IN ('daily', 'weekly', 'monthly')),
+  ADD COLUMN IF NOT EXISTS digest_weekday SMALLINT NOT NULL DEFAULT 1
+    CHECK (digest_weekday BETWEEN 0 AND 6),
+  ADD COLUMN IF NOT EXISTS digest_day_of_month SMALLINT NOT NULL DEFAULT 1
+    CHECK (digest_day_of_month BETWEEN 1 AND 28);
+
+-- Digests are logged next to the reminders so they can be found and resent too
+ALTER TABLE notification_deliveries
+  ADD COLUMN IF NOT EXISTS kind VARCHAR(20) NOT NULL DEFAULT 'reminder'
+    CHECK (kind IN ('reminder', 'digest'));
+
+COMMENT ON COLUMN user_notification_settings.digest_frequency IS 'daily: staged reminders; weekly/monthly: one digest per period instead';
+COMMENT ON COLUMN notification_deliveries.kind IS 'reminder: staged expiration reminder; digest: weekly or monthly summary';
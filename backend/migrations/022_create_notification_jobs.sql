@@ -0,0 +1,31 @@
+-- Scheduled notification runs, queued in the database so that several backend
+-- instances share the work: run_key makes each run unique however many instances
+-- enqueue it, and workers claim jobs with FOR UPDATE SKIP LOCKED
+CREATE TABLE IF NOT EXISTS notification_jobs (
+  id SERIAL PRIMARY KEY,
+  type VARCHAR(30) NOT NULL CHECK (type IN ('user_notifications', 'customer_notices')),
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  -- e.g. user:12:2026-10-19 or customer_notices:2026-10-19T09:00
+  run_key VARCHAR(100) NOT NULL UNIQUE,
+  scheduled_for TIMESTAMP NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'running', 'succeeded', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_by VARCHAR(100),
+  locked_at TIMESTAMP,
+  last_error TEXT,
+  result JSONB,
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_jobs_due ON notification_jobs(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_notification_jobs_running ON notification_jobs(locked_at) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_notification_jobs_scheduled_for ON notification_jobs(scheduled_for DESC);
+
+COMMENT ON TABLE notification_jobs IS 'Queue and history of scheduled notification runs';
+COMMENT ON COLUMN notification_jobs.locked_by IS 'Worker (host:pid) running the job; a job locked for too long is handed to another worker';
+COMMENT ON COLUMN notification_jobs.next_attempt_at IS 'When a pending job may run; pushed back after each failed attempt';
@@ -0,0 +1,69 @@
+-- Exchange rates maintained by admins, used to total license costs in the
+-- reporting currency (app_settings key 'reporting_currency').
+-- A row means 1 base_currency = rate quote_currency on rate_date
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  id SERIAL PRIMARY KEY,
+  base_currency VARCHAR(3) NOT NULL CHECK (base_currency ~ '^[A-Z]{3}$'),
+  quote_currency VARCHAR(3) NOT NULL CHECK (quote_currency ~ '^[A-Z]{3}$'),
+  rate_date DATE NOT NULL,
+  rate NUMERIC(18, 8) NOT NULL CHECK (rate > 0),
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (base_currency <> quote_currency),
+  UNIQUE (base_currency, quote_currency, rate_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_quote ON exchange_rates(quote_currency, base_currency, rate_date);
+
+COMMENT ON TABLE exchange_rates IS 'Currency exchange rates: 1 base_currency = rate quote_currency on rate_date';
+
+-- Rate converting source_currency into target_currency on on_date (today when NULL).
+-- A stored rate is used in both directions, and two rates of the same day are chained
+-- through a common currency (e.g. USD -> EUR -> GBP) when there is no direct one.
+-- The latest rate on or before the date wins; dates before the first stored rate use
+-- the earliest one after it. NULL when the two currencies were never linked
+CREATE OR REPLACE FUNCTION exchange_rate(source_currency TEXT, target_currency TEXT, on_date DATE)
+RETURNS NUMERIC
+LANGUAGE sql
+STABLE
+AS $$
+  WITH pairs AS (
+    SELECT base_currency::text as from_code, quote_currency::text as to_code, rate, rate_date
+    FROM exchange_rates
+    UNION ALL
+    SELECT quote_currency::text, base_currency::text, 1 / rate, rate_date
+    FROM exchange_rates
+  ),
+  candidates AS (
+    SELECT 1 as hops, p.rate, p.rate_date
+    FROM pairs p
+    WHERE p.from_code = upper(source_currency) AND p.to_code = upper(target_currency)
+    UNION ALL
+    SELECT 2, a.rate * b.rate, a.rate_date
+    FROM pairs a
+    JOIN pairs b ON b.from_code = a.to_code AND b.rate_date = a.rate_date
+    WHERE a.from_code = upper(source_currency)
+    AND b.to_code = upper(target_currency)
+    AND a.to_code <> upper(target_currency)
+  )
+  SELECT CASE
+    WHEN upper(source_currency) = upper(target_currency) THEN 1
+    ELSE (
+      SELECT c.rate FROM candidates c
+      ORDER BY c.rate_date > COALESCE(on_date, CURRENT_DATE),
+               abs(c.rate_date - COALESCE(on_date, CURRENT_DATE)),
+               c.hops
+      LIMIT 1
+    )
+  END
+$$;
+
+-- amount in target_currency, or NULL when there is no rate between the two currencies
+CREATE OR REPLACE FUNCTION convert_currency(amount NUMERIC, source_currency TEXT, target_currency TEXT, on_date DATE)
+RETURNS NUMERIC
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT ROUND(amount * exchange_rate(source_currency, target_currency, on_date), 2)
+$$;
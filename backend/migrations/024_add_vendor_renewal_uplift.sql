@@ -0,0 +1,7 @@
+-- Expected price change at renewal per vendor, used by the renewal forecast
+-- (GET /api/dashboard/forecast); e.g. 5 for a 5% yearly increase, -10 for a discount
+ALTER TABLE vendors
+  ADD COLUMN IF NOT EXISTS renewal_uplift_percent NUMERIC(6, 2) NOT NULL DEFAULT 0
+  CHECK (renewal_uplift_percent > -100 AND renewal_uplift_percent <= 1000);
+
+COMMENT ON COLUMN vendors.renewal_uplift_percent IS 'Expected price change at each renewal, in percent';
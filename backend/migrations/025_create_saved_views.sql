@@ -0,0 +1,17 @@
+-- Named filter sets of the Licenses page. filters holds GET /api/licenses query
+-- parameters (search, vendorId, isActive, ...); shared views are visible to every
+-- user, but only their owner can change them
+CREATE TABLE IF NOT EXISTS saved_views (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+  is_shared BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_views_shared ON saved_views(is_shared) WHERE is_shared = true;
+
+COMMENT ON TABLE saved_views IS 'Saved Licenses page filters per user, optionally shared with the team';
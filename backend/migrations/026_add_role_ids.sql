@@ -0,0 +1,13 @@
+-- Roles stay keyed by name (users.role references it); the integer id lets role
+-- changes be found in audit_logs by entity_id like every other entity
+ALTER TABLE roles ADD COLUMN IF NOT EXISTS id SERIAL UNIQUE;
+
+-- Link the role audit entries recorded so far to their role
+UPDATE audit_logs a
+SET entity_id = r.id
+FROM roles r
+WHERE a.entity_type = 'role'
+  AND a.entity_id IS NULL
+  AND r.name = COALESCE(a.new_values->>'name', a.old_values->>'name');
+
+COMMENT ON COLUMN roles.id IS 'Surrogate key used as audit_logs.entity_id';
@@ -0,0 +1,60 @@
+-- exchange_rate() runs once per license row in the list, export, dashboard and forecast
+-- queries. It used to join the whole exchange_rates table with itself on every call;
+-- it now reads only the rates of the source currency, through these indexes, and looks
+-- up the second leg of a chained rate by its exact pair and day
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_base_date ON exchange_rates(base_currency, rate_date);
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_quote_date ON exchange_rates(quote_currency, rate_date);
+
+-- Rate converting source_currency into target_currency on on_date (today when NULL).
+-- A stored rate is used in both directions, and two rates of the same day are chained
+-- through a common currency (e.g. USD -> EUR -> GBP) when there is no direct one.
+-- The latest rate on or before the date wins; dates before the first stored rate use
+-- the earliest one after it. NULL when the two currencies were never linked
+CREATE OR REPLACE FUNCTION exchange_rate(source_currency TEXT, target_currency TEXT, on_date DATE)
+RETURNS NUMERIC
+LANGUAGE sql
+STABLE
+AS $$
+  WITH legs AS NOT MATERIALIZED (
+    -- Rates from the source currency into each currency it is linked to
+    SELECT quote_currency::text as via, rate, rate_date
+    FROM exchange_rates
+    WHERE base_currency = upper(source_currency)
+    UNION ALL
+    SELECT base_currency::text, 1 / rate, rate_date
+    FROM exchange_rates
+    WHERE quote_currency = upper(source_currency)
+  ),
+  candidates AS NOT MATERIALIZED (
+    SELECT l.rate_date, 1 as hops, l.rate
+    FROM legs l
+    WHERE l.via = upper(target_currency)
+    UNION ALL
+    SELECT l.rate_date, 2, l.rate * onward.rate
+    FROM legs l
+    CROSS JOIN LATERAL (
+      SELECT rate
+      FROM exchange_rates
+      WHERE base_currency = l.via AND quote_currency = upper(target_currency) AND rate_date = l.rate_date
+      UNION ALL
+      SELECT 1 / rate
+      FROM exchange_rates
+      WHERE base_currency = upper(target_currency) AND quote_currency = l.via AND rate_date = l.rate_date
+      LIMIT 1
+    ) onward
+    WHERE l.via <> upper(target_currency)
+  )
+  SELECT CASE
+    WHEN upper(source_currency) = upper(target_currency) THEN 1
+    ELSE COALESCE(
+      (SELECT c.rate FROM candidates c
+       WHERE c.rate_date <= COALESCE(on_date, CURRENT_DATE)
+       ORDER BY c.rate_date DESC, c.hops
+       LIMIT 1),
+      (SELECT c.rate FROM candidates c
+       WHERE c.rate_date > COALESCE(on_date, CURRENT_DATE)
+       ORDER BY c.rate_date, c.hops
+       LIMIT 1)
+    )
+  END
+$$;
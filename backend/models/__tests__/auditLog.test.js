@@ -0,0 +1,88 @@
+jest.mock('../../config/db', () => ({ pool: { query: jest.fn() } }));
+jest.mock('../../utils/logger');
+
+const { pool } = require('../../config/db');
+const AuditLog = require('../auditLog');
+
+const { diffSnapshots } = AuditLog;
+
+describe('AuditLog.diffSnapshots', () => {
+  test('lists changed, added and removed fields', () => {
+    expect(diffSnapshots(
+      { name: 'Office', seats: 10, notes: 'old' },
+      { name: 'Office 365', seats: 10, cost: 99 }
+    )).toEqual([
+      { field: 'name', from: 'Office', to: 'Office 365' },
+      { field: 'notes', from: 'old', to: null },
+      { field: 'cost', from: null, to: 99 }
+    ]);
+  });
+
+  test('skips bookkeeping fields', () => {
+    expect(diffSnapshots(
+      { id: 1, updated_at: '2026-01-01', seats_used: 3 },
+      { id: 1, updated_at: '2026-02-01', seats_used: 4 }
+    )).toEqual([]);
+  });
+
+  test('compares objects and arrays by value', () => {
+    expect(diffSnapshots(
+      { stages: [30, 7], config: { url: 'https://a' } },
+      { stages: [30, 7], config: { url: 'https://b' } }
+    )).toEqual([
+      { field: 'config', from: { url: 'https://a' }, to: { url: 'https://b' } }
+    ]);
+  });
+
+  test('treats missing and null values alike', () => {
+    expect(diffSnapshots({ notes: null }, {})).toEqual([]);
+    expect(diffSnapshots(null, null)).toEqual([]);
+  });
+
+  test('reports a replaced license key by its marker', () => {
+    expect(diffSnapshots(
+      { license_key_last4: '1234' },
+      { license_key_last4: '1234', license_key_changed: true }
+    )).toEqual([
+      { field: 'license_key_changed', from: null, to: true }
+    ]);
+  });
+
+  test('reports foreign keys by their names', () => {
+    expect(diffSnapshots(
+      { vendor_id: 1, vendor_name: 'Acme', customer_id: 2 },
+      { vendor_id: 3, vendor_name: 'Globex', customer_id: 4 }
+    )).toEqual([
+      { field: 'vendor', from: 'Acme', to: 'Globex' },
+      { field: 'customer', from: 2, to: 4 }
+    ]);
+  });
+});
+
+describe('AuditLog.getAll', () => {
+  beforeEach(() => {
+    pool.query.mockResolvedValue({ rows: [] });
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('includes the whole end day when it has no time', async () => {
+    await AuditLog.getAll({ startDate: '2026-10-01', endDate: '2026-10-19' });
+
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('a.created_at >= $1::date');
+    expect(sql).toContain("a.created_at < $2::date + INTERVAL '1 day'");
+    expect(params).toEqual(['2026-10-01', '2026-10-19', 50, 0]);
+  });
+
+  test('compares timestamps as given', async () => {
+    const endDate = new Date('2026-10-19T12:30:00Z');
+    await AuditLog.getAll({ endDate });
+
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('a.created_at <= $1');
+    expect(params).toEqual([endDate, 50, 0]);
+  });
+});
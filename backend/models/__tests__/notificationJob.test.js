@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const { newDb } = require('pg-mem');
+
+// The job model runs against an in-memory Postgres with the real notification_jobs table
+jest.mock('../../config/db', () => {
+  const db = require('pg-mem').newDb();
+  const { Pool } = db.adapters.createPg();
+  const pgPool = new Pool();
+
+  // pg-mem has no row locks, which one worker does not need, and runs the claim's scalar
+  // subquery again for every row it updates, so the job to claim is looked up first
+  const query = async (text, params) => {
+    const sql = text.replace(/FOR UPDATE SKIP LOCKED/g, '');
+    const claim = /WHERE id = \(([\s\S]*?LIMIT 1)\s*\)/.exec(sql);
+    if (!claim) {
+      return pgPool.query(sql, params);
+    }
+    const { rows } = await pgPool.query(claim[1]);
+    return pgPool.query(sql.replace(claim[0], `WHERE id = ${rows[0]?.id ?? 'NULL'}`), params);
+  };
+  return { db, pool: { query } };
+});
+jest.mock('../../utils/logger');
+jest.mock('../../services/customerNoticeService', () => ({ processCustomerNotices: jest.fn() }));
+jest.mock('../../services/notificationRunner', () => ({ NOTIFICATIONS_ENABLED: 'true', runUserNotifications: jest.fn() }));
+
+const { db, pool } = require('../../config/db');
+const NotificationJob = require('../notificationJob');
+const { JOB_LOCK_TIMEOUT, retryDelay } = require('../../services/scheduler');
+
+const MINUTE_MS = 60 * 1000;
+
+// Minutes from now to a timestamp column
+const minutesFromNow = (timestamp) => (new Date(timestamp).getTime() - Date.now()) / MINUTE_MS;
+
+// Make a pending job due again, as if its retry delay had passed
+const makeDue = (id) => pool.query('UPDATE notification_jobs SET next_attempt_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+
+const lockedMinutesAgo = (id, minutes) => pool.query(
+  `UPDATE notification_jobs SET locked_at = CURRENT_TIMESTAMP - $2::interval WHERE id = $1`,
+  [id, `${minutes} minutes`]
+);
+
+beforeAll(() => {
+  const migration = fs.readFileSync(path.join(__dirname, '../../migrations/022_create_notification_jobs.sql'), 'utf8');
+  // users is not created here, and pg-mem does not read column comments
+  db.public.none(migration
+    .replace(' REFERENCES users(id) ON DELETE CASCADE', '')
+    .replace(/^COMMENT ON [^;]+;$/gm, ''));
+});
+
+beforeEach(async () => {
+  await pool.query('DELETE FROM notification_jobs');
+});
+
+const enqueue = (runKey) => NotificationJob.enqueue({
+  type: 'customer_notices',
+  runKey,
+  scheduledFor: new Date()
+});
+
+describe('NotificationJob queue', () => {
+  test('enqueues each run key once', async () => {
+    expect(await enqueue('customer_notices:2026-10-19T09:00')).toEqual(expect.objectContaining({ status: 'pending', attempts: 0 }));
+    await enqueue('customer_notices:2026-10-19T09:00');
+
+    const { rows } = await pool.query('SELECT id FROM notification_jobs');
+    expect(rows).toHaveLength(1);
+  });
+
+  test('claims a due job once and counts the attempt', async () => {
+    await enqueue('a');
+
+    const job = await NotificationJob.claimNext('host:1');
+    expect(job).toEqual(expect.objectContaining({ status: 'running', attempts: 1, locked_by: 'host:1' }));
+    expect(await NotificationJob.claimNext('host:2')).toBeNull();
+  });
+
+  test('completes the job', async () => {
+    await enqueue('a');
+    const job = await NotificationJob.claimNext('host:1');
+
+    const done = await NotificationJob.complete(job, { sent: 2 });
+    expect(done).toEqual(expect.objectContaining({ status: 'succeeded', result: { sent: 2 }, locked_by: null }));
+    expect(done.finished_at).not.toBeNull();
+  });
+
+  test('retries after 5, 10, 20 and 40 minutes, then gives up after 5 attempts', async () => {
+    const { id } = await enqueue('a');
+    const delays = [];
+
+    for (let attempt = 1; attempt <= 4; attempt++) {
+      await makeDue(id);
+      const job = await NotificationJob.claimNext('host:1');
+      expect(job.attempts).toBe(attempt);
+
+      const failed = await NotificationJob.fail(job, 'Timed out', { retryDelay: retryDelay(job.attempts) });
+      expect(failed).toEqual(expect.objectContaining({ status: 'pending', last_error: 'Timed out', locked_by: null }));
+      delays.push(Math.round(minutesFromNow(failed.next_attempt_at)));
+
+      // Not due again until the delay has passed
+      expect(await NotificationJob.claimNext('host:1')).toBeNull();
+    }
+    expect(delays).toEqual([5, 10, 20, 40]);
+
+    await makeDue(id);
+    const last = await NotificationJob.claimNext('host:1');
+    expect(last.attempts).toBe(5);
+    const failed = await NotificationJob.fail(last, 'Timed out', { retryDelay: retryDelay(last.attempts) });
+    expect(failed.status).toBe('failed');
+    expect(failed.finished_at).not.toBeNull();
+
+    await makeDue(id);
+    expect(await NotificationJob.claimNext('host:1')).toBeNull();
+  });
+
+  test('reclaims jobs locked for longer than the lock timeout', async () => {
+    expect(JOB_LOCK_TIMEOUT).toBe('15 minutes');
+    await makeDue((await enqueue('stale')).id);
+    await makeDue((await enqueue('busy')).id);
+    const stale = await NotificationJob.claimNext('host:1');
+    const busy = await NotificationJob.claimNext('host:1');
+    await lockedMinutesAgo(stale.id, 16);
+    await lockedMinutesAgo(busy.id, 14);
+
+    expect(await NotificationJob.reclaimStale(JOB_LOCK_TIMEOUT)).toEqual([stale.id]);
+
+    // The stale job is handed to the next worker straight away; the old worker's
+    // late result no longer counts
+    const retried = await NotificationJob.claimNext('host:2');
+    expect(retried).toEqual(expect.objectContaining({ id: stale.id, attempts: 2, locked_by: 'host:2' }));
+    expect(await NotificationJob.complete(stale, { sent: 1 })).toBeNull();
+    expect(await NotificationJob.fail(stale, 'Timed out', { retryDelay: retryDelay(1) })).toBeNull();
+  });
+
+  test('fails a reclaimed job that has used up its attempts', async () => {
+    const { id } = await enqueue('a');
+    await pool.query('UPDATE notification_jobs SET max_attempts = 1 WHERE id = $1', [id]);
+    await NotificationJob.claimNext('host:1');
+    await lockedMinutesAgo(id, 16);
+
+    expect(await NotificationJob.reclaimStale(JOB_LOCK_TIMEOUT)).toEqual([id]);
+    const { rows: [job] } = await pool.query('SELECT * FROM notification_jobs WHERE id = $1', [id]);
+    expect(job).toEqual(expect.objectContaining({
+      status: 'failed',
+      last_error: 'Worker host:1 stopped before finishing the job'
+    }));
+  });
+});
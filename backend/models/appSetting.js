@@ -0,0 +1,26 @@
+const { pool } = require('../config/db');
+
+class AppSetting {
+  // Get a setting's value, or null when it was never saved
+  static async get(key) {
+    const result = await pool.query('SELECT value FROM app_settings WHERE key = $1', [key]);
+    return result.rows[0]?.value || null;
+  }
+
+  // Create or replace a setting
+  static async set(key, value, userId = null) {
+    const result = await pool.query(
+      `INSERT INTO app_settings (key, value, updated_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (key) DO UPDATE
+       SET value = EXCLUDED.value,
+           updated_by = EXCLUDED.updated_by,
+           updated_at = CURRENT_TIMESTAMP
+       RETURNING value`,
+      [key, JSON.stringify(value), userId]
+    );
+    return result.rows[0].value;
+  }
+}
+
+module.exports = AppSetting;
@@ -0,0 +1,190 @@
+const { pool } = require('../config/db');
+const logger = require('../utils/logger');
+
+// Snapshot fields that never represent a user-made change
+const IGNORED_FIELDS = ['id', 'created_at', 'updated_at', 'created_by', 'created_by_username', 'vendor_name', 'customer_name', 'seats_used'];
+
+// Foreign keys reported by the joined name rather than the raw ID
+const REFERENCE_FIELDS = {
+  customer_id: { field: 'customer', label: 'customer_name' },
+  vendor_id: { field: 'vendor', label: 'vendor_name' }
+};
+
+// Compute field-level changes between two snapshots
+function diffSnapshots(oldValues = {}, newValues = {}) {
+  const changes = [];
+  const fields = new Set([...Object.keys(oldValues || {}), ...Object.keys(newValues || {})]);
+
+  for (const key of fields) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+
+    const from = oldValues?.[key] ?? null;
+    const to = newValues?.[key] ?? null;
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    const reference = REFERENCE_FIELDS[key];
+    if (reference) {
+      changes.push({
+        field: reference.field,
+        from: oldValues?.[reference.label] ?? from,
+        to: newValues?.[reference.label] ?? to
+      });
+    } else {
+      changes.push({ field: key, from, to });
+    }
+  }
+
+  return changes;
+}
+
+class AuditLog {
+  // Record an audit entry
+  static async create({
+    user_id,
+    action,
+    entity_type,
+    entity_id,
+    old_values,
+    new_values,
+    ip_address,
+    user_agent
+  }) {
+    const result = await pool.query(
+      `INSERT INTO audit_logs
+       (user_id, action, entity_type, entity_id, old_values, new_values, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        user_id,
+        action,
+        entity_type,
+        entity_id,
+        old_values ? JSON.stringify(old_values) : null,
+        new_values ? JSON.stringify(new_values) : null,
+        ip_address,
+        user_agent
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  // Record an audit entry for the acting user of a request.
+  // Failures are logged and swallowed so auditing never breaks the mutation itself.
+  static async record(req, { action, entityType, entityId, oldValues, newValues }) {
+    try {
+      return await AuditLog.create({
+        user_id: req.user?.id || null,
+        action,
+        entity_type: entityType,
+        entity_id: entityId,
+        old_values: oldValues,
+        new_values: newValues,
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent')
+      });
+    } catch (error) {
+      logger.error('Failed to write audit log', {
+        error: error.message,
+        action,
+        entityType,
+        entityId
+      });
+      return null;
+    }
+  }
+
+  // Get audit entries with optional filters and pagination; startDate and endDate are
+  // Dates, or YYYY-MM-DD strings that include the whole day
+  static async getAll({
+    entityType,
+    entityId,
+    userId,
+    action,
+    startDate,
+    endDate,
+    limit = 50,
+    offset = 0
+  }) {
+    const queryParams = [];
+    let queryText = `
+      SELECT
+        a.*,
+        u.username,
+        COUNT(*) OVER() as total_count
+      FROM audit_logs a
+      LEFT JOIN users u ON a.user_id = u.id
+      WHERE 1=1
+    `;
+
+    if (entityType) {
+      queryParams.push(entityType);
+      queryText += ` AND a.entity_type = $${queryParams.length}`;
+    }
+
+    if (entityId) {
+      queryParams.push(entityId);
+      queryText += ` AND a.entity_id = $${queryParams.length}`;
+    }
+
+    if (userId) {
+      queryParams.push(userId);
+      queryText += ` AND a.user_id = $${queryParams.length}`;
+    }
+
+    if (action) {
+      queryParams.push(action);
+      queryText += ` AND a.action = $${queryParams.length}`;
+    }
+
+    if (startDate) {
+      queryParams.push(startDate);
+      queryText += typeof startDate === 'string'
+        ? ` AND a.created_at >= $${queryParams.length}::date`
+        : ` AND a.created_at >= $${queryParams.length}`;
+    }
+
+    if (endDate) {
+      queryParams.push(endDate);
+      queryText += typeof endDate === 'string'
+        ? ` AND a.created_at < $${queryParams.length}::date + INTERVAL '1 day'`
+        : ` AND a.created_at <= $${queryParams.length}`;
+    }
+
+    queryText += ` ORDER BY a.created_at DESC, a.id DESC
+                  LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`;
+
+    queryParams.push(limit, offset);
+
+    const result = await pool.query(queryText, queryParams);
+
+    return {
+      data: result.rows.map(row => {
+        const { total_count, ...entry } = row;
+        return entry;
+      }),
+      total: parseInt(result.rows[0]?.total_count, 10) || 0
+    };
+  }
+
+  // Get the change history of a single entity, newest first
+  static async getHistory(entityType, entityId) {
+    const result = await pool.query(
+      `SELECT a.id, a.action, a.user_id, u.username, a.old_values, a.new_values, a.created_at
+       FROM audit_logs a
+       LEFT JOIN users u ON a.user_id = u.id
+       WHERE a.entity_type = $1 AND a.entity_id = $2
+       ORDER BY a.created_at DESC, a.id DESC`,
+      [entityType, entityId]
+    );
+
+    return result.rows.map(({ old_values, new_values, ...entry }) => ({
+      ...entry,
+      changes: old_values && new_values ? diffSnapshots(old_values, new_values) : []
+    }));
+  }
+}
+
+AuditLog.diffSnapshots = diffSnapshots;
+
+module.exports = AuditLog;
@@ -1,8 +1,8 @@
 const { pool } = require('../config/db');
 
 class Customer {
-  // Get all customers with optional search and pagination
-  static async getAll({ search = '', limit = 10, offset = 0, sortBy = 'name', sortOrder = 'ASC' }) {
+  // Get all customers with optional search and pagination, limited to customerIds unless it is null
+  static async getAll({ search = '', limit = 10, offset = 0, sortBy = 'name', sortOrder = 'ASC', customerIds = null }) {
     try {
       // Validate and sanitize sortBy to prevent SQL injection
       const validSortColumns = ['name', 'contact_person', 'email', 'created_at'];
@@ -15,11 +15,12 @@ class Customer {
                 COUNT(*) OVER() as total_count
           FROM customers c
           LEFT JOIN users u ON c.created_by = u.id
-          WHERE c.name ILIKE $1 OR c.contact_person ILIKE $1 OR c.email ILIKE $1
-          ORDER BY ${safeSortBy} ${safeSortOrder}
+          WHERE (c.name ILIKE $1 OR c.contact_person ILIKE $1 OR c.email ILIKE $1)
+          AND ($4::int[] IS NULL OR c.id = ANY($4::int[]))
+          ORDER BY ${safeSortBy} ${safeSortOrder}, c.id
           LIMIT $2 OFFSET $3
         `,
-        values: [`%${search}%`, limit, offset]
+        values: [`%${search}%`, limit, offset, customerIds]
       };
 
       console.log('Executing SQL query:', {
@@ -52,14 +53,15 @@ class Customer {
     }
   }
 
-  // Get customer by ID
-  static async findById(id) {
+  // Get customer by ID; customers outside customerIds are reported as not found
+  static async findById(id, { customerIds = null } = {}) {
     const result = await pool.query(
       `SELECT c.*, u.username as created_by_username
        FROM customers c
        LEFT JOIN users u ON c.created_by = u.id
-       WHERE c.id = $1`,
-      [id]
+       WHERE c.id = $1
+       AND ($2::int[] IS NULL OR c.id = ANY($2::int[]))`,
+      [id, customerIds]
     );
     
     if (result.rows.length === 0) {
@@ -71,7 +73,7 @@ class Customer {
     return result.rows[0];
   }
 
-  // Create new customer
+  // Create new customer (pass a client to run inside a transaction)
   static async create({
     name,
     contact_person,
@@ -81,8 +83,8 @@ class Customer {
     tax_id,
     notes,
     created_by
-  }) {
-    const result = await pool.query(
+  }, db = pool) {
+    const result = await db.query(
       `INSERT INTO customers 
        (name, contact_person, email, phone, address, tax_id, notes, created_by)
        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
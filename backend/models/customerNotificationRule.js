@@ -0,0 +1,62 @@
+const { pool } = require('../config/db');
+
+// Used for customers that have no rule saved yet; nothing is sent until a rule enables it
+const DEFAULT_RULE = {
+  notify_customer: false,
+  customer_cc: [],
+  customer_cc_assigned_users: true,
+  notify_vendor: false,
+  vendor_cc: [],
+  vendor_cc_assigned_users: false,
+  reminder_stages: [60, 30, 7]
+};
+
+const RULE_FIELDS = Object.keys(DEFAULT_RULE);
+
+class CustomerNotificationRule {
+  static DEFAULT_RULE = DEFAULT_RULE;
+
+  // Get the rule of a customer, falling back to the defaults
+  static async findByCustomerId(customerId) {
+    const result = await pool.query(
+      'SELECT * FROM customer_notification_rules WHERE customer_id = $1',
+      [customerId]
+    );
+    return result.rows[0] || { customer_id: Number(customerId), ...DEFAULT_RULE };
+  }
+
+  // Create or replace the rule of a customer
+  static async upsert(customerId, data, userId = null) {
+    const rule = RULE_FIELDS.reduce((values, field) => {
+      values[field] = data[field] !== undefined ? data[field] : DEFAULT_RULE[field];
+      return values;
+    }, {});
+
+    const result = await pool.query(
+      `INSERT INTO customer_notification_rules
+       (customer_id, ${RULE_FIELDS.join(', ')}, updated_by)
+       VALUES ($1, ${RULE_FIELDS.map((_, index) => `$${index + 2}`).join(', ')}, $${RULE_FIELDS.length + 2})
+       ON CONFLICT (customer_id) DO UPDATE
+       SET ${RULE_FIELDS.map(field => `${field} = EXCLUDED.${field}`).join(', ')},
+           updated_by = EXCLUDED.updated_by,
+           updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [customerId, ...RULE_FIELDS.map(field => rule[field]), userId]
+    );
+    return result.rows[0];
+  }
+
+  // Get the rules that send anything, with the customer's contact details
+  static async getEnabled() {
+    const result = await pool.query(
+      `SELECT r.*, c.name as customer_name, c.contact_person as customer_contact, c.email as customer_email
+       FROM customer_notification_rules r
+       JOIN customers c ON c.id = r.customer_id
+       WHERE r.notify_customer = true OR r.notify_vendor = true
+       ORDER BY c.name`
+    );
+    return result.rows;
+  }
+}
+
+module.exports = CustomerNotificationRule;
@@ -0,0 +1,51 @@
+const { pool } = require('../config/db');
+
+class EmailTemplate {
+  // Get all customized templates
+  static async findAll() {
+    const result = await pool.query(
+      `SELECT t.*, u.username as updated_by_username
+       FROM email_templates t
+       LEFT JOIN users u ON t.updated_by = u.id
+       ORDER BY t.id`
+    );
+    return result.rows;
+  }
+
+  // Get a customized template, or null when the default is used
+  static async findById(id) {
+    const result = await pool.query(
+      `SELECT t.*, u.username as updated_by_username
+       FROM email_templates t
+       LEFT JOIN users u ON t.updated_by = u.id
+       WHERE t.id = $1`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Create or replace a customized template
+  static async upsert(id, { subject, html, text }, userId = null) {
+    const result = await pool.query(
+      `INSERT INTO email_templates (id, subject, html, text, updated_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (id) DO UPDATE
+       SET subject = EXCLUDED.subject,
+           html = EXCLUDED.html,
+           text = EXCLUDED.text,
+           updated_by = EXCLUDED.updated_by,
+           updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [id, subject, html, text, userId]
+    );
+    return result.rows[0];
+  }
+
+  // Remove a customized template so the default is used again
+  static async delete(id) {
+    const result = await pool.query('DELETE FROM email_templates WHERE id = $1 RETURNING *', [id]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = EmailTemplate;
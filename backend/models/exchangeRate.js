@@ -0,0 +1,127 @@
+const { pool } = require('../config/db');
+
+const UPSERT_RATE = `
+  INSERT INTO exchange_rates (base_currency, quote_currency, rate_date, rate, created_by)
+  VALUES ($1, $2, $3, $4, $5)
+  ON CONFLICT (base_currency, quote_currency, rate_date) DO UPDATE
+  SET rate = EXCLUDED.rate,
+      created_by = EXCLUDED.created_by,
+      updated_at = CURRENT_TIMESTAMP
+  RETURNING *`;
+
+class ExchangeRate {
+  // Get rates with optional filters and pagination, latest first. currency matches
+  // either side of the pair
+  static async getAll({ currency, startDate, endDate, limit = 50, offset = 0 }) {
+    const queryParams = [];
+    let queryText = `
+      SELECT
+        r.*,
+        u.username as created_by_username,
+        COUNT(*) OVER() as total_count
+      FROM exchange_rates r
+      LEFT JOIN users u ON r.created_by = u.id
+      WHERE 1=1
+    `;
+
+    if (currency) {
+      queryParams.push(currency);
+      queryText += ` AND (r.base_currency = $${queryParams.length} OR r.quote_currency = $${queryParams.length})`;
+    }
+
+    if (startDate) {
+      queryParams.push(startDate);
+      queryText += ` AND r.rate_date >= $${queryParams.length}`;
+    }
+
+    if (endDate) {
+      queryParams.push(endDate);
+      queryText += ` AND r.rate_date <= $${queryParams.length}`;
+    }
+
+    queryText += ` ORDER BY r.rate_date DESC, r.base_currency, r.quote_currency
+                  LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`;
+
+    queryParams.push(limit, offset);
+
+    const result = await pool.query(queryText, queryParams);
+
+    return {
+      data: result.rows.map(row => {
+        const { total_count, ...rate } = row;
+        return rate;
+      }),
+      total: parseInt(result.rows[0]?.total_count, 10) || 0
+    };
+  }
+
+  static async findById(id) {
+    const result = await pool.query('SELECT * FROM exchange_rates WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      const error = new Error('Exchange rate not found');
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+
+    return result.rows[0];
+  }
+
+  // Create a rate, or replace the one of the same pair and day
+  static async upsert({ base_currency, quote_currency, rate_date, rate, created_by }) {
+    const result = await pool.query(UPSERT_RATE, [base_currency, quote_currency, rate_date, rate, created_by]);
+    return result.rows[0];
+  }
+
+  // Save a batch of rates in one transaction; nothing is saved when one fails
+  static async upsertMany(rates, createdBy) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const saved = [];
+      for (const { base_currency, quote_currency, rate_date, rate } of rates) {
+        const result = await client.query(UPSERT_RATE, [base_currency, quote_currency, rate_date, rate, createdBy]);
+        saved.push(result.rows[0]);
+      }
+
+      await client.query('COMMIT');
+      return saved;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async delete(id) {
+    const result = await pool.query('DELETE FROM exchange_rates WHERE id = $1 RETURNING *', [id]);
+
+    if (result.rows.length === 0) {
+      const error = new Error('Exchange rate not found');
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+
+    return result.rows[0];
+  }
+
+  // Currencies of licenses that cannot be converted into currency, with how many licenses each
+  static async getUnconvertible(currency, { customerIds = null } = {}) {
+    const result = await pool.query(
+      `SELECT COALESCE(currency, 'USD') as currency, COUNT(*)::int as licenses
+       FROM licenses
+       WHERE cost IS NOT NULL
+       AND exchange_rate(COALESCE(currency, 'USD'), $1, purchase_date) IS NULL
+       AND ($2::int[] IS NULL OR customer_id = ANY($2::int[]))
+       GROUP BY COALESCE(currency, 'USD')
+       ORDER BY currency`,
+      [currency, customerIds]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = ExchangeRate;
@@ -1,7 +1,41 @@
 const { pool } = require('../config/db');
+const { encrypt, decrypt, isEncrypted, lookupHash } = require('../utils/crypto');
+
+// Columns the license list may be sorted by, keyed by the sortBy value callers pass
+const SORT_COLUMNS = {
+  name: 'l.name',
+  expiration_date: 'l.expiration_date',
+  purchase_date: 'l.purchase_date',
+  vendor_name: 'v.name',
+  customer_name: 'c.name'
+};
+
+// Columns stored for a license key: the ciphertext, a hash for exact-match
+// search and the last characters for display
+function licenseKeyColumns(licenseKey) {
+  const key = String(licenseKey).trim();
+  return {
+    license_key: encrypt(key),
+    license_key_hash: lookupHash(key),
+    license_key_last4: key.slice(-4)
+  };
+}
+
+// Columns with a license's cost in the reporting currency (the SQL parameter given),
+// at the exchange rate of its purchase date; reporting_cost is NULL without a rate
+const REPORTING_COST = (currencyParam) => `${currencyParam}::text as reporting_currency,
+        convert_currency(l.cost, COALESCE(l.currency, 'USD'), ${currencyParam}, l.purchase_date) as reporting_cost`;
 
 class License {
-  // Get all licenses with optional filters and pagination
+  // Strip the stored key from a license row; clients only get license_key_last4
+  // and have to reveal the key explicitly
+  static withoutKey(row) {
+    const { license_key, license_key_hash, ...license } = row;
+    return license;
+  }
+
+  // Get all licenses with optional filters and pagination, limited to the
+  // licenses of customerIds unless it is null, with their cost in reportingCurrency
   static async getAll({
     search = '',
     customerSearch = '',
@@ -10,18 +44,34 @@ class License {
     customerId,
     isActive,
     expiresSoon = false,
+    expired,
+    expiringWithinDays,
+    expirationFrom,
+    expirationTo,
+    purchaseFrom,
+    purchaseTo,
+    minCost,
+    maxCost,
+    currency,
+    licenseTypes = [],
+    createdBy,
     limit = 10,
     offset = 0,
     sortBy = 'name',
-    sortOrder = 'ASC'
+    sortOrder = 'ASC',
+    customerIds = null,
+    reportingCurrency = null
   }) {
-    const queryParams = [];
+    const queryParams = [reportingCurrency];
     let queryText = `
       SELECT 
         l.*,
         v.name as vendor_name,
         c.name as customer_name,
         u.username as created_by_username,
+        (SELECT COUNT(*) FROM license_assignments la
+         WHERE la.license_id = l.id AND la.returned_at IS NULL)::int as seats_used,
+        ${REPORTING_COST('$1')},
         COUNT(*) OVER() as total_count
       FROM licenses l
       LEFT JOIN vendors v ON l.vendor_id = v.id
@@ -31,11 +81,12 @@ class License {
     `;
 
     // Add search conditions
+    // License keys are encrypted, so they only match exactly, through their hash
     if (search) {
-      queryParams.push(`%${search}%`);
-      queryText += ` AND (l.name ILIKE $${queryParams.length} 
-                        OR l.license_key::text ILIKE $${queryParams.length} 
-                        OR l.description ILIKE $${queryParams.length})`;
+      queryParams.push(`%${search}%`, lookupHash(search));
+      queryText += ` AND (l.name ILIKE $${queryParams.length - 1} 
+                        OR l.license_key_hash = $${queryParams.length} 
+                        OR l.description ILIKE $${queryParams.length - 1})`;
     }
 
     // Add customer search condition
@@ -62,6 +113,12 @@ class License {
       queryText += ` AND l.customer_id = $${queryParams.length}`;
     }
 
+    // Limit to the customers the user may see
+    if (customerIds) {
+      queryParams.push(customerIds);
+      queryText += ` AND l.customer_id = ANY($${queryParams.length}::int[])`;
+    }
+
     // Add active status filter
     if (isActive !== undefined) {
       queryParams.push(isActive);
@@ -74,8 +131,64 @@ class License {
       queryText += ` AND l.expiration_date BETWEEN CURRENT_DATE AND (CURRENT_DATE + $${queryParams.length}::interval)`;
     }
 
-    // Add sorting and pagination
-    queryText += ` ORDER BY ${sortBy} ${sortOrder === 'DESC' ? 'DESC' : 'ASC'}
+    // Expiring within a custom number of days (0 is today)
+    if (expiringWithinDays !== undefined) {
+      queryParams.push(expiringWithinDays);
+      queryText += ` AND l.expiration_date BETWEEN CURRENT_DATE AND (CURRENT_DATE + $${queryParams.length}::int)`;
+    }
+
+    // Expired before today, or not (including licenses without an expiration date)
+    if (expired === true) {
+      queryText += ' AND l.expiration_date < CURRENT_DATE';
+    } else if (expired === false) {
+      queryText += ' AND (l.expiration_date IS NULL OR l.expiration_date >= CURRENT_DATE)';
+    }
+
+    // Date ranges, both ends inclusive
+    const dateRanges = [
+      ['l.expiration_date', '>=', expirationFrom],
+      ['l.expiration_date', '<=', expirationTo],
+      ['l.purchase_date', '>=', purchaseFrom],
+      ['l.purchase_date', '<=', purchaseTo]
+    ];
+    for (const [column, operator, value] of dateRanges) {
+      if (value) {
+        queryParams.push(value);
+        queryText += ` AND ${column} ${operator} $${queryParams.length}::date`;
+      }
+    }
+
+    // Cost range, on the cost as entered (combine with currency to compare like with like)
+    if (minCost !== undefined) {
+      queryParams.push(minCost);
+      queryText += ` AND l.cost >= $${queryParams.length}`;
+    }
+    if (maxCost !== undefined) {
+      queryParams.push(maxCost);
+      queryText += ` AND l.cost <= $${queryParams.length}`;
+    }
+
+    // Add currency filter
+    if (currency) {
+      queryParams.push(currency);
+      queryText += ` AND COALESCE(l.currency, 'USD') = $${queryParams.length}`;
+    }
+
+    // Any of the given license types
+    if (licenseTypes.length > 0) {
+      queryParams.push(licenseTypes);
+      queryText += ` AND l.license_type = ANY($${queryParams.length}::text[])`;
+    }
+
+    // Add creator filter
+    if (createdBy) {
+      queryParams.push(createdBy);
+      queryText += ` AND l.created_by = $${queryParams.length}`;
+    }
+
+    // Add sorting and pagination; the id tiebreaker keeps pages stable for exports
+    const sortColumn = SORT_COLUMNS[sortBy] || SORT_COLUMNS.name;
+    queryText += ` ORDER BY ${sortColumn} ${String(sortOrder).toUpperCase() === 'DESC' ? 'DESC' : 'ASC'}, l.id
                   LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`;
     
     queryParams.push(limit, offset);
@@ -85,26 +198,64 @@ class License {
     return {
       data: result.rows.map(row => {
         const { total_count, ...license } = row;
-        return license;
+        return License.withoutKey(license);
       }),
       total: result.rows[0]?.total_count || 0
     };
   }
 
-  // Get license by ID
-  static async findById(id) {
+  // Distinct license types, currencies and creators for the list filters, among the
+  // licenses of customerIds unless it is null
+  static async getFilterOptions({ customerIds = null } = {}) {
+    const scope = customerIds ? 'WHERE l.customer_id = ANY($1::int[])' : '';
+    const params = customerIds ? [customerIds] : [];
+
+    const [types, currencies, creators] = await Promise.all([
+      pool.query(
+        `SELECT DISTINCT l.license_type FROM licenses l
+         ${scope ? `${scope} AND` : 'WHERE'} l.license_type IS NOT NULL AND l.license_type <> ''
+         ORDER BY l.license_type`,
+        params
+      ),
+      pool.query(
+        `SELECT DISTINCT COALESCE(l.currency, 'USD') as currency FROM licenses l ${scope} ORDER BY currency`,
+        params
+      ),
+      pool.query(
+        `SELECT DISTINCT u.id, u.username FROM licenses l
+         JOIN users u ON l.created_by = u.id
+         ${scope}
+         ORDER BY u.username`,
+        params
+      )
+    ]);
+
+    return {
+      licenseTypes: types.rows.map(row => row.license_type),
+      currencies: currencies.rows.map(row => row.currency),
+      creators: creators.rows
+    };
+  }
+
+  // Get license by ID; licenses of customers outside customerIds are reported as not found.
+  // With a reportingCurrency the cost is also converted into it
+  static async findById(id, { customerIds = null, reportingCurrency = null } = {}) {
     const result = await pool.query(
       `SELECT 
         l.*,
         v.name as vendor_name,
         c.name as customer_name,
-        u.username as created_by_username
+        u.username as created_by_username,
+        (SELECT COUNT(*) FROM license_assignments la
+         WHERE la.license_id = l.id AND la.returned_at IS NULL)::int as seats_used
+        ${reportingCurrency ? `, ${REPORTING_COST('$3')}` : ''}
        FROM licenses l
        LEFT JOIN vendors v ON l.vendor_id = v.id
        LEFT JOIN customers c ON l.customer_id = c.id
        LEFT JOIN users u ON l.created_by = u.id
-       WHERE l.id = $1`,
-      [id]
+       WHERE l.id = $1
+       AND ($2::int[] IS NULL OR l.customer_id = ANY($2::int[]))`,
+      reportingCurrency ? [id, customerIds, reportingCurrency] : [id, customerIds]
     );
     
     if (result.rows.length === 0) {
@@ -113,10 +264,30 @@ class License {
       throw error;
     }
     
-    return result.rows[0];
+    return License.withoutKey(result.rows[0]);
+  }
+
+  // Get the decrypted key of a license, within the same customer scope as findById
+  static async getLicenseKey(id, { customerIds = null } = {}) {
+    const result = await pool.query(
+      `SELECT id, license_key FROM licenses
+       WHERE id = $1
+       AND ($2::int[] IS NULL OR customer_id = ANY($2::int[]))`,
+      [id, customerIds]
+    );
+
+    if (result.rows.length === 0) {
+      const error = new Error('License not found');
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+
+    // Keys not yet migrated by scripts/encrypt-license-keys.js are still plain text
+    const { license_key } = result.rows[0];
+    return isEncrypted(license_key) ? decrypt(license_key) : license_key;
   }
 
-  // Create new license
+  // Create new license (pass a client to run inside a transaction)
   static async create({
     name,
     description,
@@ -132,17 +303,20 @@ class License {
     is_active = true,
     notes,
     created_by
-  }) {
-    const result = await pool.query(
+  }, db = pool) {
+    const key = licenseKeyColumns(license_key);
+    const result = await db.query(
       `INSERT INTO licenses 
-       (name, description, license_key, license_type, vendor_id, customer_id,
+       (name, description, license_key, license_key_hash, license_key_last4, license_type, vendor_id, customer_id,
         purchase_date, expiration_date, seats, cost, currency, is_active, notes, created_by)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
        RETURNING *`,
       [
         name,
         description,
-        license_key,
+        key.license_key,
+        key.license_key_hash,
+        key.license_key_last4,
         license_type,
         vendor_id,
         customer_id,
@@ -157,10 +331,16 @@ class License {
       ]
     );
 
-    return result.rows[0];
+    return License.withoutKey(result.rows[0]);
   }
 
-  // Update license
+  // Whether a key differs from the one stored for a license, compared by lookup hash
+  static async isNewKey(id, licenseKey) {
+    const result = await pool.query('SELECT license_key_hash FROM licenses WHERE id = $1', [id]);
+    return result.rows[0]?.license_key_hash !== lookupHash(String(licenseKey).trim());
+  }
+
+  // Update license; the key is only replaced when a new one is given
   static async update(id, {
     name,
     description,
@@ -176,21 +356,24 @@ class License {
     is_active,
     notes
   }) {
+    const key = license_key ? licenseKeyColumns(license_key) : {};
     const result = await pool.query(
       `UPDATE licenses 
        SET name = COALESCE($2, name),
            description = COALESCE($3, description),
            license_key = COALESCE($4, license_key),
-           license_type = COALESCE($5, license_type),
-           vendor_id = COALESCE($6, vendor_id),
-           customer_id = COALESCE($7, customer_id),
-           purchase_date = COALESCE($8, purchase_date),
-           expiration_date = COALESCE($9, expiration_date),
-           seats = COALESCE($10, seats),
-           cost = COALESCE($11, cost),
-           currency = COALESCE($12, currency),
-           is_active = COALESCE($13, is_active),
-           notes = COALESCE($14, notes),
+           license_key_hash = COALESCE($5, license_key_hash),
+           license_key_last4 = COALESCE($6, license_key_last4),
+           license_type = COALESCE($7, license_type),
+           vendor_id = COALESCE($8, vendor_id),
+           customer_id = COALESCE($9, customer_id),
+           purchase_date = COALESCE($10, purchase_date),
+           expiration_date = COALESCE($11, expiration_date),
+           seats = COALESCE($12, seats),
+           cost = COALESCE($13, cost),
+           currency = COALESCE($14, currency),
+           is_active = COALESCE($15, is_active),
+           notes = COALESCE($16, notes),
            updated_at = CURRENT_TIMESTAMP
        WHERE id = $1
        RETURNING *`,
@@ -198,7 +381,9 @@ class License {
         id,
         name,
         description,
-        license_key,
+        key.license_key,
+        key.license_key_hash,
+        key.license_key_last4,
         license_type,
         vendor_id,
         customer_id,
@@ -218,7 +403,7 @@ class License {
       throw error;
     }
 
-    return result.rows[0];
+    return License.withoutKey(result.rows[0]);
   }
 
   // Delete license
@@ -237,19 +422,116 @@ class License {
     return { id: result.rows[0].id };
   }
 
-  // Get license statistics
-  static async getStats() {
+  // Get license statistics, limited to the licenses of customerIds unless it is null.
+  // total_cost is in reportingCurrency at the rate of each purchase date; licenses
+  // without a rate are left out of it and only counted in total_cost_by_currency
+  static async getStats({ customerIds = null, reportingCurrency = 'USD' } = {}) {
     const result = await pool.query(`
       SELECT 
         COUNT(*) as total_licenses,
         SUM(CASE WHEN is_active = true THEN 1 ELSE 0 END) as active_licenses,
         SUM(CASE WHEN expiration_date < CURRENT_DATE AND is_active = true THEN 1 ELSE 0 END) as expired_licenses,
-        SUM(CASE WHEN expiration_date BETWEEN CURRENT_DATE AND (CURRENT_DATE + INTERVAL '30 days') AND is_active = true THEN 1 ELSE 0 END) as expiring_soon,
-        SUM(cost) as total_cost
+        SUM(CASE WHEN expiration_date BETWEEN CURRENT_DATE AND (CURRENT_DATE + INTERVAL '30 days') AND is_active = true THEN 1 ELSE 0 END) as expiring_soon
+      FROM licenses
+      WHERE $1::int[] IS NULL OR customer_id = ANY($1::int[])
+    `, [customerIds]);
+
+    const costs = await pool.query(`
+      SELECT
+        COALESCE(currency, 'USD') as currency,
+        SUM(cost) as total_cost,
+        SUM(convert_currency(cost, COALESCE(currency, 'USD'), $2, purchase_date)) as reporting_cost,
+        COUNT(*) FILTER (WHERE exchange_rate(COALESCE(currency, 'USD'), $2, purchase_date) IS NULL)::int as unconverted_licenses
       FROM licenses
-    `);
+      WHERE cost IS NOT NULL
+      AND ($1::int[] IS NULL OR customer_id = ANY($1::int[]))
+      GROUP BY COALESCE(currency, 'USD')
+      ORDER BY currency
+    `, [customerIds, reportingCurrency]);
+
+    const totalCost = costs.rows.reduce((sum, row) => sum + Number(row.reporting_cost || 0), 0);
+
+    return {
+      ...result.rows[0],
+      reporting_currency: reportingCurrency,
+      total_cost: Math.round(totalCost * 100) / 100,
+      unconverted_licenses: costs.rows.reduce((sum, row) => sum + row.unconverted_licenses, 0),
+      total_cost_by_currency: costs.rows
+    };
+  }
+
+  /**
+   * Get the cost of every license with one, with its cost per year
+   * @param {Object} options
+   * @param {Array<number>|null} [options.customerIds=null] - Only these customers' licenses; null for all
+   * @param {boolean} [options.includeInactive=false]
+   * @param {Date} [options.startDate] - Only licenses purchased on or after this date
+   * @param {Date} [options.endDate] - Only licenses purchased on or before this date
+   * @param {string} [options.reportingCurrency='USD'] - Currency to convert costs into
+   * @returns {Promise<Array>} Licenses with vendor (and its renewal uplift), customer, purchase_month and annualized_cost,
+   *   and reporting_cost and reporting_annualized_cost at the rate of the purchase date
+   *   (null when there is no rate)
+   */
+  static async getCosts({
+    customerIds = null,
+    includeInactive = false,
+    startDate = null,
+    endDate = null,
+    reportingCurrency = 'USD'
+  } = {}) {
+    // The current term starts at the renewal that set the expiration date, or at the
+    // purchase; a cost without a known term of at least four weeks is taken as yearly
+    const result = await pool.query(`
+      SELECT
+        l.id,
+        l.name,
+        l.license_type,
+        l.vendor_id,
+        v.name as vendor_name,
+        COALESCE(v.renewal_uplift_percent, 0) as renewal_uplift_percent,
+        l.customer_id,
+        c.name as customer_name,
+        l.purchase_date,
+        to_char(l.purchase_date, 'YYYY-MM') as purchase_month,
+        l.expiration_date,
+        t.term_start,
+        l.cost,
+        COALESCE(l.currency, 'USD') as currency,
+        a.annualized_cost,
+        x.rate as exchange_rate,
+        ROUND(l.cost * x.rate, 2) as reporting_cost,
+        ROUND(a.annualized_cost * x.rate, 2) as reporting_annualized_cost
+      FROM licenses l
+      LEFT JOIN vendors v ON l.vendor_id = v.id
+      LEFT JOIN customers c ON l.customer_id = c.id
+      CROSS JOIN LATERAL (
+        SELECT COALESCE(
+          (SELECT r.term_start FROM license_renewals r
+           WHERE r.license_id = l.id AND r.term_end = l.expiration_date AND r.term_start IS NOT NULL
+           ORDER BY r.created_at DESC
+           LIMIT 1),
+          l.purchase_date
+        ) as term_start
+      ) t
+      CROSS JOIN LATERAL (
+        SELECT CASE
+          WHEN t.term_start IS NOT NULL AND l.expiration_date - t.term_start >= 28
+          THEN ROUND(l.cost * 365.0 / (l.expiration_date - t.term_start), 2)
+          ELSE l.cost
+        END as annualized_cost
+      ) a
+      CROSS JOIN LATERAL (
+        SELECT exchange_rate(COALESCE(l.currency, 'USD'), $5, l.purchase_date) as rate
+      ) x
+      WHERE l.cost IS NOT NULL
+      AND ($1::int[] IS NULL OR l.customer_id = ANY($1::int[]))
+      AND ($2::boolean OR l.is_active = true)
+      AND ($3::date IS NULL OR l.purchase_date >= $3::date)
+      AND ($4::date IS NULL OR l.purchase_date <= $4::date)
+      ORDER BY l.purchase_date, l.id
+    `, [customerIds, includeInactive, startDate, endDate, reportingCurrency]);
 
-    return result.rows[0];
+    return result.rows;
   }
 }
 
@@ -0,0 +1,99 @@
+const { pool } = require('../config/db');
+
+class LicenseAssignment {
+  // Get assignments of a license, optionally only the ones still holding a seat
+  static async getByLicense(licenseId, { activeOnly = false } = {}) {
+    const result = await pool.query(
+      `SELECT
+        la.*,
+        u.username as assigned_to_username,
+        cb.username as created_by_username
+       FROM license_assignments la
+       LEFT JOIN users u ON la.assigned_to = u.id
+       LEFT JOIN users cb ON la.created_by = cb.id
+       WHERE la.license_id = $1
+       ${activeOnly ? 'AND la.returned_at IS NULL' : ''}
+       ORDER BY la.returned_at IS NULL DESC, la.assigned_at DESC`,
+      [licenseId]
+    );
+
+    return result.rows;
+  }
+
+  // Assign a seat, rejecting the assignment when all seats are in use
+  static async assign(licenseId, {
+    assigned_to,
+    assignee_name,
+    assignee_email,
+    notes,
+    created_by
+  }) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the license row so concurrent assignments cannot both take the last seat
+      const licenseResult = await client.query(
+        'SELECT id, seats FROM licenses WHERE id = $1 FOR UPDATE',
+        [licenseId]
+      );
+
+      if (licenseResult.rows.length === 0) {
+        const error = new Error('License not found');
+        error.code = 'NOT_FOUND';
+        throw error;
+      }
+
+      const { seats } = licenseResult.rows[0];
+      const usedResult = await client.query(
+        'SELECT COUNT(*) FROM license_assignments WHERE license_id = $1 AND returned_at IS NULL',
+        [licenseId]
+      );
+      const seatsUsed = parseInt(usedResult.rows[0].count, 10);
+
+      if (seatsUsed + 1 > (seats || 0)) {
+        const error = new Error(`All ${seats || 0} seats of this license are already assigned`);
+        error.code = 'SEATS_EXCEEDED';
+        throw error;
+      }
+
+      const result = await client.query(
+        `INSERT INTO license_assignments
+         (license_id, assigned_to, assignee_name, assignee_email, notes, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [licenseId, assigned_to, assignee_name, assignee_email, notes, created_by]
+      );
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Return a seat, freeing it for a new assignment
+  static async returnSeat(licenseId, assignmentId) {
+    const result = await pool.query(
+      `UPDATE license_assignments
+       SET returned_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND license_id = $2 AND returned_at IS NULL
+       RETURNING *`,
+      [assignmentId, licenseId]
+    );
+
+    if (result.rows.length === 0) {
+      const error = new Error('Active assignment not found');
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+
+    return result.rows[0];
+  }
+}
+
+module.exports = LicenseAssignment;
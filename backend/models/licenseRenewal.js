@@ -0,0 +1,127 @@
+const { pool } = require('../config/db');
+
+class LicenseRenewal {
+  // Get all recorded terms of a license, most recent first
+  static async getByLicense(licenseId) {
+    const result = await pool.query(
+      `SELECT r.*, u.username as created_by_username
+       FROM license_renewals r
+       LEFT JOIN users u ON r.created_by = u.id
+       WHERE r.license_id = $1
+       ORDER BY r.term_end DESC, r.id DESC`,
+      [licenseId]
+    );
+
+    return result.rows;
+  }
+
+  // Record a new term and advance the license to it
+  static async renew(licenseId, {
+    term_start,
+    term_end,
+    cost,
+    currency,
+    purchase_order,
+    notes,
+    created_by
+  }) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const licenseResult = await client.query(
+        'SELECT * FROM licenses WHERE id = $1 FOR UPDATE',
+        [licenseId]
+      );
+
+      if (licenseResult.rows.length === 0) {
+        const error = new Error('License not found');
+        error.code = 'NOT_FOUND';
+        throw error;
+      }
+
+      const license = licenseResult.rows[0];
+
+      // The first renewal also preserves the original term, which until now
+      // only lived on the license row itself
+      const existing = await client.query(
+        'SELECT 1 FROM license_renewals WHERE license_id = $1 LIMIT 1',
+        [licenseId]
+      );
+
+      if (existing.rows.length === 0 && license.expiration_date) {
+        await client.query(
+          `INSERT INTO license_renewals
+           (license_id, term_start, term_end, cost, currency, notes, created_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [
+            licenseId,
+            license.purchase_date,
+            license.expiration_date,
+            license.cost,
+            license.currency,
+            'Initial term',
+            license.created_by
+          ]
+        );
+      }
+
+      // A new term starts the day after the current one ends unless given explicitly
+      const termResult = await client.query(
+        `SELECT
+           COALESCE($1::date, $2::date + 1, CURRENT_DATE) as term_start,
+           $3::date as term_end`,
+        [term_start || null, license.expiration_date, term_end]
+      );
+      const term = termResult.rows[0];
+
+      if (term.term_end <= term.term_start) {
+        const error = new Error('Term end must be after term start');
+        error.code = 'INVALID_TERM';
+        throw error;
+      }
+
+      const renewalResult = await client.query(
+        `INSERT INTO license_renewals
+         (license_id, term_start, term_end, cost, currency, purchase_order, notes, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [
+          licenseId,
+          term.term_start,
+          term.term_end,
+          cost ?? license.cost,
+          currency || license.currency,
+          purchase_order,
+          notes,
+          created_by
+        ]
+      );
+      const renewal = renewalResult.rows[0];
+
+      // Reminders are logged per expiration date, so the new term gets its own
+      const updatedResult = await client.query(
+        `UPDATE licenses
+         SET expiration_date = $2,
+             cost = $3,
+             currency = $4,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [licenseId, renewal.term_end, renewal.cost, renewal.currency]
+      );
+
+      await client.query('COMMIT');
+
+      return { license: updatedResult.rows[0], renewal };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = LicenseRenewal;
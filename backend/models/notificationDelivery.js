@@ -0,0 +1,164 @@
+const { pool } = require('../config/db');
+
+class NotificationDelivery {
+  // Record a delivery attempt
+  static async create({
+    userId = null,
+    kind = 'reminder',
+    audience = 'internal',
+    customerId = null,
+    channel,
+    recipient,
+    cc = [],
+    subject = null,
+    licenses = [],
+    status,
+    error = null,
+    messageId = null,
+    resentFrom = null,
+    createdBy = null
+  }) {
+    const result = await pool.query(
+      `INSERT INTO notification_deliveries
+       (user_id, kind, audience, customer_id, channel, recipient, cc, subject, license_ids, licenses,
+        status, error, message_id, resent_from, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+       RETURNING *`,
+      [
+        userId,
+        kind,
+        audience,
+        customerId,
+        channel,
+        recipient,
+        cc,
+        subject,
+        licenses.map(({ licenseId }) => licenseId),
+        JSON.stringify(licenses),
+        status,
+        error,
+        messageId,
+        resentFrom,
+        createdBy
+      ]
+    );
+    return result.rows[0];
+  }
+
+  // Get delivery attempts with optional filters and pagination, newest first; startDate and
+  // endDate are Dates, or YYYY-MM-DD strings that include the whole day
+  static async getAll({
+    userId,
+    kind,
+    audience,
+    customerId,
+    status,
+    channel,
+    licenseId,
+    recipient,
+    startDate,
+    endDate,
+    limit = 50,
+    offset = 0
+  }) {
+    const queryParams = [];
+    let queryText = `
+      SELECT
+        d.*,
+        u.username,
+        cb.username as created_by_username,
+        c.name as customer_name,
+        EXISTS (SELECT 1 FROM notification_deliveries r WHERE r.resent_from = d.id) as resent,
+        COUNT(*) OVER() as total_count
+      FROM notification_deliveries d
+      LEFT JOIN users u ON d.user_id = u.id
+      LEFT JOIN users cb ON d.created_by = cb.id
+      LEFT JOIN customers c ON d.customer_id = c.id
+      WHERE 1=1
+    `;
+
+    if (userId) {
+      queryParams.push(userId);
+      queryText += ` AND d.user_id = $${queryParams.length}`;
+    }
+
+    if (kind) {
+      queryParams.push(kind);
+      queryText += ` AND d.kind = $${queryParams.length}`;
+    }
+
+    if (audience) {
+      queryParams.push(audience);
+      queryText += ` AND d.audience = $${queryParams.length}`;
+    }
+
+    if (customerId) {
+      queryParams.push(customerId);
+      queryText += ` AND d.customer_id = $${queryParams.length}`;
+    }
+
+    if (status) {
+      queryParams.push(status);
+      queryText += ` AND d.status = $${queryParams.length}`;
+    }
+
+    if (channel) {
+      queryParams.push(channel);
+      queryText += ` AND d.channel = $${queryParams.length}`;
+    }
+
+    if (licenseId) {
+      queryParams.push(licenseId);
+      queryText += ` AND $${queryParams.length} = ANY(d.license_ids)`;
+    }
+
+    if (recipient) {
+      queryParams.push(`%${recipient}%`);
+      queryText += ` AND d.recipient ILIKE $${queryParams.length}`;
+    }
+
+    if (startDate) {
+      queryParams.push(startDate);
+      queryText += typeof startDate === 'string'
+        ? ` AND d.created_at >= $${queryParams.length}::date`
+        : ` AND d.created_at >= $${queryParams.length}`;
+    }
+
+    if (endDate) {
+      queryParams.push(endDate);
+      queryText += typeof endDate === 'string'
+        ? ` AND d.created_at < $${queryParams.length}::date + INTERVAL '1 day'`
+        : ` AND d.created_at <= $${queryParams.length}`;
+    }
+
+    queryText += ` ORDER BY d.created_at DESC, d.id DESC
+                  LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`;
+
+    queryParams.push(limit, offset);
+
+    const result = await pool.query(queryText, queryParams);
+
+    return {
+      data: result.rows.map(row => {
+        const { total_count, ...entry } = row;
+        return entry;
+      }),
+      total: parseInt(result.rows[0]?.total_count, 10) || 0
+    };
+  }
+
+  // Get delivery by ID
+  static async findById(id) {
+    const result = await pool.query('SELECT * FROM notification_deliveries WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      const error = new Error('Notification delivery not found');
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+
+    return result.rows[0];
+  }
+}
+
+module.exports = NotificationDelivery;
@@ -0,0 +1,129 @@
+const { pool } = require('../config/db');
+
+class NotificationJob {
+  // Queue a run; returns null when a job with the same run key already exists
+  static async enqueue({ type, userId = null, runKey, scheduledFor }) {
+    const result = await pool.query(
+      `INSERT INTO notification_jobs (type, user_id, run_key, scheduled_for)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (run_key) DO NOTHING
+       RETURNING *`,
+      [type, userId, runKey, scheduledFor]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Lock the next due job for a worker; other workers skip it instead of waiting
+  static async claimNext(workerId) {
+    const result = await pool.query(
+      `UPDATE notification_jobs
+       SET status = 'running',
+           attempts = attempts + 1,
+           locked_by = $1,
+           locked_at = CURRENT_TIMESTAMP,
+           started_at = COALESCE(started_at, CURRENT_TIMESTAMP)
+       WHERE id = (
+         SELECT id FROM notification_jobs
+         WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+         ORDER BY next_attempt_at, id
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1
+       )
+       RETURNING *`,
+      [workerId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Mark a job done; a worker whose job was reclaimed in the meantime changes nothing
+  // and gets null back
+  static async complete(job, result) {
+    const updated = await pool.query(
+      `UPDATE notification_jobs
+       SET status = 'succeeded', result = $3, last_error = NULL,
+           locked_by = NULL, locked_at = NULL, finished_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND locked_by = $2 AND status = 'running'
+       RETURNING *`,
+      [job.id, job.locked_by, JSON.stringify(result)]
+    );
+    return updated.rows[0] || null;
+  }
+
+  // Record a failed attempt; the job is retried after retryDelay until it runs out of attempts.
+  // Returns the job, or null when it was reclaimed in the meantime
+  static async fail(job, error, { result = null, retryDelay }) {
+    const updated = await pool.query(
+      `UPDATE notification_jobs
+       SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'pending' END,
+           next_attempt_at = CURRENT_TIMESTAMP + $4::interval,
+           finished_at = CASE WHEN attempts >= max_attempts THEN CURRENT_TIMESTAMP END,
+           last_error = $3, result = $5, locked_by = NULL, locked_at = NULL
+       WHERE id = $1 AND locked_by = $2 AND status = 'running'
+       RETURNING *`,
+      [job.id, job.locked_by, error, retryDelay, result === null ? null : JSON.stringify(result)]
+    );
+    return updated.rows[0] || null;
+  }
+
+  // Hand back jobs whose worker stopped before finishing them (e.g. a crash)
+  static async reclaimStale(lockTimeout) {
+    const result = await pool.query(
+      `UPDATE notification_jobs
+       SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'pending' END,
+           next_attempt_at = CURRENT_TIMESTAMP,
+           finished_at = CASE WHEN attempts >= max_attempts THEN CURRENT_TIMESTAMP END,
+           last_error = 'Worker ' || locked_by || ' stopped before finishing the job',
+           locked_by = NULL, locked_at = NULL
+       WHERE status = 'running' AND locked_at < CURRENT_TIMESTAMP - $1::interval
+       RETURNING id`,
+      [lockTimeout]
+    );
+    return result.rows.map(row => row.id);
+  }
+
+  // Get jobs with optional filters and pagination, latest scheduled first
+  static async getAll({ type, status, userId, limit = 50, offset = 0 }) {
+    const queryParams = [];
+    let queryText = `
+      SELECT
+        j.*,
+        u.username,
+        COUNT(*) OVER() as total_count
+      FROM notification_jobs j
+      LEFT JOIN users u ON j.user_id = u.id
+      WHERE 1=1
+    `;
+
+    if (type) {
+      queryParams.push(type);
+      queryText += ` AND j.type = $${queryParams.length}`;
+    }
+
+    if (status) {
+      queryParams.push(status);
+      queryText += ` AND j.status = $${queryParams.length}`;
+    }
+
+    if (userId) {
+      queryParams.push(userId);
+      queryText += ` AND j.user_id = $${queryParams.length}`;
+    }
+
+    queryText += ` ORDER BY j.scheduled_for DESC, j.id DESC
+                  LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`;
+
+    queryParams.push(limit, offset);
+
+    const result = await pool.query(queryText, queryParams);
+
+    return {
+      data: result.rows.map(row => {
+        const { total_count, ...job } = row;
+        return job;
+      }),
+      total: parseInt(result.rows[0]?.total_count, 10) || 0
+    };
+  }
+}
+
+module.exports = NotificationJob;
@@ -0,0 +1,90 @@
+const { pool } = require('../config/db');
+
+class Role {
+  // Get all roles with the number of users holding each
+  static async getAll() {
+    const result = await pool.query(
+      `SELECT r.*, COUNT(u.id)::int as user_count
+       FROM roles r
+       LEFT JOIN users u ON u.role = r.name
+       GROUP BY r.name
+       ORDER BY r.is_system DESC, r.name`
+    );
+    return result.rows;
+  }
+
+  // Get role by name
+  static async findByName(name) {
+    const result = await pool.query('SELECT * FROM roles WHERE name = $1', [name]);
+
+    if (result.rows.length === 0) {
+      const error = new Error('Role not found');
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+
+    return result.rows[0];
+  }
+
+  // Get the permissions granted by a role (empty for unknown roles)
+  static async getPermissions(name) {
+    const result = await pool.query('SELECT permissions FROM roles WHERE name = $1', [name]);
+    return result.rows[0]?.permissions || [];
+  }
+
+  // Create new role
+  static async create({ name, description, permissions = [] }) {
+    const result = await pool.query(
+      `INSERT INTO roles (name, description, permissions)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [name, description, permissions]
+    );
+
+    return result.rows[0];
+  }
+
+  // Update role description and permissions
+  static async update(name, { description, permissions }) {
+    const result = await pool.query(
+      `UPDATE roles
+       SET description = COALESCE($2, description),
+           permissions = COALESCE($3, permissions),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE name = $1
+       RETURNING *`,
+      [name, description, permissions]
+    );
+
+    if (result.rows.length === 0) {
+      const error = new Error('Role not found');
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+
+    return result.rows[0];
+  }
+
+  // Delete role; built-in roles and roles still assigned to users are kept
+  static async delete(name) {
+    const role = await Role.findByName(name);
+
+    if (role.is_system) {
+      const error = new Error('Built-in roles cannot be deleted');
+      error.code = 'ROLE_PROTECTED';
+      throw error;
+    }
+
+    const users = await pool.query('SELECT COUNT(*)::int as count FROM users WHERE role = $1', [name]);
+    if (users.rows[0].count > 0) {
+      const error = new Error(`Role is assigned to ${users.rows[0].count} user(s)`);
+      error.code = 'ROLE_IN_USE';
+      throw error;
+    }
+
+    await pool.query('DELETE FROM roles WHERE name = $1', [name]);
+    return role;
+  }
+}
+
+module.exports = Role;
@@ -0,0 +1,85 @@
+const { pool } = require('../config/db');
+
+class SavedView {
+  // Views a user can open: their own and the ones shared by others, own views first
+  static async getVisible(userId) {
+    const result = await pool.query(
+      `SELECT sv.*, u.username as owner_username, (sv.user_id = $1) as is_owner
+       FROM saved_views sv
+       LEFT JOIN users u ON sv.user_id = u.id
+       WHERE sv.user_id = $1 OR sv.is_shared = true
+       ORDER BY (sv.user_id = $1) DESC, sv.name ASC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  // Get a view the user owns or that is shared; any other view is reported as not found
+  static async findVisible(id, userId) {
+    const result = await pool.query(
+      `SELECT sv.*, u.username as owner_username, (sv.user_id = $2) as is_owner
+       FROM saved_views sv
+       LEFT JOIN users u ON sv.user_id = u.id
+       WHERE sv.id = $1 AND (sv.user_id = $2 OR sv.is_shared = true)`,
+      [id, userId]
+    );
+
+    if (result.rows.length === 0) {
+      const error = new Error('Saved view not found');
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+
+    return result.rows[0];
+  }
+
+  static async create({ user_id, name, filters, is_shared = false }) {
+    const result = await pool.query(
+      `INSERT INTO saved_views (user_id, name, filters, is_shared)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [user_id, name, JSON.stringify(filters), is_shared]
+    );
+    return result.rows[0];
+  }
+
+  // Update a view of userId; views of other users are reported as not found
+  static async update(id, userId, { name, filters, is_shared }) {
+    const result = await pool.query(
+      `UPDATE saved_views
+       SET name = COALESCE($3, name),
+           filters = COALESCE($4, filters),
+           is_shared = COALESCE($5, is_shared),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND user_id = $2
+       RETURNING *`,
+      [id, userId, name, filters === undefined ? null : JSON.stringify(filters), is_shared]
+    );
+
+    if (result.rows.length === 0) {
+      const error = new Error('Saved view not found');
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+
+    return result.rows[0];
+  }
+
+  // Delete a view of userId
+  static async delete(id, userId) {
+    const result = await pool.query(
+      'DELETE FROM saved_views WHERE id = $1 AND user_id = $2 RETURNING *',
+      [id, userId]
+    );
+
+    if (result.rows.length === 0) {
+      const error = new Error('Saved view not found');
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+
+    return result.rows[0];
+  }
+}
+
+module.exports = SavedView;
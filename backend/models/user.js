@@ -2,6 +2,7 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger'); 
 const { pool } = require('../config/db');
+const { grants } = require('../config/permissions');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_key_here';
 const JWT_EXPIRE = process.env.JWT_EXPIRE || '24h';
@@ -41,7 +42,7 @@ class User {
   }
 
   // Create new user
-  static async create({ username, email, password, full_name, role = 'user' }) {
+  static async create({ username, email, password, full_name, role = 'viewer' }) {
     // Hash password
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(password, salt);
@@ -97,14 +98,101 @@ class User {
     return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRE });
   }
 
-  // Get all users (for admin)
+  // Get all users with their assigned customers (for admin)
   static async getAll() {
     const result = await pool.query(
-      'SELECT id, username, email, full_name, role, is_active, created_at FROM users ORDER BY created_at DESC'
+      `SELECT u.id, u.username, u.email, u.full_name, u.role, u.is_active, u.created_at,
+              COALESCE(
+                (SELECT json_agg(json_build_object('id', c.id, 'name', c.name) ORDER BY c.name)
+                 FROM user_customers uc
+                 JOIN customers c ON c.id = uc.customer_id
+                 WHERE uc.user_id = u.id),
+                '[]'
+              ) as customers
+       FROM users u
+       ORDER BY u.created_at DESC`
     );
     return result.rows;
   }
 
+  // Get the customers assigned to a user
+  static async getCustomers(userId) {
+    const result = await pool.query(
+      `SELECT c.id, c.name
+       FROM user_customers uc
+       JOIN customers c ON c.id = uc.customer_id
+       WHERE uc.user_id = $1
+       ORDER BY c.name`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  // Replace the customers assigned to a user
+  static async setCustomers(userId, customerIds) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM user_customers WHERE user_id = $1', [userId]);
+      await client.query(
+        `INSERT INTO user_customers (user_id, customer_id)
+         SELECT $1, UNNEST($2::int[])
+         ON CONFLICT DO NOTHING`,
+        [userId, customerIds]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return User.getCustomers(userId);
+  }
+
+  // Assign one more customer to a user (pass a client to run inside a transaction)
+  static async addCustomer(userId, customerId, db = pool) {
+    await db.query(
+      `INSERT INTO user_customers (user_id, customer_id)
+       VALUES ($1, $2)
+       ON CONFLICT DO NOTHING`,
+      [userId, customerId]
+    );
+  }
+
+  // Get the active users assigned to a customer
+  static async getAssignedToCustomer(customerId) {
+    const result = await pool.query(
+      `SELECT u.id, u.username, u.email, u.full_name
+       FROM user_customers uc
+       JOIN users u ON u.id = uc.user_id
+       WHERE uc.customer_id = $1 AND u.is_active = true
+       ORDER BY u.username`,
+      [customerId]
+    );
+    return result.rows;
+  }
+
+  // Get the customer IDs a user is limited to, or null when their role sees all customers
+  static async getCustomerScope(userId) {
+    const result = await pool.query(
+      `SELECT COALESCE(r.permissions, '{}') as permissions,
+              ARRAY(SELECT uc.customer_id FROM user_customers uc WHERE uc.user_id = u.id) as customer_ids
+       FROM users u
+       LEFT JOIN roles r ON r.name = u.role
+       WHERE u.id = $1`,
+      [userId]
+    );
+
+    const user = result.rows[0];
+    if (!user) {
+      return [];
+    }
+    return grants(user.permissions, 'customers:all') ? null : user.customer_ids;
+  }
+
   // Update last login timestamp
   static async updateLastLogin(userId) {
     await pool.query(
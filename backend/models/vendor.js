@@ -10,7 +10,7 @@ class Vendor {
         FROM vendors v
         LEFT JOIN users u ON v.created_by = u.id
         WHERE v.name ILIKE $1 OR v.contact_person ILIKE $1 OR v.email ILIKE $1
-        ORDER BY ${sortBy} ${sortOrder === 'DESC' ? 'DESC' : 'ASC'}
+        ORDER BY ${sortBy} ${sortOrder === 'DESC' ? 'DESC' : 'ASC'}, v.id
         LIMIT $2 OFFSET $3
       `,
       values: [`%${search}%`, limit, offset]
@@ -45,7 +45,7 @@ class Vendor {
     return result.rows[0];
   }
 
-  // Create new vendor
+  // Create new vendor (pass a client to run inside a transaction)
   static async create({
     name,
     contact_person,
@@ -54,14 +54,15 @@ class Vendor {
     website,
     address,
     notes,
+    renewal_uplift_percent = 0,
     created_by
-  }) {
-    const result = await pool.query(
+  }, db = pool) {
+    const result = await db.query(
       `INSERT INTO vendors 
-       (name, contact_person, email, phone, website, address, notes, created_by)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       (name, contact_person, email, phone, website, address, notes, renewal_uplift_percent, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
        RETURNING *`,
-      [name, contact_person, email, phone, website, address, notes, created_by]
+      [name, contact_person, email, phone, website, address, notes, renewal_uplift_percent, created_by]
     );
 
     return result.rows[0];
@@ -75,7 +76,8 @@ class Vendor {
     phone,
     website,
     address,
-    notes
+    notes,
+    renewal_uplift_percent
   }) {
     const result = await pool.query(
       `UPDATE vendors 
@@ -86,10 +88,11 @@ class Vendor {
            website = COALESCE($6, website),
            address = COALESCE($7, address),
            notes = COALESCE($8, notes),
+           renewal_uplift_percent = COALESCE($9, renewal_uplift_percent),
            updated_at = CURRENT_TIMESTAMP
        WHERE id = $1
        RETURNING *`,
-      [id, name, contact_person, email, phone, website, address, notes]
+      [id, name, contact_person, email, phone, website, address, notes, renewal_uplift_percent]
     );
 
     if (result.rows.length === 0) {
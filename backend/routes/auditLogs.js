@@ -0,0 +1,89 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const AuditLog = require('../models/auditLog');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const router = express.Router();
+
+// Dates without a time stay YYYY-MM-DD strings so the model can match the whole day
+const dateFilter = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? value : new Date(value));
+
+// @route   GET api/audit-logs
+// @desc    Get audit trail entries filtered by entity, user and date range
+// @access  Private/audit:read
+router.get(
+  '/',
+  authenticate,
+  requirePermission('audit:read'),
+  [
+    query('entity_type').optional().isIn([
+      'license',
+      'license_assignment',
+      'customer',
+      'vendor',
+      'user',
+      'role',
+      'smtp_settings',
+      'notification_delivery',
+      'notification_run',
+      'customer_notification_rule',
+      'email_template',
+      'exchange_rate',
+      'reporting_currency',
+      'saved_view'
+    ]),
+    query('entity_id').optional().isInt({ min: 1 }).toInt(),
+    query('user_id').optional().isInt({ min: 1 }).toInt(),
+    query('action').optional().isString().trim(),
+    query('start_date', 'start_date must be a valid date').optional().isISO8601().customSanitizer(dateFilter),
+    query('end_date', 'end_date must be a valid date').optional().isISO8601().customSanitizer(dateFilter),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('page').optional().isInt({ min: 1 }).toInt()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const {
+        entity_type,
+        entity_id,
+        user_id,
+        action,
+        start_date,
+        end_date,
+        limit = 50,
+        page = 1
+      } = req.query;
+
+      const offset = (page - 1) * limit;
+
+      const { data, total } = await AuditLog.getAll({
+        entityType: entity_type,
+        entityId: entity_id,
+        userId: user_id,
+        action,
+        startDate: start_date,
+        endDate: end_date,
+        limit,
+        offset
+      });
+
+      res.json({
+        data,
+        pagination: {
+          total,
+          page: parseInt(page, 10),
+          totalPages: Math.ceil(total / limit),
+          limit: parseInt(limit, 10)
+        }
+      });
+    } catch (err) {
+      console.error('Error fetching audit logs:', err);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { check, validationResult } = require('express-validator');
 const User = require('../models/user');
+const Role = require('../models/role');
 const logger = require('../utils/logger');
 const { pool } = require('../server');
 const router = express.Router();
@@ -37,7 +38,7 @@ router.post(
         email,
         password,
         full_name,
-        role: 'user' // Default role
+        role: 'viewer' // Self-registered users start read-only
       });
 
       // Generate JWT token
@@ -46,7 +47,7 @@ router.post(
       // Update last login
       await User.updateLastLogin(user.id);
 
-      res.status(201).json({ token, user });
+      res.status(201).json({ token, user: { ...user, permissions: await Role.getPermissions(user.role) } });
     } catch (err) {
       console.error('Error in user registration:', err);
       res.status(500).send('Server error');
@@ -109,7 +110,7 @@ router.post(
       // Return user data (excluding password)
       const { password_hash, ...userData } = user;
       logger.info('Login successful', { userId: user.id, username });
-      res.json({ token, user: userData });
+      res.json({ token, user: { ...userData, permissions: await Role.getPermissions(user.role) } });
     } catch (err) {
       logger.error('Error in user login', { error: err.message, stack: err.stack });
       res.status(500).send('Server error');
@@ -126,7 +127,7 @@ router.get('/user', require('../middleware/auth').authenticate, async (req, res)
     if (!user) {
       return res.status(404).json({ msg: 'User not found' });
     }
-    res.json(user);
+    res.json({ ...user, permissions: req.user.permissions });
   } catch (err) {
     console.error('Error fetching user:', err);
     res.status(500).send('Server error');
@@ -1,9 +1,26 @@
 const express = require('express');
 const { check, query, validationResult } = require('express-validator');
 const Customer = require('../models/customer');
-const { authenticate } = require('../middleware/auth');
+const AuditLog = require('../models/auditLog');
+const User = require('../models/user');
+const CustomerNotificationRule = require('../models/customerNotificationRule');
+const { previewNotices } = require('../services/customerNoticeService');
+const { normalizeStages, validateStages } = require('../services/reminderStages');
+const { EXPORT_FORMATS, streamExport } = require('../services/exportService');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const router = express.Router();
 
+// Columns included in exports, in output order
+const EXPORT_COLUMNS = [
+  { key: 'name', label: 'Name', width: 30 },
+  { key: 'contact_person', label: 'Contact Person', width: 20 },
+  { key: 'email', label: 'Email', width: 25 },
+  { key: 'phone', label: 'Phone', width: 15 },
+  { key: 'address', label: 'Address', width: 30 },
+  { key: 'tax_id', label: 'Tax ID', width: 15 },
+  { key: 'created_at', label: 'Created', type: 'date', width: 12 }
+];
+
 // Validation middleware
 const validateCustomer = [
   check('name', 'Name is required').not().isEmpty(),
@@ -15,12 +32,37 @@ const validateCustomer = [
   check('notes', 'Notes must be a string').optional().isString()
 ];
 
+// Validation middleware for customer notification rules; every field is optional so
+// a preview can be asked for with only the fields being changed
+const validateNotificationRule = [
+  check('notify_customer', 'notify_customer must be a boolean').optional().isBoolean().toBoolean(),
+  check('notify_vendor', 'notify_vendor must be a boolean').optional().isBoolean().toBoolean(),
+  check('customer_cc_assigned_users', 'customer_cc_assigned_users must be a boolean').optional().isBoolean().toBoolean(),
+  check('vendor_cc_assigned_users', 'vendor_cc_assigned_users must be a boolean').optional().isBoolean().toBoolean(),
+  check(['customer_cc', 'vendor_cc'], 'CC must be a list of at most 10 addresses').optional().isArray({ max: 10 }),
+  check(['customer_cc.*', 'vendor_cc.*'], 'CC addresses must be valid emails').isEmail(),
+  check('reminder_stages').optional().custom(stages => {
+    const stageErrors = validateStages(stages);
+    if (stageErrors.length > 0) {
+      throw new Error(stageErrors[0]);
+    }
+    return true;
+  }).customSanitizer(normalizeStages)
+];
+
+// The saved rule of a customer with the fields sent in the request applied on top
+const applyRuleChanges = (rule, body) => Object.keys(CustomerNotificationRule.DEFAULT_RULE).reduce(
+  (merged, field) => (body[field] !== undefined ? { ...merged, [field]: body[field] } : merged),
+  rule
+);
+
 // @route   GET api/customers
 // @desc    Get all customers with search and pagination
-// @access  Private
+// @access  Private/customers:read
 router.get(
   '/',
   authenticate,
+  requirePermission('customers:read'),
   [
     query('search').optional().isString().trim(),
     query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
@@ -52,7 +94,8 @@ router.get(
         limit,
         offset,
         sortBy,
-        sortOrder
+        sortOrder,
+        customerIds: req.user.customerIds
       });
       
       console.log('Customer.getAll result:', result);
@@ -77,12 +120,54 @@ router.get(
   }
 );
 
+// @route   GET api/customers/export
+// @desc    Export all customers matching the search as CSV, XLSX or PDF
+// @access  Private/customers:read
+router.get(
+  '/export',
+  authenticate,
+  requirePermission('customers:read'),
+  [
+    query('search').optional().isString().trim(),
+    query('format').optional().isIn(EXPORT_FORMATS)
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { search = '', format = 'csv' } = req.query;
+
+      await streamExport(res, {
+        format,
+        filename: 'customers',
+        title: 'Customers',
+        columns: EXPORT_COLUMNS,
+        fetchPage: async ({ limit, offset }) => {
+          const { data } = await Customer.getAll({
+            search, limit, offset, customerIds: req.user.customerIds
+          });
+          return data;
+        }
+      });
+    } catch (err) {
+      console.error('Error exporting customers:', err);
+      if (res.headersSent) {
+        return res.destroy(err);
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
 // @route   GET api/customers/:id
 // @desc    Get customer by ID
-// @access  Private
-router.get('/:id', authenticate, async (req, res) => {
+// @access  Private/customers:read
+router.get('/:id', authenticate, requirePermission('customers:read'), async (req, res) => {
   try {
-    const customer = await Customer.findById(req.params.id);
+    const customer = await Customer.findById(req.params.id, { customerIds: req.user.customerIds });
     res.json(customer);
   } catch (err) {
     console.error('Error fetching customer:', err);
@@ -93,12 +178,99 @@ router.get('/:id', authenticate, async (req, res) => {
   }
 });
 
+// @route   GET api/customers/:id/notification-rules
+// @desc    Get the customer and vendor contact notification rule of a customer
+// @access  Private/customers:read
+router.get('/:id/notification-rules', authenticate, requirePermission('customers:read'), async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id, { customerIds: req.user.customerIds });
+    res.json(await CustomerNotificationRule.findByCustomerId(customer.id));
+  } catch (err) {
+    console.error('Error fetching customer notification rule:', err);
+    if (err.code === 'NOT_FOUND') {
+      return res.status(404).json({ msg: 'Customer not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/customers/:id/notification-rules
+// @desc    Save the customer and vendor contact notification rule of a customer
+// @access  Private/customers:write
+router.put(
+  '/:id/notification-rules',
+  [authenticate, requirePermission('customers:write'), ...validateNotificationRule],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const customer = await Customer.findById(req.params.id, { customerIds: req.user.customerIds });
+      const previous = await CustomerNotificationRule.findByCustomerId(customer.id);
+      const changes = applyRuleChanges(previous, req.body);
+
+      if (changes.notify_customer && !customer.email) {
+        return res.status(400).json({
+          errors: [{ msg: 'Add an email address to the customer before enabling customer notices' }]
+        });
+      }
+
+      const rule = await CustomerNotificationRule.upsert(customer.id, changes, req.user.id);
+
+      await AuditLog.record(req, {
+        action: previous.created_at ? 'update' : 'create',
+        entityType: 'customer_notification_rule',
+        entityId: customer.id,
+        oldValues: previous.created_at ? previous : null,
+        newValues: rule
+      });
+
+      res.json(rule);
+    } catch (err) {
+      console.error('Error saving customer notification rule:', err);
+      if (err.code === 'NOT_FOUND') {
+        return res.status(404).json({ msg: 'Customer not found' });
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   POST api/customers/:id/notification-rules/preview
+// @desc    Render the notices a rule would send today without sending them; unsaved
+//          rule fields in the body are applied to the saved rule
+// @access  Private/customers:read
+router.post(
+  '/:id/notification-rules/preview',
+  [authenticate, requirePermission('customers:read'), ...validateNotificationRule],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const customer = await Customer.findById(req.params.id, { customerIds: req.user.customerIds });
+      const rule = applyRuleChanges(await CustomerNotificationRule.findByCustomerId(customer.id), req.body);
+      res.json(await previewNotices(rule, customer));
+    } catch (err) {
+      console.error('Error previewing customer notices:', err);
+      if (err.code === 'NOT_FOUND') {
+        return res.status(404).json({ msg: 'Customer not found' });
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
 // @route   POST api/customers
 // @desc    Create a new customer
-// @access  Private
+// @access  Private/customers:write
 router.post(
   '/',
-  [authenticate, ...validateCustomer],
+  [authenticate, requirePermission('customers:write'), ...validateCustomer],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -112,6 +284,19 @@ router.post(
       };
       
       const customer = await Customer.create(customerData);
+
+      // Users limited to their assigned customers keep access to the ones they create
+      if (req.user.customerIds) {
+        await User.addCustomer(req.user.id, customer.id);
+      }
+
+      await AuditLog.record(req, {
+        action: 'create',
+        entityType: 'customer',
+        entityId: customer.id,
+        newValues: await Customer.findById(customer.id)
+      });
+
       res.status(201).json(customer);
     } catch (err) {
       console.error('Error creating customer:', err);
@@ -125,10 +310,10 @@ router.post(
 
 // @route   PUT api/customers/:id
 // @desc    Update a customer
-// @access  Private
+// @access  Private/customers:write
 router.put(
   '/:id',
-  [authenticate, ...validateCustomer],
+  [authenticate, requirePermission('customers:write'), ...validateCustomer],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -136,7 +321,17 @@ router.put(
     }
 
     try {
+      const previous = await Customer.findById(req.params.id, { customerIds: req.user.customerIds });
       const customer = await Customer.update(req.params.id, req.body);
+
+      await AuditLog.record(req, {
+        action: 'update',
+        entityType: 'customer',
+        entityId: customer.id,
+        oldValues: previous,
+        newValues: await Customer.findById(customer.id)
+      });
+
       res.json(customer);
     } catch (err) {
       console.error('Error updating customer:', err);
@@ -153,10 +348,19 @@ router.put(
 
 // @route   DELETE api/customers/:id
 // @desc    Delete a customer
-// @access  Private
-router.delete('/:id', authenticate, async (req, res) => {
+// @access  Private/customers:delete
+router.delete('/:id', authenticate, requirePermission('customers:delete'), async (req, res) => {
   try {
+    const previous = await Customer.findById(req.params.id, { customerIds: req.user.customerIds });
     await Customer.delete(req.params.id);
+
+    await AuditLog.record(req, {
+      action: 'delete',
+      entityType: 'customer',
+      entityId: previous.id,
+      oldValues: previous
+    });
+
     res.json({ msg: 'Customer removed' });
   } catch (err) {
     console.error('Error deleting customer:', err);
@@ -1,45 +1,151 @@
 const express = require('express');
 const { pool } = require('../config/db');
-const { authenticate } = require('../middleware/auth');
+const License = require('../models/license');
+const { query, validationResult } = require('express-validator');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { toCsv } = require('../utils/csv');
+const { getReportingCurrency } = require('../services/currency');
+const { projectRenewals, groupRenewals } = require('../services/renewalForecast');
 const router = express.Router();
 
+// Licenses using less than this share of their seats are flagged as underused
+const UNDERUSED_THRESHOLD = 0.5;
+
+// Classify seat usage of a license or customer
+function seatStatus(seats, seatsUsed) {
+  if (seatsUsed > seats) return 'over_allocated';
+  if (seats > 0 && seatsUsed / seats < UNDERUSED_THRESHOLD) return 'underused';
+  return 'ok';
+}
+
+function utilization(seats, seatsUsed) {
+  return seats > 0 ? Math.round((seatsUsed / seats) * 1000) / 10 : 0;
+}
+
+// Ways license spend can be grouped. Costs are converted into the reporting currency;
+// amounts without an exchange rate are never added across currencies, so groups are
+// split per currency
+const COST_GROUPS = {
+  vendor: { title: 'Vendor', key: row => row.vendor_id, label: row => row.vendor_name || 'No vendor' },
+  customer: { title: 'Customer', key: row => row.customer_id, label: row => row.customer_name || 'Unassigned' },
+  license_type: { title: 'License Type', key: row => row.license_type, label: row => row.license_type || 'Unspecified' },
+  month: { title: 'Purchase Month', key: row => row.purchase_month, label: row => row.purchase_month || 'No purchase date' }
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Total the cost and annualized cost of licenses per group and currency
+function groupCosts(rows, { key, label }) {
+  const groups = new Map();
+  for (const row of rows) {
+    const groupKey = key(row) ?? null;
+    const id = `${groupKey}|${row.currency}`;
+    if (!groups.has(id)) {
+      groups.set(id, {
+        key: groupKey,
+        label: label(row),
+        currency: row.currency,
+        license_count: 0,
+        total_cost: 0,
+        annualized_cost: 0
+      });
+    }
+
+    const group = groups.get(id);
+    group.license_count += 1;
+    group.total_cost += Number(row.cost);
+    group.annualized_cost += Number(row.annualized_cost);
+  }
+
+  return Array.from(groups.values()).map(group => ({
+    ...group,
+    total_cost: roundMoney(group.total_cost),
+    annualized_cost: roundMoney(group.annualized_cost)
+  }));
+}
+
+// Ways the renewal forecast can be broken down
+const FORECAST_GROUPS = {
+  vendor: { title: 'Vendor', key: renewal => renewal.vendor_id, label: renewal => renewal.vendor_name || 'No vendor' },
+  customer: { title: 'Customer', key: renewal => renewal.customer_id, label: renewal => renewal.customer_name || 'Unassigned' }
+};
+
+const byAnnualizedCost = (a, b) => b.annualized_cost - a.annualized_cost || a.label.localeCompare(b.label);
+
+// Months in order, licenses without a purchase date last
+const byMonth = (a, b) => (a.key === null) - (b.key === null) || String(a.key).localeCompare(String(b.key)) || a.currency.localeCompare(b.currency);
+
 // @route   GET /api/dashboard/stats
 // @desc    Get dashboard statistics
-// @access  Private
-router.get('/stats', authenticate, async (req, res) => {
+// @access  Private/licenses:read
+router.get('/stats', authenticate, requirePermission('licenses:read'), async (req, res) => {
+  // Every license and customer figure is limited to the user's customers; null means all
+  const scope = [req.user.customerIds];
+
   try {
     // Get total licenses
-    const totalLicenses = await pool.query('SELECT COUNT(*) FROM licenses');
+    const totalLicenses = await pool.query(
+      'SELECT COUNT(*) FROM licenses WHERE $1::int[] IS NULL OR customer_id = ANY($1::int[])',
+      scope
+    );
     
     // Get active licenses (not expired)
     const activeLicenses = await pool.query(
-      'SELECT COUNT(*) FROM licenses WHERE expiration_date > CURRENT_DATE'
+      `SELECT COUNT(*) FROM licenses
+       WHERE expiration_date > CURRENT_DATE
+       AND ($1::int[] IS NULL OR customer_id = ANY($1::int[]))`,
+      scope
     );
     
     // Get expired licenses
     const expiredLicenses = await pool.query(
-      'SELECT COUNT(*) FROM licenses WHERE expiration_date < CURRENT_DATE'
+      `SELECT COUNT(*) FROM licenses
+       WHERE expiration_date < CURRENT_DATE
+       AND ($1::int[] IS NULL OR customer_id = ANY($1::int[]))`,
+      scope
     );
     
     // Get licenses expiring soon (within 30 days)
     const expiringLicenses = await pool.query(
       `SELECT COUNT(*) 
        FROM licenses 
-       WHERE expiration_date BETWEEN CURRENT_DATE AND (CURRENT_DATE + INTERVAL '30 days')`
+       WHERE expiration_date BETWEEN CURRENT_DATE AND (CURRENT_DATE + INTERVAL '30 days')
+       AND ($1::int[] IS NULL OR customer_id = ANY($1::int[]))`,
+      scope
     );
     
     // Get total customers
-    const totalCustomers = await pool.query('SELECT COUNT(*) FROM customers');
+    const totalCustomers = await pool.query(
+      'SELECT COUNT(*) FROM customers WHERE $1::int[] IS NULL OR id = ANY($1::int[])',
+      scope
+    );
     
     // Get total vendors
     const totalVendors = await pool.query('SELECT COUNT(*) FROM vendors');
     
+    // Get seats purchased and in use across active licenses
+    const seatUsage = await pool.query(
+      `SELECT
+         COALESCE(SUM(l.seats), 0) as total_seats,
+         (SELECT COUNT(*)
+          FROM license_assignments la
+          JOIN licenses al ON la.license_id = al.id
+          WHERE la.returned_at IS NULL AND al.is_active = true
+          AND ($1::int[] IS NULL OR al.customer_id = ANY($1::int[]))) as seats_used
+       FROM licenses l
+       WHERE l.is_active = true
+       AND ($1::int[] IS NULL OR l.customer_id = ANY($1::int[]))`,
+      scope
+    );
+    
     res.json({
       totalLicenses: parseInt(totalLicenses.rows[0].count, 10),
       expiringLicenses: parseInt(expiringLicenses.rows[0].count, 10),
       expiredLicenses: parseInt(expiredLicenses.rows[0].count, 10),
       totalCustomers: parseInt(totalCustomers.rows[0].count, 10),
-      totalVendors: parseInt(totalVendors.rows[0].count, 10)
+      totalVendors: parseInt(totalVendors.rows[0].count, 10),
+      totalSeats: parseInt(seatUsage.rows[0].total_seats, 10),
+      seatsUsed: parseInt(seatUsage.rows[0].seats_used, 10)
     });
   } catch (error) {
     console.error('Error fetching dashboard stats:', error);
@@ -49,8 +155,8 @@ router.get('/stats', authenticate, async (req, res) => {
 
 // @route   GET /api/dashboard/expiring-soon
 // @desc    Get licenses expiring soon
-// @access  Private
-router.get('/expiring-soon', authenticate, async (req, res) => {
+// @access  Private/licenses:read
+router.get('/expiring-soon', authenticate, requirePermission('licenses:read'), async (req, res) => {
   try {
     const result = await pool.query(
       `SELECT l.*, c.name as customer_name, v.name as vendor_name
@@ -58,10 +164,12 @@ router.get('/expiring-soon', authenticate, async (req, res) => {
        LEFT JOIN customers c ON l.customer_id = c.id
        LEFT JOIN vendors v ON l.vendor_id = v.id
        WHERE l.expiration_date BETWEEN CURRENT_DATE AND (CURRENT_DATE + INTERVAL '30 days')
-       ORDER BY l.expiration_date ASC`
+       AND ($1::int[] IS NULL OR l.customer_id = ANY($1::int[]))
+       ORDER BY l.expiration_date ASC`,
+      [req.user.customerIds]
     );
     
-    res.json(result.rows);
+    res.json(result.rows.map(License.withoutKey));
   } catch (error) {
     console.error('Error fetching expiring licenses:', error);
     res.status(500).json({ error: 'Server error' });
@@ -70,8 +178,8 @@ router.get('/expiring-soon', authenticate, async (req, res) => {
 
 // @route   GET /api/dashboard/expired
 // @desc    Get all expired licenses
-// @access  Private
-router.get('/expired', authenticate, async (req, res) => {
+// @access  Private/licenses:read
+router.get('/expired', authenticate, requirePermission('licenses:read'), async (req, res) => {
   try {
     const result = await pool.query(
       `SELECT l.*, c.name as customer_name, v.name as vendor_name
@@ -80,14 +188,335 @@ router.get('/expired', authenticate, async (req, res) => {
        LEFT JOIN vendors v ON l.vendor_id = v.id
        WHERE l.expiration_date < CURRENT_DATE
        AND l.is_active = true
-       ORDER BY l.expiration_date ASC`
+       AND ($1::int[] IS NULL OR l.customer_id = ANY($1::int[]))
+       ORDER BY l.expiration_date ASC`,
+      [req.user.customerIds]
     );
     
-    res.json(result.rows);
+    res.json(result.rows.map(License.withoutKey));
   } catch (error) {
     console.error('Error fetching expired licenses:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// @route   GET /api/dashboard/seat-utilization
+// @desc    Get purchased vs. used seats per license and per customer
+// @access  Private/licenses:read
+router.get(
+  '/seat-utilization',
+  authenticate,
+  requirePermission('licenses:read'),
+  [
+    query('format').optional().isIn(['json', 'csv']),
+    query('groupBy').optional().isIn(['license', 'customer'])
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { format = 'json', groupBy = 'license' } = req.query;
+
+      const result = await pool.query(
+        `SELECT
+           l.id,
+           l.name,
+           l.seats,
+           l.expiration_date,
+           l.customer_id,
+           c.name as customer_name,
+           v.name as vendor_name,
+           COUNT(la.id)::int as seats_used
+         FROM licenses l
+         LEFT JOIN customers c ON l.customer_id = c.id
+         LEFT JOIN vendors v ON l.vendor_id = v.id
+         LEFT JOIN license_assignments la ON la.license_id = l.id AND la.returned_at IS NULL
+         WHERE l.is_active = true
+         AND ($1::int[] IS NULL OR l.customer_id = ANY($1::int[]))
+         GROUP BY l.id, c.name, v.name
+         ORDER BY c.name ASC, l.name ASC`,
+        [req.user.customerIds]
+      );
+
+      const licenses = result.rows.map(license => {
+        const seats = license.seats || 0;
+        return {
+          ...license,
+          seats,
+          utilization: utilization(seats, license.seats_used),
+          status: seatStatus(seats, license.seats_used)
+        };
+      });
+
+      const customersById = new Map();
+      for (const license of licenses) {
+        const key = license.customer_id || 0;
+        if (!customersById.has(key)) {
+          customersById.set(key, {
+            customer_id: license.customer_id,
+            customer_name: license.customer_name || 'Unassigned',
+            license_count: 0,
+            seats: 0,
+            seats_used: 0,
+            over_allocated_licenses: 0,
+            underused_licenses: 0
+          });
+        }
+
+        const customer = customersById.get(key);
+        customer.license_count += 1;
+        customer.seats += license.seats;
+        customer.seats_used += license.seats_used;
+        if (license.status === 'over_allocated') customer.over_allocated_licenses += 1;
+        if (license.status === 'underused') customer.underused_licenses += 1;
+      }
+
+      const customers = Array.from(customersById.values()).map(customer => ({
+        ...customer,
+        utilization: utilization(customer.seats, customer.seats_used),
+        status: seatStatus(customer.seats, customer.seats_used)
+      }));
+
+      if (format === 'csv') {
+        const csv = groupBy === 'customer'
+          ? toCsv([
+            { key: 'customer_name', label: 'Customer' },
+            { key: 'license_count', label: 'Licenses' },
+            { key: 'seats', label: 'Seats Purchased' },
+            { key: 'seats_used', label: 'Seats Used' },
+            { key: 'utilization', label: 'Utilization %' },
+            { key: 'over_allocated_licenses', label: 'Over-allocated Licenses' },
+            { key: 'underused_licenses', label: 'Underused Licenses' }
+          ], customers)
+          : toCsv([
+            { key: 'name', label: 'License' },
+            { key: 'customer_name', label: 'Customer' },
+            { key: 'vendor_name', label: 'Vendor' },
+            { key: 'expiration_date', label: 'Expiration Date' },
+            { key: 'seats', label: 'Seats Purchased' },
+            { key: 'seats_used', label: 'Seats Used' },
+            { key: 'utilization', label: 'Utilization %' },
+            { key: 'status', label: 'Status' }
+          ], licenses);
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="seat-utilization-by-${groupBy}.csv"`);
+        return res.send(csv);
+      }
+
+      const totalSeats = licenses.reduce((sum, license) => sum + license.seats, 0);
+      const totalUsed = licenses.reduce((sum, license) => sum + license.seats_used, 0);
+
+      res.json({
+        summary: {
+          totalSeats,
+          seatsUsed: totalUsed,
+          utilization: utilization(totalSeats, totalUsed),
+          overAllocatedLicenses: licenses.filter(license => license.status === 'over_allocated').length,
+          underusedLicenses: licenses.filter(license => license.status === 'underused').length,
+          underusedThreshold: UNDERUSED_THRESHOLD * 100
+        },
+        licenses,
+        customers
+      });
+    } catch (error) {
+      console.error('Error fetching seat utilization:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// @route   GET /api/dashboard/vendor-distribution
+// @desc    Get the number of licenses per vendor
+// @access  Private/licenses:read
+router.get('/vendor-distribution', authenticate, requirePermission('licenses:read'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT
+         v.id,
+         v.name,
+         COUNT(l.id)::int as licenses,
+         (COUNT(l.id) FILTER (WHERE l.is_active = true AND l.expiration_date >= CURRENT_DATE))::int as active_licenses
+       FROM vendors v
+       JOIN licenses l ON l.vendor_id = v.id
+       WHERE $1::int[] IS NULL OR l.customer_id = ANY($1::int[])
+       GROUP BY v.id
+       ORDER BY licenses DESC, v.name ASC`,
+      [req.user.customerIds]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching vendor distribution:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/dashboard/analytics
+// @desc    Get license spend and annualized cost by vendor, customer, license type and purchase month,
+//          in the reporting currency
+// @access  Private/licenses:read
+router.get(
+  '/analytics',
+  authenticate,
+  requirePermission('licenses:read'),
+  [
+    query('format').optional().isIn(['json', 'csv']),
+    query('groupBy').optional().isIn(Object.keys(COST_GROUPS)),
+    query('start_date', 'start_date must be a valid date').optional().isISO8601().toDate(),
+    query('end_date', 'end_date must be a valid date').optional().isISO8601().toDate(),
+    query('include_inactive').optional().isBoolean().toBoolean()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { format = 'json', groupBy = 'vendor', start_date, end_date, include_inactive = false } = req.query;
+
+      const reportingCurrency = await getReportingCurrency();
+      const rows = await License.getCosts({
+        customerIds: req.user.customerIds,
+        includeInactive: include_inactive,
+        startDate: start_date,
+        endDate: end_date,
+        reportingCurrency
+      });
+
+      // Licenses without a rate into the reporting currency keep their own currency
+      const converted = rows
+        .filter(row => row.exchange_rate !== null)
+        .map(row => ({
+          ...row,
+          currency: reportingCurrency,
+          cost: row.reporting_cost,
+          annualized_cost: row.reporting_annualized_cost
+        }));
+      const unconverted = rows.filter(row => row.exchange_rate === null);
+
+      if (format === 'csv') {
+        const sort = groupBy === 'month' ? byMonth : byAnnualizedCost;
+        const groups = [
+          ...groupCosts(converted, COST_GROUPS[groupBy]).sort(sort),
+          ...groupCosts(unconverted, COST_GROUPS[groupBy]).sort(sort)
+        ];
+        const csv = toCsv([
+          { key: 'label', label: COST_GROUPS[groupBy].title },
+          { key: 'currency', label: 'Currency' },
+          { key: 'license_count', label: 'Licenses' },
+          { key: 'total_cost', label: 'Total Cost' },
+          { key: 'annualized_cost', label: 'Annualized Cost' }
+        ], groups);
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="license-spend-by-${groupBy}.csv"`);
+        return res.send(csv);
+      }
+
+      const total = { key: () => null, label: () => 'Total' };
+      const [totals] = groupCosts(converted, total);
+
+      res.json({
+        currency: reportingCurrency,
+        totals: totals || { currency: reportingCurrency, license_count: 0, total_cost: 0, annualized_cost: 0 },
+        // Per currency, what could not be converted and is left out of everything else
+        unconverted: groupCosts(unconverted, total).sort((a, b) => a.currency.localeCompare(b.currency)),
+        byVendor: groupCosts(converted, COST_GROUPS.vendor).sort(byAnnualizedCost),
+        byCustomer: groupCosts(converted, COST_GROUPS.customer).sort(byAnnualizedCost),
+        byLicenseType: groupCosts(converted, COST_GROUPS.license_type).sort(byAnnualizedCost),
+        byMonth: groupCosts(converted, COST_GROUPS.month).sort(byMonth)
+      });
+    } catch (error) {
+      console.error('Error fetching license analytics:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// @route   GET /api/dashboard/forecast
+// @desc    Project renewal spend per month for the coming months, by vendor and customer,
+//          in the reporting currency
+// @access  Private/licenses:read
+router.get(
+  '/forecast',
+  authenticate,
+  requirePermission('licenses:read'),
+  [
+    query('months', 'months must be between 1 and 24').optional().isInt({ min: 1, max: 24 }).toInt(),
+    query('format').optional().isIn(['json', 'csv']),
+    query('groupBy').optional().isIn(Object.keys(FORECAST_GROUPS))
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { months = 12, format = 'json', groupBy = 'vendor' } = req.query;
+      const reportingCurrency = await getReportingCurrency();
+      const rows = await License.getCosts({ customerIds: req.user.customerIds, reportingCurrency });
+
+      // Renewals are projected from the cost in the reporting currency; licenses
+      // without a rate are projected in their own currency and reported apart
+      const { months: window, renewals, overdue } = projectRenewals(
+        rows
+          .filter(row => row.exchange_rate !== null)
+          .map(row => ({ ...row, currency: reportingCurrency, cost: row.reporting_cost })),
+        { months }
+      );
+      const unconvertedProjection = projectRenewals(rows.filter(row => row.exchange_rate === null), { months });
+      const unconverted = unconvertedProjection.renewals;
+
+      if (format === 'csv') {
+        const groups = groupRenewals(renewals, window, FORECAST_GROUPS[groupBy]);
+        const csv = toCsv([
+          { key: 'label', label: FORECAST_GROUPS[groupBy].title },
+          ...(groupBy === 'vendor' ? [{ key: 'uplift', label: 'Renewal Uplift %' }] : []),
+          ...window.map((month, index) => ({ key: index, label: month })),
+          { key: 'total', label: `Total (${reportingCurrency})` }
+        ], groups.map(group => ({
+          ...group.months,
+          label: group.label,
+          uplift: renewals.find(renewal => renewal.vendor_id === group.key)?.renewal_uplift_percent,
+          total: group.total
+        })));
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="renewal-forecast-by-${groupBy}.csv"`);
+        return res.send(csv);
+      }
+
+      const [total] = groupRenewals(renewals, window, { key: () => null, label: () => 'Total' });
+
+      res.json({
+        currency: reportingCurrency,
+        months: window,
+        total: total?.total || 0,
+        byMonth: window.map((month, index) => ({
+          month,
+          renewals: renewals.filter(renewal => renewal.month === month).length,
+          total: total?.months[index] || 0
+        })),
+        byVendor: groupRenewals(renewals, window, FORECAST_GROUPS.vendor),
+        byCustomer: groupRenewals(renewals, window, FORECAST_GROUPS.customer),
+        // Per currency, renewals without a rate into the reporting currency
+        unconverted: groupRenewals(unconverted, window, { key: renewal => renewal.currency, label: renewal => renewal.currency }),
+        // Licenses that expired earlier this month and were not renewed, in their own currency
+        // when they have no rate; not part of any total
+        overdue: [...overdue, ...unconvertedProjection.overdue]
+          .sort((a, b) => a.expiration_date.localeCompare(b.expiration_date))
+      });
+    } catch (error) {
+      console.error('Error fetching renewal forecast:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
 module.exports = router;
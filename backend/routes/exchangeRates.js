@@ -0,0 +1,251 @@
+const express = require('express');
+const multer = require('multer');
+const { check, query, validationResult } = require('express-validator');
+const ExchangeRate = require('../models/exchangeRate');
+const AuditLog = require('../models/auditLog');
+const {
+  isCurrencyCode,
+  getReportingCurrency,
+  saveReportingCurrency,
+  parseRatesCsv
+} = require('../services/currency');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const router = express.Router();
+
+// Rate files are parsed in memory and never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }
+});
+
+// Accept a single "file" upload and report multer errors as validation errors
+const uploadRatesFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ errors: [{ msg: err.code === 'LIMIT_FILE_SIZE' ? 'File must be 2 MB or smaller' : err.message }] });
+    }
+    next();
+  });
+};
+
+const currencyCode = (field, message) => check(field, message).isString().trim().toUpperCase().custom(isCurrencyCode);
+
+// Validation middleware
+const validateRate = [
+  currencyCode('base_currency', 'Base currency must be a 3-letter code'),
+  currencyCode('quote_currency', 'Quote currency must be a 3-letter code'),
+  check('quote_currency', 'Base and quote currency must differ').custom((value, { req }) => value !== req.body.base_currency),
+  check('rate_date', 'Date must be a valid date').isISO8601({ strict: true }),
+  check('rate', 'Rate must be a positive number').isFloat({ gt: 0 }).toFloat()
+];
+
+// @route   GET api/exchange-rates/reporting-currency
+// @desc    Get the currency cost totals are reported in
+// @access  Private/licenses:read
+router.get('/reporting-currency', authenticate, requirePermission('licenses:read'), async (req, res) => {
+  try {
+    const currency = await getReportingCurrency();
+    res.json({
+      currency,
+      unconvertible: await ExchangeRate.getUnconvertible(currency, { customerIds: req.user.customerIds })
+    });
+  } catch (err) {
+    console.error('Error fetching reporting currency:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/exchange-rates/reporting-currency
+// @desc    Change the currency cost totals are reported in
+// @access  Private/settings:manage
+router.put(
+  '/reporting-currency',
+  authenticate,
+  requirePermission('settings:manage'),
+  [currencyCode('currency', 'Currency must be a 3-letter code')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const previous = await getReportingCurrency();
+      const currency = await saveReportingCurrency(req.body.currency, req.user.id);
+
+      await AuditLog.record(req, {
+        action: 'update',
+        entityType: 'reporting_currency',
+        entityId: null,
+        oldValues: { currency: previous },
+        newValues: { currency }
+      });
+
+      res.json({
+        currency,
+        unconvertible: await ExchangeRate.getUnconvertible(currency, { customerIds: req.user.customerIds })
+      });
+    } catch (err) {
+      console.error('Error updating reporting currency:', err);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   GET api/exchange-rates
+// @desc    Get exchange rates with filters and pagination
+// @access  Private/licenses:read
+router.get(
+  '/',
+  authenticate,
+  requirePermission('licenses:read'),
+  [
+    query('currency').optional().isString().trim().toUpperCase(),
+    query('start_date', 'start_date must be a valid date').optional().isISO8601().toDate(),
+    query('end_date', 'end_date must be a valid date').optional().isISO8601().toDate(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('page').optional().isInt({ min: 1 }).toInt()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { currency, start_date, end_date, limit = 50, page = 1 } = req.query;
+
+      const { data, total } = await ExchangeRate.getAll({
+        currency,
+        startDate: start_date,
+        endDate: end_date,
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        data,
+        pagination: {
+          total,
+          page,
+          totalPages: Math.ceil(total / limit),
+          limit
+        }
+      });
+    } catch (err) {
+      console.error('Error fetching exchange rates:', err);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   POST api/exchange-rates
+// @desc    Add a rate, replacing the rate of the same pair and date
+// @access  Private/settings:manage
+router.post('/', authenticate, requirePermission('settings:manage'), validateRate, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { base_currency, quote_currency, rate_date, rate } = req.body;
+    const saved = await ExchangeRate.upsert({ base_currency, quote_currency, rate_date, rate, created_by: req.user.id });
+
+    await AuditLog.record(req, {
+      action: 'create',
+      entityType: 'exchange_rate',
+      entityId: saved.id,
+      newValues: saved
+    });
+
+    res.status(201).json(saved);
+  } catch (err) {
+    console.error('Error saving exchange rate:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/exchange-rates/import
+// @desc    Import rates from a CSV with date, base, quote and rate columns; with dryRun only validate
+// @access  Private/settings:manage
+router.post(
+  '/import',
+  [
+    authenticate,
+    requirePermission('settings:manage'),
+    uploadRatesFile,
+    check('dryRun').optional().isBoolean().toBoolean()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ errors: [{ msg: 'A CSV file is required' }] });
+    }
+
+    try {
+      const { rates, errors: rowErrors } = parseRatesCsv(req.file.buffer);
+      if (rates.length === 0 && rowErrors.length === 0) {
+        return res.status(400).json({ errors: [{ msg: 'The file does not contain any rates' }] });
+      }
+
+      // Like the license import, a file with invalid rows is reported but not saved
+      const dryRun = req.body.dryRun === true;
+      const committed = !dryRun && rowErrors.length === 0;
+      if (committed) {
+        await ExchangeRate.upsertMany(rates, req.user.id);
+
+        await AuditLog.record(req, {
+          action: 'import',
+          entityType: 'exchange_rate',
+          entityId: null,
+          newValues: { rates: rates.length, filename: req.file.originalname }
+        });
+      }
+
+      res.status(dryRun || committed ? 200 : 422).json({
+        dryRun,
+        committed,
+        total: rates.length + rowErrors.length,
+        valid: rates.length,
+        errors: rowErrors
+      });
+    } catch (err) {
+      console.error('Error importing exchange rates:', err);
+      if (err.code === 'INVALID_FILE' || String(err.code).startsWith('CSV_')) { // csv-parse errors
+        return res.status(400).json({ errors: [{ msg: err.message }] });
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   DELETE api/exchange-rates/:id
+// @desc    Delete an exchange rate
+// @access  Private/settings:manage
+router.delete('/:id', authenticate, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const previous = await ExchangeRate.delete(req.params.id);
+
+    await AuditLog.record(req, {
+      action: 'delete',
+      entityType: 'exchange_rate',
+      entityId: previous.id,
+      oldValues: previous
+    });
+
+    res.json({ msg: 'Exchange rate removed' });
+  } catch (err) {
+    console.error('Error deleting exchange rate:', err);
+    if (err.code === 'NOT_FOUND') {
+      return res.status(404).json({ msg: 'Exchange rate not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,63 @@
 const express = require('express');
+const multer = require('multer');
 const { check, query, validationResult } = require('express-validator');
 const License = require('../models/license');
-const { authenticate } = require('../middleware/auth');
+const AuditLog = require('../models/auditLog');
+const LicenseAssignment = require('../models/licenseAssignment');
+const LicenseRenewal = require('../models/licenseRenewal');
+const SavedView = require('../models/savedView');
+const { parseFile, importLicenses } = require('../services/licenseImportService');
+const { EXPORT_FORMATS, streamExport } = require('../services/exportService');
+const { getReportingCurrency } = require('../services/currency');
+const { authenticate, requirePermission, hasPermission, canAccessCustomer } = require('../middleware/auth');
 const router = express.Router();
 
+// Import files are parsed in memory and never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+// Accept a single "file" upload and report multer errors as validation errors
+const uploadImportFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ errors: [{ msg: err.code === 'LIMIT_FILE_SIZE' ? 'File must be 5 MB or smaller' : err.message }] });
+    }
+    next();
+  });
+};
+
+// Limit model queries to the customers the current user may see
+const customerScope = (req) => ({ customerIds: req.user.customerIds });
+
 // Validation middleware
-const validateLicense = [
+const validateAssignment = [
+  check('assigned_to', 'Assigned user must be a valid user ID').optional({ nullable: true }).isInt({ min: 1 }),
+  check('assignee_name', 'Assignee name must be a string').optional().isString().trim(),
+  check('assignee_email', 'Please include a valid email').optional({ checkFalsy: true }).isEmail(),
+  check('notes', 'Notes must be a string').optional().isString(),
+  check('assignee_name', 'Either a user or an assignee name is required').custom((value, { req }) => {
+    return Boolean(value || req.body.assigned_to);
+  })
+];
+
+const validateRenewal = [
+  check('term_end', 'Term end date is required').isISO8601().toDate(),
+  check('term_start', 'Term start must be a valid date').optional({ checkFalsy: true }).isISO8601().toDate(),
+  check('cost', 'Cost must be a positive number').optional({ nullable: true }).isFloat({ min: 0 }),
+  check('currency', 'Currency must be 3 characters').optional({ checkFalsy: true }).isLength({ min: 3, max: 3 }),
+  check('purchase_order', 'Purchase order must be a string').optional().isString().trim(),
+  check('notes', 'Notes must be a string').optional().isString()
+];
+
+const validateLicenseFields = [
   check('name', 'Name is required').not().isEmpty(),
-  check('license_key', 'License key is required').not().isEmpty(),
   check('vendor_id', 'Vendor is required').isInt({ min: 1 }),
   check('customer_id', 'Customer is required').isInt({ min: 1 }),
   check('purchase_date', 'Purchase date is required').isISO8601().toDate(),
   check('expiration_date', 'Expiration date is required').isISO8601().toDate(),
+  check('seats', 'Seats must be a whole number of 0 or more').optional().isInt({ min: 0 }).toInt(),
   check('cost', 'Cost must be a positive number').optional().isFloat({ min: 0 }),
   check('currency', 'Currency must be 3 characters').optional().isLength({ min: 3, max: 3 }),
   check('is_active', 'is_active must be a boolean').optional().isBoolean(),
@@ -20,23 +66,177 @@ const validateLicense = [
   check('notes', 'Notes must be a string').optional().isString()
 ];
 
+const validateLicense = [
+  ...validateLicenseFields,
+  check('license_key', 'License key is required').not().isEmpty()
+];
+
+// The stored key is only replaced when a new one is sent
+const validateLicenseUpdate = [
+  ...validateLicenseFields,
+  check('license_key', 'License key must be a string').optional({ values: 'falsy' }).isString()
+];
+
+// Query filters shared by the list and export endpoints, and stored by saved views
+const LICENSE_FILTERS = [
+  'search', 'customer_search', 'vendor_search', 'vendorId', 'customerId', 'isActive', 'expiresSoon',
+  'expired', 'expiringWithinDays', 'expirationFrom', 'expirationTo', 'purchaseFrom', 'purchaseTo',
+  'minCost', 'maxCost', 'currency', 'licenseType', 'createdBy'
+];
+
+// Columns the list and export can be sorted by
+const LICENSE_SORT_FIELDS = ['name', 'expiration_date', 'purchase_date', 'vendor_name', 'customer_name'];
+
+const dateQuery = (field) => query(field, `${field} must be a valid YYYY-MM-DD date`).optional().isISO8601({ strict: true });
+
+// Range ends are optional; when both are given the lower one must come first
+const rangeEnd = (from, compare) => (value, { req }) =>
+  req.query[from] === undefined || req.query[from] === '' || compare(req.query[from], value);
+
+const licenseFilterQueries = [
+  query('search').optional().isString().trim(),
+  query('customer_search').optional().isString().trim(),
+  query('vendor_search').optional().isString().trim(),
+  query('vendorId').optional().isInt({ min: 1 }).toInt(),
+  query('customerId').optional().isInt({ min: 1 }).toInt(),
+  query('isActive').optional().isBoolean().toBoolean(),
+  query('expiresSoon').optional().isBoolean().toBoolean(),
+  query('expired').optional().isBoolean().toBoolean(),
+  query('expiringWithinDays', 'expiringWithinDays must be between 0 and 3650').optional().isInt({ min: 0, max: 3650 }).toInt(),
+  dateQuery('expirationFrom'),
+  dateQuery('expirationTo'),
+  query('expirationTo', 'expirationTo must not be before expirationFrom').optional()
+    .custom(rangeEnd('expirationFrom', (from, to) => String(from) <= String(to))),
+  dateQuery('purchaseFrom'),
+  dateQuery('purchaseTo'),
+  query('purchaseTo', 'purchaseTo must not be before purchaseFrom').optional()
+    .custom(rangeEnd('purchaseFrom', (from, to) => String(from) <= String(to))),
+  query('minCost', 'minCost must be a non-negative number').optional().isFloat({ min: 0 }).toFloat(),
+  query('maxCost', 'maxCost must be a non-negative number').optional().isFloat({ min: 0 }).toFloat(),
+  query('maxCost', 'maxCost must not be below minCost').optional()
+    .custom(rangeEnd('minCost', (min, max) => Number(min) <= Number(max))),
+  query('currency', 'Currency must be a 3-letter code').optional().isString().trim().toUpperCase().matches(/^[A-Z]{3}$/),
+  // One or more license types: ?licenseType=a&licenseType=b
+  query('licenseType').optional().toArray(),
+  query('licenseType.*', 'License types must be 1 to 50 characters').isString().trim().isLength({ min: 1, max: 50 }),
+  query('createdBy').optional().isInt({ min: 1 }).toInt()
+];
+
+// Fill in the filters of a saved view (?viewId=); filters given in the query itself take precedence
+const applySavedView = async (req, res, next) => {
+  if (req.query.viewId === undefined) {
+    return next();
+  }
+  if (!/^[1-9]\d*$/.test(req.query.viewId)) {
+    return res.status(400).json({ errors: [{ msg: 'viewId must be a saved view ID' }] });
+  }
+
+  try {
+    const { viewId, ...filters } = req.query;
+    const view = await SavedView.findVisible(viewId, req.user.id);
+    req.query = { ...view.filters, ...filters };
+    next();
+  } catch (err) {
+    if (err.code === 'NOT_FOUND') {
+      return res.status(404).json({ msg: 'Saved view not found' });
+    }
+    console.error('Error loading saved view:', err);
+    res.status(500).send('Server error');
+  }
+};
+
+// Check the filters of a saved view with the list filter rules; only known, non-empty
+// filters are kept, as the sanitized values the list endpoint would use
+async function validateViewFilters(filters) {
+  const req = {
+    query: LICENSE_FILTERS.reduce((picked, key) => (
+      filters[key] === undefined || filters[key] === null || filters[key] === '' ? picked : { ...picked, [key]: filters[key] }
+    ), {})
+  };
+  for (const validator of licenseFilterQueries) {
+    await validator.run(req);
+  }
+  return { errors: validationResult(req).array(), filters: req.query };
+}
+
+const validateSavedView = [
+  check('name', 'Name is required').optional().isString().trim().isLength({ min: 1, max: 100 })
+    .withMessage('Name must be 1 to 100 characters'),
+  check('filters', 'Filters must be an object').optional().isObject(),
+  check('is_shared', 'is_shared must be a boolean').optional().isBoolean().toBoolean()
+];
+
+// Map validated query params onto License.getAll filters
+const parseLicenseFilters = ({
+  search = '',
+  customer_search = '',
+  vendor_search = '',
+  vendorId,
+  customerId,
+  isActive,
+  expiresSoon = false,
+  expired,
+  expiringWithinDays,
+  expirationFrom,
+  expirationTo,
+  purchaseFrom,
+  purchaseTo,
+  minCost,
+  maxCost,
+  currency,
+  licenseType = [],
+  createdBy
+}) => ({
+  search,
+  customerSearch: customer_search,
+  vendorSearch: vendor_search,
+  vendorId,
+  customerId,
+  isActive,
+  expiresSoon,
+  expired,
+  expiringWithinDays,
+  expirationFrom,
+  expirationTo,
+  purchaseFrom,
+  purchaseTo,
+  minCost,
+  maxCost,
+  currency,
+  licenseTypes: licenseType,
+  createdBy
+});
+
+// Export columns; the cost is exported as entered and converted into the reporting currency
+const licenseExportColumns = (reportingCurrency) => [
+  { key: 'name', label: 'Name', width: 30 },
+  { key: 'license_key_last4', label: 'License Key (last 4)', width: 12 },
+  { key: 'license_type', label: 'License Type', width: 15 },
+  { key: 'vendor_name', label: 'Vendor', width: 20 },
+  { key: 'customer_name', label: 'Customer', width: 20 },
+  { key: 'purchase_date', label: 'Purchase Date', type: 'date', width: 13 },
+  { key: 'expiration_date', label: 'Expiration Date', type: 'date', width: 13 },
+  { key: 'seats', label: 'Seats', type: 'number', width: 8 },
+  { key: 'seats_used', label: 'Seats Used', type: 'number', width: 8 },
+  { key: 'cost', label: 'Cost', type: 'number', width: 10 },
+  { key: 'currency', label: 'Currency', width: 8 },
+  { key: 'reporting_cost', label: `Cost (${reportingCurrency})`, type: 'number', width: 12 },
+  { key: 'is_active', label: 'Active', type: 'boolean', width: 8 }
+];
+
 // @route   GET api/licenses
-// @desc    Get all licenses with filters and pagination
-// @access  Private
+// @desc    Get all licenses with filters and pagination; ?viewId= applies a saved view
+// @access  Private/licenses:read
 router.get(
   '/',
   authenticate,
+  requirePermission('licenses:read'),
+  applySavedView,
   [
-    query('search').optional().isString().trim(),
-    query('customer_search').optional().isString().trim(),
-    query('vendor_search').optional().isString().trim(),
-    query('vendorId').optional().isInt({ min: 1 }).toInt(),
-    query('customerId').optional().isInt({ min: 1 }).toInt(),
-    query('isActive').optional().isBoolean().toBoolean(),
-    query('expiresSoon').optional().isBoolean().toBoolean(),
+    ...licenseFilterQueries,
     query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
     query('page').optional().isInt({ min: 1 }).toInt(),
-    query('sortBy').optional().isString().trim(),
+    query('sortBy').optional().isIn(LICENSE_SORT_FIELDS),
     query('sortOrder').optional().isIn(['asc', 'desc', 'ASC', 'DESC'])
   ],
   async (req, res) => {
@@ -47,13 +247,6 @@ router.get(
 
     try {
       const { 
-        search = '',
-        customer_search = '',
-        vendor_search = '',
-        vendorId, 
-        customerId, 
-        isActive,
-        expiresSoon = false,
         limit = 10, 
         page = 1, 
         sortBy = 'name', 
@@ -63,17 +256,13 @@ router.get(
       const offset = (page - 1) * limit;
 
       const { data, total } = await License.getAll({
-        search,
-        customerSearch: customer_search,
-        vendorSearch: vendor_search,
-        vendorId,
-        customerId,
-        isActive,
-        expiresSoon,
+        ...parseLicenseFilters(req.query),
         limit,
         offset,
         sortBy,
-        sortOrder
+        sortOrder,
+        reportingCurrency: await getReportingCurrency(),
+        ...customerScope(req)
       });
 
       res.json({
@@ -92,12 +281,60 @@ router.get(
   }
 );
 
+// @route   GET api/licenses/export
+// @desc    Export all licenses matching the list filters (or a saved view) as CSV, XLSX or PDF
+// @access  Private/licenses:read
+router.get(
+  '/export',
+  authenticate,
+  requirePermission('licenses:read'),
+  applySavedView,
+  [
+    ...licenseFilterQueries,
+    query('format').optional().isIn(EXPORT_FORMATS),
+    query('sortBy').optional().isIn(LICENSE_SORT_FIELDS),
+    query('sortOrder').optional().isIn(['asc', 'desc', 'ASC', 'DESC'])
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { format = 'csv', sortBy = 'name', sortOrder = 'ASC' } = req.query;
+      const filters = parseLicenseFilters(req.query);
+      const reportingCurrency = await getReportingCurrency();
+
+      await streamExport(res, {
+        format,
+        filename: 'licenses',
+        title: 'Licenses',
+        columns: licenseExportColumns(reportingCurrency),
+        fetchPage: async ({ limit, offset }) => {
+          const { data } = await License.getAll({
+            ...filters, limit, offset, sortBy, sortOrder, reportingCurrency, ...customerScope(req)
+          });
+          return data;
+        }
+      });
+    } catch (err) {
+      console.error('Error exporting licenses:', err);
+      // Once streaming has started the status line is gone; cut the download short instead
+      if (res.headersSent) {
+        return res.destroy(err);
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
 // @route   GET api/licenses/stats
 // @desc    Get license statistics
-// @access  Private
-router.get('/stats', authenticate, async (req, res) => {
+// @access  Private/licenses:read
+router.get('/stats', authenticate, requirePermission('licenses:read'), async (req, res) => {
   try {
-    const stats = await License.getStats();
+    const stats = await License.getStats({ ...customerScope(req), reportingCurrency: await getReportingCurrency() });
     res.json(stats);
   } catch (err) {
     console.error('Error fetching license stats:', err);
@@ -107,15 +344,16 @@ router.get('/stats', authenticate, async (req, res) => {
 
 // @route   GET api/licenses/expiring-soon
 // @desc    Get licenses expiring soon
-// @access  Private
-router.get('/expiring-soon', authenticate, async (req, res) => {
+// @access  Private/licenses:read
+router.get('/expiring-soon', authenticate, requirePermission('licenses:read'), async (req, res) => {
   try {
     const { data } = await License.getAll({
       expiresSoon: true,
       isActive: true,
       limit: 10,
       sortBy: 'expiration_date',
-      sortOrder: 'ASC'
+      sortOrder: 'ASC',
+      ...customerScope(req)
     });
     
     res.json(data);
@@ -125,12 +363,187 @@ router.get('/expiring-soon', authenticate, async (req, res) => {
   }
 });
 
+// @route   GET api/licenses/filter-options
+// @desc    Get the license types, currencies and creators the list can be filtered by
+// @access  Private/licenses:read
+router.get('/filter-options', authenticate, requirePermission('licenses:read'), async (req, res) => {
+  try {
+    res.json(await License.getFilterOptions(customerScope(req)));
+  } catch (err) {
+    console.error('Error fetching license filter options:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/licenses/views
+// @desc    Get the saved views of the current user and the ones shared by others
+// @access  Private/licenses:read
+router.get('/views', authenticate, requirePermission('licenses:read'), async (req, res) => {
+  try {
+    res.json(await SavedView.getVisible(req.user.id));
+  } catch (err) {
+    console.error('Error fetching saved views:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/licenses/views/:viewId
+// @desc    Get a saved view
+// @access  Private/licenses:read
+router.get('/views/:viewId', authenticate, requirePermission('licenses:read'), async (req, res) => {
+  try {
+    res.json(await SavedView.findVisible(req.params.viewId, req.user.id));
+  } catch (err) {
+    console.error('Error fetching saved view:', err);
+    if (err.code === 'NOT_FOUND') {
+      return res.status(404).json({ msg: 'Saved view not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/licenses/views
+// @desc    Save the list filters as a named view
+// @access  Private/licenses:read
+router.post(
+  '/views',
+  [
+    authenticate,
+    requirePermission('licenses:read'),
+    check('name', 'Name is required').exists(),
+    check('filters', 'Filters are required').exists(),
+    ...validateSavedView
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { errors: filterErrors, filters } = await validateViewFilters(req.body.filters);
+      if (filterErrors.length > 0) {
+        return res.status(400).json({ errors: filterErrors });
+      }
+
+      const view = await SavedView.create({
+        user_id: req.user.id,
+        name: req.body.name,
+        filters,
+        is_shared: req.body.is_shared === true
+      });
+
+      await AuditLog.record(req, {
+        action: 'create',
+        entityType: 'saved_view',
+        entityId: view.id,
+        newValues: view
+      });
+
+      res.status(201).json({ ...view, owner_username: req.user.username, is_owner: true });
+    } catch (err) {
+      console.error('Error saving view:', err);
+      if (err.code === '23505') { // Unique violation
+        return res.status(400).json({ errors: [{ msg: 'You already have a view with this name' }] });
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   PUT api/licenses/views/:viewId
+// @desc    Rename, re-filter or (un)share a saved view; only its owner can change it
+// @access  Private/licenses:read
+router.put(
+  '/views/:viewId',
+  [authenticate, requirePermission('licenses:read'), ...validateSavedView],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const previous = await SavedView.findVisible(req.params.viewId, req.user.id);
+      if (!previous.is_owner) {
+        return res.status(403).json({ msg: 'Only the owner can change a saved view' });
+      }
+
+      let filters;
+      if (req.body.filters !== undefined) {
+        const result = await validateViewFilters(req.body.filters);
+        if (result.errors.length > 0) {
+          return res.status(400).json({ errors: result.errors });
+        }
+        filters = result.filters;
+      }
+
+      const view = await SavedView.update(req.params.viewId, req.user.id, {
+        name: req.body.name,
+        filters,
+        is_shared: req.body.is_shared
+      });
+
+      await AuditLog.record(req, {
+        action: 'update',
+        entityType: 'saved_view',
+        entityId: view.id,
+        oldValues: previous,
+        newValues: view
+      });
+
+      res.json({ ...view, owner_username: previous.owner_username, is_owner: true });
+    } catch (err) {
+      console.error('Error updating saved view:', err);
+      if (err.code === 'NOT_FOUND') {
+        return res.status(404).json({ msg: 'Saved view not found' });
+      }
+      if (err.code === '23505') { // Unique violation
+        return res.status(400).json({ errors: [{ msg: 'You already have a view with this name' }] });
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   DELETE api/licenses/views/:viewId
+// @desc    Delete a saved view; only its owner can delete it
+// @access  Private/licenses:read
+router.delete('/views/:viewId', authenticate, requirePermission('licenses:read'), async (req, res) => {
+  try {
+    const previous = await SavedView.findVisible(req.params.viewId, req.user.id);
+    if (!previous.is_owner) {
+      return res.status(403).json({ msg: 'Only the owner can delete a saved view' });
+    }
+
+    await SavedView.delete(req.params.viewId, req.user.id);
+
+    await AuditLog.record(req, {
+      action: 'delete',
+      entityType: 'saved_view',
+      entityId: previous.id,
+      oldValues: previous
+    });
+
+    res.json({ msg: 'Saved view removed' });
+  } catch (err) {
+    console.error('Error deleting saved view:', err);
+    if (err.code === 'NOT_FOUND') {
+      return res.status(404).json({ msg: 'Saved view not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
 // @route   GET api/licenses/:id
 // @desc    Get license by ID
-// @access  Private
-router.get('/:id', authenticate, async (req, res) => {
+// @access  Private/licenses:read
+router.get('/:id', authenticate, requirePermission('licenses:read'), async (req, res) => {
   try {
-    const license = await License.findById(req.params.id);
+    const license = await License.findById(req.params.id, {
+      ...customerScope(req),
+      reportingCurrency: await getReportingCurrency()
+    });
     res.json(license);
   } catch (err) {
     console.error('Error fetching license:', err);
@@ -141,18 +554,296 @@ router.get('/:id', authenticate, async (req, res) => {
   }
 });
 
+// @route   GET api/licenses/:id/key
+// @desc    Reveal the decrypted key of a license; every reveal is audited
+// @access  Private/licenses:reveal
+router.get('/:id/key', authenticate, requirePermission('licenses:read', 'licenses:reveal'), async (req, res) => {
+  try {
+    const licenseKey = await License.getLicenseKey(req.params.id, customerScope(req));
+
+    await AuditLog.record(req, {
+      action: 'reveal_key',
+      entityType: 'license',
+      entityId: parseInt(req.params.id, 10)
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.json({ license_key: licenseKey });
+  } catch (err) {
+    console.error('Error revealing license key:', err);
+    if (err.code === 'NOT_FOUND') {
+      return res.status(404).json({ msg: 'License not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/licenses/:id/history
+// @desc    Get field-level change history of a license
+// @access  Private/licenses:read
+router.get('/:id/history', authenticate, requirePermission('licenses:read'), async (req, res) => {
+  try {
+    await License.findById(req.params.id, customerScope(req));
+    const history = await AuditLog.getHistory('license', req.params.id);
+    res.json(history);
+  } catch (err) {
+    console.error('Error fetching license history:', err);
+    if (err.code === 'NOT_FOUND') {
+      return res.status(404).json({ msg: 'License not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/licenses/:id/assignments
+// @desc    Get seat assignments of a license
+// @access  Private/licenses:read
+router.get(
+  '/:id/assignments',
+  authenticate,
+  requirePermission('licenses:read'),
+  [query('active').optional().isBoolean().toBoolean()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      await License.findById(req.params.id, customerScope(req));
+      const assignments = await LicenseAssignment.getByLicense(req.params.id, {
+        activeOnly: req.query.active === true
+      });
+      res.json(assignments);
+    } catch (err) {
+      console.error('Error fetching license assignments:', err);
+      if (err.code === 'NOT_FOUND') {
+        return res.status(404).json({ msg: 'License not found' });
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   POST api/licenses/:id/assignments
+// @desc    Assign a seat of a license
+// @access  Private/licenses:write
+router.post(
+  '/:id/assignments',
+  [authenticate, requirePermission('licenses:write'), ...validateAssignment],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      await License.findById(req.params.id, customerScope(req));
+      const { assigned_to, assignee_name, assignee_email, notes } = req.body;
+      const assignment = await LicenseAssignment.assign(req.params.id, {
+        assigned_to: assigned_to || null,
+        assignee_name,
+        assignee_email,
+        notes,
+        created_by: req.user.id
+      });
+
+      await AuditLog.record(req, {
+        action: 'assign_seat',
+        entityType: 'license_assignment',
+        entityId: assignment.id,
+        newValues: assignment
+      });
+
+      res.status(201).json(assignment);
+    } catch (err) {
+      console.error('Error assigning license seat:', err);
+      if (err.code === 'NOT_FOUND') {
+        return res.status(404).json({ msg: 'License not found' });
+      }
+      if (err.code === 'SEATS_EXCEEDED') {
+        return res.status(400).json({ msg: err.message });
+      }
+      if (err.code === '23503') { // Foreign key violation
+        return res.status(400).json({ errors: [{ msg: 'Invalid user ID' }] });
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   PUT api/licenses/:id/assignments/:assignmentId/return
+// @desc    Return an assigned seat
+// @access  Private/licenses:write
+router.put('/:id/assignments/:assignmentId/return', authenticate, requirePermission('licenses:write'), async (req, res) => {
+  try {
+    await License.findById(req.params.id, customerScope(req));
+    const assignment = await LicenseAssignment.returnSeat(req.params.id, req.params.assignmentId);
+
+    await AuditLog.record(req, {
+      action: 'return_seat',
+      entityType: 'license_assignment',
+      entityId: assignment.id,
+      newValues: assignment
+    });
+
+    res.json(assignment);
+  } catch (err) {
+    console.error('Error returning license seat:', err);
+    if (err.code === 'NOT_FOUND') {
+      return res.status(404).json({ msg: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/licenses/:id/renewals
+// @desc    Get all recorded terms of a license
+// @access  Private/licenses:read
+router.get('/:id/renewals', authenticate, requirePermission('licenses:read'), async (req, res) => {
+  try {
+    await License.findById(req.params.id, customerScope(req));
+    const renewals = await LicenseRenewal.getByLicense(req.params.id);
+    res.json(renewals);
+  } catch (err) {
+    console.error('Error fetching license renewals:', err);
+    if (err.code === 'NOT_FOUND') {
+      return res.status(404).json({ msg: 'License not found' });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/licenses/:id/renew
+// @desc    Renew a license for a new term
+// @access  Private/licenses:write
+router.post(
+  '/:id/renew',
+  [authenticate, requirePermission('licenses:write'), ...validateRenewal],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const previous = await License.findById(req.params.id, customerScope(req));
+      const { term_start, term_end, cost, currency, purchase_order, notes } = req.body;
+
+      const { renewal } = await LicenseRenewal.renew(req.params.id, {
+        term_start,
+        term_end,
+        cost,
+        currency: currency ? currency.toUpperCase() : undefined,
+        purchase_order,
+        notes,
+        created_by: req.user.id
+      });
+      const license = await License.findById(req.params.id);
+
+      await AuditLog.record(req, {
+        action: 'renew',
+        entityType: 'license',
+        entityId: license.id,
+        oldValues: previous,
+        newValues: license
+      });
+
+      res.status(201).json({ license, renewal });
+    } catch (err) {
+      console.error('Error renewing license:', err);
+      if (err.code === 'NOT_FOUND') {
+        return res.status(404).json({ msg: 'License not found' });
+      }
+      if (err.code === 'INVALID_TERM') {
+        return res.status(400).json({ errors: [{ msg: err.message }] });
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   POST api/licenses/import
+// @desc    Import licenses from a CSV or XLSX file (all-or-nothing, optional dry run)
+// @access  Private/licenses:import
+router.post(
+  '/import',
+  [
+    authenticate,
+    requirePermission('licenses:import'),
+    uploadImportFile,
+    check('dryRun').optional().isBoolean().toBoolean(),
+    check('createMissing').optional().isBoolean().toBoolean()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ errors: [{ msg: 'A CSV or XLSX file is required' }] });
+    }
+
+    // Auto-creating vendors and customers is only allowed for users who could create them by hand
+    if (req.body.createMissing === true &&
+        !(hasPermission(req.user, 'vendors:write') && hasPermission(req.user, 'customers:write'))) {
+      return res.status(403).json({ msg: 'Not authorized to create vendors and customers' });
+    }
+
+    try {
+      const rows = await parseFile(req.file.buffer, req.file.originalname);
+      if (rows.length === 0) {
+        return res.status(400).json({ errors: [{ msg: 'The file does not contain any licenses' }] });
+      }
+
+      const report = await importLicenses(rows, {
+        validators: validateLicense,
+        dryRun: req.body.dryRun === true,
+        createMissing: req.body.createMissing === true,
+        userId: req.user.id,
+        customerIds: req.user.customerIds
+      });
+
+      if (report.committed) {
+        for (const { id } of report.imported) {
+          await AuditLog.record(req, {
+            action: 'create',
+            entityType: 'license',
+            entityId: id,
+            newValues: await License.findById(id)
+          });
+        }
+      }
+
+      // A failed real import is still a complete report, but signal that nothing was written
+      res.status(report.dryRun || report.committed ? 200 : 422).json(report);
+    } catch (err) {
+      console.error('Error importing licenses:', err);
+      if (err.code === 'INVALID_FILE' || String(err.code).startsWith('CSV_')) { // csv-parse errors
+        return res.status(400).json({ errors: [{ msg: err.message }] });
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
 // @route   POST api/licenses
 // @desc    Create a new license
-// @access  Private
+// @access  Private/licenses:write
 router.post(
   '/',
-  [authenticate, ...validateLicense],
+  [authenticate, requirePermission('licenses:write'), ...validateLicense],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
+    if (!canAccessCustomer(req.user, req.body.customer_id)) {
+      return res.status(403).json({ msg: 'Not authorized for this customer' });
+    }
+
     try {
       const licenseData = {
         ...req.body,
@@ -160,6 +851,14 @@ router.post(
       };
       
       const license = await License.create(licenseData);
+
+      await AuditLog.record(req, {
+        action: 'create',
+        entityType: 'license',
+        entityId: license.id,
+        newValues: await License.findById(license.id)
+      });
+
       res.status(201).json(license);
     } catch (err) {
       console.error('Error creating license:', err);
@@ -176,18 +875,36 @@ router.post(
 
 // @route   PUT api/licenses/:id
 // @desc    Update a license
-// @access  Private
+// @access  Private/licenses:write
 router.put(
   '/:id',
-  [authenticate, ...validateLicense],
+  [authenticate, requirePermission('licenses:write'), ...validateLicenseUpdate],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
+    // Licenses can only be moved between customers the user may see
+    if (!canAccessCustomer(req.user, req.body.customer_id)) {
+      return res.status(403).json({ msg: 'Not authorized for this customer' });
+    }
+
     try {
+      const previous = await License.findById(req.params.id, customerScope(req));
+      // Keys are not audited; a replaced key is marked so the change is recorded even
+      // when the new key ends in the same 4 characters
+      const keyChanged = Boolean(req.body.license_key) && await License.isNewKey(req.params.id, req.body.license_key);
       const license = await License.update(req.params.id, req.body);
+
+      await AuditLog.record(req, {
+        action: 'update',
+        entityType: 'license',
+        entityId: license.id,
+        oldValues: previous,
+        newValues: { ...(await License.findById(license.id)), ...(keyChanged && { license_key_changed: true }) }
+      });
+
       res.json(license);
     } catch (err) {
       console.error('Error updating license:', err);
@@ -207,10 +924,19 @@ router.put(
 
 // @route   DELETE api/licenses/:id
 // @desc    Delete a license
-// @access  Private
-router.delete('/:id', authenticate, async (req, res) => {
+// @access  Private/licenses:delete
+router.delete('/:id', authenticate, requirePermission('licenses:delete'), async (req, res) => {
   try {
+    const previous = await License.findById(req.params.id, customerScope(req));
     await License.delete(req.params.id);
+
+    await AuditLog.record(req, {
+      action: 'delete',
+      entityType: 'license',
+      entityId: previous.id,
+      oldValues: previous
+    });
+
     res.json({ msg: 'License removed' });
   } catch (err) {
     console.error('Error deleting license:', err);
@@ -0,0 +1,268 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const NotificationDelivery = require('../models/notificationDelivery');
+const NotificationJob = require('../models/notificationJob');
+const AuditLog = require('../models/auditLog');
+const { CHANNEL_TYPES, displayRecipient } = require('../services/notificationChannels');
+const { resendDelivery } = require('../services/notificationService');
+const { resendNotice } = require('../services/customerNoticeService');
+const { resendDigest } = require('../services/digestService');
+const { CUSTOMER_NOTICE_CRON, getUpcomingRuns } = require('../services/scheduler');
+const { runNotifications } = require('../services/notificationRunner');
+const { DEFAULT_TIMEZONE } = require('../services/timezones');
+const { authenticate, hasPermission, requirePermission } = require('../middleware/auth');
+const router = express.Router();
+
+// Users see their own deliveries; notifications:manage sees everyone's, including
+// the notices sent to customer and vendor contacts
+const canManage = (req) => hasPermission(req.user, 'notifications:manage');
+
+const canAccessDelivery = (req, delivery) => canManage(req) || delivery.user_id === req.user.id;
+
+// Dates without a time stay YYYY-MM-DD strings so the model can match the whole day
+const dateFilter = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? value : new Date(value));
+
+// Webhook URLs can carry secrets, so the log only shows a masked recipient
+const toLogEntry = (delivery) => ({
+  ...delivery,
+  recipient: displayRecipient(delivery.channel, delivery.recipient)
+});
+
+// @route   GET api/notifications/log
+// @desc    Get notification delivery attempts, newest first
+// @access  Private (own deliveries; all with notifications:manage)
+router.get(
+  '/log',
+  authenticate,
+  [
+    query('status').optional().isIn(['sent', 'failed']),
+    query('channel').optional().isIn(CHANNEL_TYPES),
+    query('kind').optional().isIn(['reminder', 'digest']),
+    query('audience').optional().isIn(['internal', 'customer', 'vendor']),
+    query('customer_id').optional().isInt({ min: 1 }).toInt(),
+    query('license_id').optional().isInt({ min: 1 }).toInt(),
+    query('user_id').optional().isInt({ min: 1 }).toInt(),
+    query('recipient').optional().isString().trim(),
+    query('start_date', 'start_date must be a valid date').optional().isISO8601().customSanitizer(dateFilter),
+    query('end_date', 'end_date must be a valid date').optional().isISO8601().customSanitizer(dateFilter),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('page').optional().isInt({ min: 1 }).toInt()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const {
+        status,
+        channel,
+        kind,
+        audience,
+        customer_id,
+        license_id,
+        user_id,
+        recipient,
+        start_date,
+        end_date,
+        limit = 50,
+        page = 1
+      } = req.query;
+
+      const offset = (page - 1) * limit;
+
+      const { data, total } = await NotificationDelivery.getAll({
+        userId: canManage(req) ? user_id : req.user.id,
+        kind,
+        audience,
+        customerId: customer_id,
+        status,
+        channel,
+        licenseId: license_id,
+        recipient,
+        startDate: start_date,
+        endDate: end_date,
+        limit,
+        offset
+      });
+
+      res.json({
+        data: data.map(toLogEntry),
+        pagination: {
+          total,
+          page: parseInt(page, 10),
+          totalPages: Math.ceil(total / limit),
+          limit: parseInt(limit, 10)
+        }
+      });
+    } catch (err) {
+      console.error('Error fetching notification log:', err);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   POST api/notifications/log/:id/resend
+// @desc    Send a failed notification again with the current license data; digests are rebuilt for the current period
+// @access  Private (own deliveries; all with notifications:manage)
+router.post(
+  '/log/:id/resend',
+  authenticate,
+  [param('id').isInt({ min: 1 }).toInt()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const delivery = await NotificationDelivery.findById(req.params.id);
+      if (!canAccessDelivery(req, delivery)) {
+        return res.status(404).json({ msg: 'Notification delivery not found' });
+      }
+      if (delivery.status !== 'failed') {
+        return res.status(400).json({ msg: 'Only failed deliveries can be resent' });
+      }
+
+      let result;
+      if (delivery.kind === 'digest') {
+        result = await resendDigest(delivery, req.user.id);
+      } else if (delivery.audience === 'internal') {
+        result = await resendDelivery(delivery, req.user.id);
+      } else {
+        result = await resendNotice(delivery, req.user.id);
+      }
+
+      await AuditLog.record(req, {
+        action: 'resend',
+        entityType: 'notification_delivery',
+        entityId: delivery.id,
+        newValues: { channel: delivery.channel, deliveryId: result.deliveryId, success: result.success }
+      });
+
+      const attempt = result.deliveryId ? toLogEntry(await NotificationDelivery.findById(result.deliveryId)) : null;
+      if (!result.success) {
+        return res.status(502).json({ msg: `Resend failed: ${result.error}`, delivery: attempt });
+      }
+      res.json(attempt);
+    } catch (err) {
+      if (err.code === 'NOT_FOUND') {
+        return res.status(404).json({ msg: 'Notification delivery not found' });
+      }
+      if (err.code === 'CHANNEL_NOT_CONFIGURED' || err.code === 'NO_LICENSES') {
+        return res.status(400).json({ msg: err.message });
+      }
+      console.error('Error resending notification:', err);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   GET api/notifications/jobs
+// @desc    Get scheduled notification runs from the job queue, latest first
+// @access  Private (notifications:manage)
+router.get(
+  '/jobs',
+  authenticate,
+  requirePermission('notifications:manage'),
+  [
+    query('type').optional().isIn(['user_notifications', 'customer_notices']),
+    query('status').optional().isIn(['pending', 'running', 'succeeded', 'failed']),
+    query('user_id').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('page').optional().isInt({ min: 1 }).toInt()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { type, status, user_id, limit = 50, page = 1 } = req.query;
+
+      const { data, total } = await NotificationJob.getAll({
+        type,
+        status,
+        userId: user_id,
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        data,
+        pagination: {
+          total,
+          page: parseInt(page, 10),
+          totalPages: Math.ceil(total / limit),
+          limit: parseInt(limit, 10)
+        }
+      });
+    } catch (err) {
+      console.error('Error fetching notification jobs:', err);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   GET api/notifications/jobs/upcoming
+// @desc    Get the next scheduled run of every user, and the customer notice schedule
+// @access  Private (notifications:manage)
+router.get('/jobs/upcoming', authenticate, requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    res.json({
+      users: await getUpcomingRuns(),
+      customerNotices: { cron: CUSTOMER_NOTICE_CRON, timezone: DEFAULT_TIMEZONE }
+    });
+  } catch (err) {
+    console.error('Error fetching upcoming notification runs:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/notifications/run
+// @desc    Run notifications now for one user or all users; with dryRun, only report what would be sent
+// @access  Private (notifications:manage)
+router.post(
+  '/run',
+  authenticate,
+  requirePermission('notifications:manage'),
+  [
+    body('dryRun', 'dryRun must be true or false').optional().isBoolean().toBoolean(),
+    body('userId', 'userId must be a valid user ID').optional({ nullable: true }).isInt({ min: 1 }).toInt()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { dryRun = false, userId = null } = req.body;
+      const run = await runNotifications({ userId, dryRun });
+
+      if (!dryRun) {
+        await AuditLog.record(req, {
+          action: 'run',
+          entityType: 'notification_run',
+          entityId: userId,
+          newValues: {
+            userId,
+            deliveries: run.users.flatMap(user => user.deliveries.map(({ channel, status }) => ({ userId: user.userId, channel, status })))
+          }
+        });
+      }
+
+      res.json(run);
+    } catch (err) {
+      if (err.code === 'NOT_FOUND') {
+        return res.status(404).json({ msg: 'User not found' });
+      }
+      console.error('Error running notifications:', err);
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const { check, validationResult } = require('express-validator');
+const Role = require('../models/role');
+const AuditLog = require('../models/auditLog');
+const { PERMISSIONS, ALL_PERMISSIONS, ADMIN_ROLE } = require('../config/permissions');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const router = express.Router();
+
+// Validation middleware
+const validateRole = [
+  check('description', 'Description must be a string').optional({ nullable: true }).isString(),
+  check('permissions', 'Permissions must be a list').isArray(),
+  check('permissions.*', 'Unknown permission').isIn([...Object.keys(PERMISSIONS), ALL_PERMISSIONS])
+];
+
+// @route   GET api/roles
+// @desc    Get all roles with their permissions
+// @access  Private/users:manage
+router.get('/', authenticate, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const roles = await Role.getAll();
+    res.json(roles);
+  } catch (err) {
+    console.error('Error fetching roles:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/roles/permissions
+// @desc    Get the catalog of assignable permissions
+// @access  Private/users:manage
+router.get('/permissions', authenticate, requirePermission('users:manage'), (req, res) => {
+  res.json(Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })));
+});
+
+// @route   POST api/roles
+// @desc    Create a new role
+// @access  Private/users:manage
+router.post(
+  '/',
+  [
+    authenticate,
+    requirePermission('users:manage'),
+    check('name', 'Name must be lowercase letters, numbers and dashes')
+      .isLength({ min: 2, max: 50 })
+      .matches(/^[a-z0-9-]+$/),
+    ...validateRole
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { name, description, permissions } = req.body;
+      const role = await Role.create({ name, description, permissions });
+
+      await AuditLog.record(req, {
+        action: 'create',
+        entityType: 'role',
+        entityId: role.id,
+        newValues: role
+      });
+
+      res.status(201).json(role);
+    } catch (err) {
+      console.error('Error creating role:', err);
+      if (err.code === '23505') { // Unique violation
+        return res.status(400).json({ errors: [{ msg: 'Role with this name already exists' }] });
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   PUT api/roles/:name
+// @desc    Update a role's description and permissions
+// @access  Private/users:manage
+router.put(
+  '/:name',
+  [authenticate, requirePermission('users:manage'), ...validateRole],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.params.name === ADMIN_ROLE) {
+      return res.status(400).json({ msg: 'The admin role always has full access' });
+    }
+
+    try {
+      const previous = await Role.findByName(req.params.name);
+      const { description, permissions } = req.body;
+      const role = await Role.update(req.params.name, { description, permissions });
+
+      await AuditLog.record(req, {
+        action: 'update',
+        entityType: 'role',
+        entityId: role.id,
+        oldValues: previous,
+        newValues: role
+      });
+
+      res.json(role);
+    } catch (err) {
+      console.error('Error updating role:', err);
+      if (err.code === 'NOT_FOUND') {
+        return res.status(404).json({ msg: 'Role not found' });
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
+// @route   DELETE api/roles/:name
+// @desc    Delete a role that is not built-in and not assigned to any user
+// @access  Private/users:manage
+router.delete('/:name', authenticate, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const role = await Role.delete(req.params.name);
+
+    await AuditLog.record(req, {
+      action: 'delete',
+      entityType: 'role',
+      entityId: role.id,
+      oldValues: role
+    });
+
+    res.json({ msg: 'Role deleted' });
+  } catch (err) {
+    console.error('Error deleting role:', err);
+    if (err.code === 'NOT_FOUND') {
+      return res.status(404).json({ msg: 'Role not found' });
+    }
+    if (err.code === 'ROLE_PROTECTED' || err.code === 'ROLE_IN_USE') {
+      return res.status(400).json({ msg: err.message });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
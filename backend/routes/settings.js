@@ -1,10 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../config/db');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const AuditLog = require('../models/auditLog');
 const logger = require('../utils/logger');
-const { sendLicenseExpirationEmail } = require('../services/emailService');
-const { updateUserSchedule } = require('../services/scheduler');
+const {
+  CHANNELS,
+  withChannelDefaults,
+  validateChannels,
+  sendToChannel
+} = require('../services/notificationChannels');
+const { testNotification } = require('../services/notificationChannels/format');
+const { DEFAULT_REMINDER_STAGES, normalizeStages, validateStages } = require('../services/reminderStages');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../services/timezones');
+const { validateDigestSettings } = require('../services/digestService');
+const {
+  getSmtpSettings,
+  toPublicSettings,
+  validateSmtpSettings,
+  mergeSmtpSettings,
+  saveSmtpSettings,
+  sendTestMail
+} = require('../services/mailTransport');
+const {
+  TEMPLATE_PARTS,
+  previewView,
+  listTemplates,
+  getTemplate,
+  validateTemplate,
+  renderTemplate,
+  saveTemplate,
+  resetTemplate
+} = require('../services/emailTemplates');
+const { getLicensesByIds } = require('../services/notificationService');
 
 // Get notification settings
 router.get('/notifications', authenticate, async (req, res) => {
@@ -18,22 +46,32 @@ router.get('/notifications', authenticate, async (req, res) => {
     if (result.rows.length === 0) {
       // Return default settings if no settings exist
       return res.json({
-        daysBeforeExpiration: 30,
+        reminderStages: DEFAULT_REMINDER_STAGES,
         notificationTime: '09:00',
+        timezone: DEFAULT_TIMEZONE,
+        digestFrequency: 'daily',
+        digestWeekday: 1,
+        digestDayOfMonth: 1,
         sendToEmail: true,
         emailAddress: 'admin@example.com',
-        includeInactive: false
+        includeInactive: false,
+        channels: withChannelDefaults()
       });
     }
 
     // Map database fields to frontend expected format
     const settings = result.rows[0];
     res.json({
-      daysBeforeExpiration: settings.days_before_expiration || 30,
+      reminderStages: settings.reminder_stages || DEFAULT_REMINDER_STAGES,
       notificationTime: settings.notification_time || '09:00',
+      timezone: settings.timezone || DEFAULT_TIMEZONE,
+      digestFrequency: settings.digest_frequency || 'daily',
+      digestWeekday: settings.digest_weekday ?? 1,
+      digestDayOfMonth: settings.digest_day_of_month ?? 1,
       sendToEmail: settings.email_notifications !== false, // Default to true if not set
       emailAddress: settings.email_address || 'admin@example.com',
-      includeInactive: settings.include_inactive || false
+      includeInactive: settings.include_inactive || false,
+      channels: withChannelDefaults(settings.channels)
     });
   } catch (error) {
     logger.error('Error fetching notification settings:', error);
@@ -44,20 +82,41 @@ router.get('/notifications', authenticate, async (req, res) => {
 // Update notification settings
 router.put('/notifications', authenticate, async (req, res) => {
   try {
-    console.log('Received notification settings update request:', req.body);
     const userId = req.user.id;
     const { 
-      daysBeforeExpiration, 
+      reminderStages,
       notificationTime = '09:00', 
+      timezone,
+      digestFrequency,
+      digestWeekday,
+      digestDayOfMonth,
       sendToEmail = true, 
       emailAddress = 'admin@example.com', 
-      includeInactive = false 
+      includeInactive = false,
+      channels
     } = req.body;
 
-    // Validate input
-    if (!daysBeforeExpiration || daysBeforeExpiration < 1 || daysBeforeExpiration > 365) {
-      console.error('Invalid daysBeforeExpiration:', daysBeforeExpiration);
-      return res.status(400).json({ error: 'Days before expiration must be between 1 and 365' });
+    // Validate input; reminder stages are optional and kept as they are when left out
+    const stageErrors = reminderStages === undefined ? [] : validateStages(reminderStages);
+    if (stageErrors.length > 0) {
+      console.error('Invalid reminderStages:', reminderStages);
+      return res.status(400).json({ error: stageErrors.join('; ') });
+    }
+    const stages = reminderStages === undefined ? null : normalizeStages(reminderStages);
+
+    // Timezone is optional and kept as it is when left out
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'Please choose a valid timezone, e.g. Europe/Berlin' });
+    }
+
+    // Digest settings are optional too; daily keeps the staged reminders
+    const digestErrors = validateDigestSettings({
+      frequency: digestFrequency,
+      weekday: digestWeekday,
+      dayOfMonth: digestDayOfMonth
+    });
+    if (digestErrors.length > 0) {
+      return res.status(400).json({ error: digestErrors.join('; ') });
     }
 
     // Validate email if sendToEmail is true
@@ -66,92 +125,86 @@ router.put('/notifications', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'Please enter a valid email address' });
     }
 
+    // Validate the Slack / Teams / webhook channels that are switched on
+    if (channels !== undefined) {
+      if (typeof channels !== 'object' || channels === null || Array.isArray(channels)) {
+        return res.status(400).json({ error: 'Channels must be an object keyed by channel type' });
+      }
+      const channelErrors = validateChannels(channels);
+      if (channelErrors.length > 0) {
+        return res.status(400).json({ error: channelErrors.join('; ') });
+      }
+    }
+
     // Check if settings already exist
-    console.log('Checking for existing settings for user:', userId);
     const existingSettings = await pool.query(
       'SELECT * FROM user_notification_settings WHERE user_id = $1',
       [userId]
     );
 
-    console.log('Existing settings:', existingSettings.rows);
-
     try {
       if (existingSettings.rows.length > 0) {
         // Update existing settings
-        console.log('Updating existing settings for user:', userId);
-        console.log('Updating with values:', {
-          daysBeforeExpiration,
-          sendToEmail,
-          notificationTime,
-          emailAddress,
-          includeInactive,
-          userId
-        });
-        
-        // Update the settings in the database
-        const result = await pool.query(
+        await pool.query(
           `UPDATE user_notification_settings 
-           SET days_before_expiration = $1, 
+           SET reminder_stages = COALESCE($1, reminder_stages), 
                send_to_email = $2, 
                notification_time = $3,
                email_address = $4,
                include_inactive = $5,
+               channels = COALESCE($7, channels),
+               timezone = COALESCE($8, timezone),
+               digest_frequency = COALESCE($9, digest_frequency),
+               digest_weekday = COALESCE($10, digest_weekday),
+               digest_day_of_month = COALESCE($11, digest_day_of_month),
                updated_at = NOW()
            WHERE user_id = $6
            RETURNING *`,
           [
-            daysBeforeExpiration, 
+            stages, 
             sendToEmail, 
             notificationTime, 
             emailAddress, 
             includeInactive,
-            userId
+            userId,
+            channels === undefined ? null : JSON.stringify(withChannelDefaults(channels)),
+            timezone || null,
+            digestFrequency ?? null,
+            digestWeekday ?? null,
+            digestDayOfMonth ?? null
           ]
         );
-        console.log('Update result:', result.rows[0]);
-        
-        // Update the scheduler with the new settings
-        await updateUserSchedule(userId);
       } else {
         // Insert new settings
-        console.log('Inserting new settings for user:', userId);
-        console.log('Inserting with values:', {
-          userId,
-          daysBeforeExpiration,
-          sendToEmail,
-          notificationTime,
-          emailAddress,
-          includeInactive
-        });
-        
-        const result = await pool.query(
+        await pool.query(
           `INSERT INTO user_notification_settings 
-           (user_id, days_before_expiration, send_to_email, notification_time, email_address, include_inactive)
-           VALUES ($1, $2, $3, $4, $5, $6)
+           (user_id, reminder_stages, send_to_email, notification_time, email_address, include_inactive, channels, timezone,
+            digest_frequency, digest_weekday, digest_day_of_month)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
            RETURNING *`,
           [
             userId, 
-            daysBeforeExpiration, 
+            stages || DEFAULT_REMINDER_STAGES, 
             sendToEmail, 
             notificationTime, 
             emailAddress, 
-            includeInactive
+            includeInactive,
+            JSON.stringify(withChannelDefaults(channels)),
+            timezone || DEFAULT_TIMEZONE,
+            digestFrequency ?? 'daily',
+            digestWeekday ?? 1,
+            digestDayOfMonth ?? 1
           ]
         );
-        console.log('Insert result:', result.rows[0]);
-        
-        // Update the scheduler with the new settings for new users
-        await updateUserSchedule(userId);
       }
 
+      // The scheduler reads the settings from the database on every tick, so they apply from the next run
       res.json({ message: 'Notification settings updated successfully' });
     } catch (dbError) {
       console.error('Database error details:', {
         error: dbError,
         message: dbError.message,
-        stack: dbError.stack,
-        query: dbError.query,
-        parameters: dbError.parameters
+        stack: dbError.stack
       });
       logger.error('Database error updating notification settings:', dbError);
       res.status(500).json({ 
@@ -173,113 +226,269 @@ router.put('/notifications', authenticate, async (req, res) => {
   }
 });
 
-// Test email endpoint
-router.get('/test-email', authenticate, async (req, res) => {
-  const logger = require('../utils/logger');
-  
+// Load the user's saved config for a channel, used when a test request sends none
+async function getSavedChannelConfig(userId, type) {
+  const result = await pool.query(
+    `SELECT u.email, uns.email_address, uns.channels
+     FROM users u
+     LEFT JOIN user_notification_settings uns ON u.id = uns.user_id
+     WHERE u.id = $1`,
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const user = result.rows[0];
+  if (type === 'email') {
+    // Use the notification email from settings if available, otherwise fall back to the login email
+    return { address: user.email_address || user.email };
+  }
+  return withChannelDefaults(user.channels)[type];
+}
+
+// Send a sample notification through one channel and report the outcome
+async function sendChannelTest(req, res, type, config) {
+  const userId = req.user.id;
+
   try {
-    logger.info('Test email endpoint called', { userId: req.user.id });
-    const userId = req.user.id;
-    
-    // Get user's email and settings
-    const userResult = await pool.query(
-      `SELECT u.email, uns.* 
-       FROM users u 
-       LEFT JOIN user_notification_settings uns ON u.id = uns.user_id 
-       WHERE u.id = $1`,
-      [userId]
-    );
-    
-    if (userResult.rows.length === 0) {
-      logger.error('User not found in database', { userId });
-      return res.status(404).json({ 
-        success: false,
-        error: 'User not found' 
-      });
+    if (!CHANNELS[type]) {
+      return res.status(400).json({ success: false, error: `Unknown notification channel: ${type}` });
     }
-    
-    const user = userResult.rows[0];
-    // Use the notification email from settings if available, otherwise fall back to user's login email
-    const recipient = user.email_address || user.email;
-    
-    if (!recipient) {
-      logger.error('No email address found for user', { userId, hasEmail: !!user.email });
-      return res.status(400).json({ 
-        success: false,
-        error: 'No email address found for your user account. Please update your profile with a valid email address.' 
-      });
+
+    const channelConfig = config || await getSavedChannelConfig(userId, type);
+    if (!channelConfig) {
+      return res.status(404).json({ success: false, error: 'User not found' });
     }
-    
-    logger.info('Sending test email to user:', { 
-      recipient, 
-      userId: user.id,
-      userEmail: user.email,
-      userData: JSON.stringify(user, null, 2)
+
+    logger.info('Sending test notification', { userId, type });
+    await sendToChannel(type, channelConfig, testNotification());
+
+    logger.info('Test notification sent successfully', { userId, type });
+    return res.json({
+      success: true,
+      message: type === 'email'
+        ? `Test email sent to ${channelConfig.address}`
+        : `Test notification sent to ${CHANNELS[type].label}`
     });
-    
-    // Create a test contract
-    const testContract = {
-      id: 'test-123',
-      name: 'Test License',
-      vendor_name: 'Test Vendor',
-      customer_name: 'Test Customer',
-      expiration_date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days from now
-      status: 'Active'
-    };
-    
-    try {
-      // Send test email
-      await sendLicenseExpirationEmail(
-        recipient,
-        testContract.name,
-        testContract.vendor_name,
-        testContract.customer_name,
-        testContract.expiration_date,
-        7 // days until expiration
-      );
-      
-      logger.info('Test email sent successfully', { recipient });
-      return res.json({ 
-        success: true, 
-        message: `Test email sent to ${recipient}` 
-      });
-      
-    } catch (emailError) {
-      logger.error('Error in sendLicenseExpirationEmail:', {
-        error: emailError.message,
-        stack: emailError.stack,
-        recipient,
-        userId
-      });
-      
-      // Check for common SMTP errors
-      let errorMessage = 'Failed to send test email';
-      if (emailError.message.includes('Invalid login')) {
-        errorMessage = 'Invalid email credentials. Please check your Gmail settings.';
-      } else if (emailError.message.includes('Connection timeout')) {
-        errorMessage = 'Connection to email server timed out. Please check your internet connection.';
-      }
-      
-      return res.status(500).json({ 
-        success: false, 
-        error: errorMessage,
-        details: process.env.NODE_ENV === 'development' ? emailError.message : undefined
-      });
-    }
-    
   } catch (error) {
-    logger.error('Unexpected error in test email endpoint:', {
+    if (error.code === 'INVALID_CHANNEL_CONFIG') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error.code === 'EMAIL_NOT_CONFIGURED') {
+      return res.status(503).json({ success: false, error: 'Email is not configured. Ask an administrator to set up the SMTP server.' });
+    }
+
+    logger.error(`Error sending test ${type} notification:`, {
       error: error.message,
       stack: error.stack,
-      userId: req.user?.id
+      userId
     });
-    
-    return res.status(500).json({ 
-      success: false, 
-      error: 'Internal server error',
+
+    // Delivery failed on the other side (SMTP server, Slack, Teams or the webhook endpoint)
+    return res.status(502).json({
+      success: false,
+      error: `Failed to send test notification to ${CHANNELS[type].label}`,
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
+}
+
+// Test a notification channel; body { config } tests unsaved settings, otherwise the saved ones are used.
+// Webhook URLs get the same https and public-address checks as scheduled deliveries
+router.post('/notifications/channels/:type/test', authenticate, (req, res) =>
+  sendChannelTest(req, res, req.params.type, req.body?.config)
+);
+
+// Test email endpoint (kept for older clients; same as testing the email channel)
+router.get('/test-email', authenticate, (req, res) => sendChannelTest(req, res, 'email'));
+
+// Get the SMTP server settings (the password is never returned)
+router.get('/smtp', authenticate, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const settings = await getSmtpSettings();
+    res.json(toPublicSettings(settings));
+  } catch (error) {
+    logger.error('Error fetching SMTP settings:', error);
+    res.status(500).json({ error: 'Failed to fetch SMTP settings' });
+  }
+});
+
+// Update the SMTP server settings; leave out password to keep the saved one, send '' to remove it
+router.put('/smtp', authenticate, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const current = await getSmtpSettings();
+    const settings = mergeSmtpSettings(current, req.body || {});
+
+    const errors = validateSmtpSettings(settings);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    await saveSmtpSettings(settings, req.user.id);
+
+    const saved = toPublicSettings({ ...settings, source: 'database' });
+    await AuditLog.record(req, {
+      action: 'update',
+      entityType: 'smtp_settings',
+      entityId: null,
+      oldValues: current.source === 'database' ? toPublicSettings(current) : null,
+      newValues: saved
+    });
+
+    logger.info('SMTP settings updated', { userId: req.user.id, host: settings.host });
+    res.json(saved);
+  } catch (error) {
+    if (error.code === 'ENCRYPTION_KEY_MISSING') {
+      return res.status(400).json({ error: 'LICENSE_KEY_ENCRYPTION_KEY must be set on the server to store an SMTP password' });
+    }
+    logger.error('Error updating SMTP settings:', error);
+    res.status(500).json({ error: 'Failed to update SMTP settings' });
+  }
+});
+
+// Check SMTP settings by connecting and sending a test email; body may carry unsaved settings and { to }
+router.post('/smtp/test', authenticate, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const { to, ...changes } = req.body || {};
+    const settings = mergeSmtpSettings(await getSmtpSettings(), changes);
+    const recipient = to || req.user.email;
+
+    const errors = validateSmtpSettings(settings);
+    if (!/^\S+@\S+\.\S+$/.test(recipient || '')) {
+      errors.push('A valid recipient address is required');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+
+    await sendTestMail(settings, recipient);
+
+    logger.info('SMTP test email sent', { userId: req.user.id, host: settings.host, recipient });
+    res.json({ success: true, message: `Test email sent to ${recipient}` });
+  } catch (error) {
+    logger.error('SMTP test failed:', { error: error.message, userId: req.user.id });
+    // Admins need the server's answer (auth failure, refused connection, certificate) to fix the settings
+    res.status(502).json({ success: false, error: `SMTP test failed: ${error.message}` });
+  }
+});
+
+// The subject, html and text of a template
+const templateParts = (source) => TEMPLATE_PARTS.reduce((parts, part) => ({ ...parts, [part]: source?.[part] }), {});
+
+// Get the notification email templates, with the saved or default version in use
+router.get('/templates', authenticate, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    res.json(await listTemplates());
+  } catch (error) {
+    logger.error('Error fetching email templates:', error);
+    res.status(500).json({ error: 'Failed to fetch email templates' });
+  }
+});
+
+router.get('/templates/:id', authenticate, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    res.json(await getTemplate(req.params.id));
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    logger.error('Error fetching email template:', error);
+    res.status(500).json({ error: 'Failed to fetch email template' });
+  }
+});
+
+// Save a customized template; subject, html and text are all required
+router.put('/templates/:id', authenticate, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const previous = await getTemplate(req.params.id);
+    const template = templateParts(req.body);
+
+    const errors = validateTemplate(template);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const saved = await saveTemplate(req.params.id, template, req.user.id);
+    await AuditLog.record(req, {
+      action: 'update',
+      entityType: 'email_template',
+      entityId: null,
+      oldValues: { id: previous.id, customized: previous.customized, ...templateParts(previous) },
+      newValues: { id: saved.id, ...template }
+    });
+
+    logger.info('Email template updated', { userId: req.user.id, template: req.params.id });
+    res.json(saved);
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    logger.error('Error updating email template:', error);
+    res.status(500).json({ error: 'Failed to update email template' });
+  }
+});
+
+// Drop a customized template so the built-in default is used again
+router.delete('/templates/:id', authenticate, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const previous = await getTemplate(req.params.id);
+    const template = await resetTemplate(req.params.id);
+
+    if (previous.customized) {
+      await AuditLog.record(req, {
+        action: 'delete',
+        entityType: 'email_template',
+        entityId: null,
+        oldValues: { id: previous.id, ...templateParts(previous) }
+      });
+    }
+
+    res.json(template);
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    logger.error('Error resetting email template:', error);
+    res.status(500).json({ error: 'Failed to reset email template' });
+  }
+});
+
+// Render a template without sending it. Body may carry unsaved subject/html/text and
+// licenseIds to render real licenses; sample licenses are used otherwise
+router.post('/templates/:id/preview', authenticate, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const { licenseIds = [], ...changes } = req.body || {};
+    const saved = await getTemplate(req.params.id);
+    const template = templateParts(saved);
+    TEMPLATE_PARTS.filter(part => changes[part] !== undefined).forEach(part => { template[part] = changes[part]; });
+
+    const errors = validateTemplate(template);
+    if (!Array.isArray(licenseIds) || licenseIds.length > 50 || !licenseIds.every(id => Number.isInteger(Number(id)) && Number(id) > 0)) {
+      errors.push('licenseIds must be a list of at most 50 license IDs');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const licenses = licenseIds.length > 0
+      ? await getLicensesByIds(licenseIds.map(Number), req.user.customerIds)
+      : [];
+    if (licenseIds.length > 0 && licenses.length === 0) {
+      return res.status(404).json({ error: 'None of the licenses were found' });
+    }
+
+    const items = licenses.map(license => ({ license, daysUntilExpiry: license.days_until_expiry }));
+    const view = previewView(req.params.id, items, { userEmail: req.user.email });
+    res.json({ sample: items.length === 0, ...renderTemplate(template, view) });
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    logger.error('Error previewing email template:', error);
+    res.status(500).json({ error: 'Failed to preview email template' });
+  }
 });
 
 module.exports = router;
@@ -1,13 +1,25 @@
 const express = require('express');
 const { check, validationResult } = require('express-validator');
+const bcrypt = require('bcryptjs');
+const { pool } = require('../config/db');
 const User = require('../models/user');
-const { authenticate, authorize } = require('../middleware/auth');
+const AuditLog = require('../models/auditLog');
+const Role = require('../models/role');
+const { authenticate, requirePermission, hasPermission } = require('../middleware/auth');
 const router = express.Router();
 
+// Reject roles that do not exist in the roles table
+const roleExists = async (role) => {
+  await Role.findByName(role).catch(() => {
+    throw new Error('Invalid role');
+  });
+  return true;
+};
+
 // @route   GET api/users
-// @desc    Get all users (admin only)
-// @access  Private/Admin
-router.get('/', authenticate, authorize(['admin']), async (req, res) => {
+// @desc    Get all users
+// @access  Private/users:manage
+router.get('/', authenticate, requirePermission('users:manage'), async (req, res) => {
   try {
     const users = await User.getAll();
     res.json(users);
@@ -17,13 +29,57 @@ router.get('/', authenticate, authorize(['admin']), async (req, res) => {
   }
 });
 
+// @route   POST api/users
+// @desc    Create a user with a role
+// @access  Private/users:manage
+router.post(
+  '/',
+  [
+    authenticate,
+    requirePermission('users:manage'),
+    [
+      check('username', 'Username is required').not().isEmpty(),
+      check('email', 'Please include a valid email').isEmail(),
+      check('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 }),
+      check('full_name', 'Full name is required').not().isEmpty(),
+      check('role', 'Invalid role').custom(roleExists)
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { username, email, password, full_name, role } = req.body;
+      const user = await User.create({ username, email, password, full_name, role });
+
+      await AuditLog.record(req, {
+        action: 'create',
+        entityType: 'user',
+        entityId: user.id,
+        newValues: await User.findById(user.id)
+      });
+
+      res.status(201).json(user);
+    } catch (err) {
+      console.error('Error creating user:', err);
+      if (err.code === '23505') { // Unique violation
+        return res.status(400).json({ errors: [{ msg: 'Username or email already in use' }] });
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
 // @route   GET api/users/:id
 // @desc    Get user by ID
 // @access  Private
 router.get('/:id', authenticate, async (req, res) => {
   try {
-    // Only allow admin or the user themselves to access the profile
-    if (req.user.role !== 'admin' && req.user.id !== parseInt(req.params.id)) {
+    // Only allow user managers or the user themselves to access the profile
+    if (!hasPermission(req.user, 'users:manage') && req.user.id !== parseInt(req.params.id)) {
       return res.status(403).json({ msg: 'Not authorized to access this resource' });
     }
 
@@ -51,7 +107,7 @@ router.put(
     [
       check('email', 'Please include a valid email').optional().isEmail(),
       check('full_name', 'Full name is required').optional().not().isEmpty(),
-      check('role', 'Invalid role').optional().isIn(['user', 'admin']),
+      check('role', 'Invalid role').optional().custom(roleExists),
       check('is_active', 'is_active must be a boolean').optional().isBoolean()
     ]
   ],
@@ -61,18 +117,26 @@ router.put(
       return res.status(400).json({ errors: errors.array() });
     }
 
-    // Only allow admin or the user themselves to update the profile
-    if (req.user.role !== 'admin' && req.user.id !== parseInt(req.params.id)) {
+    const canManageUsers = hasPermission(req.user, 'users:manage');
+    const isSelf = req.user.id === parseInt(req.params.id);
+
+    // Only allow user managers or the user themselves to update the profile
+    if (!canManageUsers && !isSelf) {
       return res.status(403).json({ msg: 'Not authorized to update this user' });
     }
 
-    // Non-admin users cannot change their role or active status
-    if (req.user.role !== 'admin') {
+    // Only user managers can change roles or active status
+    if (!canManageUsers) {
       if ('role' in req.body || 'is_active' in req.body) {
         return res.status(403).json({ msg: 'Not authorized to update this field' });
       }
     }
 
+    // Managers cannot lock themselves out
+    if (isSelf && ((req.body.role && req.body.role !== req.user.role) || req.body.is_active === false)) {
+      return res.status(400).json({ msg: 'Cannot change your own role or deactivate your own account' });
+    }
+
     try {
       const { email, full_name, role, is_active } = req.body;
       const updateData = {};
@@ -82,7 +146,21 @@ router.put(
       if (role) updateData.role = role;
       if (is_active !== undefined) updateData.is_active = is_active;
 
+      const previous = await User.findById(req.params.id);
+      if (!previous) {
+        return res.status(404).json({ msg: 'User not found' });
+      }
+
       const user = await User.update(req.params.id, updateData);
+
+      await AuditLog.record(req, {
+        action: 'update',
+        entityType: 'user',
+        entityId: user.id,
+        oldValues: previous,
+        newValues: await User.findById(user.id)
+      });
+
       res.json(user);
     } catch (err) {
       console.error('Error updating user:', err);
@@ -96,15 +174,28 @@ router.put(
 
 // @route   DELETE api/users/:id
 // @desc    Delete user
-// @access  Private/Admin
-router.delete('/:id', authenticate, authorize(['admin']), async (req, res) => {
+// @access  Private/users:manage
+router.delete('/:id', authenticate, requirePermission('users:manage'), async (req, res) => {
   try {
     // Prevent self-deletion
     if (req.user.id === parseInt(req.params.id)) {
       return res.status(400).json({ msg: 'Cannot delete your own account' });
     }
 
+    const previous = await User.findById(req.params.id);
+    if (!previous) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
     await User.delete(req.params.id);
+
+    await AuditLog.record(req, {
+      action: 'delete',
+      entityType: 'user',
+      entityId: previous.id,
+      oldValues: previous
+    });
+
     res.json({ msg: 'User deleted' });
   } catch (err) {
     console.error('Error deleting user:', err);
@@ -112,6 +203,71 @@ router.delete('/:id', authenticate, authorize(['admin']), async (req, res) => {
   }
 });
 
+// @route   GET api/users/:id/customers
+// @desc    Get the customers assigned to a user
+// @access  Private/users:manage
+router.get('/:id/customers', authenticate, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const customers = await User.getCustomers(user.id);
+    res.json(customers);
+  } catch (err) {
+    console.error('Error fetching user customers:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/users/:id/customers
+// @desc    Replace the customers assigned to a user
+// @access  Private/users:manage
+router.put(
+  '/:id/customers',
+  [
+    authenticate,
+    requirePermission('users:manage'),
+    [
+      check('customerIds', 'customerIds must be a list').isArray(),
+      check('customerIds.*', 'Invalid customer ID').isInt({ min: 1 }).toInt()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({ msg: 'User not found' });
+      }
+
+      const previous = await User.getCustomers(user.id);
+      const customers = await User.setCustomers(user.id, req.body.customerIds);
+
+      await AuditLog.record(req, {
+        action: 'update',
+        entityType: 'user',
+        entityId: user.id,
+        oldValues: { customers: previous.map(customer => customer.name) },
+        newValues: { customers: customers.map(customer => customer.name) }
+      });
+
+      res.json(customers);
+    } catch (err) {
+      console.error('Error updating user customers:', err);
+      if (err.code === '23503') { // Foreign key violation
+        return res.status(400).json({ errors: [{ msg: 'Invalid customer ID' }] });
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
 // @route   PUT api/users/:id/password
 // @desc    Change password
 // @access  Private
@@ -160,6 +316,13 @@ router.put(
         [hashedPassword, req.user.id]
       );
 
+      // Never store password material in the audit trail
+      await AuditLog.record(req, {
+        action: 'password_change',
+        entityType: 'user',
+        entityId: req.user.id
+      });
+
       res.json({ msg: 'Password updated successfully' });
     } catch (err) {
       console.error('Error changing password:', err);
@@ -1,9 +1,23 @@
 const express = require('express');
 const { check, query, validationResult } = require('express-validator');
 const Vendor = require('../models/vendor');
-const { authenticate } = require('../middleware/auth');
+const AuditLog = require('../models/auditLog');
+const { EXPORT_FORMATS, streamExport } = require('../services/exportService');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const router = express.Router();
 
+// Columns included in exports, in output order
+const EXPORT_COLUMNS = [
+  { key: 'name', label: 'Name', width: 30 },
+  { key: 'contact_person', label: 'Contact Person', width: 20 },
+  { key: 'email', label: 'Email', width: 25 },
+  { key: 'phone', label: 'Phone', width: 15 },
+  { key: 'website', label: 'Website', width: 25 },
+  { key: 'address', label: 'Address', width: 30 },
+  { key: 'renewal_uplift_percent', label: 'Renewal Uplift %', type: 'number', width: 10 },
+  { key: 'created_at', label: 'Created', type: 'date', width: 12 }
+];
+
 // Validation middleware
 const validateVendor = [
   check('name', 'Name is required').not().isEmpty(),
@@ -12,15 +26,18 @@ const validateVendor = [
   check('phone', 'Phone number must be valid').optional().isMobilePhone(),
   check('website', 'Website must be a valid URL').optional().isURL(),
   check('address', 'Address must be a string').optional().isString(),
-  check('notes', 'Notes must be a string').optional().isString()
+  check('notes', 'Notes must be a string').optional().isString(),
+  check('renewal_uplift_percent', 'Renewal uplift must be a percentage above -100 and up to 1000')
+    .optional().isFloat({ gt: -100, max: 1000 }).toFloat()
 ];
 
 // @route   GET api/vendors
 // @desc    Get all vendors with search and pagination
-// @access  Private
+// @access  Private/vendors:read
 router.get(
   '/',
   authenticate,
+  requirePermission('vendors:read'),
   [
     query('search').optional().isString().trim(),
     query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
@@ -62,10 +79,50 @@ router.get(
   }
 );
 
+// @route   GET api/vendors/export
+// @desc    Export all vendors matching the search as CSV, XLSX or PDF
+// @access  Private/vendors:read
+router.get(
+  '/export',
+  authenticate,
+  requirePermission('vendors:read'),
+  [
+    query('search').optional().isString().trim(),
+    query('format').optional().isIn(EXPORT_FORMATS)
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { search = '', format = 'csv' } = req.query;
+
+      await streamExport(res, {
+        format,
+        filename: 'vendors',
+        title: 'Vendors',
+        columns: EXPORT_COLUMNS,
+        fetchPage: async ({ limit, offset }) => {
+          const { data } = await Vendor.getAll({ search, limit, offset });
+          return data;
+        }
+      });
+    } catch (err) {
+      console.error('Error exporting vendors:', err);
+      if (res.headersSent) {
+        return res.destroy(err);
+      }
+      res.status(500).send('Server error');
+    }
+  }
+);
+
 // @route   GET api/vendors/:id
 // @desc    Get vendor by ID
-// @access  Private
-router.get('/:id', authenticate, async (req, res) => {
+// @access  Private/vendors:read
+router.get('/:id', authenticate, requirePermission('vendors:read'), async (req, res) => {
   try {
     const vendor = await Vendor.findById(req.params.id);
     res.json(vendor);
@@ -80,10 +137,10 @@ router.get('/:id', authenticate, async (req, res) => {
 
 // @route   POST api/vendors
 // @desc    Create a new vendor
-// @access  Private
+// @access  Private/vendors:write
 router.post(
   '/',
-  [authenticate, ...validateVendor],
+  [authenticate, requirePermission('vendors:write'), ...validateVendor],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -97,6 +154,14 @@ router.post(
       };
       
       const vendor = await Vendor.create(vendorData);
+
+      await AuditLog.record(req, {
+        action: 'create',
+        entityType: 'vendor',
+        entityId: vendor.id,
+        newValues: await Vendor.findById(vendor.id)
+      });
+
       res.status(201).json(vendor);
     } catch (err) {
       console.error('Error creating vendor:', err);
@@ -110,10 +175,10 @@ router.post(
 
 // @route   PUT api/vendors/:id
 // @desc    Update a vendor
-// @access  Private
+// @access  Private/vendors:write
 router.put(
   '/:id',
-  [authenticate, ...validateVendor],
+  [authenticate, requirePermission('vendors:write'), ...validateVendor],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -121,7 +186,17 @@ router.put(
     }
 
     try {
+      const previous = await Vendor.findById(req.params.id);
       const vendor = await Vendor.update(req.params.id, req.body);
+
+      await AuditLog.record(req, {
+        action: 'update',
+        entityType: 'vendor',
+        entityId: vendor.id,
+        oldValues: previous,
+        newValues: await Vendor.findById(vendor.id)
+      });
+
       res.json(vendor);
     } catch (err) {
       console.error('Error updating vendor:', err);
@@ -138,10 +213,19 @@ router.put(
 
 // @route   DELETE api/vendors/:id
 // @desc    Delete a vendor
-// @access  Private
-router.delete('/:id', authenticate, async (req, res) => {
+// @access  Private/vendors:delete
+router.delete('/:id', authenticate, requirePermission('vendors:delete'), async (req, res) => {
   try {
+    const previous = await Vendor.findById(req.params.id);
     await Vendor.delete(req.params.id);
+
+    await AuditLog.record(req, {
+      action: 'delete',
+      entityType: 'vendor',
+      entityId: previous.id,
+      oldValues: previous
+    });
+
     res.json({ msg: 'Vendor removed' });
   } catch (err) {
     console.error('Error deleting vendor:', err);
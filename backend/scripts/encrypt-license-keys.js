@@ -0,0 +1,51 @@
+require('dotenv').config();
+const { pool } = require('../config/db');
+const { encrypt, isEncrypted, lookupHash } = require('../utils/crypto');
+
+// Encrypt license keys still stored as plain text (run once after migration 013).
+// Safe to run again: rows that are already encrypted are skipped.
+async function encryptLicenseKeys() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT id, license_key FROM licenses
+       WHERE license_key IS NOT NULL
+       FOR UPDATE`
+    );
+
+    let encrypted = 0;
+    for (const { id, license_key } of result.rows) {
+      if (isEncrypted(license_key)) {
+        continue;
+      }
+
+      const key = license_key.trim();
+      await client.query(
+        `UPDATE licenses
+         SET license_key = $2, license_key_hash = $3, license_key_last4 = $4
+         WHERE id = $1`,
+        [id, encrypt(key), lookupHash(key), key.slice(-4)]
+      );
+      encrypted += 1;
+    }
+
+    await client.query('COMMIT');
+    console.log(`Encrypted ${encrypted} of ${result.rows.length} license keys`);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+encryptLicenseKeys()
+  .then(() => pool.end())
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error('Encrypting license keys failed:', err);
+    process.exit(1);
+  });
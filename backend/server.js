@@ -11,12 +11,16 @@ const vendorRoutes = require('./routes/vendors');
 const licenseRoutes = require('./routes/licenses');
 const dashboardRoutes = require('./routes/dashboard');
 const settingsRoutes = require('./routes/settings');
+const auditLogRoutes = require('./routes/auditLogs');
+const roleRoutes = require('./routes/roles');
+const notificationRoutes = require('./routes/notifications');
+const exchangeRateRoutes = require('./routes/exchangeRates');
 
 // Import database configuration
 const { pool } = require('./config/db');
 
 // Import scheduler
-const { initScheduler } = require('./services/scheduler');
+const { initScheduler, stopScheduler } = require('./services/scheduler');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -27,6 +31,8 @@ app.use((req, res, next) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  // Let the frontend read the suggested filename of exported files
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
   
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -79,6 +85,10 @@ app.use('/api/vendors', vendorRoutes);
 app.use('/api/licenses', licenseRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -132,13 +142,10 @@ const server = app.listen(PORT, () => {
   
   // Initialize the scheduler in non-test environment
   if (process.env.NODE_ENV !== 'test') {
-    initScheduler().then(tasks => {
-      logger.info(`Initialized ${tasks.length} scheduled notification tasks`);
-    }).catch(error => {
+    initScheduler().catch(error => {
       logger.error('Failed to initialize scheduler:', error);
     });
   }
-  logger.info('Notification job started');
 });
 
 // Handle unhandled promise rejections
@@ -168,7 +175,7 @@ module.exports = {
   app, 
   server,
   close: () => {
-    notificationJob.stop();
+    stopScheduler();
     return new Promise((resolve) => {
       server.close(resolve);
     });
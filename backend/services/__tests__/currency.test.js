@@ -0,0 +1,85 @@
+jest.mock('../../config/db', () => ({ pool: { query: jest.fn() } }));
+jest.mock('../../models/appSetting');
+
+const AppSetting = require('../../models/appSetting');
+const {
+  DEFAULT_REPORTING_CURRENCY,
+  isCurrencyCode,
+  getReportingCurrency,
+  saveReportingCurrency,
+  parseRatesCsv
+} = require('../currency');
+
+const csv = (text) => Buffer.from(text);
+
+describe('isCurrencyCode', () => {
+  test('accepts three upper-case letters only', () => {
+    expect(isCurrencyCode('EUR')).toBe(true);
+    expect(isCurrencyCode('eur')).toBe(false);
+    expect(isCurrencyCode('EURO')).toBe(false);
+    expect(isCurrencyCode('')).toBe(false);
+  });
+});
+
+describe('parseRatesCsv', () => {
+  test('reads rates with any accepted header spelling', () => {
+    const { rates, errors } = parseRatesCsv(csv('\uFEFFDate,From Currency,to,Exchange-Rate\n2026-01-31, eur ,usd,1.08\n'));
+
+    expect(errors).toEqual([]);
+    expect(rates).toEqual([{ rate_date: '2026-01-31', base_currency: 'EUR', quote_currency: 'USD', rate: 1.08 }]);
+  });
+
+  test('reports invalid rows by line number and keeps the valid ones', () => {
+    const { rates, errors } = parseRatesCsv(csv([
+      'date,base,quote,rate',
+      '2026-01-31,EUR,USD,1.08',
+      '2026-02-30,EUR,EUR,0',
+      '',
+      '2026-03-01,EU,USD,'
+    ].join('\n')));
+
+    expect(rates).toHaveLength(1);
+    expect(errors).toEqual([
+      {
+        row: 3,
+        errors: ['Base and quote currency must differ', 'Date must be a valid YYYY-MM-DD date', 'Rate must be a positive number']
+      },
+      {
+        row: 4,
+        errors: ['Base currency must be a 3-letter code', 'Rate must be a positive number']
+      }
+    ]);
+  });
+
+  test('rejects files with too many rates', () => {
+    const rows = Array.from({ length: 5001 }, () => '2026-01-31,EUR,USD,1.08');
+    expect(() => parseRatesCsv(csv(['date,base,quote,rate', ...rows].join('\n'))))
+      .toThrow(expect.objectContaining({ code: 'INVALID_FILE' }));
+  });
+});
+
+describe('reporting currency', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('uses the saved currency', async () => {
+    AppSetting.get.mockResolvedValue({ currency: 'EUR' });
+
+    await expect(getReportingCurrency()).resolves.toBe('EUR');
+    expect(AppSetting.get).toHaveBeenCalledWith('reporting_currency');
+  });
+
+  test('falls back to the default until one is saved', async () => {
+    AppSetting.get.mockResolvedValue(null);
+
+    await expect(getReportingCurrency()).resolves.toBe(DEFAULT_REPORTING_CURRENCY);
+  });
+
+  test('saves the currency with the user who changed it', async () => {
+    AppSetting.set.mockResolvedValue({ currency: 'GBP' });
+
+    await expect(saveReportingCurrency('GBP', 5)).resolves.toBe('GBP');
+    expect(AppSetting.set).toHaveBeenCalledWith('reporting_currency', { currency: 'GBP' }, 5);
+  });
+});
@@ -0,0 +1,46 @@
+const {
+  DEFAULT_REMINDER_STAGES,
+  MAX_STAGE_DAYS,
+  normalizeStages,
+  validateStages
+} = require('../reminderStages');
+
+describe('normalizeStages', () => {
+  test('removes duplicates and sorts largest first', () => {
+    expect(normalizeStages([7, '30', 1, 30, '7'])).toEqual([30, 7, 1]);
+  });
+
+  test('treats missing stages as none', () => {
+    expect(normalizeStages(null)).toEqual([]);
+  });
+});
+
+describe('validateStages', () => {
+  test('accepts the default stages', () => {
+    expect(validateStages(DEFAULT_REMINDER_STAGES)).toEqual([]);
+  });
+
+  test('accepts whole numbers sent as strings and the bounds', () => {
+    expect(validateStages(['0', 14, MAX_STAGE_DAYS])).toEqual([]);
+  });
+
+  test('requires at least one stage', () => {
+    expect(validateStages([])).toEqual(['At least one reminder stage is required']);
+    expect(validateStages('30')).toEqual(['At least one reminder stage is required']);
+  });
+
+  test('limits the number of stages', () => {
+    expect(validateStages([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11])).toEqual(['At most 10 reminder stages are allowed']);
+  });
+
+  test('rejects values that are not whole numbers', () => {
+    ['', null, 1.5, 'abc'].forEach(stage => {
+      expect(validateStages([30, stage])).toEqual(['Reminder stages must be whole numbers of days']);
+    });
+  });
+
+  test('rejects stages out of range', () => {
+    expect(validateStages([-1])).toEqual([`Reminder stages must be between 0 and ${MAX_STAGE_DAYS} days`]);
+    expect(validateStages([MAX_STAGE_DAYS + 1])).toEqual([`Reminder stages must be between 0 and ${MAX_STAGE_DAYS} days`]);
+  });
+});
@@ -0,0 +1,147 @@
+const { projectRenewals, groupRenewals } = require('../renewalForecast');
+
+// DATE columns come back from pg as local midnight
+const day = (year, month, date) => new Date(year, month - 1, date);
+
+// The current time, as a UTC instant
+const at = (iso) => new Date(iso);
+
+const license = (overrides) => ({
+  id: 1,
+  name: 'Office',
+  vendor_id: 10,
+  vendor_name: 'Vendor',
+  customer_id: 20,
+  customer_name: 'Customer',
+  currency: 'USD',
+  cost: '100.00',
+  renewal_uplift_percent: 0,
+  term_start: null,
+  ...overrides
+});
+
+const renewalDates = (result) => result.renewals.map(renewal => renewal.date);
+
+describe('projectRenewals', () => {
+  const today = at('2026-10-19T12:00:00Z');
+
+  test('lists the months of the window from the current month', () => {
+    const { months } = projectRenewals([], { months: 4, today: at('2026-11-30T12:00:00Z') });
+    expect(months).toEqual(['2026-11', '2026-12', '2027-01', '2027-02']);
+  });
+
+  test('renews yearly licenses once a year with the uplift', () => {
+    const result = projectRenewals(
+      [license({ expiration_date: day(2026, 12, 1), term_start: day(2025, 12, 1), renewal_uplift_percent: 10 })],
+      { months: 24, today }
+    );
+
+    expect(result.renewals).toEqual([
+      expect.objectContaining({ license_id: 1, date: '2026-12-01', month: '2026-12', cost: 110 }),
+      expect.objectContaining({ license_id: 1, date: '2027-12-01', month: '2027-12', cost: 121 })
+    ]);
+  });
+
+  test('renews monthly terms every month and keeps month ends', () => {
+    const result = projectRenewals(
+      [license({ expiration_date: day(2027, 1, 31), term_start: day(2026, 12, 31) })],
+      { months: 3, today: at('2027-01-01T12:00:00Z') }
+    );
+
+    expect(renewalDates(result)).toEqual(['2027-01-31', '2027-02-28', '2027-03-31']);
+  });
+
+  test('repeats terms that are not whole months by days', () => {
+    const result = projectRenewals(
+      [license({ expiration_date: day(2026, 10, 31), term_start: day(2026, 9, 1) })],
+      { months: 6, today }
+    );
+
+    expect(renewalDates(result)).toEqual(['2026-10-31', '2026-12-30', '2027-02-28']);
+  });
+
+  test('renews yearly without a term start or with a very short term', () => {
+    const result = projectRenewals(
+      [
+        license({ id: 1, expiration_date: day(2026, 11, 15) }),
+        license({ id: 2, expiration_date: day(2026, 11, 15), term_start: day(2026, 11, 1) })
+      ],
+      { months: 12, today }
+    );
+
+    expect(renewalDates(result)).toEqual(['2026-11-15', '2026-11-15']);
+  });
+
+  test('reports licenses that expired earlier this month as overdue', () => {
+    const result = projectRenewals(
+      [
+        license({ id: 1, name: 'Overdue', expiration_date: day(2026, 10, 5), renewal_uplift_percent: 10 }),
+        license({ id: 2, name: 'Today', expiration_date: day(2026, 10, 19) }),
+        license({ id: 3, name: 'Last month', expiration_date: day(2026, 9, 30) }),
+        license({ id: 4, name: 'No expiry', expiration_date: null })
+      ],
+      { months: 3, today }
+    );
+
+    expect(result.renewals.map(renewal => renewal.license_id)).toEqual([2]);
+    expect(result.overdue).toEqual([
+      expect.objectContaining({ license_id: 1, expiration_date: '2026-10-05', cost: 100, currency: 'USD' })
+    ]);
+  });
+
+  test('leaves out licenses that expired before the current month', () => {
+    const result = projectRenewals(
+      [license({ expiration_date: day(2026, 9, 30), term_start: day(2026, 8, 31) })],
+      { months: 3, today }
+    );
+
+    expect(result.renewals).toEqual([]);
+    expect(result.overdue).toEqual([]);
+  });
+
+  test('takes today and the months in UTC', () => {
+    // Already November in UTC+ zones, still October in UTC- ones
+    const rows = [license({ expiration_date: day(2026, 10, 31) })];
+
+    const lateOctober = projectRenewals(rows, { months: 2, today: at('2026-10-31T23:30:00Z') });
+    expect(lateOctober.months).toEqual(['2026-10', '2026-11']);
+    expect(renewalDates(lateOctober)).toEqual(['2026-10-31']);
+
+    const earlyNovember = projectRenewals(rows, { months: 2, today: at('2026-11-01T00:30:00Z') });
+    expect(earlyNovember.months).toEqual(['2026-11', '2026-12']);
+    expect(earlyNovember.renewals).toEqual([]);
+    expect(earlyNovember.overdue).toEqual([]);
+  });
+
+  test('leaves out renewals after the window', () => {
+    const result = projectRenewals(
+      [license({ expiration_date: day(2027, 1, 1) })],
+      { months: 3, today }
+    );
+
+    expect(result.renewals).toEqual([]);
+  });
+});
+
+describe('groupRenewals', () => {
+  const months = ['2026-10', '2026-11'];
+  const renewals = [
+    { vendor_id: 1, vendor_name: 'B', month: '2026-10', cost: 10.1 },
+    { vendor_id: 1, vendor_name: 'B', month: '2026-11', cost: 10.2 },
+    { vendor_id: 2, vendor_name: 'A', month: '2026-11', cost: 20.3 },
+    { vendor_id: null, vendor_name: null, month: '2026-10', cost: 5 }
+  ];
+
+  test('totals each group per month, largest first', () => {
+    const groups = groupRenewals(renewals, months, {
+      key: renewal => renewal.vendor_id,
+      label: renewal => renewal.vendor_name || 'No vendor'
+    });
+
+    expect(groups).toEqual([
+      { key: 2, label: 'A', renewals: 1, total: 20.3, months: [0, 20.3] },
+      { key: 1, label: 'B', renewals: 2, total: 20.3, months: [10.1, 10.2] },
+      { key: null, label: 'No vendor', renewals: 1, total: 5, months: [5, 0] }
+    ]);
+  });
+});
@@ -0,0 +1,103 @@
+jest.mock('../../config/db', () => ({ pool: { query: jest.fn() } }));
+jest.mock('../../utils/logger');
+jest.mock('../../models/notificationJob');
+jest.mock('../customerNoticeService', () => ({ processCustomerNotices: jest.fn() }));
+jest.mock('../notificationRunner', () => ({ NOTIFICATIONS_ENABLED: 'true', runUserNotifications: jest.fn() }));
+
+const { pool } = require('../../config/db');
+const NotificationJob = require('../../models/notificationJob');
+const { processCustomerNotices } = require('../customerNoticeService');
+const { runUserNotifications } = require('../notificationRunner');
+const { retryDelay, tick } = require('../scheduler');
+
+// Hand out the given jobs, then report the queue as empty
+const queue = (...jobs) => {
+  jobs.forEach(job => NotificationJob.claimNext.mockResolvedValueOnce(job));
+  NotificationJob.claimNext.mockResolvedValue(null);
+};
+
+describe('retryDelay', () => {
+  test('doubles the wait after every failed attempt', () => {
+    expect([1, 2, 3, 4].map(retryDelay)).toEqual(['5 minutes', '10 minutes', '20 minutes', '40 minutes']);
+  });
+});
+
+describe('tick', () => {
+  beforeEach(() => {
+    pool.query.mockResolvedValue({ rowCount: 0, rows: [] });
+    NotificationJob.reclaimStale.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('reclaims stale jobs before claiming new ones', async () => {
+    NotificationJob.reclaimStale.mockResolvedValue([3]);
+    queue();
+
+    await tick();
+
+    expect(NotificationJob.reclaimStale).toHaveBeenCalledWith('15 minutes');
+    expect(NotificationJob.reclaimStale.mock.invocationCallOrder[0])
+      .toBeLessThan(NotificationJob.claimNext.mock.invocationCallOrder[0]);
+  });
+
+  test('completes jobs that ran and works through the queue', async () => {
+    const result = { success: true, failed: 0 };
+    processCustomerNotices.mockResolvedValue(result);
+    queue({ id: 1, type: 'customer_notices', attempts: 1 }, { id: 2, type: 'customer_notices', attempts: 1 });
+
+    await tick();
+
+    expect(NotificationJob.complete).toHaveBeenCalledTimes(2);
+    expect(NotificationJob.complete).toHaveBeenCalledWith(expect.objectContaining({ id: 1 }), result);
+    expect(NotificationJob.fail).not.toHaveBeenCalled();
+  });
+
+  test('retries partly failed runs with backoff', async () => {
+    const result = { success: true, failed: 2 };
+    processCustomerNotices.mockResolvedValue(result);
+    const job = { id: 1, type: 'customer_notices', attempts: 3, max_attempts: 5 };
+    queue(job);
+
+    await tick();
+
+    expect(NotificationJob.fail).toHaveBeenCalledWith(job, '2 notice(s) failed', { result, retryDelay: '20 minutes' });
+    expect(NotificationJob.complete).not.toHaveBeenCalled();
+  });
+
+  test('retries daily reminders when a channel failed', async () => {
+    runUserNotifications.mockResolvedValue({
+      frequency: 'daily',
+      result: { success: true, channels: [{ type: 'email', success: true }, { type: 'slack', success: false, error: 'timeout' }] }
+    });
+    const job = { id: 1, type: 'user_notifications', user_id: 9, attempts: 1, max_attempts: 5 };
+    queue(job);
+
+    await tick();
+
+    expect(NotificationJob.fail).toHaveBeenCalledWith(job, 'slack: timeout', expect.objectContaining({ retryDelay: '5 minutes' }));
+  });
+
+  test('does not retry a digest that reached a channel', async () => {
+    const result = { success: true, channels: [{ type: 'email', success: true }, { type: 'slack', success: false }] };
+    runUserNotifications.mockResolvedValue({ frequency: 'weekly', result });
+    queue({ id: 1, type: 'user_notifications', user_id: 9, attempts: 1, max_attempts: 5 });
+
+    await tick();
+
+    expect(NotificationJob.complete).toHaveBeenCalledWith(expect.objectContaining({ id: 1 }), result);
+    expect(NotificationJob.fail).not.toHaveBeenCalled();
+  });
+
+  test('retries jobs that threw with backoff', async () => {
+    processCustomerNotices.mockRejectedValue(new Error('Connection reset'));
+    const job = { id: 1, type: 'customer_notices', attempts: 2, max_attempts: 5 };
+    queue(job);
+
+    await tick();
+
+    expect(NotificationJob.fail).toHaveBeenCalledWith(job, 'Connection reset', { retryDelay: '10 minutes' });
+  });
+});
@@ -0,0 +1,115 @@
+const { parse } = require('csv-parse/sync');
+const AppSetting = require('../models/appSetting');
+
+const REPORTING_CURRENCY_KEY = 'reporting_currency';
+
+// Used until an admin picks a reporting currency
+const DEFAULT_REPORTING_CURRENCY = (process.env.REPORTING_CURRENCY || 'USD').toUpperCase();
+
+// Upper bound on rates per imported file, like the license import
+const MAX_IMPORT_ROWS = 5000;
+
+// Accepted spellings of exchange rate CSV headers, keyed by the field they map to
+const COLUMN_ALIASES = {
+  rate_date: ['date', 'rate_date'],
+  base_currency: ['base', 'base_currency', 'from', 'from_currency'],
+  quote_currency: ['quote', 'quote_currency', 'to', 'to_currency'],
+  rate: ['rate', 'exchange_rate']
+};
+
+const HEADER_TO_FIELD = Object.entries(COLUMN_ALIASES).reduce((map, [field, aliases]) => {
+  aliases.forEach(alias => { map[alias] = field; });
+  return map;
+}, {});
+
+const isCurrencyCode = (value) => /^[A-Z]{3}$/.test(value);
+
+// YYYY-MM-DD naming a real day (2026-02-30 is rejected, not rolled over)
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !Number.isNaN(Date.parse(value)) &&
+  new Date(value).toISOString().slice(0, 10) === value;
+
+async function getReportingCurrency() {
+  const saved = await AppSetting.get(REPORTING_CURRENCY_KEY);
+  return saved?.currency || DEFAULT_REPORTING_CURRENCY;
+}
+
+async function saveReportingCurrency(currency, userId) {
+  const saved = await AppSetting.set(REPORTING_CURRENCY_KEY, { currency }, userId);
+  return saved.currency;
+}
+
+/**
+ * Check and normalize one exchange rate
+ * @param {Object} rate - base_currency, quote_currency, rate_date (YYYY-MM-DD) and rate
+ * @returns {{rate: Object|null, errors: Array<string>}}
+ */
+function normalizeRate({ base_currency, quote_currency, rate_date, rate }) {
+  const normalized = {
+    base_currency: String(base_currency || '').trim().toUpperCase(),
+    quote_currency: String(quote_currency || '').trim().toUpperCase(),
+    rate_date: String(rate_date || '').trim(),
+    rate: Number(rate)
+  };
+
+  const errors = [];
+  if (!isCurrencyCode(normalized.base_currency)) {
+    errors.push('Base currency must be a 3-letter code');
+  }
+  if (!isCurrencyCode(normalized.quote_currency)) {
+    errors.push('Quote currency must be a 3-letter code');
+  }
+  if (normalized.base_currency === normalized.quote_currency) {
+    errors.push('Base and quote currency must differ');
+  }
+  if (!isIsoDate(normalized.rate_date)) {
+    errors.push('Date must be a valid YYYY-MM-DD date');
+  }
+  if (rate === undefined || rate === null || String(rate).trim() === '' || !(normalized.rate > 0)) {
+    errors.push('Rate must be a positive number');
+  }
+
+  return { rate: errors.length === 0 ? normalized : null, errors };
+}
+
+/**
+ * Parse an exchange rate CSV with date, base, quote and rate columns
+ * @param {Buffer} buffer - File contents
+ * @returns {{rates: Array<Object>, errors: Array<{row: number, errors: Array<string>}>}}
+ */
+function parseRatesCsv(buffer) {
+  const records = parse(buffer, {
+    columns: header => header.map(column => HEADER_TO_FIELD[String(column).trim().toLowerCase().replace(/[\s-]+/g, '_')] || column),
+    bom: true,
+    trim: true,
+    skip_empty_lines: true
+  });
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    const error = new Error(`Files may contain at most ${MAX_IMPORT_ROWS} rates`);
+    error.code = 'INVALID_FILE';
+    throw error;
+  }
+
+  const rates = [];
+  const errors = [];
+  // Header is line 1, so the first record is row 2
+  records.forEach((record, index) => {
+    const result = normalizeRate(record);
+    if (result.rate) {
+      rates.push(result.rate);
+    } else {
+      errors.push({ row: index + 2, errors: result.errors });
+    }
+  });
+
+  return { rates, errors };
+}
+
+module.exports = {
+  DEFAULT_REPORTING_CURRENCY,
+  isCurrencyCode,
+  getReportingCurrency,
+  saveReportingCurrency,
+  parseRatesCsv
+};
@@ -0,0 +1,331 @@
+const { pool } = require('../config/db');
+const logger = require('../utils/logger');
+const User = require('../models/user');
+const Customer = require('../models/customer');
+const CustomerNotificationRule = require('../models/customerNotificationRule');
+const NotificationDelivery = require('../models/notificationDelivery');
+const { sendMail } = require('./mailTransport');
+const {
+  getExpiringLicenses,
+  getLicensesByIds,
+  getSentReminders,
+  recordReminders
+} = require('./notificationService');
+const { renderEmail, contactNoticeView } = require('./emailTemplates');
+
+// Reminder log channels for external contacts, kept apart from internal email so a
+// contact who is also a user of the system gets both
+const REMINDER_CHANNELS = {
+  customer: 'customer_email',
+  vendor: 'vendor_email'
+};
+
+// Licenses shown in a preview when none are due yet
+const PREVIEW_SAMPLE_SIZE = 5;
+
+function toItems(licenses, stages = new Map()) {
+  return licenses.map(license => ({
+    license,
+    daysUntilExpiry: license.days_until_expiry,
+    stage: license.reminder_stage ?? stages.get(license.id)
+  }));
+}
+
+// Distinct CC addresses, without the main recipient
+function ccList(addresses, to) {
+  const seen = new Set([String(to || '').toLowerCase()]);
+  return addresses.filter(address => {
+    const key = String(address || '').trim().toLowerCase();
+    if (!key || seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+async function getVendors(vendorIds) {
+  const result = await pool.query(
+    'SELECT id, name, contact_person, email FROM vendors WHERE id = ANY($1::int[])',
+    [vendorIds]
+  );
+  return new Map(result.rows.map(vendor => [vendor.id, vendor]));
+}
+
+/**
+ * Work out the emails a rule produces for some licenses, without rendering them
+ * @param {Object} rule - customer_notification_rules row
+ * @param {Object} customer - { id, name, contact_person, email }
+ * @param {Array} items - [{ license, daysUntilExpiry, stage }]
+ * @returns {Promise<Array<{audience: string, to: string|null, cc: string[], items: Array, vendor?: Object}>>}
+ */
+async function planNotices(rule, customer, items) {
+  const notices = [];
+  const assignedEmails = rule.customer_cc_assigned_users || rule.vendor_cc_assigned_users
+    ? (await User.getAssignedToCustomer(customer.id)).map(user => user.email).filter(Boolean)
+    : [];
+
+  if (rule.notify_customer) {
+    notices.push({
+      audience: 'customer',
+      to: customer.email || null,
+      cc: ccList([...rule.customer_cc, ...(rule.customer_cc_assigned_users ? assignedEmails : [])], customer.email),
+      items
+    });
+  }
+
+  if (rule.notify_vendor) {
+    const byVendor = new Map();
+    items.filter(({ license }) => license.vendor_id).forEach(item => {
+      byVendor.set(item.license.vendor_id, [...(byVendor.get(item.license.vendor_id) || []), item]);
+    });
+
+    const vendors = await getVendors([...byVendor.keys()]);
+    byVendor.forEach((vendorItems, vendorId) => {
+      const vendor = vendors.get(vendorId);
+      notices.push({
+        audience: 'vendor',
+        vendor,
+        to: vendor.email || null,
+        cc: ccList([...rule.vendor_cc, ...(rule.vendor_cc_assigned_users ? assignedEmails : [])], vendor.email),
+        items: vendorItems
+      });
+    });
+  }
+
+  return notices;
+}
+
+// Customer notices use the customer_notice template and vendor notices vendor_notice
+function renderNotice(notice, customer) {
+  return renderEmail(
+    `${notice.audience}_notice`,
+    contactNoticeView({ customer, vendor: notice.vendor, items: notice.items })
+  );
+}
+
+/**
+ * Email a notice, log the attempt and record the delivered reminders (not for resends)
+ * @returns {Promise<{success: boolean, deliveryId: number|null, messageId?: string, error?: string, recordError?: string}>}
+ *   recordError is set when the notice went out but its reminders could not be recorded
+ */
+async function sendNotice(notice, customer, { resentFrom = null, createdBy = null } = {}) {
+  const { subject, html, text } = await renderNotice(notice, customer);
+
+  let result;
+  try {
+    const info = await sendMail({
+      to: notice.to,
+      ...(notice.cc.length > 0 ? { cc: notice.cc } : {}),
+      subject,
+      html,
+      text
+    });
+    result = { success: true, messageId: info.messageId || null };
+  } catch (error) {
+    logger.error(`Error sending ${notice.audience} notice:`, { error: error.message, customerId: customer.id, to: notice.to });
+    result = { success: false, error: error.message };
+  }
+
+  // A notice that went out is not turned into a failure because the log write failed
+  let delivery = null;
+  try {
+    delivery = await NotificationDelivery.create({
+      audience: notice.audience,
+      customerId: customer.id,
+      channel: 'email',
+      recipient: notice.to,
+      cc: notice.cc,
+      subject,
+      licenses: notice.items.map(({ license, daysUntilExpiry, stage }) => ({
+        licenseId: license.id,
+        name: license.name,
+        stage,
+        daysUntilExpiry
+      })),
+      status: result.success ? 'sent' : 'failed',
+      error: result.error || null,
+      messageId: result.messageId || null,
+      resentFrom,
+      createdBy
+    });
+  } catch (error) {
+    logger.error('Failed to log notification delivery', { error: error.message, customerId: customer.id });
+  }
+
+  // A resend repeats a reminder already recorded for its term, which may have been renewed since
+  let recordError;
+  if (result.success && !resentFrom) {
+    try {
+      await recordReminders(notice.items, REMINDER_CHANNELS[notice.audience], notice.to.toLowerCase(), null);
+    } catch (error) {
+      // The notice went out; failing here would retry the run and send it twice
+      logger.error('Failed to record sent reminders', { error: error.message, customerId: customer.id });
+      recordError = error.message;
+    }
+  }
+  return { ...result, deliveryId: delivery?.id ?? null, ...(recordError && { recordError }) };
+}
+
+/**
+ * Send the due customer and vendor notices of one rule, each reminder stage once per recipient
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+async function processRule(rule) {
+  const customer = {
+    id: rule.customer_id,
+    name: rule.customer_name,
+    contact_person: rule.customer_contact,
+    email: rule.customer_email
+  };
+
+  const licenses = await getExpiringLicenses(rule.reminder_stages, false, [customer.id]);
+  if (licenses.length === 0) {
+    return { sent: 0, failed: 0 };
+  }
+
+  const summary = { sent: 0, failed: 0 };
+  const notices = await planNotices(rule, customer, toItems(licenses));
+
+  for (const notice of notices) {
+    if (!notice.to) {
+      logger.warn(`Skipping ${notice.audience} notice without an email address`, {
+        customerId: customer.id,
+        vendorId: notice.vendor?.id
+      });
+      continue;
+    }
+
+    const sent = await getSentReminders(
+      notice.items.map(({ license }) => license.id),
+      REMINDER_CHANNELS[notice.audience],
+      notice.to.toLowerCase()
+    );
+    const due = notice.items.filter(({ license, stage }) => !sent.has(`${license.id}:${stage}`));
+    if (due.length === 0) {
+      continue;
+    }
+
+    const result = await sendNotice({ ...notice, items: due }, customer);
+    summary[result.success ? 'sent' : 'failed'] += 1;
+  }
+
+  return summary;
+}
+
+/**
+ * Send customer and vendor renewal notices for every customer with an enabled rule
+ * @returns {Promise<Object>} Number of customers processed and notices sent and failed
+ */
+async function processCustomerNotices() {
+  const summary = { customers: 0, sent: 0, failed: 0 };
+
+  try {
+    const rules = await CustomerNotificationRule.getEnabled();
+    logger.info(`Processing customer notices for ${rules.length} customers`);
+
+    for (const rule of rules) {
+      try {
+        const result = await processRule(rule);
+        summary.customers += 1;
+        summary.sent += result.sent;
+        summary.failed += result.failed;
+      } catch (error) {
+        logger.error(`Error processing customer notices for customer ${rule.customer_id}:`, error);
+      }
+    }
+
+    logger.info('Customer notices processed', summary);
+    return { success: true, ...summary };
+  } catch (error) {
+    logger.error('Error processing customer notices:', error);
+    return { success: false, error: error.message, ...summary };
+  }
+}
+
+// The customer's next expiring active licenses, so a preview has something to show
+async function getUpcomingLicenses(customerId) {
+  const result = await pool.query(
+    `SELECT
+       l.*,
+       v.name as vendor_name,
+       c.name as customer_name,
+       v.contact_person as vendor_contact,
+       v.email as vendor_email,
+       c.contact_person as customer_contact,
+       c.email as customer_email,
+       (l.expiration_date - CURRENT_DATE) as days_until_expiry
+     FROM licenses l
+     LEFT JOIN vendors v ON l.vendor_id = v.id
+     LEFT JOIN customers c ON l.customer_id = c.id
+     WHERE l.customer_id = $1 AND l.is_active = true AND l.expiration_date >= CURRENT_DATE
+     ORDER BY l.expiration_date
+     LIMIT $2`,
+    [customerId, PREVIEW_SAMPLE_SIZE]
+  );
+  return result.rows;
+}
+
+/**
+ * Render the notices a rule would send today, without sending or recording anything
+ * @param {Object} rule - Saved or unsaved rule
+ * @param {Object} customer - customers row
+ * @returns {Promise<{sample: boolean, notices: Array}>} sample is true when no license is due
+ *   and the customer's next expiring licenses are shown instead
+ */
+async function previewNotices(rule, customer) {
+  let licenses = await getExpiringLicenses(rule.reminder_stages, false, [customer.id]);
+  const sample = licenses.length === 0;
+  if (sample) {
+    licenses = await getUpcomingLicenses(customer.id);
+  }
+
+  const notices = await planNotices(rule, customer, toItems(licenses));
+  return {
+    sample,
+    notices: await Promise.all(notices.map(async notice => ({
+      audience: notice.audience,
+      vendor: notice.vendor ? { id: notice.vendor.id, name: notice.vendor.name } : undefined,
+      to: notice.to,
+      cc: notice.cc,
+      licenses: notice.items.map(({ license, stage }) => ({ id: license.id, name: license.name, stage })),
+      warning: notice.to ? undefined : `No email address on the ${notice.audience === 'customer' ? 'customer' : `vendor ${notice.vendor.name}`}; this notice would be skipped`,
+      ...(notice.items.length > 0 ? await renderNotice(notice, customer) : {})
+    })))
+  };
+}
+
+/**
+ * Send a logged customer or vendor notice again, to the same recipients, with the current license data
+ * @param {Object} delivery - notification_deliveries row with audience customer or vendor
+ * @param {number} createdBy - User asking for the resend
+ */
+async function resendNotice(delivery, createdBy) {
+  const customer = await Customer.findById(delivery.customer_id);
+  const licenses = await getLicensesByIds(delivery.license_ids, [customer.id]);
+  if (licenses.length === 0) {
+    const error = new Error('None of the licenses in this notification exist anymore');
+    error.code = 'NO_LICENSES';
+    throw error;
+  }
+
+  const stages = new Map(delivery.licenses.map(({ licenseId, stage }) => [licenseId, stage]));
+  const notice = {
+    audience: delivery.audience,
+    to: delivery.recipient,
+    cc: delivery.cc,
+    items: toItems(licenses, stages)
+  };
+  if (delivery.audience === 'vendor') {
+    notice.vendor = (await getVendors([licenses[0].vendor_id])).get(licenses[0].vendor_id);
+  }
+
+  logger.info('Resending customer notice', { deliveryId: delivery.id, audience: delivery.audience, createdBy });
+  return sendNotice(notice, customer, { resentFrom: delivery.id, createdBy });
+}
+
+module.exports = {
+  processCustomerNotices,
+  previewNotices,
+  resendNotice
+};
@@ -0,0 +1,309 @@
+const { pool } = require('../config/db');
+const logger = require('../utils/logger');
+const User = require('../models/user');
+const NotificationDelivery = require('../models/notificationDelivery');
+const { sendToChannels, channelRecipient } = require('./notificationChannels');
+const { digestSubject } = require('./notificationChannels/format');
+const { getNotificationSettings, resolveChannels, resolveResendChannel } = require('./notificationService');
+const { DEFAULT_REMINDER_STAGES } = require('./reminderStages');
+const { DEFAULT_TIMEZONE } = require('./timezones');
+
+// daily keeps the staged reminders; weekly and monthly send one digest per period instead
+const DIGEST_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// How far back a digest looks, as a Postgres interval
+const DIGEST_PERIODS = {
+  weekly: '7 days',
+  monthly: '1 month'
+};
+
+// Last day of the month every month has
+const MAX_DIGEST_DAY_OF_MONTH = 28;
+
+/**
+ * Check the digest part of a notification settings update
+ * @param {Object} settings - { frequency, weekday, dayOfMonth }; undefined fields are not checked
+ * @returns {string[]} Error messages, empty when the settings are valid
+ */
+function validateDigestSettings({ frequency, weekday, dayOfMonth }) {
+  const errors = [];
+  if (frequency !== undefined && !DIGEST_FREQUENCIES.includes(frequency)) {
+    errors.push(`Digest frequency must be one of ${DIGEST_FREQUENCIES.join(', ')}`);
+  }
+  if (weekday !== undefined && !(Number.isInteger(weekday) && weekday >= 0 && weekday <= 6)) {
+    errors.push('Digest weekday must be 0 (Sunday) to 6 (Saturday)');
+  }
+  if (dayOfMonth !== undefined && !(Number.isInteger(dayOfMonth) && dayOfMonth >= 1 && dayOfMonth <= MAX_DIGEST_DAY_OF_MONTH)) {
+    errors.push(`Digest day of month must be between 1 and ${MAX_DIGEST_DAY_OF_MONTH}`);
+  }
+  return errors;
+}
+
+/**
+ * Gather what changed during the last week or month
+ * @param {Object} options
+ * @param {string} options.frequency - weekly or monthly
+ * @param {Array<number>} [options.reminderStages] - Windows licenses are reported entering
+ * @param {boolean} [options.includeInactive=false]
+ * @param {Array<number>|null} [options.customerIds=null] - Only include licenses of these customers; null for all
+ * @param {string} [options.timezone] - Timezone whose current date the period ends on
+ * @returns {Promise<Object>} { frequency, periodStart, periodEnd, newlyExpired, windows, renewals, costAtRisk }
+ */
+async function buildDigest({
+  frequency,
+  reminderStages = DEFAULT_REMINDER_STAGES,
+  includeInactive = false,
+  customerIds = null,
+  timezone = DEFAULT_TIMEZONE
+}) {
+  const period = `(
+    SELECT
+      (CURRENT_TIMESTAMP AT TIME ZONE $1)::date as today,
+      ((CURRENT_TIMESTAMP AT TIME ZONE $1)::date - $2::interval)::date as period_start
+  ) t`;
+
+  // Licenses that expired during the period or expire within the largest window; a
+  // license entered a window when its days left went from above a stage to at or below it
+  const licenses = await pool.query(
+    `SELECT
+       l.*,
+       v.name as vendor_name,
+       c.name as customer_name,
+       (l.expiration_date - t.today) as days_until_expiry,
+       (SELECT MIN(stage) FROM unnest($4::int[]) stage
+        WHERE stage >= l.expiration_date - t.today
+        AND stage < l.expiration_date - t.period_start) as entered_stage
+     FROM licenses l
+     CROSS JOIN ${period}
+     LEFT JOIN vendors v ON l.vendor_id = v.id
+     LEFT JOIN customers c ON l.customer_id = c.id
+     WHERE l.expiration_date >= t.period_start
+     AND l.expiration_date <= t.today + (SELECT MAX(stage) FROM unnest($4::int[]) stage)
+     ${includeInactive ? '' : 'AND l.is_active = true'}
+     AND ($3::int[] IS NULL OR l.customer_id = ANY($3::int[]))
+     ORDER BY l.expiration_date, l.name`,
+    [timezone, DIGEST_PERIODS[frequency], customerIds, reminderStages]
+  );
+
+  const renewals = await pool.query(
+    `SELECT
+       r.license_id,
+       l.name,
+       v.name as vendor_name,
+       c.name as customer_name,
+       r.term_start,
+       r.term_end,
+       r.cost,
+       r.currency,
+       r.created_at
+     FROM license_renewals r
+     JOIN licenses l ON l.id = r.license_id
+     CROSS JOIN ${period}
+     LEFT JOIN vendors v ON l.vendor_id = v.id
+     LEFT JOIN customers c ON l.customer_id = c.id
+     WHERE r.created_at >= t.period_start
+     AND ($3::int[] IS NULL OR l.customer_id = ANY($3::int[]))
+     ORDER BY r.created_at`,
+    [timezone, DIGEST_PERIODS[frequency], customerIds]
+  );
+
+  const rows = licenses.rows;
+  const entering = rows.filter(row => row.days_until_expiry >= 0 && row.entered_stage !== null);
+  const stages = [...new Set(entering.map(row => row.entered_stage))].sort((a, b) => a - b);
+
+  // Cost of everything in the digest that still needs a renewal, per currency
+  const costs = new Map();
+  rows.filter(row => row.cost !== null).forEach(row => {
+    const currency = row.currency || 'USD';
+    const total = costs.get(currency) || { currency, amount: 0, count: 0 };
+    costs.set(currency, { currency, amount: total.amount + Number(row.cost), count: total.count + 1 });
+  });
+
+  // The period is computed in SQL so it follows the user's timezone
+  const dates = await pool.query(`SELECT t.today, t.period_start FROM ${period}`, [timezone, DIGEST_PERIODS[frequency]]);
+
+  return {
+    frequency,
+    periodStart: dates.rows[0].period_start,
+    periodEnd: dates.rows[0].today,
+    newlyExpired: rows.filter(row => row.days_until_expiry < 0),
+    windows: stages.map(stage => ({
+      stage,
+      licenses: entering.filter(row => row.entered_stage === stage)
+    })),
+    renewals: renewals.rows,
+    costAtRisk: [...costs.values()]
+  };
+}
+
+function isEmptyDigest(digest) {
+  return digest.newlyExpired.length === 0
+    && digest.windows.length === 0
+    && digest.renewals.length === 0
+    && digest.costAtRisk.length === 0;
+}
+
+// Licenses a digest reports on, in the delivery log format
+function digestLicenses(digest) {
+  return [
+    ...digest.newlyExpired,
+    ...digest.windows.flatMap(window => window.licenses)
+  ].map(row => ({
+    licenseId: row.id,
+    name: row.name,
+    stage: row.entered_stage,
+    daysUntilExpiry: row.days_until_expiry
+  }));
+}
+
+/**
+ * Send a digest through one channel and log the attempt
+ * @returns {Promise<{type: string, success: boolean, deliveryId: number|null, messageId?: string, error?: string}>}
+ */
+async function sendDigestAndLog(channel, digest, { userId, userEmail = null, resentFrom = null, createdBy = null }) {
+  const [result] = await sendToChannels([channel], { digest, userEmail });
+
+  // A digest that went out is not turned into a failure because the log write failed
+  let delivery = null;
+  try {
+    delivery = await NotificationDelivery.create({
+      userId,
+      kind: 'digest',
+      channel: channel.type,
+      recipient: channelRecipient(channel.type, channel.config),
+      subject: digestSubject(digest),
+      licenses: digestLicenses(digest),
+      status: result.success ? 'sent' : 'failed',
+      error: result.error || null,
+      messageId: result.messageId || null,
+      resentFrom,
+      createdBy
+    });
+  } catch (error) {
+    logger.error('Failed to log digest delivery', { error: error.message, channel: channel.type, userId });
+  }
+
+  return { ...result, deliveryId: delivery?.id ?? null };
+}
+
+// Build the digest a user gets with their current settings
+async function buildUserDigest(settings, frequency) {
+  return buildDigest({
+    frequency,
+    reminderStages: settings.reminder_stages || DEFAULT_REMINDER_STAGES,
+    includeInactive: settings.include_inactive || false,
+    customerIds: await User.getCustomerScope(settings.user_id),
+    timezone: settings.timezone || DEFAULT_TIMEZONE
+  });
+}
+
+/**
+ * Build the digest a user is due and where it goes, without sending anything
+ * @param {number} userId
+ * @returns {Promise<Object|null>} { userId, userEmail, frequency, digest, subject, licenses, deliveries: [{ channel, recipient }] },
+ *   with no deliveries when nothing is sent; null for users without a weekly or monthly digest
+ */
+async function planDigest(userId) {
+  const settings = await getNotificationSettings(userId);
+  const frequency = settings?.digest_frequency;
+  if (!DIGEST_PERIODS[frequency]) {
+    return null;
+  }
+
+  const { channels, userEmail } = await resolveChannels(userId);
+  const digest = await buildUserDigest(settings, frequency);
+  return {
+    userId,
+    userEmail,
+    frequency,
+    digest,
+    subject: digestSubject(digest),
+    licenses: digestLicenses(digest),
+    deliveries: isEmptyDigest(digest)
+      ? []
+      : channels.map(channel => ({ channel, recipient: channelRecipient(channel.type, channel.config) }))
+  };
+}
+
+/**
+ * Send a planned digest to every channel in the plan
+ * @param {Object} plan - From planDigest()
+ * @returns {Promise<Object>} Result of the operation, with a per-channel delivery result
+ */
+async function executeDigest(plan) {
+  const { userId, userEmail, frequency, digest, deliveries } = plan;
+  if (deliveries.length === 0) {
+    logger.info('Nothing to send in digest', { userId, frequency });
+    return { success: true, sent: false, channels: [] };
+  }
+
+  const results = await Promise.all(deliveries.map(({ channel }) =>
+    sendDigestAndLog(channel, digest, { userId, userEmail })
+  ));
+  const delivered = results.some(result => result.success);
+
+  logger.info(`Sent ${frequency} digest`, { userId, channels: results });
+  return {
+    success: delivered,
+    sent: delivered,
+    channels: results,
+    ...(delivered ? {} : { error: 'All notification channels failed' })
+  };
+}
+
+/**
+ * Send a user's weekly or monthly digest to every channel they have enabled
+ * @param {number} userId
+ * @returns {Promise<Object>} Result of the operation, with a per-channel delivery result
+ */
+async function processDigest(userId) {
+  try {
+    const plan = await planDigest(userId);
+    if (!plan) {
+      logger.warn('Skipping digest for user without a weekly or monthly digest', { userId });
+      return { success: true, sent: false, channels: [] };
+    }
+    return await executeDigest(plan);
+  } catch (error) {
+    logger.error(`Error processing digest for user ${userId}:`, error);
+    return { success: false, sent: false, error: error.message };
+  }
+}
+
+/**
+ * Send a logged digest again, rebuilt for the current period
+ * @param {Object} delivery - notification_deliveries row with kind digest
+ * @param {number} createdBy - User asking for the resend
+ */
+async function resendDigest(delivery, createdBy) {
+  const channel = await resolveResendChannel(delivery);
+  const settings = await getNotificationSettings(delivery.user_id);
+  if (!settings) {
+    const error = new Error('The user this digest was for no longer exists');
+    error.code = 'NO_LICENSES';
+    throw error;
+  }
+
+  // Users who went back to daily reminders get the weekly digest
+  const frequency = DIGEST_PERIODS[settings.digest_frequency] ? settings.digest_frequency : 'weekly';
+  const digest = await buildUserDigest(settings, frequency);
+
+  logger.info('Resending digest', { deliveryId: delivery.id, channel: delivery.channel, createdBy });
+  return sendDigestAndLog(channel, digest, {
+    userId: delivery.user_id,
+    userEmail: settings.email_address || settings.email,
+    resentFrom: delivery.id,
+    createdBy
+  });
+}
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  MAX_DIGEST_DAY_OF_MONTH,
+  validateDigestSettings,
+  buildDigest,
+  planDigest,
+  executeDigest,
+  processDigest,
+  resendDigest
+};
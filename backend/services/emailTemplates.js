@@ -0,0 +1,684 @@
+const Mustache = require('mustache');
+const EmailTemplate = require('../models/emailTemplate');
+const { sortByExpiry, expiryStatus, formatDate, formatMoney } = require('./notificationChannels/format');
+
+const APP_NAME = 'License Management System';
+
+// Saved templates are limited so a pasted document cannot bloat every email
+const MAX_TEMPLATE_LENGTH = 100000;
+
+const TEMPLATE_PARTS = ['subject', 'html', 'text'];
+
+// Subject and plain text are not HTML, so their variables are inserted as they are
+const PLAIN = { escape: value => String(value) };
+
+const LICENSE_VARIABLES = [
+  { name: 'name', description: 'License name' },
+  { name: 'type', description: 'License type' },
+  { name: 'seats', description: 'Number of seats' },
+  { name: 'expiration_date', description: 'Expiration date, e.g. 5 March 2026' },
+  { name: 'days_remaining', description: 'Days until expiry, negative once expired' },
+  { name: 'days_label', description: 'Days until expiry or since expiry, e.g. "3 days"' },
+  { name: 'status', description: 'e.g. "expires in 3 days" or "expired 2 days ago"' },
+  { name: 'expired', description: 'True when the license has expired' },
+  { name: 'urgent', description: 'True when the license expires within 3 days' },
+  { name: 'stage', description: 'Reminder stage (days before expiration) being sent' },
+  { name: 'customer.name', description: 'Customer name; also customer.contact_person and customer.email' },
+  { name: 'vendor.name', description: 'Vendor name; also vendor.contact_person and vendor.email' }
+];
+
+const LIST_VARIABLES = [
+  { name: 'licenses', description: 'Every license in the email, most urgent first. Fields per license are listed below' },
+  { name: 'license', description: 'The most urgent license, with the same fields' },
+  { name: 'count', description: 'Number of licenses' },
+  { name: 'single', description: 'True when the email is about one license' },
+  { name: 'app_name', description: APP_NAME }
+];
+
+const TABLE_STYLE = 'width: 100%; border-collapse: collapse; margin: 15px 0; font-family: Arial, sans-serif;';
+const CELL_STYLE = 'padding: 8px; border-bottom: 1px solid #e0e0e0;';
+const HEADER_STYLE = 'padding: 8px; text-align: left; border-bottom: 2px solid #e0e0e0;';
+
+const DEFAULT_TEMPLATES = {
+  license_expiration: {
+    name: 'License expiration reminder',
+    description: 'Sent by email to users with expiration notifications switched on',
+    variables: [
+      ...LIST_VARIABLES,
+      { name: 'expired', description: 'Licenses that have expired' },
+      { name: 'expiring', description: 'Licenses that have not expired yet' },
+      { name: 'expired_count', description: 'Number of expired licenses' },
+      { name: 'expiring_count', description: 'Number of licenses not expired yet' },
+      { name: 'user_email', description: 'Login email of the user the reminder is for' }
+    ],
+    subject: '[Action Required] {{#single}}{{license.name}} {{#license.vendor.name}}({{license.vendor.name}}) {{/license.vendor.name}}{{license.status}}{{/single}}{{^single}}{{count}} licenses expiring soon ({{license.status}}){{/single}}',
+    html: `<h2>License Expiration Notice</h2>
+<p>This is a notification about {{#expired_count}}expired and expiring{{/expired_count}}{{^expired_count}}expiring{{/expired_count}} licenses:</p>
+{{#expired_count}}
+<div style="margin-bottom: 30px;">
+  <h3 style="color: #dc3545;">⚠️ Expired Licenses ({{expired_count}})</h3>
+  <p>The following licenses have already expired and may need immediate attention:</p>
+  <table style="${TABLE_STYLE} border: 1px solid #ffebee; background-color: #fff5f5;">
+    <thead>
+      <tr style="background-color: #ffebee;">
+        <th style="padding: 12px; text-align: left; border-bottom: 2px solid #ffcdd2;">License</th>
+        <th style="padding: 12px; text-align: left; border-bottom: 2px solid #ffcdd2;">Customer</th>
+        <th style="padding: 12px; text-align: left; border-bottom: 2px solid #ffcdd2;">Vendor</th>
+        <th style="padding: 12px; text-align: right; border-bottom: 2px solid #ffcdd2;">Expired</th>
+      </tr>
+    </thead>
+    <tbody>
+      {{#expired}}
+      <tr>
+        <td style="padding: 12px; border-bottom: 1px solid #ffcdd2;">{{name}}</td>
+        <td style="padding: 12px; border-bottom: 1px solid #ffcdd2;">{{customer.name}}{{^customer.name}}N/A{{/customer.name}}</td>
+        <td style="padding: 12px; border-bottom: 1px solid #ffcdd2;">{{vendor.name}}{{^vendor.name}}N/A{{/vendor.name}}</td>
+        <td style="padding: 12px; text-align: right; border-bottom: 1px solid #ffcdd2; color: #dc3545; font-weight: bold;">{{days_label}} ago</td>
+      </tr>
+      {{/expired}}
+    </tbody>
+  </table>
+</div>
+{{/expired_count}}
+{{#expiring_count}}
+<div style="margin-bottom: 30px;">
+  <h3 style="color: #28a745;">📅 Expiring Soon ({{expiring_count}})</h3>
+  <p>The following licenses will expire soon:</p>
+  <table style="${TABLE_STYLE} border: 1px solid #e8f5e9; background-color: #f8f9fa;">
+    <thead>
+      <tr style="background-color: #e8f5e9;">
+        <th style="padding: 12px; text-align: left; border-bottom: 2px solid #c8e6c9;">License</th>
+        <th style="padding: 12px; text-align: left; border-bottom: 2px solid #c8e6c9;">Customer</th>
+        <th style="padding: 12px; text-align: left; border-bottom: 2px solid #c8e6c9;">Vendor</th>
+        <th style="padding: 12px; text-align: right; border-bottom: 2px solid #c8e6c9;">Expires In</th>
+      </tr>
+    </thead>
+    <tbody>
+      {{#expiring}}
+      <tr>
+        <td style="padding: 12px; border-bottom: 1px solid #e8f5e9;">{{name}}</td>
+        <td style="padding: 12px; border-bottom: 1px solid #e8f5e9;">{{customer.name}}{{^customer.name}}N/A{{/customer.name}}</td>
+        <td style="padding: 12px; border-bottom: 1px solid #e8f5e9;">{{vendor.name}}{{^vendor.name}}N/A{{/vendor.name}}</td>
+        <td style="padding: 12px; text-align: right; border-bottom: 1px solid #e8f5e9; {{#urgent}}color: #ffc107; font-weight: bold;{{/urgent}}{{^urgent}}color: #28a745;{{/urgent}}">{{#days_remaining}}in {{days_label}}{{/days_remaining}}{{^days_remaining}}today{{/days_remaining}}</td>
+      </tr>
+      {{/expiring}}
+    </tbody>
+  </table>
+</div>
+{{/expiring_count}}
+<p>Please review these licenses and take appropriate action to renew or update them as needed.</p>
+{{#expired_count}}
+<p><strong>Note:</strong> Expired licenses may affect your compliance status and should be addressed immediately.</p>
+{{/expired_count}}
+<p>You can view and manage these licenses by logging into the {{app_name}}.</p>
+<p>If you have any questions, please contact your system administrator.</p>
+<p>--<br>{{app_name}}</p>
+`,
+    text: `License Expiration Notice
+
+{{#expired_count}}
+Expired licenses ({{expired_count}}):
+{{#expired}}
+- {{name}} (customer: {{customer.name}}{{^customer.name}}N/A{{/customer.name}}, vendor: {{vendor.name}}{{^vendor.name}}N/A{{/vendor.name}}): expired {{days_label}} ago
+{{/expired}}
+
+{{/expired_count}}
+{{#expiring_count}}
+Expiring soon ({{expiring_count}}):
+{{#expiring}}
+- {{name}} (customer: {{customer.name}}{{^customer.name}}N/A{{/customer.name}}, vendor: {{vendor.name}}{{^vendor.name}}N/A{{/vendor.name}}): {{status}}
+{{/expiring}}
+
+{{/expiring_count}}
+Please review these licenses and take appropriate action to renew or update them as needed.
+You can view and manage these licenses by logging into the {{app_name}}.
+
+--
+{{app_name}}
+`
+  },
+
+  customer_notice: {
+    name: 'Customer renewal notice',
+    description: "Sent to a customer's contact when their contact notifications are switched on",
+    variables: [
+      ...LIST_VARIABLES,
+      { name: 'customer.name', description: 'Customer being notified; also customer.contact_person and customer.email' }
+    ],
+    subject: 'Renewal reminder: {{#single}}{{license.name}} {{license.status}}{{/single}}{{^single}}{{count}} licenses are due for renewal{{/single}}',
+    html: `<p>Dear {{customer.contact_person}}{{^customer.contact_person}}{{customer.name}}{{/customer.contact_person}},</p>
+<p>The following {{#single}}license{{/single}}{{^single}}licenses{{/single}} held by {{customer.name}} will be due for renewal soon:</p>
+<table style="${TABLE_STYLE}">
+  <thead>
+    <tr style="background-color: #f5f5f5;">
+      <th style="${HEADER_STYLE}">License</th>
+      <th style="${HEADER_STYLE}">Vendor</th>
+      <th style="${HEADER_STYLE}">Seats</th>
+      <th style="${HEADER_STYLE}">Expiration Date</th>
+    </tr>
+  </thead>
+  <tbody>
+    {{#licenses}}
+    <tr>
+      <td style="${CELL_STYLE}">{{name}}</td>
+      <td style="${CELL_STYLE}">{{vendor.name}}{{^vendor.name}}—{{/vendor.name}}</td>
+      <td style="${CELL_STYLE}">{{seats}}{{^seats}}—{{/seats}}</td>
+      <td style="${CELL_STYLE}">{{expiration_date}} ({{status}})</td>
+    </tr>
+    {{/licenses}}
+  </tbody>
+</table>
+<p>To avoid any interruption, please reply to this email to confirm the renewal or let us know about any changes in seats.</p>
+<p>Kind regards,<br>License Management Team</p>
+`,
+    text: `Dear {{customer.contact_person}}{{^customer.contact_person}}{{customer.name}}{{/customer.contact_person}},
+
+The following {{#single}}license{{/single}}{{^single}}licenses{{/single}} held by {{customer.name}} will be due for renewal soon:
+
+{{#licenses}}
+- {{name}}{{#vendor.name}} ({{vendor.name}}){{/vendor.name}}{{#seats}}, {{seats}} seats{{/seats}}: {{expiration_date}} ({{status}})
+{{/licenses}}
+
+To avoid any interruption, please reply to this email to confirm the renewal or let us know about any changes in seats.
+
+Kind regards,
+License Management Team
+`
+  },
+
+  vendor_notice: {
+    name: 'Vendor renewal heads-up',
+    description: "Sent to a vendor's contact about a customer's licenses with that vendor",
+    variables: [
+      ...LIST_VARIABLES,
+      { name: 'customer.name', description: 'Customer whose licenses are expiring; also customer.contact_person and customer.email' },
+      { name: 'vendor.name', description: 'Vendor being notified; also vendor.contact_person and vendor.email' }
+    ],
+    subject: 'Upcoming renewal for {{customer.name}}: {{count}} {{#single}}license{{/single}}{{^single}}licenses{{/single}}',
+    html: `<p>Hello {{vendor.contact_person}}{{^vendor.contact_person}}{{vendor.name}}{{/vendor.contact_person}},</p>
+<p>The following {{vendor.name}} {{#single}}license{{/single}}{{^single}}licenses{{/single}} for our customer {{customer.name}} will expire soon:</p>
+<table style="${TABLE_STYLE}">
+  <thead>
+    <tr style="background-color: #f5f5f5;">
+      <th style="${HEADER_STYLE}">License</th>
+      <th style="${HEADER_STYLE}">Type</th>
+      <th style="${HEADER_STYLE}">Seats</th>
+      <th style="${HEADER_STYLE}">Expiration Date</th>
+    </tr>
+  </thead>
+  <tbody>
+    {{#licenses}}
+    <tr>
+      <td style="${CELL_STYLE}">{{name}}</td>
+      <td style="${CELL_STYLE}">{{type}}{{^type}}—{{/type}}</td>
+      <td style="${CELL_STYLE}">{{seats}}{{^seats}}—{{/seats}}</td>
+      <td style="${CELL_STYLE}">{{expiration_date}} ({{status}})</td>
+    </tr>
+    {{/licenses}}
+  </tbody>
+</table>
+<p>Please send us a renewal quote so we can prepare the renewal with the customer.</p>
+<p>Kind regards,<br>License Management Team</p>
+`,
+    text: `Hello {{vendor.contact_person}}{{^vendor.contact_person}}{{vendor.name}}{{/vendor.contact_person}},
+
+The following {{vendor.name}} {{#single}}license{{/single}}{{^single}}licenses{{/single}} for our customer {{customer.name}} will expire soon:
+
+{{#licenses}}
+- {{name}}{{#type}} ({{type}}){{/type}}{{#seats}}, {{seats}} seats{{/seats}}: {{expiration_date}} ({{status}})
+{{/licenses}}
+
+Please send us a renewal quote so we can prepare the renewal with the customer.
+
+Kind regards,
+License Management Team
+`
+  },
+
+  license_digest: {
+    name: 'Weekly / monthly digest',
+    description: 'Sent by email instead of daily reminders to users who chose a weekly or monthly digest',
+    variables: [
+      { name: 'frequency', description: '"Weekly" or "Monthly"' },
+      { name: 'period_start', description: 'First day the digest covers' },
+      { name: 'period_end', description: 'Day the digest was sent' },
+      { name: 'newly_expired', description: 'Licenses that expired during the period. Fields per license are listed below' },
+      { name: 'newly_expired_count', description: 'Number of newly expired licenses' },
+      { name: 'windows', description: 'Reminder windows licenses entered during the period, each with stage, stage_label, count and licenses' },
+      { name: 'entering_count', description: 'Number of licenses that entered a reminder window' },
+      { name: 'renewals', description: 'Renewals recorded during the period, each with name, customer.name, vendor.name, term_end and cost' },
+      { name: 'renewals_count', description: 'Number of renewals recorded' },
+      { name: 'cost_at_risk', description: 'Cost of expired and soon expiring licenses, per currency, each with amount, currency and count' },
+      { name: 'user_email', description: 'Login email of the user the digest is for' },
+      { name: 'app_name', description: APP_NAME }
+    ],
+    subject: '{{frequency}} license digest: {{newly_expired_count}} expired, {{entering_count}} entering reminder windows, {{renewals_count}} renewed',
+    html: `<h2>{{frequency}} License Digest</h2>
+<p>Summary for {{period_start}} to {{period_end}}.</p>
+{{#cost_at_risk.length}}
+<h3>Cost at risk</h3>
+<ul>
+  {{#cost_at_risk}}
+  <li><strong>{{amount}}</strong> across {{count}} license(s)</li>
+  {{/cost_at_risk}}
+</ul>
+{{/cost_at_risk.length}}
+<h3 style="color: #dc3545;">Newly expired ({{newly_expired_count}})</h3>
+{{#newly_expired_count}}
+<table style="${TABLE_STYLE}">
+  <thead>
+    <tr style="background-color: #f5f5f5;">
+      <th style="${HEADER_STYLE}">License</th>
+      <th style="${HEADER_STYLE}">Customer</th>
+      <th style="${HEADER_STYLE}">Vendor</th>
+      <th style="${HEADER_STYLE}">Expired</th>
+    </tr>
+  </thead>
+  <tbody>
+    {{#newly_expired}}
+    <tr>
+      <td style="${CELL_STYLE}">{{name}}</td>
+      <td style="${CELL_STYLE}">{{customer.name}}{{^customer.name}}N/A{{/customer.name}}</td>
+      <td style="${CELL_STYLE}">{{vendor.name}}{{^vendor.name}}N/A{{/vendor.name}}</td>
+      <td style="${CELL_STYLE}">{{expiration_date}}</td>
+    </tr>
+    {{/newly_expired}}
+  </tbody>
+</table>
+{{/newly_expired_count}}
+{{^newly_expired_count}}
+<p>No licenses expired.</p>
+{{/newly_expired_count}}
+<h3 style="color: #28a745;">Entering reminder windows ({{entering_count}})</h3>
+{{#windows}}
+<h4>{{stage_label}} ({{count}})</h4>
+<table style="${TABLE_STYLE}">
+  <tbody>
+    {{#licenses}}
+    <tr>
+      <td style="${CELL_STYLE}">{{name}}</td>
+      <td style="${CELL_STYLE}">{{customer.name}}{{^customer.name}}N/A{{/customer.name}}</td>
+      <td style="${CELL_STYLE}">{{vendor.name}}{{^vendor.name}}N/A{{/vendor.name}}</td>
+      <td style="${CELL_STYLE}">{{expiration_date}} ({{status}})</td>
+    </tr>
+    {{/licenses}}
+  </tbody>
+</table>
+{{/windows}}
+{{^windows}}
+<p>No licenses entered a reminder window.</p>
+{{/windows}}
+<h3>Renewals recorded ({{renewals_count}})</h3>
+{{#renewals_count}}
+<table style="${TABLE_STYLE}">
+  <thead>
+    <tr style="background-color: #f5f5f5;">
+      <th style="${HEADER_STYLE}">License</th>
+      <th style="${HEADER_STYLE}">Customer</th>
+      <th style="${HEADER_STYLE}">Renewed Until</th>
+      <th style="${HEADER_STYLE}">Cost</th>
+    </tr>
+  </thead>
+  <tbody>
+    {{#renewals}}
+    <tr>
+      <td style="${CELL_STYLE}">{{name}}</td>
+      <td style="${CELL_STYLE}">{{customer.name}}{{^customer.name}}N/A{{/customer.name}}</td>
+      <td style="${CELL_STYLE}">{{term_end}}</td>
+      <td style="${CELL_STYLE}">{{cost}}{{^cost}}—{{/cost}}</td>
+    </tr>
+    {{/renewals}}
+  </tbody>
+</table>
+{{/renewals_count}}
+{{^renewals_count}}
+<p>No renewals were recorded.</p>
+{{/renewals_count}}
+<p>You can view and manage these licenses by logging into the {{app_name}}.</p>
+<p>--<br>{{app_name}}</p>
+`,
+    text: `{{frequency}} License Digest
+Summary for {{period_start}} to {{period_end}}.
+
+{{#cost_at_risk.length}}
+Cost at risk:
+{{#cost_at_risk}}
+- {{amount}} across {{count}} license(s)
+{{/cost_at_risk}}
+
+{{/cost_at_risk.length}}
+Newly expired ({{newly_expired_count}}):
+{{#newly_expired}}
+- {{name}} (customer: {{customer.name}}{{^customer.name}}N/A{{/customer.name}}): expired {{expiration_date}}
+{{/newly_expired}}
+
+Entering reminder windows ({{entering_count}}):
+{{#windows}}
+{{stage_label}}:
+{{#licenses}}
+- {{name}} (customer: {{customer.name}}{{^customer.name}}N/A{{/customer.name}}): {{status}}
+{{/licenses}}
+{{/windows}}
+
+Renewals recorded ({{renewals_count}}):
+{{#renewals}}
+- {{name}} renewed until {{term_end}}{{#cost}} for {{cost}}{{/cost}}
+{{/renewals}}
+
+--
+{{app_name}}
+`
+  }
+};
+
+const TEMPLATE_IDS = Object.keys(DEFAULT_TEMPLATES);
+
+function contact(name, contactPerson, email) {
+  return { name: name || null, contact_person: contactPerson || null, email: email || null };
+}
+
+// Template fields of one notification item
+function licenseView({ license, daysUntilExpiry, stage }) {
+  const days = Math.abs(daysUntilExpiry);
+  return {
+    id: license.id,
+    name: license.name,
+    type: license.license_type || null,
+    seats: license.seats ?? null,
+    expiration_date: license.expiration_date ? formatDate(license.expiration_date) : null,
+    days_remaining: daysUntilExpiry,
+    days_label: `${days} day${days === 1 ? '' : 's'}`,
+    status: expiryStatus(daysUntilExpiry),
+    expired: daysUntilExpiry < 0,
+    urgent: daysUntilExpiry >= 0 && daysUntilExpiry <= 3,
+    stage: stage ?? null,
+    customer: contact(license.customer_name, license.customer_contact, license.customer_email),
+    vendor: contact(license.vendor_name, license.vendor_contact, license.vendor_email)
+  };
+}
+
+function listView(items) {
+  const licenses = sortByExpiry(items).map(licenseView);
+  return {
+    app_name: APP_NAME,
+    licenses,
+    license: licenses[0] || null,
+    count: licenses.length,
+    single: licenses.length === 1
+  };
+}
+
+/**
+ * Template variables of a license expiration email
+ * @param {Array<{license: Object, daysUntilExpiry: number, stage?: number}>} items
+ * @param {Object} [options]
+ * @param {string} [options.userEmail] - Login email of the user the reminder is for
+ */
+function expirationView(items, { userEmail = null } = {}) {
+  const view = listView(items);
+  const expired = view.licenses.filter(license => license.expired);
+  const expiring = view.licenses.filter(license => !license.expired);
+  return {
+    ...view,
+    expired,
+    expiring,
+    expired_count: expired.length,
+    expiring_count: expiring.length,
+    user_email: userEmail
+  };
+}
+
+/**
+ * Template variables of a customer or vendor contact notice
+ * @param {Object} options
+ * @param {Object} options.customer - customers row
+ * @param {Object} [options.vendor] - vendors row, for vendor notices
+ * @param {Array} options.items - Notification items
+ */
+function contactNoticeView({ customer, vendor, items }) {
+  return {
+    ...listView(items),
+    customer: contact(customer.name, customer.contact_person, customer.email),
+    vendor: vendor ? contact(vendor.name, vendor.contact_person, vendor.email) : null
+  };
+}
+
+const DIGEST_FREQUENCY_LABELS = { weekly: 'Weekly', monthly: 'Monthly' };
+
+// Row with days_until_expiry, as the digest queries return them, to template fields
+const digestLicenseView = row => licenseView({ license: row, daysUntilExpiry: row.days_until_expiry });
+
+/**
+ * Template variables of a digest email
+ * @param {Object} digest - From digestService.buildDigest()
+ * @param {Object} [options]
+ * @param {string} [options.userEmail] - Login email of the user the digest is for
+ */
+function digestView(digest, { userEmail = null } = {}) {
+  const windows = digest.windows.map(window => ({
+    stage: window.stage,
+    stage_label: window.stage === 0 ? 'Expiring today' : `Within ${window.stage} day${window.stage === 1 ? '' : 's'}`,
+    count: window.licenses.length,
+    licenses: window.licenses.map(digestLicenseView)
+  }));
+  return {
+    app_name: APP_NAME,
+    frequency: DIGEST_FREQUENCY_LABELS[digest.frequency],
+    period_start: formatDate(digest.periodStart),
+    period_end: formatDate(digest.periodEnd),
+    newly_expired: digest.newlyExpired.map(digestLicenseView),
+    newly_expired_count: digest.newlyExpired.length,
+    windows,
+    entering_count: windows.reduce((count, window) => count + window.count, 0),
+    renewals: digest.renewals.map(renewal => ({
+      name: renewal.name,
+      customer: contact(renewal.customer_name),
+      vendor: contact(renewal.vendor_name),
+      term_end: formatDate(renewal.term_end),
+      cost: renewal.cost !== null ? formatMoney(renewal.cost, renewal.currency) : null
+    })),
+    renewals_count: digest.renewals.length,
+    cost_at_risk: digest.costAtRisk.map(({ currency, amount, count }) => ({
+      currency,
+      amount: formatMoney(amount, currency),
+      count
+    })),
+    user_email: userEmail
+  };
+}
+
+// Digest made from notification items, for previews: expired items count as newly
+// expired and the others as entering the window of their stage
+function previewDigest(items) {
+  const today = new Date();
+  const rows = items.map(({ license, daysUntilExpiry, stage }) => ({ ...license, days_until_expiry: daysUntilExpiry, stage }));
+  const stages = [...new Set(rows.filter(row => row.days_until_expiry >= 0).map(row => row.stage ?? row.days_until_expiry))]
+    .sort((a, b) => a - b);
+  const costs = rows.filter(row => row.cost != null).reduce((totals, row) => {
+    const currency = row.currency || 'USD';
+    const total = totals.get(currency) || { currency, amount: 0, count: 0 };
+    totals.set(currency, { currency, amount: total.amount + Number(row.cost), count: total.count + 1 });
+    return totals;
+  }, new Map());
+
+  return {
+    frequency: 'weekly',
+    periodStart: new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000),
+    periodEnd: today,
+    newlyExpired: rows.filter(row => row.days_until_expiry < 0),
+    windows: stages.map(stage => ({
+      stage,
+      licenses: rows.filter(row => row.days_until_expiry >= 0 && (row.stage ?? row.days_until_expiry) === stage)
+    })),
+    renewals: rows.slice(0, 1).map(row => ({
+      license_id: row.id,
+      name: row.name,
+      customer_name: row.customer_name,
+      vendor_name: row.vendor_name,
+      term_end: new Date(today.getTime() + 365 * 24 * 60 * 60 * 1000),
+      cost: row.cost ?? null,
+      currency: row.currency || 'USD'
+    })),
+    costAtRisk: [...costs.values()]
+  };
+}
+
+// Made-up licenses for previews without real data: one expired, two expiring
+function sampleItems() {
+  const daysFromNow = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  const customer = { customer_name: 'Acme Corporation', customer_contact: 'Jane Smith', customer_email: 'jane.smith@acme.example' };
+  const vendor = { vendor_id: 1, vendor_name: 'Example Software', vendor_contact: 'Sam Lee', vendor_email: 'renewals@software.example' };
+  return [
+    { license: { id: 1, name: 'Office Suite', license_type: 'subscription', seats: 50, cost: 6000, currency: 'USD', expiration_date: daysFromNow(-2), ...customer, ...vendor }, daysUntilExpiry: -2, stage: 0 },
+    { license: { id: 2, name: 'Antivirus', license_type: 'subscription', seats: 120, cost: 2400, currency: 'USD', expiration_date: daysFromNow(3), ...customer, ...vendor }, daysUntilExpiry: 3, stage: 7 },
+    { license: { id: 3, name: 'Design Tools', license_type: 'perpetual', seats: 5, cost: 1500, currency: 'EUR', expiration_date: daysFromNow(30), ...customer, ...vendor }, daysUntilExpiry: 30, stage: 30 }
+  ];
+}
+
+/**
+ * Template variables for a preview of a template, from real or sample items
+ * @param {string} id - Template ID
+ * @param {Array} [items] - Notification items; sample licenses when empty
+ * @param {Object} [options]
+ * @param {string} [options.userEmail]
+ */
+function previewView(id, items = [], { userEmail = null } = {}) {
+  const previewItems = items.length > 0 ? items : sampleItems();
+  if (id === 'license_expiration') {
+    return expirationView(previewItems, { userEmail });
+  }
+  if (id === 'license_digest') {
+    return digestView(previewDigest(previewItems), { userEmail });
+  }
+
+  // Contact notices are about one customer, and vendor notices about one vendor
+  const [{ license }] = previewItems;
+  const customer = {
+    name: license.customer_name,
+    contact_person: license.customer_contact,
+    email: license.customer_email
+  };
+  if (id === 'vendor_notice') {
+    const vendor = { name: license.vendor_name, contact_person: license.vendor_contact, email: license.vendor_email };
+    return contactNoticeView({
+      customer,
+      vendor,
+      items: previewItems.filter(item => item.license.vendor_id === license.vendor_id)
+    });
+  }
+  return contactNoticeView({ customer, items: previewItems });
+}
+
+function notFound(id) {
+  const error = new Error(`Unknown email template: ${id}`);
+  error.code = 'NOT_FOUND';
+  return error;
+}
+
+function describeTemplate(id, saved) {
+  const { name, description, variables, ...defaults } = DEFAULT_TEMPLATES[id];
+  return {
+    id,
+    name,
+    description,
+    variables,
+    licenseVariables: LICENSE_VARIABLES,
+    subject: saved ? saved.subject : defaults.subject,
+    html: saved ? saved.html : defaults.html,
+    text: saved ? saved.text : defaults.text,
+    customized: Boolean(saved),
+    updated_at: saved?.updated_at || null,
+    updated_by_username: saved?.updated_by_username || null
+  };
+}
+
+// Every template with the version in use, the saved one or the default
+async function listTemplates() {
+  const saved = new Map((await EmailTemplate.findAll()).map(template => [template.id, template]));
+  return TEMPLATE_IDS.map(id => describeTemplate(id, saved.get(id)));
+}
+
+async function getTemplate(id) {
+  if (!DEFAULT_TEMPLATES[id]) {
+    throw notFound(id);
+  }
+  return describeTemplate(id, await EmailTemplate.findById(id));
+}
+
+/**
+ * Check a template before saving or previewing it
+ * @param {Object} template - { subject, html, text }
+ * @returns {string[]} Error messages, empty when the template is valid
+ */
+function validateTemplate(template) {
+  const errors = [];
+  TEMPLATE_PARTS.forEach(part => {
+    const value = template[part];
+    if (typeof value !== 'string' || value.trim() === '') {
+      errors.push(`${part} is required`);
+      return;
+    }
+    if (value.length > MAX_TEMPLATE_LENGTH) {
+      errors.push(`${part} must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+      return;
+    }
+    try {
+      Mustache.parse(value);
+    } catch (error) {
+      errors.push(`${part}: ${error.message}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Render a template
+ * @param {Object} template - { subject, html, text }
+ * @param {Object} view - Template variables
+ * @returns {{subject: string, html: string, text: string}}
+ */
+function renderTemplate(template, view) {
+  return {
+    // Line breaks in a subject would end up as header folding
+    subject: Mustache.render(template.subject, view, {}, PLAIN).replace(/\s+/g, ' ').trim(),
+    html: Mustache.render(template.html, view),
+    text: Mustache.render(template.text, view, {}, PLAIN)
+  };
+}
+
+// Render the template in use (saved or default) for an email
+async function renderEmail(id, view) {
+  return renderTemplate(await getTemplate(id), view);
+}
+
+async function saveTemplate(id, template, userId) {
+  if (!DEFAULT_TEMPLATES[id]) {
+    throw notFound(id);
+  }
+  await EmailTemplate.upsert(id, template, userId);
+  return getTemplate(id);
+}
+
+async function resetTemplate(id) {
+  if (!DEFAULT_TEMPLATES[id]) {
+    throw notFound(id);
+  }
+  await EmailTemplate.delete(id);
+  return getTemplate(id);
+}
+
+module.exports = {
+  TEMPLATE_IDS,
+  TEMPLATE_PARTS,
+  expirationView,
+  contactNoticeView,
+  digestView,
+  previewView,
+  listTemplates,
+  getTemplate,
+  validateTemplate,
+  renderTemplate,
+  renderEmail,
+  saveTemplate,
+  resetTemplate
+};
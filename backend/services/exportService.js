@@ -0,0 +1,231 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { formatDate, toCsvRow } = require('../utils/csv');
+
+// Rows fetched per query while streaming, so large exports never sit in memory at once
+const PAGE_SIZE = 500;
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const EXPORT_FORMATS = Object.keys(FORMATS);
+
+// Note when the client disconnects before the export is complete
+function watchClient(res) {
+  const client = { gone: false };
+  res.once('close', () => {
+    client.gone = !res.writableFinished;
+  });
+  return client;
+}
+
+// Yield every row by walking the paginated fetcher until a short page comes back; stops
+// with EXPORT_ABORTED once the client is gone, so no further pages are queried
+async function* fetchAllRows(fetchPage, client) {
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    if (client.gone) {
+      const error = new Error('Client disconnected during export');
+      error.code = 'EXPORT_ABORTED';
+      throw error;
+    }
+
+    const rows = await fetchPage({ limit: PAGE_SIZE, offset });
+    for (const row of rows) {
+      if (client.gone) {
+        break;
+      }
+      yield row;
+    }
+    if (rows.length < PAGE_SIZE && !client.gone) {
+      return;
+    }
+  }
+}
+
+// Format a value for text output (CSV and PDF)
+function formatText(column, value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (column.type === 'date') {
+    return formatDate(new Date(value));
+  }
+  if (column.type === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+  return String(value);
+}
+
+// Format a value as a native spreadsheet cell
+function formatCell(column, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (column.type === 'date') {
+    return new Date(value);
+  }
+  if (column.type === 'number') {
+    return Number(value);
+  }
+  if (column.type === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+  return value;
+}
+
+// Resolve once the socket has flushed, so a slow client slows down the queries; a closed
+// or failed stream never drains, so those settle it too
+function waitForDrain(stream) {
+  return new Promise(resolve => {
+    const settle = () => {
+      stream.off('drain', settle);
+      stream.off('close', settle);
+      stream.off('error', settle);
+      resolve();
+    };
+    stream.on('drain', settle);
+    stream.on('close', settle);
+    stream.on('error', settle);
+  });
+}
+
+async function writeCsv(res, { columns, rows }) {
+  res.write(toCsvRow(columns.map(column => column.label)));
+
+  for await (const row of rows) {
+    const line = toCsvRow(columns.map(column => formatText(column, row[column.key])));
+    if (!res.write(line)) {
+      await waitForDrain(res);
+    }
+  }
+
+  res.end();
+}
+
+async function writeXlsx(res, { title, columns, rows }) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const worksheet = workbook.addWorksheet(title);
+
+  worksheet.columns = columns.map(column => ({
+    header: column.label,
+    key: column.key,
+    width: column.width || 15,
+    style: column.type === 'date' ? { numFmt: 'yyyy-mm-dd' } : {}
+  }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).commit();
+
+  for await (const row of rows) {
+    worksheet.addRow(
+      columns.reduce((cells, column) => {
+        cells[column.key] = formatCell(column, row[column.key]);
+        return cells;
+      }, {})
+    ).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+}
+
+async function writePdf(res, { title, columns, rows }) {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+  doc.pipe(res);
+
+  const left = doc.page.margins.left;
+  const tableWidth = doc.page.width - left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const rowHeight = 16;
+
+  // Share the page width between columns in proportion to their configured widths
+  const totalWeight = columns.reduce((sum, column) => sum + (column.width || 15), 0);
+  const widths = columns.map(column => ((column.width || 15) / totalWeight) * tableWidth);
+
+  const drawRow = (values, font) => {
+    const y = doc.y;
+    doc.font(font).fontSize(8);
+    let x = left;
+    values.forEach((value, index) => {
+      doc.text(value, x + 2, y + 4, {
+        width: widths[index] - 4,
+        height: rowHeight - 4,
+        ellipsis: true,
+        lineBreak: false
+      });
+      x += widths[index];
+    });
+    doc.moveTo(left, y + rowHeight).lineTo(left + tableWidth, y + rowHeight).strokeColor('#cccccc').stroke();
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  const drawHeader = () => drawRow(columns.map(column => column.label), 'Helvetica-Bold');
+
+  doc.font('Helvetica-Bold').fontSize(14).text(title);
+  doc.font('Helvetica').fontSize(9).fillColor('#666666')
+    .text(`Generated ${new Date().toLocaleString()}`)
+    .fillColor('#000000')
+    .moveDown();
+  drawHeader();
+
+  for await (const row of rows) {
+    if (doc.y + rowHeight > bottom) {
+      doc.addPage();
+      drawHeader();
+    }
+    drawRow(columns.map(column => formatText(column, row[column.key])), 'Helvetica');
+  }
+
+  const finished = new Promise((resolve, reject) => {
+    res.once('finish', resolve);
+    res.once('close', resolve);
+    res.once('error', reject);
+  });
+  doc.end();
+  await finished;
+}
+
+const WRITERS = {
+  csv: writeCsv,
+  xlsx: writeXlsx,
+  pdf: writePdf
+};
+
+/**
+ * Stream a full result set to the response as CSV, XLSX or PDF
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.format - One of EXPORT_FORMATS
+ * @param {string} options.filename - Download name without extension
+ * @param {string} options.title - Worksheet / document title
+ * @param {Array<{key: string, label: string, type?: string, width?: number}>} options.columns
+ * @param {Function} options.fetchPage - ({ limit, offset }) => Promise<Array<Object>>
+ */
+async function streamExport(res, { format, filename, title, columns, fetchPage }) {
+  const { contentType, extension } = FORMATS[format];
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="${filename}-${formatDate(new Date())}.${extension}"`
+  );
+
+  const client = watchClient(res);
+  try {
+    await WRITERS[format](res, { title, columns, rows: fetchAllRows(fetchPage, client) });
+  } catch (err) {
+    // Nobody is left to send the rest to
+    if (err.code === 'EXPORT_ABORTED') {
+      return;
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamExport
+};
@@ -0,0 +1,319 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const { validationResult } = require('express-validator');
+const { pool } = require('../config/db');
+const License = require('../models/license');
+const Vendor = require('../models/vendor');
+const Customer = require('../models/customer');
+const User = require('../models/user');
+
+// Upper bound on rows per file so a single request cannot hold a transaction open indefinitely
+const MAX_ROWS = 5000;
+
+// Accepted spellings of column headers, keyed by the license field they map to
+const COLUMN_ALIASES = {
+  name: ['name', 'license_name', 'license'],
+  description: ['description'],
+  license_key: ['license_key', 'key'],
+  license_type: ['license_type', 'type'],
+  vendor: ['vendor', 'vendor_name'],
+  customer: ['customer', 'customer_name'],
+  purchase_date: ['purchase_date', 'purchased'],
+  expiration_date: ['expiration_date', 'expiry_date', 'expires'],
+  seats: ['seats'],
+  cost: ['cost', 'price'],
+  currency: ['currency'],
+  is_active: ['is_active', 'active'],
+  notes: ['notes']
+};
+
+const HEADER_TO_FIELD = Object.entries(COLUMN_ALIASES).reduce((map, [field, aliases]) => {
+  aliases.forEach(alias => { map[alias] = field; });
+  return map;
+}, {});
+
+// "Expiration Date" -> "expiration_date"
+function normalizeHeader(header) {
+  return String(header || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+// Unwrap ExcelJS cell values (formulas, rich text, hyperlinks) to plain values
+function cellValue(value) {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  // Excel dates carry no timezone and ExcelJS reads them as UTC midnight
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+  if (typeof value === 'object') {
+    if ('result' in value) return cellValue(value.result);
+    if ('richText' in value) return value.richText.map(part => part.text).join('');
+    if ('text' in value) return value.text;
+    return undefined;
+  }
+  return value;
+}
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    return [];
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    headers[colNumber] = cellValue(cell.value);
+  });
+
+  const records = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const record = {};
+    row.eachCell((cell, colNumber) => {
+      if (headers[colNumber] !== undefined) {
+        record[headers[colNumber]] = cellValue(cell.value);
+      }
+    });
+    records.push({ rowNumber, record });
+  });
+
+  return records;
+}
+
+function parseCsv(buffer) {
+  const records = parse(buffer, {
+    columns: true,
+    bom: true,
+    trim: true,
+    skip_empty_lines: true
+  });
+
+  // Header is line 1, so the first record is spreadsheet row 2
+  return records.map((record, index) => ({ rowNumber: index + 2, record }));
+}
+
+/**
+ * Parse an uploaded CSV or XLSX file into license rows
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Original filename, used to detect the format
+ * @returns {Promise<Array<{rowNumber: number, data: Object}>>} Rows keyed by license field
+ */
+async function parseFile(buffer, filename) {
+  const extension = path.extname(filename || '').toLowerCase();
+  let records;
+
+  if (extension === '.xlsx') {
+    records = await parseXlsx(buffer);
+  } else if (extension === '.csv') {
+    records = parseCsv(buffer);
+  } else {
+    const error = new Error('Only .csv and .xlsx files can be imported');
+    error.code = 'INVALID_FILE';
+    throw error;
+  }
+
+  if (records.length > MAX_ROWS) {
+    const error = new Error(`Files may contain at most ${MAX_ROWS} licenses`);
+    error.code = 'INVALID_FILE';
+    throw error;
+  }
+
+  return records.map(({ rowNumber, record }) => {
+    const data = {};
+    Object.entries(record).forEach(([header, value]) => {
+      const field = HEADER_TO_FIELD[normalizeHeader(header)];
+      if (field && value !== undefined && value !== null && String(value).trim() !== '') {
+        data[field] = typeof value === 'string' ? value.trim() : String(value);
+      }
+    });
+    return { rowNumber, data };
+  });
+}
+
+// Load existing vendors or customers into a case-insensitive name -> id map,
+// optionally limited to the given IDs
+async function loadNameIndex(client, table, ids = null) {
+  const result = await client.query(
+    `SELECT id, name FROM ${table} WHERE $1::int[] IS NULL OR id = ANY($1::int[])`,
+    [ids]
+  );
+  return new Map(result.rows.map(row => [row.name.trim().toLowerCase(), row.id]));
+}
+
+// Resolve a vendor/customer name, creating it when allowed; names in outOfScope exist but are
+// not the user's, and are reported instead of being created again
+async function resolveReference(client, { name, index, outOfScope = new Set(), model, createMissing, created, userId, label }) {
+  if (!name) {
+    return { error: `${label} is required` };
+  }
+
+  const key = name.toLowerCase();
+  if (index.has(key)) {
+    return { id: index.get(key) };
+  }
+
+  if (!createMissing) {
+    return { error: `${label} "${name}" does not exist` };
+  }
+
+  if (outOfScope.has(key)) {
+    return { error: `${label} "${name}" already exists but is not assigned to you` };
+  }
+
+  const record = await model.create({ name, created_by: userId }, client);
+  index.set(key, record.id);
+  created.push(name);
+  return { id: record.id, created: true };
+}
+
+// Run the license validation chains against a single row
+async function validateRow(validators, body) {
+  const req = { body };
+  for (const validator of validators) {
+    await validator.run(req);
+  }
+  return { errors: validationResult(req).array(), body: req.body };
+}
+
+/**
+ * Import parsed license rows in a single transaction
+ *
+ * Every row is validated and inserted; if any row fails, or in dry-run mode,
+ * the whole transaction is rolled back so nothing is written.
+ *
+ * @param {Array<{rowNumber: number, data: Object}>} rows - Output of parseFile
+ * @param {Object} options
+ * @param {Array} options.validators - express-validator chains applied to each row
+ * @param {boolean} [options.dryRun=false] - Validate only, never commit
+ * @param {boolean} [options.createMissing=false] - Create vendors/customers that do not exist
+ * @param {number} options.userId - User recorded as creator
+ * @param {Array<number>|null} [options.customerIds=null] - Customers the user may import for; null for all
+ * @returns {Promise<Object>} Import report
+ */
+async function importLicenses(rows, { validators, dryRun = false, createMissing = false, userId, customerIds = null }) {
+  const client = await pool.connect();
+  const errors = [];
+  const imported = [];
+  const createdVendors = [];
+  const createdCustomers = [];
+
+  try {
+    await client.query('BEGIN');
+
+    const vendors = await loadNameIndex(client, 'vendors');
+    // Customers outside the user's scope are treated as unknown, but never created twice
+    const customers = await loadNameIndex(client, 'customers', customerIds);
+    const otherCustomers = new Set();
+    if (customerIds && createMissing) {
+      for (const name of (await loadNameIndex(client, 'customers')).keys()) {
+        if (!customers.has(name)) {
+          otherCustomers.add(name);
+        }
+      }
+    }
+
+    for (const { rowNumber, data } of rows) {
+      // Vendors and customers created here are rolled back with everything
+      // else if the import does not commit
+      const { vendor, customer, ...fields } = data;
+      const vendorRef = await resolveReference(client, {
+        name: vendor,
+        index: vendors,
+        model: Vendor,
+        createMissing,
+        created: createdVendors,
+        userId,
+        label: 'Vendor'
+      });
+      const customerRef = await resolveReference(client, {
+        name: customer,
+        index: customers,
+        outOfScope: otherCustomers,
+        model: Customer,
+        createMissing,
+        created: createdCustomers,
+        userId,
+        label: 'Customer'
+      });
+
+      // Scoped users keep access to the customers they create
+      if (customerRef.created && customerIds) {
+        await User.addCustomer(userId, customerRef.id, client);
+      }
+
+      const { errors: validationErrors, body } = await validateRow(validators, {
+        ...fields,
+        vendor_id: vendorRef.id,
+        customer_id: customerRef.id
+      });
+
+      // An unresolved name already explains why the ID failed validation
+      const rowErrors = [vendorRef.error, customerRef.error].filter(Boolean);
+      validationErrors.forEach(error => {
+        if ((error.path === 'vendor_id' && vendorRef.error) || (error.path === 'customer_id' && customerRef.error)) {
+          return;
+        }
+        rowErrors.push(error.msg);
+      });
+
+      if (rowErrors.length > 0) {
+        errors.push({ row: rowNumber, name: data.name, errors: rowErrors });
+        continue;
+      }
+
+      // Isolate the insert so one failed row does not abort the transaction
+      // and the remaining rows still get checked
+      await client.query('SAVEPOINT import_row');
+
+      try {
+        const license = await License.create({
+          ...body,
+          // Rows without a currency are in USD, the column's default
+          currency: (body.currency || 'USD').toUpperCase(),
+          created_by: userId
+        }, client);
+
+        await client.query('RELEASE SAVEPOINT import_row');
+        imported.push({ row: rowNumber, id: license.id, name: license.name });
+      } catch (err) {
+        await client.query('ROLLBACK TO SAVEPOINT import_row');
+
+        if (err.code === '23505') { // Unique violation
+          errors.push({ row: rowNumber, name: data.name, errors: ['License with this key already exists'] });
+        } else {
+          throw err;
+        }
+      }
+    }
+
+    const committed = !dryRun && errors.length === 0;
+    await client.query(committed ? 'COMMIT' : 'ROLLBACK');
+
+    return {
+      dryRun,
+      committed,
+      totalRows: rows.length,
+      validRows: imported.length,
+      imported: committed ? imported : [],
+      createdVendors,
+      createdCustomers,
+      errors
+    };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  parseFile,
+  importLicenses
+};
@@ -0,0 +1,242 @@
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+const logger = require('../utils/logger');
+const AppSetting = require('../models/appSetting');
+const { encrypt, decrypt } = require('../utils/crypto');
+
+const SMTP_SETTING_KEY = 'smtp';
+
+// none = plain SMTP, starttls = upgrade after connecting (usually port 587), tls = implicit TLS (usually port 465)
+const SECURITY_MODES = ['none', 'starttls', 'tls'];
+
+const DEFAULT_SETTINGS = {
+  host: '',
+  port: 587,
+  security: 'starttls',
+  rejectUnauthorized: true,
+  user: '',
+  password: '',
+  from: '',
+  replyTo: ''
+};
+
+// "address" or "Display Name <address>"
+const FROM_PATTERN = /^(?:[^<>]*<\S+@\S+\.\S+>|\S+@\S+\.\S+)$/;
+
+let cached = null;
+
+// Settings from the environment, used until an admin saves SMTP settings.
+// GMAIL_USER/GMAIL_PASS keep older installs working.
+function getEnvSettings() {
+  const env = process.env;
+
+  if (env.SMTP_HOST) {
+    return {
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT) || DEFAULT_SETTINGS.port,
+      security: SECURITY_MODES.includes(env.SMTP_SECURITY) ? env.SMTP_SECURITY : DEFAULT_SETTINGS.security,
+      rejectUnauthorized: env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false',
+      user: env.SMTP_USER || '',
+      password: env.SMTP_PASS || '',
+      from: env.EMAIL_FROM || env.SMTP_USER || '',
+      replyTo: env.EMAIL_REPLY_TO || ''
+    };
+  }
+
+  if (env.GMAIL_USER && env.GMAIL_PASS) {
+    return {
+      host: 'smtp.gmail.com',
+      port: 465,
+      security: 'tls',
+      rejectUnauthorized: true,
+      user: env.GMAIL_USER,
+      password: env.GMAIL_PASS,
+      from: env.EMAIL_FROM || env.GMAIL_USER,
+      replyTo: env.EMAIL_REPLY_TO || ''
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Load the SMTP settings; settings saved by an admin win over the environment
+ * @returns {Promise<Object>} Settings with a plain text password and
+ *   source 'database', 'environment' or null when mail is not configured
+ */
+async function getSmtpSettings() {
+  const saved = await AppSetting.get(SMTP_SETTING_KEY);
+  if (saved) {
+    return {
+      ...DEFAULT_SETTINGS,
+      ...saved,
+      password: saved.password ? decrypt(saved.password) : '',
+      source: 'database'
+    };
+  }
+
+  const env = getEnvSettings();
+  return env
+    ? { ...DEFAULT_SETTINGS, ...env, source: 'environment' }
+    : { ...DEFAULT_SETTINGS, source: null };
+}
+
+// Settings as returned by the API: the password is never sent back
+function toPublicSettings({ password, ...settings }) {
+  return {
+    ...settings,
+    hasPassword: Boolean(password),
+    configured: Boolean(settings.host)
+  };
+}
+
+/**
+ * Check SMTP settings
+ * @param {Object} settings
+ * @returns {string[]} Error messages, empty when the settings are valid
+ */
+function validateSmtpSettings(settings) {
+  const errors = [];
+  const port = Number(settings.port);
+
+  if (!settings.host || typeof settings.host !== 'string') {
+    errors.push('SMTP host is required');
+  }
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    errors.push('Port must be between 1 and 65535');
+  }
+  if (!SECURITY_MODES.includes(settings.security)) {
+    errors.push(`Security must be one of: ${SECURITY_MODES.join(', ')}`);
+  }
+  if (!FROM_PATTERN.test(settings.from || '')) {
+    errors.push('From address must be an email address or "Name <address>"');
+  }
+  if (settings.replyTo && !/^\S+@\S+\.\S+$/.test(settings.replyTo)) {
+    errors.push('Reply-to must be an email address');
+  }
+  if (settings.password && !settings.user) {
+    errors.push('A username is required when a password is set');
+  }
+
+  return errors;
+}
+
+/**
+ * Merge changes into the current settings; an omitted password keeps the current one
+ * @param {Object} current - Settings from getSmtpSettings()
+ * @param {Object} changes - Fields from the request body
+ */
+function mergeSmtpSettings(current, changes) {
+  const merged = Object.keys(DEFAULT_SETTINGS).reduce((result, field) => {
+    result[field] = changes[field] !== undefined ? changes[field] : current[field];
+    return result;
+  }, {});
+
+  return {
+    ...merged,
+    host: String(merged.host || '').trim(),
+    port: Number(merged.port),
+    rejectUnauthorized: merged.rejectUnauthorized !== false,
+    user: String(merged.user || '').trim(),
+    password: merged.password || ''
+  };
+}
+
+/**
+ * Save SMTP settings and drop the cached transport so the next email uses them
+ * @param {Object} settings - Validated settings with a plain text password
+ * @param {number} userId - Admin saving the settings
+ */
+async function saveSmtpSettings(settings, userId) {
+  const { password, ...rest } = settings;
+  await AppSetting.set(SMTP_SETTING_KEY, { ...rest, password: password ? encrypt(password) : '' }, userId);
+  resetTransport();
+}
+
+function createTransport(settings) {
+  return nodemailer.createTransport({
+    host: settings.host,
+    port: Number(settings.port),
+    secure: settings.security === 'tls',
+    requireTLS: settings.security === 'starttls',
+    ignoreTLS: settings.security === 'none',
+    auth: settings.user ? { user: settings.user, pass: settings.password } : undefined,
+    tls: { rejectUnauthorized: settings.rejectUnauthorized !== false },
+    connectionTimeout: 10000,
+    greetingTimeout: 10000,
+    socketTimeout: 30000
+  });
+}
+
+// Build the transport on first use, so a missing mail setup only fails the emails, not the server
+async function getTransport() {
+  if (!cached) {
+    const settings = await getSmtpSettings();
+    if (!settings.host) {
+      const error = new Error('Email is not configured. Set up the SMTP server under Settings.');
+      error.code = 'EMAIL_NOT_CONFIGURED';
+      throw error;
+    }
+
+    logger.info('Creating mail transport', { host: settings.host, port: settings.port, source: settings.source });
+    cached = { transporter: createTransport(settings), settings };
+  }
+  return cached;
+}
+
+function resetTransport() {
+  if (cached) {
+    cached.transporter.close();
+    cached = null;
+  }
+}
+
+/**
+ * Send an email through the configured SMTP server
+ * @param {Object} mailOptions - nodemailer message; from and replyTo default to the settings
+ * @throws {Error} With code EMAIL_NOT_CONFIGURED when no SMTP server is set up
+ */
+async function sendMail(mailOptions) {
+  const { transporter, settings } = await getTransport();
+  return transporter.sendMail({
+    from: settings.from,
+    ...(settings.replyTo ? { replyTo: settings.replyTo } : {}),
+    ...mailOptions
+  });
+}
+
+/**
+ * Connect with the given settings and send a test message, without touching the cached transport
+ * @param {Object} settings - Settings to test (may be unsaved)
+ * @param {string} recipient - Address the test message goes to
+ */
+async function sendTestMail(settings, recipient) {
+  const transporter = createTransport(settings);
+  try {
+    await transporter.verify();
+    await transporter.sendMail({
+      from: settings.from,
+      ...(settings.replyTo ? { replyTo: settings.replyTo } : {}),
+      to: recipient,
+      subject: 'License Management System - SMTP test',
+      html: `
+        <h2>SMTP settings work</h2>
+        <p>This test message was sent through ${settings.host}:${settings.port}.</p>
+        <p>License expiration emails will be delivered the same way.</p>`
+    });
+  } finally {
+    transporter.close();
+  }
+}
+
+module.exports = {
+  SECURITY_MODES,
+  getSmtpSettings,
+  toPublicSettings,
+  validateSmtpSettings,
+  mergeSmtpSettings,
+  saveSmtpSettings,
+  resetTransport,
+  sendMail,
+  sendTestMail
+};
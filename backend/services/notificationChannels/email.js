@@ -0,0 +1,25 @@
+const { sendLicenseExpirationEmail, sendDigestEmail } = require('../emailService');
+
+// Email is configured through the send_to_email / email_address settings columns
+module.exports = {
+  type: 'email',
+  label: 'Email',
+  defaultConfig: { address: '' },
+
+  validateConfig(config) {
+    return /^\S+@\S+\.\S+$/.test(config.address || '') ? [] : ['A valid email address is required'];
+  },
+
+  // Reminders are deduplicated per recipient
+  recipient(config) {
+    return config.address.trim().toLowerCase();
+  },
+
+  async send(config, notification) {
+    return sendLicenseExpirationEmail(notification.licenses, config.address, notification.userEmail);
+  },
+
+  async sendDigest(config, digest, notification) {
+    return sendDigestEmail(digest, config.address, notification.userEmail);
+  }
+};
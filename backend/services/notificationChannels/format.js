@@ -0,0 +1,172 @@
+// Chat messages list at most this many licenses and summarize the rest
+const MAX_LISTED_LICENSES = 20;
+
+// Sort notification items so expired and soonest-expiring licenses come first
+function sortByExpiry(licenses) {
+  return [...licenses].sort((a, b) => a.daysUntilExpiry - b.daysUntilExpiry);
+}
+
+function pluralDays(days) {
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+// Human readable expiry status, e.g. "expires in 3 days" or "expired 2 days ago"
+function expiryStatus(daysUntilExpiry) {
+  if (daysUntilExpiry < 0) {
+    return `expired ${pluralDays(Math.abs(daysUntilExpiry))} ago`;
+  }
+  if (daysUntilExpiry === 0) {
+    return 'expires today';
+  }
+  return `expires in ${pluralDays(daysUntilExpiry)}`;
+}
+
+/**
+ * Subject / title line shared by every channel
+ * @param {Array<{license: Object, daysUntilExpiry: number}>} licenses
+ * @returns {string}
+ */
+function notificationSubject(licenses) {
+  const [soonest] = sortByExpiry(licenses);
+  if (licenses.length > 1) {
+    return `[Action Required] ${licenses.length} licenses expiring soon (${expiryStatus(soonest.daysUntilExpiry)})`;
+  }
+
+  const { name, vendor_name } = soonest.license;
+  return `[Action Required] ${name} ${vendor_name ? `(${vendor_name}) ` : ''}${expiryStatus(soonest.daysUntilExpiry)}`;
+}
+
+// Plain fields of a notification item, used by chat cards and webhook payloads
+function describeLicense({ license, daysUntilExpiry }) {
+  return {
+    id: license.id,
+    name: license.name,
+    customer_name: license.customer_name || null,
+    vendor_name: license.vendor_name || null,
+    expiration_date: license.expiration_date,
+    days_until_expiry: daysUntilExpiry,
+    status: expiryStatus(daysUntilExpiry)
+  };
+}
+
+// Long date as shown in messages, e.g. "5 March 2026"
+function formatDate(value) {
+  return new Date(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+// Amount with its currency symbol; unknown currency codes are shown as they are
+function formatMoney(amount, currency) {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(Number(amount));
+  } catch {
+    return `${Number(amount).toFixed(2)} ${currency}`;
+  }
+}
+
+const DIGEST_LABELS = { weekly: 'Weekly', monthly: 'Monthly' };
+
+/**
+ * Subject / title line of a digest
+ * @param {Object} digest - From digestService.buildDigest()
+ * @returns {string}
+ */
+function digestSubject(digest) {
+  const entering = digest.windows.reduce((count, window) => count + window.licenses.length, 0);
+  const parts = [
+    `${digest.newlyExpired.length} expired`,
+    `${entering} entering reminder windows`,
+    `${digest.renewals.length} renewed`
+  ];
+  return `${DIGEST_LABELS[digest.frequency]} license digest: ${parts.join(', ')}`;
+}
+
+/**
+ * Digest sections as titled lists of plain lines, for chat messages
+ * @param {Object} digest - From digestService.buildDigest()
+ * @returns {Array<{title: string, lines: string[]}>}
+ */
+function digestSections(digest) {
+  const licenseLine = license => {
+    const details = [license.customer_name, license.vendor_name].filter(Boolean).join(' · ');
+    return `${license.name}${details ? ` (${details})` : ''} — ${expiryStatus(license.days_until_expiry)}`;
+  };
+  const limited = lines => (lines.length > MAX_LISTED_LICENSES
+    ? [...lines.slice(0, MAX_LISTED_LICENSES), `…and ${lines.length - MAX_LISTED_LICENSES} more`]
+    : lines);
+
+  const sections = [
+    { title: `Newly expired (${digest.newlyExpired.length})`, lines: limited(digest.newlyExpired.map(licenseLine)) },
+    ...digest.windows.map(window => ({
+      title: `Entered the ${window.stage}-day window (${window.licenses.length})`,
+      lines: limited(window.licenses.map(licenseLine))
+    })),
+    {
+      title: `Renewals recorded (${digest.renewals.length})`,
+      lines: limited(digest.renewals.map(renewal =>
+        `${renewal.name} renewed until ${formatDate(renewal.term_end)}${renewal.cost !== null ? ` for ${formatMoney(renewal.cost, renewal.currency)}` : ''}`
+      ))
+    },
+    {
+      title: 'Cost at risk',
+      lines: digest.costAtRisk.map(({ currency, amount, count }) =>
+        `${formatMoney(amount, currency)} across ${count} license${count === 1 ? '' : 's'}`
+      )
+    }
+  ];
+
+  return sections.filter(section => section.lines.length > 0);
+}
+
+// Plain fields of a digest, used by webhook payloads
+function describeDigest(digest) {
+  const license = row => describeLicense({ license: row, daysUntilExpiry: row.days_until_expiry });
+  return {
+    frequency: digest.frequency,
+    period_start: digest.periodStart,
+    period_end: digest.periodEnd,
+    newly_expired: digest.newlyExpired.map(license),
+    windows: digest.windows.map(window => ({ stage: window.stage, licenses: window.licenses.map(license) })),
+    renewals: digest.renewals.map(renewal => ({
+      license_id: renewal.license_id,
+      name: renewal.name,
+      customer_name: renewal.customer_name || null,
+      vendor_name: renewal.vendor_name || null,
+      term_end: renewal.term_end,
+      cost: renewal.cost,
+      currency: renewal.currency
+    })),
+    cost_at_risk: digest.costAtRisk
+  };
+}
+
+// Notification with a made-up license, sent by the channel test buttons
+function testNotification() {
+  const expirationDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  return {
+    test: true,
+    licenses: [{
+      license: {
+        id: null,
+        name: 'Test License',
+        vendor_name: 'Test Vendor',
+        customer_name: 'Test Customer',
+        expiration_date: expirationDate.toISOString().slice(0, 10)
+      },
+      daysUntilExpiry: 7
+    }]
+  };
+}
+
+module.exports = {
+  MAX_LISTED_LICENSES,
+  sortByExpiry,
+  expiryStatus,
+  notificationSubject,
+  describeLicense,
+  formatDate,
+  formatMoney,
+  digestSubject,
+  digestSections,
+  describeDigest,
+  testNotification
+};
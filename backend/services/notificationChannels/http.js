@@ -0,0 +1,165 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Webhook calls must not hold up the notification run when a receiver hangs
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Headers receivers use for the ID of a request, checked in order
+const REQUEST_ID_HEADERS = ['x-request-id', 'x-slack-req-id', 'request-id', 'x-ms-request-id'];
+
+// Webhook URLs are entered by users, so by default the server only posts over https to
+// public addresses; self-hosted receivers on the local network have to be allowed explicitly
+const ALLOW_HTTP = process.env.WEBHOOK_ALLOW_HTTP === 'true';
+const ALLOW_PRIVATE_NETWORKS = process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true';
+
+// Loopback, private, link-local, shared, reserved and multicast ranges; NAT64 and
+// IPv4-compatible IPv6 addresses carry an IPv4 address and are refused outright
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Whether the server may connect to an IP address
+function isPublicAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address it carries
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return isPublicAddress(mapped[1]);
+  }
+  const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+  return family !== null && !BLOCKED_ADDRESSES.check(address, family);
+}
+
+// Check that a value is an absolute https URL (or http when allowed)
+function isWebhookUrl(value, { httpsOnly = !ALLOW_HTTP } = {}) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || (!httpsOnly && url.protocol === 'http:');
+  } catch {
+    return false;
+  }
+}
+
+// DNS lookup for outgoing webhook requests that refuses non-public addresses; it runs when the
+// socket connects, so a host cannot pass a check and then resolve elsewhere
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      return callback(err);
+    }
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked && !ALLOW_PRIVATE_NETWORKS) {
+      const error = new Error(`${hostname} resolves to a private or loopback address (${blocked.address})`);
+      error.code = 'WEBHOOK_ADDRESS_BLOCKED';
+      return callback(error);
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POST a body and collect the response; redirects are not followed
+function request(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    // IP literals are connected to without a lookup, so they are checked here
+    const literal = url.hostname.replace(/^\[(.*)\]$/, '$1');
+    if (net.isIP(literal) && !isPublicAddress(literal) && !ALLOW_PRIVATE_NETWORKS) {
+      const error = new Error(`${literal} is a private or loopback address`);
+      error.code = 'WEBHOOK_ADDRESS_BLOCKED';
+      return reject(error);
+    }
+
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      timeout: REQUEST_TIMEOUT_MS
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('error', reject);
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        resolve({
+          ok: res.statusCode >= 200 && res.statusCode < 300,
+          status: res.statusCode,
+          headers: {
+            get: (name) => {
+              const value = res.headers[name.toLowerCase()];
+              return Array.isArray(value) ? value.join(', ') : value ?? null;
+            }
+          },
+          text: async () => text
+        });
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Timed out after ${REQUEST_TIMEOUT_MS} ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * POST a JSON body to a webhook
+ * @param {string} url - Webhook URL
+ * @param {Object|string} body - Payload, or an already serialized payload (for signing)
+ * @param {Object} [headers] - Extra request headers
+ * @throws {Error} With code INVALID_CHANNEL_CONFIG when the URL is not allowed (not https, or a
+ *   private address), CHANNEL_DELIVERY_FAILED on timeouts and non-2xx responses
+ */
+async function postJson(url, body, headers = {}) {
+  if (!isWebhookUrl(url)) {
+    const error = new Error('Webhook URLs must use https');
+    error.code = 'INVALID_CHANNEL_CONFIG';
+    throw error;
+  }
+
+  let response;
+  try {
+    response = await request(new URL(url), typeof body === 'string' ? body : JSON.stringify(body), {
+      'Content-Type': 'application/json',
+      ...headers
+    });
+  } catch (err) {
+    const error = new Error(`Webhook request failed: ${err.message}`);
+    error.code = err.code === 'WEBHOOK_ADDRESS_BLOCKED' ? 'INVALID_CHANNEL_CONFIG' : 'CHANNEL_DELIVERY_FAILED';
+    throw error;
+  }
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    const error = new Error(`Webhook responded with ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    error.code = 'CHANNEL_DELIVERY_FAILED';
+    throw error;
+  }
+
+  return response;
+}
+
+// ID the receiver gave a delivered request, when it sends one back
+function responseRequestId(response) {
+  for (const header of REQUEST_ID_HEADERS) {
+    const value = response.headers.get(header);
+    if (value) {
+      return value;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  isWebhookUrl,
+  isPublicAddress,
+  postJson,
+  responseRequestId
+};
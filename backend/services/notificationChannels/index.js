@@ -0,0 +1,136 @@
+const logger = require('../../utils/logger');
+const email = require('./email');
+const slack = require('./slack');
+const teams = require('./teams');
+const webhook = require('./webhook');
+
+// Every channel exposes { type, label, defaultConfig, validateConfig(config), recipient(config),
+// send(config, notification), sendDigest(config, digest, notification) }
+const CHANNELS = { email, slack, teams, webhook };
+
+const CHANNEL_TYPES = Object.keys(CHANNELS);
+
+// Channels stored in user_notification_settings.channels; email keeps its own columns
+const CONFIGURABLE_CHANNEL_TYPES = CHANNEL_TYPES.filter(type => type !== 'email');
+
+// Fill in defaults for channels a user has not configured yet
+function withChannelDefaults(channels = {}) {
+  return CONFIGURABLE_CHANNEL_TYPES.reduce((result, type) => {
+    result[type] = { ...CHANNELS[type].defaultConfig, ...(channels?.[type] || {}) };
+    return result;
+  }, {});
+}
+
+// Validate the enabled channels of a settings update; returns "<Label>: <message>" strings
+function validateChannels(channels = {}) {
+  return CONFIGURABLE_CHANNEL_TYPES.flatMap(type => {
+    const config = channels[type];
+    if (!config?.enabled) {
+      return [];
+    }
+    return CHANNELS[type].validateConfig(config).map(message => `${CHANNELS[type].label}: ${message}`);
+  });
+}
+
+/**
+ * List the channels a user has enabled
+ * @param {Object} settings - user_notification_settings row joined with the user's email
+ * @returns {Array<{type: string, config: Object}>}
+ */
+function getEnabledChannels(settings) {
+  const enabled = [];
+
+  if (settings.send_to_email) {
+    enabled.push({ type: 'email', config: { address: settings.email_address || settings.email } });
+  }
+
+  const channels = withChannelDefaults(settings.channels);
+  CONFIGURABLE_CHANNEL_TYPES.forEach(type => {
+    if (channels[type].enabled) {
+      enabled.push({ type, config: channels[type] });
+    }
+  });
+
+  return enabled;
+}
+
+// Stable identifier of where a channel delivers to (address or URL), used to send each reminder once
+function channelRecipient(type, config) {
+  return CHANNELS[type].recipient(config);
+}
+
+// Recipient as shown in the delivery log; webhook URLs often carry a secret, so only the host
+// and last characters are kept
+function displayRecipient(type, recipient) {
+  if (type === 'email') {
+    return recipient;
+  }
+  try {
+    return `${new URL(recipient).origin}/…${recipient.slice(-4)}`;
+  } catch {
+    return '…';
+  }
+}
+
+/**
+ * Send a notification through one channel
+ * @param {string} type - One of CHANNEL_TYPES
+ * @param {Object} config - Channel configuration
+ * @param {Object} notification - { licenses: [{ license, daysUntilExpiry }], userEmail?, test? },
+ *   or { digest, userEmail? } for a weekly or monthly digest
+ * @returns {Promise<{messageId: string|null}>} ID the provider gave the message, when there is one
+ */
+async function sendToChannel(type, config, notification) {
+  const channel = CHANNELS[type];
+  if (!channel) {
+    const error = new Error(`Unknown notification channel: ${type}`);
+    error.code = 'UNKNOWN_CHANNEL';
+    throw error;
+  }
+
+  const errors = channel.validateConfig(config || {});
+  if (errors.length > 0) {
+    const error = new Error(errors.join('; '));
+    error.code = 'INVALID_CHANNEL_CONFIG';
+    throw error;
+  }
+
+  const sent = notification.digest
+    ? await channel.sendDigest(config, notification.digest, notification)
+    : await channel.send(config, notification);
+  const { messageId = null } = sent || {};
+  return { messageId };
+}
+
+/**
+ * Send a notification through several channels; one failing channel does not stop the others
+ * @returns {Promise<Array<{type: string, success: boolean, messageId?: string, error?: string}>>}
+ */
+async function sendToChannels(channels, notification) {
+  const results = await Promise.allSettled(
+    channels.map(({ type, config }) => sendToChannel(type, config, notification))
+  );
+
+  return results.map((result, index) => {
+    const { type } = channels[index];
+    if (result.status === 'fulfilled') {
+      return { type, success: true, messageId: result.value.messageId };
+    }
+
+    logger.error(`Error sending ${type} notification:`, result.reason);
+    return { type, success: false, error: result.reason.message };
+  });
+}
+
+module.exports = {
+  CHANNELS,
+  CHANNEL_TYPES,
+  CONFIGURABLE_CHANNEL_TYPES,
+  withChannelDefaults,
+  validateChannels,
+  getEnabledChannels,
+  channelRecipient,
+  displayRecipient,
+  sendToChannel,
+  sendToChannels
+};
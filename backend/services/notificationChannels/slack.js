@@ -0,0 +1,75 @@
+const { isWebhookUrl, postJson, responseRequestId } = require('./http');
+const {
+  MAX_LISTED_LICENSES,
+  sortByExpiry,
+  notificationSubject,
+  describeLicense,
+  digestSubject,
+  digestSections
+} = require('./format');
+
+// Slack incoming webhook (https://api.slack.com/messaging/webhooks)
+module.exports = {
+  type: 'slack',
+  label: 'Slack',
+  defaultConfig: { enabled: false, webhookUrl: '' },
+
+  validateConfig(config) {
+    return isWebhookUrl(config.webhookUrl) ? [] : ['A valid https Slack webhook URL is required'];
+  },
+
+  recipient(config) {
+    return config.webhookUrl;
+  },
+
+  async send(config, notification) {
+    const subject = notificationSubject(notification.licenses);
+    const licenses = sortByExpiry(notification.licenses).map(describeLicense);
+
+    const lines = licenses.slice(0, MAX_LISTED_LICENSES).map(license => {
+      const details = [license.customer_name, license.vendor_name].filter(Boolean).join(' · ');
+      return `• *${license.name}*${details ? ` (${details})` : ''} — ${license.status}`;
+    });
+    if (licenses.length > MAX_LISTED_LICENSES) {
+      lines.push(`…and ${licenses.length - MAX_LISTED_LICENSES} more`);
+    }
+
+    const response = await postJson(config.webhookUrl, {
+      // Fallback for notifications and clients without block support
+      text: subject,
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: subject.slice(0, 150) } },
+        { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n').slice(0, 3000) } },
+        {
+          type: 'context',
+          elements: [{ type: 'mrkdwn', text: 'License Management System' }]
+        }
+      ]
+    });
+
+    return { messageId: responseRequestId(response) };
+  },
+
+  async sendDigest(config, digest) {
+    const subject = digestSubject(digest);
+    const sections = digestSections(digest).map(({ title, lines }) => ({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*${title}*\n${lines.map(line => `• ${line}`).join('\n')}`.slice(0, 3000) }
+    }));
+
+    const response = await postJson(config.webhookUrl, {
+      text: subject,
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: subject.slice(0, 150) } },
+        // Slack allows 50 blocks per message
+        ...sections.slice(0, 47),
+        {
+          type: 'context',
+          elements: [{ type: 'mrkdwn', text: 'License Management System' }]
+        }
+      ]
+    });
+
+    return { messageId: responseRequestId(response) };
+  }
+};
@@ -0,0 +1,74 @@
+const { isWebhookUrl, postJson, responseRequestId } = require('./http');
+const {
+  MAX_LISTED_LICENSES,
+  sortByExpiry,
+  notificationSubject,
+  describeLicense,
+  digestSubject,
+  digestSections
+} = require('./format');
+
+function postCard(webhookUrl, body) {
+  return postJson(webhookUrl, {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      contentUrl: null,
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body
+      }
+    }]
+  });
+}
+
+// Microsoft Teams incoming webhook or Workflows webhook, posting an Adaptive Card
+module.exports = {
+  type: 'teams',
+  label: 'Microsoft Teams',
+  defaultConfig: { enabled: false, webhookUrl: '' },
+
+  validateConfig(config) {
+    return isWebhookUrl(config.webhookUrl) ? [] : ['A valid https Teams webhook URL is required'];
+  },
+
+  recipient(config) {
+    return config.webhookUrl;
+  },
+
+  async send(config, notification) {
+    const subject = notificationSubject(notification.licenses);
+    const licenses = sortByExpiry(notification.licenses).map(describeLicense);
+
+    const facts = licenses.slice(0, MAX_LISTED_LICENSES).map(license => ({
+      title: license.name,
+      value: [license.customer_name, license.vendor_name, license.status].filter(Boolean).join(' · ')
+    }));
+
+    const body = [
+      { type: 'TextBlock', size: 'Medium', weight: 'Bolder', text: subject, wrap: true },
+      { type: 'FactSet', facts }
+    ];
+    if (licenses.length > MAX_LISTED_LICENSES) {
+      body.push({ type: 'TextBlock', text: `…and ${licenses.length - MAX_LISTED_LICENSES} more`, isSubtle: true });
+    }
+
+    const response = await postCard(config.webhookUrl, body);
+    return { messageId: responseRequestId(response) };
+  },
+
+  async sendDigest(config, digest) {
+    const body = [
+      { type: 'TextBlock', size: 'Medium', weight: 'Bolder', text: digestSubject(digest), wrap: true },
+      ...digestSections(digest).flatMap(({ title, lines }) => [
+        { type: 'TextBlock', weight: 'Bolder', text: title, wrap: true, spacing: 'Medium' },
+        { type: 'TextBlock', text: lines.map(line => `- ${line}`).join('\n'), wrap: true }
+      ])
+    ];
+
+    const response = await postCard(config.webhookUrl, body);
+    return { messageId: responseRequestId(response) };
+  }
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const { isWebhookUrl, postJson } = require('./http');
+const { sortByExpiry, describeLicense, describeDigest } = require('./format');
+
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * Sign a webhook body; receivers recompute the HMAC over "<timestamp>.<raw body>"
+ * with the shared secret and compare it to X-Webhook-Signature
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Value sent in X-Webhook-Timestamp (unix seconds)
+ * @param {string} body - Raw JSON body
+ * @returns {string} "sha256=<hex>"
+ */
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// POST a signed event; the delivery ID is unique per request and stored as the message ID
+// in the delivery log
+async function postSigned(config, { event, ...payload }) {
+  const deliveryId = crypto.randomUUID();
+  const body = JSON.stringify({
+    id: deliveryId,
+    event,
+    sent_at: new Date().toISOString(),
+    ...payload
+  });
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  await postJson(config.url, body, {
+    'User-Agent': 'License-Management-Webhook/1.0',
+    'X-Webhook-Id': deliveryId,
+    'X-Webhook-Timestamp': timestamp,
+    'X-Webhook-Signature': sign(config.secret, timestamp, body)
+  });
+
+  return { messageId: deliveryId };
+}
+
+// Generic JSON webhook signed with HMAC-SHA256
+module.exports = {
+  type: 'webhook',
+  label: 'Webhook',
+  defaultConfig: { enabled: false, url: '', secret: '' },
+  sign,
+
+  validateConfig(config) {
+    const errors = [];
+    if (!isWebhookUrl(config.url)) {
+      errors.push('A valid https webhook URL is required');
+    }
+    if (!config.secret || config.secret.length < MIN_SECRET_LENGTH) {
+      errors.push(`The signing secret must be at least ${MIN_SECRET_LENGTH} characters`);
+    }
+    return errors;
+  },
+
+  recipient(config) {
+    return config.url;
+  },
+
+  async send(config, notification) {
+    return postSigned(config, {
+      event: notification.test ? 'license.expiration.test' : 'license.expiration',
+      licenses: sortByExpiry(notification.licenses).map(describeLicense)
+    });
+  },
+
+  async sendDigest(config, digest) {
+    return postSigned(config, { event: 'license.digest', ...describeDigest(digest) });
+  }
+};
@@ -0,0 +1,143 @@
+const { pool } = require('../config/db');
+const logger = require('../utils/logger');
+const {
+  getNotificationSettings,
+  planLicenseExpirations,
+  executeLicenseExpirations
+} = require('./notificationService');
+const { planDigest, executeDigest } = require('./digestService');
+const { displayRecipient } = require('./notificationChannels');
+const { notificationSubject } = require('./notificationChannels/format');
+const { DEFAULT_REMINDER_STAGES } = require('./reminderStages');
+
+// SQL condition matching users who have any notification channel switched on
+const NOTIFICATIONS_ENABLED = `(uns.send_to_email = true OR EXISTS (
+  SELECT 1 FROM jsonb_each(uns.channels) c WHERE c.value->>'enabled' = 'true'
+))`;
+
+async function getNotifiedUserIds() {
+  const result = await pool.query(
+    `SELECT uns.user_id
+     FROM user_notification_settings uns
+     WHERE ${NOTIFICATIONS_ENABLED}
+     ORDER BY uns.user_id`
+  );
+  return result.rows.map(row => row.user_id);
+}
+
+/**
+ * Work out what a user's run sends with their current settings: staged reminders,
+ * or their digest when they get a weekly or monthly one
+ * @param {number} userId
+ * @returns {Promise<{userId: number, frequency: string, plan: Object}>}
+ */
+async function planUserRun(userId) {
+  const settings = await getNotificationSettings(userId);
+  if (!settings) {
+    const error = new Error('User not found');
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+
+  const frequency = settings.digest_frequency || 'daily';
+  const plan = frequency === 'daily'
+    ? await planLicenseExpirations(
+      settings.reminder_stages || DEFAULT_REMINDER_STAGES,
+      settings.include_inactive || false,
+      userId
+    )
+    : await planDigest(userId);
+
+  return { userId, frequency, plan };
+}
+
+// Send a planned run; the result has a per-channel delivery result
+async function executeUserRun(run) {
+  return run.frequency === 'daily' ? executeLicenseExpirations(run.plan) : executeDigest(run.plan);
+}
+
+/**
+ * Plan and send a user's run, as the scheduler does
+ * @param {number} userId
+ * @returns {Promise<{frequency: string, result: Object}>}
+ */
+async function runUserNotifications(userId) {
+  const run = await planUserRun(userId);
+  return { frequency: run.frequency, result: await executeUserRun(run) };
+}
+
+// What a run sends (or sent) per channel, in the delivery log's license format
+function describeRun(run, result = null) {
+  const { frequency, plan } = run;
+  const deliveries = frequency === 'daily'
+    ? plan.deliveries.filter(({ items }) => items.length > 0).map(({ channel, recipient, items }) => ({
+      kind: 'reminder',
+      channel: channel.type,
+      recipient: displayRecipient(channel.type, recipient),
+      subject: notificationSubject(items),
+      licenses: items.map(({ license, daysUntilExpiry, stage }) => ({
+        licenseId: license.id,
+        name: license.name,
+        stage,
+        daysUntilExpiry
+      }))
+    }))
+    : plan.deliveries.map(({ channel, recipient }) => ({
+      kind: 'digest',
+      channel: channel.type,
+      recipient: displayRecipient(channel.type, recipient),
+      subject: plan.subject,
+      licenses: plan.licenses
+    }));
+
+  return {
+    userId: run.userId,
+    frequency,
+    deliveries: deliveries.map(delivery => {
+      const sent = result?.channels?.find(({ type }) => type === delivery.channel);
+      return sent
+        ? { ...delivery, status: sent.success ? 'sent' : 'failed', error: sent.error || null, deliveryId: sent.deliveryId ?? null }
+        : delivery;
+    }),
+    ...(result && !result.success ? { error: result.error } : {})
+  };
+}
+
+/**
+ * Run notifications now for one user or every user with notifications switched on
+ * @param {Object} options
+ * @param {number|null} [options.userId=null] - Only this user; null for all
+ * @param {boolean} [options.dryRun=false] - Only report what would be sent
+ * @returns {Promise<{dryRun: boolean, users: Array}>} Per user, the deliveries with their
+ *   channel, recipient, subject and licenses, and after a real run their status
+ */
+async function runNotifications({ userId = null, dryRun = false } = {}) {
+  const userIds = userId ? [userId] : await getNotifiedUserIds();
+  const users = [];
+
+  for (const id of userIds) {
+    const run = await planUserRun(id);
+    if (dryRun) {
+      users.push(describeRun(run));
+      continue;
+    }
+
+    let result;
+    try {
+      result = await executeUserRun(run);
+    } catch (error) {
+      logger.error(`Error in manual notification run for user ${id}:`, error);
+      result = { success: false, error: error.message, channels: [] };
+    }
+    users.push(describeRun(run, result));
+  }
+
+  logger.info(`Manual notification run${dryRun ? ' (dry run)' : ''} for ${users.length} users`, { userId });
+  return { dryRun, users };
+}
+
+module.exports = {
+  NOTIFICATIONS_ENABLED,
+  runUserNotifications,
+  runNotifications
+};
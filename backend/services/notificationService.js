@@ -0,0 +1,417 @@
+const { pool } = require('../config/db');
+const logger = require('../utils/logger');
+const User = require('../models/user');
+const NotificationDelivery = require('../models/notificationDelivery');
+const {
+  CHANNELS,
+  withChannelDefaults,
+  getEnabledChannels,
+  channelRecipient,
+  sendToChannels
+} = require('./notificationChannels');
+const { notificationSubject } = require('./notificationChannels/format');
+const { DEFAULT_REMINDER_STAGES } = require('./reminderStages');
+const { DEFAULT_TIMEZONE } = require('./timezones');
+
+// Licenses that expired longer ago than this are no longer reminded about
+const EXPIRED_GRACE_DAYS = 30;
+
+/**
+ * Get the licenses due for a reminder, with the stage each one is due for
+ * @param {Array<number>} reminderStages - Days before expiration at which reminders are sent
+ * @param {boolean} includeInactive - Whether to include inactive licenses
+ * @param {Array<number>|null} [customerIds=null] - Only include licenses of these customers; null for all
+ * @param {string} [timezone] - Timezone whose current date days until expiry are counted from
+ * @returns {Promise<Array>} - Licenses with days_until_expiry and reminder_stage, most urgent first
+ */
+async function getExpiringLicenses(
+  reminderStages = DEFAULT_REMINDER_STAGES,
+  includeInactive = false,
+  customerIds = null,
+  timezone = DEFAULT_TIMEZONE
+) {
+  try {
+    // The due stage is the smallest stage at or above the days left, so a run that was
+    // missed sends the current stage rather than every stage that went by
+    const query = `
+      SELECT * FROM (
+        SELECT 
+          l.*, 
+          v.name as vendor_name, 
+          c.name as customer_name,
+          v.contact_person as vendor_contact,
+          v.email as vendor_email,
+          c.contact_person as customer_contact,
+          c.email as customer_email,
+          (l.expiration_date - t.today) as days_until_expiry,
+          (SELECT MIN(stage) FROM unnest($1::int[]) stage
+           WHERE stage >= l.expiration_date - t.today) as reminder_stage
+        FROM licenses l
+        CROSS JOIN (SELECT (CURRENT_TIMESTAMP AT TIME ZONE $4)::date as today) t
+        LEFT JOIN vendors v ON l.vendor_id = v.id
+        LEFT JOIN customers c ON l.customer_id = c.id
+        WHERE l.expiration_date >= t.today - $3::integer
+        ${includeInactive ? '' : 'AND l.is_active = true'}
+        AND ($2::int[] IS NULL OR l.customer_id = ANY($2::int[]))
+      ) due
+      WHERE reminder_stage IS NOT NULL
+      ORDER BY days_until_expiry
+    `;
+
+    logger.debug('Checking for expiring contracts with query:', {
+      query: query.replace(/\s+/g, ' ').trim(),
+      reminderStages,
+      includeInactive,
+      customerIds,
+      timezone
+    });
+
+    const result = await pool.query(query, [reminderStages, customerIds, EXPIRED_GRACE_DAYS, timezone]);
+    
+    logger.debug(`Found ${result.rows.length} expiring contracts`, {
+      count: result.rows.length,
+      reminderStages,
+      includeInactive
+    });
+    
+    return result.rows;
+  } catch (error) {
+    console.error('Error fetching expiring contracts:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get licenses by ID with the fields notifications show
+ * @param {Array<number>} licenseIds
+ * @param {Array<number>|null} [customerIds=null] - Only include licenses of these customers; null for all
+ * @param {string} [timezone] - Timezone whose current date days until expiry are counted from
+ */
+async function getLicensesByIds(licenseIds, customerIds = null, timezone = DEFAULT_TIMEZONE) {
+  const result = await pool.query(
+    `SELECT 
+       l.*, 
+       v.name as vendor_name, 
+       c.name as customer_name,
+       v.contact_person as vendor_contact,
+       v.email as vendor_email,
+       c.contact_person as customer_contact,
+       c.email as customer_email,
+       (l.expiration_date - (CURRENT_TIMESTAMP AT TIME ZONE $3)::date) as days_until_expiry
+     FROM licenses l
+     LEFT JOIN vendors v ON l.vendor_id = v.id
+     LEFT JOIN customers c ON l.customer_id = c.id
+     WHERE l.id = ANY($1::int[])
+     AND ($2::int[] IS NULL OR l.customer_id = ANY($2::int[]))
+     ORDER BY days_until_expiry`,
+    [licenseIds, customerIds, timezone]
+  );
+  return result.rows;
+}
+
+/**
+ * Get the reminders already sent to a destination for the current term of some licenses
+ * @param {Array<number>} licenseIds
+ * @param {string} channel - Channel type
+ * @param {string} recipient - Address or URL from channelRecipient()
+ * @returns {Promise<Set<string>>} "<license id>:<stage>" keys
+ */
+async function getSentReminders(licenseIds, channel, recipient) {
+  const result = await pool.query(
+    `SELECT ln.license_id, ln.stage
+     FROM license_notifications ln
+     JOIN licenses l ON l.id = ln.license_id AND l.expiration_date = ln.expiration_date
+     WHERE ln.license_id = ANY($1::int[]) AND ln.channel = $2 AND ln.recipient = $3`,
+    [licenseIds, channel, recipient]
+  );
+  return new Set(result.rows.map(row => `${row.license_id}:${row.stage}`));
+}
+
+/**
+ * Record delivered reminders so the same stage is not sent to the destination again
+ * @param {Array<{license: Object, stage: number}>} items - Licenses that were sent
+ * @param {string} channel - Channel type
+ * @param {string} recipient - Address or URL from channelRecipient()
+ * @param {number|null} userId - User the reminder was sent for
+ */
+async function recordReminders(items, channel, recipient, userId) {
+  await pool.query(
+    `INSERT INTO license_notifications (license_id, expiration_date, stage, channel, recipient, user_id)
+     SELECT l.id, l.expiration_date, sent.stage, $3, $4, $5
+     FROM unnest($1::int[], $2::int[]) AS sent(license_id, stage)
+     JOIN licenses l ON l.id = sent.license_id
+     ON CONFLICT (license_id, expiration_date, stage, channel, recipient) DO NOTHING`,
+    [items.map(({ license }) => license.id), items.map(({ stage }) => stage), channel, recipient, userId]
+  );
+}
+
+/**
+ * Get a user's notification settings joined with their login email
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Object|null>} Settings row (settings columns are null when the user has none), or null for unknown users
+ */
+async function getNotificationSettings(userId) {
+  const result = await pool.query(
+    `SELECT uns.*, u.id as user_id, u.email
+     FROM users u
+     LEFT JOIN user_notification_settings uns ON uns.user_id = u.id
+     WHERE u.id = $1`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Work out where a notification run is delivered
+ * @param {number|null} userId - User being notified, or null for the admin mailbox
+ * @returns {Promise<{channels: Array<{type: string, config: Object}>, userEmail: string|null, timezone: string}>}
+ */
+async function resolveChannels(userId) {
+  if (!userId) {
+    return {
+      channels: process.env.ADMIN_EMAIL ? [{ type: 'email', config: { address: process.env.ADMIN_EMAIL } }] : [],
+      userEmail: null,
+      timezone: DEFAULT_TIMEZONE
+    };
+  }
+
+  const settings = await getNotificationSettings(userId);
+  if (!settings) {
+    return { channels: [], userEmail: null, timezone: DEFAULT_TIMEZONE };
+  }
+
+  // Users without saved settings still get email at their login address
+  if (settings.send_to_email === null) {
+    return {
+      channels: [{ type: 'email', config: { address: settings.email } }],
+      userEmail: settings.email,
+      timezone: DEFAULT_TIMEZONE
+    };
+  }
+
+  return {
+    channels: getEnabledChannels(settings),
+    userEmail: settings.email_address || settings.email,
+    timezone: settings.timezone || DEFAULT_TIMEZONE
+  };
+}
+
+/**
+ * Send licenses through one channel, log the attempt and record the delivered reminders
+ * @param {{type: string, config: Object}} channel
+ * @param {Array<{license: Object, daysUntilExpiry: number, stage: number}>} items
+ * @param {Object} options - userId, userEmail, and for resends resentFrom and createdBy
+ * @returns {Promise<{type: string, success: boolean, deliveryId: number|null, messageId?: string, error?: string, recordError?: string}>}
+ *   recordError is set when the message went out but its reminders could not be recorded
+ */
+async function sendAndLog(channel, items, { userId = null, userEmail = null, resentFrom = null, createdBy = null }) {
+  const recipient = channelRecipient(channel.type, channel.config);
+  const [result] = await sendToChannels([channel], { licenses: items, userEmail });
+
+  // A delivery that went out is not turned into a failure because the log write failed
+  let delivery = null;
+  try {
+    delivery = await NotificationDelivery.create({
+      userId,
+      channel: channel.type,
+      recipient,
+      subject: notificationSubject(items),
+      licenses: items.map(({ license, daysUntilExpiry, stage }) => ({
+        licenseId: license.id,
+        name: license.name,
+        stage,
+        daysUntilExpiry
+      })),
+      status: result.success ? 'sent' : 'failed',
+      error: result.error || null,
+      messageId: result.messageId || null,
+      resentFrom,
+      createdBy
+    });
+  } catch (error) {
+    logger.error('Failed to log notification delivery', { error: error.message, channel: channel.type, userId });
+  }
+
+  // A resend repeats a reminder that was recorded when it first went out, possibly for a term
+  // that has since been renewed, so it does not count as a stage of the current term
+  let recordError;
+  if (result.success && !resentFrom) {
+    try {
+      await recordReminders(items, channel.type, recipient, userId);
+    } catch (error) {
+      // Reporting this as a failed delivery would have the run retried and the reminder sent twice
+      logger.error('Failed to record sent reminders', { error: error.message, channel: channel.type, userId });
+      recordError = error.message;
+    }
+  }
+  return { ...result, deliveryId: delivery?.id ?? null, ...(recordError && { recordError }) };
+}
+
+// Find the channel config a logged delivery went to; webhook settings are not kept in the log
+async function resolveResendChannel(delivery) {
+  if (delivery.channel === 'email') {
+    return { type: 'email', config: { address: delivery.recipient } };
+  }
+
+  const settings = delivery.user_id ? await getNotificationSettings(delivery.user_id) : null;
+  const config = withChannelDefaults(settings?.channels)[delivery.channel];
+  if (!config || channelRecipient(delivery.channel, config) !== delivery.recipient) {
+    const label = CHANNELS[delivery.channel]?.label || delivery.channel;
+    const error = new Error(`The ${label} channel has been changed or removed since this notification was sent`);
+    error.code = 'CHANNEL_NOT_CONFIGURED';
+    throw error;
+  }
+
+  return { type: delivery.channel, config };
+}
+
+/**
+ * Send a logged notification again with the current license data
+ * @param {Object} delivery - notification_deliveries row
+ * @param {number} createdBy - User asking for the resend
+ * @returns {Promise<Object>} Result of the new attempt, including its deliveryId
+ */
+async function resendDelivery(delivery, createdBy) {
+  const channel = await resolveResendChannel(delivery);
+
+  const settings = delivery.user_id ? await getNotificationSettings(delivery.user_id) : null;
+  const userEmail = settings ? settings.email_address || settings.email : null;
+
+  // Licenses deleted or moved out of the user's customers since then are left out
+  const customerIds = delivery.user_id ? await User.getCustomerScope(delivery.user_id) : null;
+  const licenses = await getLicensesByIds(delivery.license_ids, customerIds, settings?.timezone || DEFAULT_TIMEZONE);
+  if (licenses.length === 0) {
+    const error = new Error('None of the licenses in this notification exist anymore');
+    error.code = 'NO_LICENSES';
+    throw error;
+  }
+
+  const stages = new Map(delivery.licenses.map(({ licenseId, stage }) => [licenseId, stage]));
+  const items = licenses.map(license => ({
+    license,
+    daysUntilExpiry: license.days_until_expiry,
+    stage: stages.get(license.id)
+  }));
+
+
+  logger.info('Resending notification', { deliveryId: delivery.id, channel: delivery.channel, createdBy });
+  return sendAndLog(channel, items, {
+    userId: delivery.user_id,
+    userEmail,
+    resentFrom: delivery.id,
+    createdBy
+  });
+}
+
+/**
+ * Work out the reminders a run would send through each enabled channel, without sending anything
+ * @param {Array<number>} reminderStages - Days before expiration at which reminders are sent
+ * @param {boolean} includeInactive - Whether to include inactive licenses
+ * @param {number} [userId] - Optional user to notify; limits licenses to the customers they may see
+ * @returns {Promise<{userId: number|null, userEmail: string|null, timezone: string, deliveries: Array}>}
+ *   One delivery per channel, { channel, recipient, items }, with the reminders it has not received yet
+ */
+async function planLicenseExpirations(reminderStages = DEFAULT_REMINDER_STAGES, includeInactive = false, userId = null) {
+  const { channels, userEmail, timezone } = await resolveChannels(userId);
+  const plan = { userId, userEmail, timezone, deliveries: [] };
+  if (channels.length === 0) {
+    return plan;
+  }
+
+  // Get expiring licenses, limited to the user's customers when notifying a user
+  const customerIds = userId ? await User.getCustomerScope(userId) : null;
+  const expiringLicenses = await getExpiringLicenses(reminderStages, includeInactive, customerIds, timezone);
+
+  const items = expiringLicenses.map(license => ({
+    license,
+    daysUntilExpiry: license.days_until_expiry,
+    stage: license.reminder_stage
+  }));
+
+  plan.deliveries = await Promise.all(channels.map(async channel => {
+    const recipient = channelRecipient(channel.type, channel.config);
+    const sent = items.length > 0
+      ? await getSentReminders(items.map(({ license }) => license.id), channel.type, recipient)
+      : new Set();
+    return {
+      channel,
+      recipient,
+      items: items.filter(({ license, stage }) => !sent.has(`${license.id}:${stage}`))
+    };
+  }));
+  return plan;
+}
+
+/**
+ * Send a planned run: each channel gets one message with the reminders it has not received yet
+ * @param {Object} plan - From planLicenseExpirations()
+ * @returns {Promise<Object>} Result of the operation, with a per-channel delivery result
+ */
+async function executeLicenseExpirations(plan) {
+  const { userId, userEmail, deliveries } = plan;
+  if (deliveries.length === 0) {
+    logger.warn('No notification channels enabled', { userId });
+    return { success: true, count: 0, channels: [] };
+  }
+  if (deliveries.every(({ items }) => items.length === 0)) {
+    logger.info('No reminders due', { userId });
+    return { success: true, count: 0, channels: [] };
+  }
+
+  const results = await Promise.all(deliveries.map(async ({ channel, items }) => {
+    if (items.length === 0) {
+      return { type: channel.type, success: true, count: 0 };
+    }
+    try {
+      const result = await sendAndLog(channel, items, { userId, userEmail });
+      return { ...result, count: result.success ? items.length : 0 };
+    } catch (error) {
+      logger.error(`Error delivering ${channel.type} reminders:`, error);
+      return { type: channel.type, success: false, count: 0, error: error.message };
+    }
+  }));
+
+  const delivered = results.some(result => result.success);
+  const count = Math.max(0, ...results.map(result => result.count));
+
+  logger.info(`Sent reminders for ${count} licenses`, { userId, channels: results });
+  return {
+    success: delivered,
+    count,
+    channels: results,
+    ...(delivered ? {} : { error: 'All notification channels failed' })
+  };
+}
+
+/**
+ * Process license expirations and send each due reminder stage once through every enabled channel
+ * @param {Array<number>} reminderStages - Days before expiration at which reminders are sent
+ * @param {boolean} includeInactive - Whether to include inactive licenses
+ * @param {number} [userId] - Optional user to notify; limits licenses to the customers they may see
+ * @returns {Promise<Object>} Result of the operation, with a per-channel delivery result
+ */
+async function processLicenseExpirations(reminderStages = DEFAULT_REMINDER_STAGES, includeInactive = false, userId = null) {
+  try {
+    logger.info('Processing license expirations', { reminderStages, includeInactive, userId });
+    const plan = await planLicenseExpirations(reminderStages, includeInactive, userId);
+    return await executeLicenseExpirations(plan);
+  } catch (error) {
+    logger.error('Error processing license expirations:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  EXPIRED_GRACE_DAYS,
+  getExpiringLicenses,
+  getLicensesByIds,
+  getSentReminders,
+  recordReminders,
+  getNotificationSettings,
+  resolveChannels,
+  resolveResendChannel,
+  planLicenseExpirations,
+  executeLicenseExpirations,
+  processLicenseExpirations,
+  resendDelivery
+};
@@ -0,0 +1,38 @@
+// Reminder stages are "days before expiration" values; a license is due for the
+// smallest stage that is at least its days until expiry, and each stage is sent once.
+const DEFAULT_REMINDER_STAGES = [90, 60, 30, 7, 1];
+const MAX_REMINDER_STAGES = 10;
+const MAX_STAGE_DAYS = 365;
+
+// Distinct whole numbers, largest first
+function normalizeStages(stages) {
+  return [...new Set((stages || []).map(Number))].sort((a, b) => b - a);
+}
+
+/**
+ * Check a list of reminder stages
+ * @param {Array} stages
+ * @returns {string[]} Error messages, empty when the stages are valid
+ */
+function validateStages(stages) {
+  if (!Array.isArray(stages) || stages.length === 0) {
+    return ['At least one reminder stage is required'];
+  }
+  if (stages.length > MAX_REMINDER_STAGES) {
+    return [`At most ${MAX_REMINDER_STAGES} reminder stages are allowed`];
+  }
+  if (!stages.every(stage => Number.isInteger(Number(stage)) && stage !== '' && stage !== null)) {
+    return ['Reminder stages must be whole numbers of days'];
+  }
+  if (stages.some(stage => Number(stage) < 0 || Number(stage) > MAX_STAGE_DAYS)) {
+    return [`Reminder stages must be between 0 and ${MAX_STAGE_DAYS} days`];
+  }
+  return [];
+}
+
+module.exports = {
+  DEFAULT_REMINDER_STAGES,
+  MAX_STAGE_DAYS,
+  normalizeStages,
+  validateStages
+};
@@ -0,0 +1,154 @@
+const { formatDate } = require('../utils/csv');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Terms shorter than this are not trusted to repeat; such licenses renew yearly,
+// like the annualized cost treats them
+const MIN_TERM_DAYS = 28;
+
+// DATE columns arrive as local midnight; compare and step them as UTC days so DST does not shift them
+const toUtcDay = (value) => new Date(`${formatDate(new Date(value))}T00:00:00Z`);
+
+const monthStart = (year, month) => new Date(Date.UTC(year, month, 1));
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Length of a license term: whole months when it runs from a day of the month to the
+ * same day (so monthly and yearly terms keep their renewal day), days otherwise
+ * @returns {{months: number}|{days: number}}
+ */
+function termLength(start, end) {
+  const months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth();
+  if (start.getUTCDate() === end.getUTCDate() && months > 0) {
+    return { months };
+  }
+
+  const days = Math.round((end - start) / DAY_MS);
+  return days >= MIN_TERM_DAYS ? { days } : { months: 12 };
+}
+
+// Date of the index-th renewal after the first; month ends are clamped (Jan 31, Feb 28, Mar 31)
+function renewalDate(first, term, index) {
+  if (term.days) {
+    return new Date(first.getTime() + index * term.days * DAY_MS);
+  }
+  const year = first.getUTCFullYear();
+  const month = first.getUTCMonth() + index * term.months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(first.getUTCDate(), lastDay)));
+}
+
+/**
+ * Project the renewals of licenses over the coming months. A license renews at its
+ * expiration date and then every term (expiration date minus term_start) until the
+ * window ends; each renewal costs the previous one plus the vendor's renewal uplift.
+ * Licenses that expired before today were not renewed in time: those that expired
+ * earlier in the current month are returned as overdue, while those that expired before
+ * the current month are left out, as they are past any budget the window covers.
+ * Today and the months are taken in UTC, so the result does not depend on the server's timezone
+ * @param {Array<Object>} rows - Licenses as returned by License.getCosts, with cost in the currency to project in
+ * @param {Object} options
+ * @param {number} options.months - Length of the window, starting with the current month
+ * @param {Date} [options.today=new Date()] - Current time; its UTC date is today
+ * @returns {{months: Array<string>, renewals: Array<Object>, overdue: Array<Object>}} The window's
+ *   months (YYYY-MM), every projected renewal with its license, vendor, customer, currency, date,
+ *   month and cost, and the overdue licenses with their expiration date and current cost
+ */
+function projectRenewals(rows, { months, today = new Date() }) {
+  const year = today.getUTCFullYear();
+  const month = today.getUTCMonth();
+  const todayUtc = new Date(Date.UTC(year, month, today.getUTCDate()));
+  const start = monthStart(year, month);
+  const end = monthStart(year, month + months);
+  const monthKeys = Array.from({ length: months }, (_, index) =>
+    monthStart(year, month + index).toISOString().slice(0, 7)
+  );
+
+  const renewals = [];
+  const overdue = [];
+  for (const row of rows) {
+    if (!row.expiration_date || toUtcDay(row.expiration_date) < start) {
+      continue;
+    }
+
+    const first = toUtcDay(row.expiration_date);
+    if (first < todayUtc) {
+      overdue.push({
+        license_id: row.id,
+        name: row.name,
+        vendor_id: row.vendor_id,
+        vendor_name: row.vendor_name,
+        customer_id: row.customer_id,
+        customer_name: row.customer_name,
+        currency: row.currency,
+        expiration_date: first.toISOString().slice(0, 10),
+        cost: roundMoney(Number(row.cost))
+      });
+      continue;
+    }
+
+    const term = row.term_start ? termLength(toUtcDay(row.term_start), first) : { months: 12 };
+    const uplift = 1 + Number(row.renewal_uplift_percent || 0) / 100;
+    let cost = Number(row.cost);
+
+    for (let index = 0, date = first; date < end; date = renewalDate(first, term, ++index)) {
+      cost *= uplift;
+      renewals.push({
+        license_id: row.id,
+        name: row.name,
+        vendor_id: row.vendor_id,
+        vendor_name: row.vendor_name,
+        renewal_uplift_percent: Number(row.renewal_uplift_percent || 0),
+        customer_id: row.customer_id,
+        customer_name: row.customer_name,
+        currency: row.currency,
+        date: date.toISOString().slice(0, 10),
+        month: date.toISOString().slice(0, 7),
+        cost: roundMoney(cost)
+      });
+    }
+  }
+
+  return { months: monthKeys, renewals, overdue };
+}
+
+/**
+ * Total projected renewals per group and month
+ * @param {Array<Object>} renewals - From projectRenewals
+ * @param {Array<string>} months - From projectRenewals
+ * @param {{key: Function, label: Function}} group - Group key and label of a renewal
+ * @returns {Array<{key, label: string, renewals: number, total: number, months: Array<number>}>}
+ *   Largest total first; months holds the total of each month of the window, in order
+ */
+function groupRenewals(renewals, months, { key, label }) {
+  const monthIndex = new Map(months.map((month, index) => [month, index]));
+  const groups = new Map();
+
+  for (const renewal of renewals) {
+    const groupKey = key(renewal) ?? null;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, {
+        key: groupKey,
+        label: label(renewal),
+        renewals: 0,
+        total: 0,
+        months: months.map(() => 0)
+      });
+    }
+
+    const group = groups.get(groupKey);
+    group.renewals += 1;
+    group.total += renewal.cost;
+    group.months[monthIndex.get(renewal.month)] += renewal.cost;
+  }
+
+  return Array.from(groups.values())
+    .map(group => ({ ...group, total: roundMoney(group.total), months: group.months.map(roundMoney) }))
+    .sort((a, b) => b.total - a.total || String(a.label).localeCompare(String(b.label)));
+}
+
+module.exports = {
+  projectRenewals,
+  groupRenewals
+};
@@ -1,139 +1,236 @@
+const os = require('os');
 const cron = require('node-cron');
-const { processLicenseExpirations } = require('./emailService');
+const { processCustomerNotices } = require('./customerNoticeService');
+const { NOTIFICATIONS_ENABLED, runUserNotifications } = require('./notificationRunner');
+const { DEFAULT_TIMEZONE } = require('./timezones');
+const NotificationJob = require('../models/notificationJob');
 const logger = require('../utils/logger');
 const { pool } = require('../config/db');
 
-// Store active tasks
-const activeTasks = new Map();
+// SQL condition matching the local dates a user's reminders or digest go out on
+const RUNS_ON = (day) => `(uns.digest_frequency = 'daily'
+  OR (uns.digest_frequency = 'weekly' AND EXTRACT(DOW FROM ${day}) = uns.digest_weekday)
+  OR (uns.digest_frequency = 'monthly' AND EXTRACT(DAY FROM ${day}) = uns.digest_day_of_month))`;
 
-// Function to get all users with email notifications enabled
-async function getUsersWithEmailNotifications() {
-  try {
-    const result = await pool.query(
-      `SELECT 
-         u.id, 
-         COALESCE(uns.email_address, u.email) as email, 
-         uns.notification_time, 
-         uns.days_before_expiration, 
-         uns.include_inactive,
-         uns.email_address as notification_email
-       FROM users u
-       JOIN user_notification_settings uns ON u.id = uns.user_id
-       WHERE uns.send_to_email = true`
-    );
-    logger.debug('Fetched users with email notifications:', result.rows);
-    return result.rows;
-  } catch (error) {
-    logger.error('Error fetching users with email notifications:', error);
-    return [];
-  }
+// Customer and vendor contact notices go out once a day for all customers
+const CUSTOMER_NOTICE_CRON = process.env.CUSTOMER_NOTICE_CRON || '0 9 * * *';
+
+// Every instance checks the queue once a minute
+const TICK_CRON = '* * * * *';
+
+// A run missed while no instance was up is still queued within this window
+const CATCH_UP_WINDOW = '2 hours';
+
+// A job running for longer than this is assumed lost with its worker and retried
+const JOB_LOCK_TIMEOUT = '15 minutes';
+
+// Failed runs are retried after 5, 10, 20 and 40 minutes
+const RETRY_BASE_MINUTES = 5;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Wait before the next attempt of a job that failed on the given attempt
+const retryDelay = (attempts) => `${RETRY_BASE_MINUTES * 2 ** (attempts - 1)} minutes`;
+
+let tickTask = null;
+let customerNoticeTask = null;
+let ticking = false;
+
+/**
+ * Queue today's run for every user whose notification time has come in their timezone.
+ * The run key holds the user's local date, so each user gets one run per day however
+ * many instances enqueue it and however often the time is changed afterwards
+ * @returns {Promise<number>} Number of jobs added
+ */
+async function enqueueUserJobs() {
+  const result = await pool.query(
+    `INSERT INTO notification_jobs (type, user_id, run_key, scheduled_for)
+     SELECT
+       'user_notifications',
+       uns.user_id,
+       'user:' || uns.user_id || ':' || n.local_now::date,
+       (n.local_now::date + uns.notification_time) AT TIME ZONE uns.timezone
+     FROM user_notification_settings uns
+     CROSS JOIN LATERAL (SELECT CURRENT_TIMESTAMP AT TIME ZONE uns.timezone as local_now) n
+     WHERE ${NOTIFICATIONS_ENABLED}
+     AND n.local_now >= n.local_now::date + uns.notification_time
+     AND n.local_now < n.local_now::date + uns.notification_time + $1::interval
+     AND ${RUNS_ON('n.local_now')}
+     ON CONFLICT (run_key) DO NOTHING
+     RETURNING id`,
+    [CATCH_UP_WINDOW]
+  );
+  return result.rowCount;
 }
 
-// Function to schedule notifications for a specific user
-function scheduleUserNotifications(user) {
-  try {
-    // Cancel any existing task for this user
-    if (activeTasks.has(user.id)) {
-      const existingTask = activeTasks.get(user.id);
-      existingTask.stop();
-      activeTasks.delete(user.id);
+// Queue the customer notices for the minute CUSTOMER_NOTICE_CRON fired at
+async function enqueueCustomerNotices(firedAt = new Date()) {
+  const minute = new Date(Math.floor(firedAt.getTime() / 60000) * 60000);
+  return NotificationJob.enqueue({
+    type: 'customer_notices',
+    runKey: `customer_notices:${minute.toISOString().slice(0, 16)}`,
+    scheduledFor: minute
+  });
+}
+
+/**
+ * Run one job
+ * @returns {Promise<{result: Object, error?: string}>} error is set when the run should be retried
+ */
+async function runJob(job) {
+  if (job.type === 'customer_notices') {
+    const result = await processCustomerNotices();
+    // Notices that went out are recorded, so a retry only sends the failed ones
+    if (!result.success || result.failed > 0) {
+      return { result, error: result.error || `${result.failed} notice(s) failed` };
     }
+    return { result };
+  }
 
-    // Parse the notification time (format: 'HH:MM')
-    const [hours, minutes] = user.notification_time.split(':');
-    
-    // Schedule the task to run daily at the specified time
-    const task = cron.schedule(
-      `${minutes} ${hours} * * *`, // Run at the specified time every day
-      async () => {
-        try {
-          logger.info(`Running scheduled notifications for user ${user.id} at ${user.notification_time}`, {
-            daysBeforeExpiration: user.days_before_expiration,
-            includeInactive: user.include_inactive,
-            userId: user.id
-          });
-          
-          // Ensure parameters are passed in the correct order:
-          // 1. daysAhead
-          // 2. includeInactive
-          // 3. userId (optional)
-          await processLicenseExpirations(
-            user.days_before_expiration, 
-            user.include_inactive, 
-            user.id
-          );
-        } catch (error) {
-          logger.error(`Error in scheduled task for user ${user.id}:`, error);
-        }
-      },
-      {
-        scheduled: true,
-        timezone: 'Asia/Bangkok'
-      }
-    );
-    
-    // Store the task
-    activeTasks.set(user.id, task);
-    
-    logger.info(`Scheduled notifications for user ${user.id} at ${user.notification_time} (Bangkok time)`);
-    return task;
-  } catch (error) {
-    logger.error(`Error scheduling notifications for user ${user.id}:`, error);
-    return null;
+  logger.info(`Running scheduled notifications for user ${job.user_id}`, { jobId: job.id, attempt: job.attempts });
+  const { frequency, result } = await runUserNotifications(job.user_id);
+
+  if (frequency !== 'daily') {
+    // A digest is only retried when no channel got it, so nobody receives it twice
+    return result.success ? { result } : { result, error: result.error };
+  }
+
+  // Delivered reminders are recorded per stage and channel, so a retry only
+  // goes to the channels that failed
+  const failed = (result.channels || []).filter(channel => !channel.success);
+  if (!result.success || failed.length > 0) {
+    return { result, error: result.error || failed.map(channel => `${channel.type}: ${channel.error}`).join('; ') };
   }
+  return { result };
 }
 
-// Update notification schedule for a specific user
-async function updateUserSchedule(userId) {
-  try {
-    const result = await pool.query(
-      `SELECT u.id, u.email, uns.notification_time, uns.days_before_expiration, uns.include_inactive
-       FROM users u
-       JOIN user_notification_settings uns ON u.id = uns.user_id
-       WHERE u.id = $1 AND uns.send_to_email = true`,
-      [userId]
-    );
-    
-    if (result.rows.length > 0) {
-      await scheduleUserNotifications(result.rows[0]);
-      logger.info(`Updated schedule for user ${userId}`);
-    } else {
-      // If user doesn't have notifications enabled, cancel any existing task
-      if (activeTasks.has(userId)) {
-        activeTasks.get(userId).stop();
-        activeTasks.delete(userId);
-        logger.info(`Cancelled notifications for user ${userId} (notifications disabled)`);
+// Claim and run due jobs until none are left
+async function processQueue() {
+  let job;
+  while ((job = await NotificationJob.claimNext(WORKER_ID))) {
+    try {
+      const { result, error } = await runJob(job);
+      if (error) {
+        logger.warn(`Notification job ${job.id} failed (attempt ${job.attempts} of ${job.max_attempts})`, { error });
+        await NotificationJob.fail(job, error, { result, retryDelay: retryDelay(job.attempts) });
+      } else {
+        await NotificationJob.complete(job, result);
       }
+    } catch (error) {
+      logger.error(`Error running notification job ${job.id}:`, error);
+      await NotificationJob.fail(job, error.message, { retryDelay: retryDelay(job.attempts) });
     }
-  } catch (error) {
-    logger.error(`Error updating schedule for user ${userId}:`, error);
   }
 }
 
-// Initialize the scheduler
-async function initScheduler() {
+// Reclaim lost jobs, queue the runs that are due and work through the queue
+async function tick() {
+  // A slow run is not started again by the next minute's tick
+  if (ticking) {
+    return;
+  }
+
+  ticking = true;
   try {
-    // Clear any existing tasks
-    activeTasks.forEach(task => task.stop());
-    activeTasks.clear();
-    
-    // Get all users with email notifications enabled
-    const users = await getUsersWithEmailNotifications();
-    
-    // Schedule notifications for each user
-    users.forEach(user => scheduleUserNotifications(user));
-    
-    logger.info(`Initialized ${users.length} scheduled notification tasks`);
-    return Array.from(activeTasks.values());
+    const reclaimed = await NotificationJob.reclaimStale(JOB_LOCK_TIMEOUT);
+    if (reclaimed.length > 0) {
+      logger.warn(`Reclaimed ${reclaimed.length} notification jobs from stopped workers`, { jobIds: reclaimed });
+    }
+
+    const queued = await enqueueUserJobs();
+    if (queued > 0) {
+      logger.info(`Queued ${queued} user notification jobs`);
+    }
+
+    await processQueue();
   } catch (error) {
-    logger.error('Error initializing scheduler:', error);
-    return [];
+    logger.error('Error in notification scheduler tick:', error);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Next run of every user with notifications switched on, in the next month
+ * @returns {Promise<Array<{user_id: number, username: string, frequency: string, timezone: string, next_run_at: Date|null}>>}
+ */
+async function getUpcomingRuns() {
+  const result = await pool.query(
+    `SELECT
+       u.id as user_id,
+       u.username,
+       uns.digest_frequency as frequency,
+       uns.notification_time,
+       uns.timezone,
+       (SELECT (n.local_now::date + d.offset_days + uns.notification_time) AT TIME ZONE uns.timezone
+        FROM generate_series(0, 31) as d(offset_days)
+        WHERE n.local_now::date + d.offset_days + uns.notification_time > n.local_now
+        AND ${RUNS_ON('n.local_now::date + d.offset_days')}
+        ORDER BY d.offset_days
+        LIMIT 1) as next_run_at
+     FROM users u
+     JOIN user_notification_settings uns ON uns.user_id = u.id
+     CROSS JOIN LATERAL (SELECT CURRENT_TIMESTAMP AT TIME ZONE uns.timezone as local_now) n
+     WHERE ${NOTIFICATIONS_ENABLED}
+     ORDER BY next_run_at, u.username`
+  );
+  return result.rows;
+}
+
+// Queue the daily customer and vendor contact notices
+function scheduleCustomerNotices() {
+  if (customerNoticeTask) {
+    customerNoticeTask.stop();
+  }
+
+  if (!cron.validate(CUSTOMER_NOTICE_CRON)) {
+    logger.error(`Invalid CUSTOMER_NOTICE_CRON "${CUSTOMER_NOTICE_CRON}"; customer notices are not scheduled`);
+    customerNoticeTask = null;
+    return null;
   }
+
+  customerNoticeTask = cron.schedule(
+    CUSTOMER_NOTICE_CRON,
+    async (firedAt) => {
+      try {
+        await enqueueCustomerNotices(firedAt instanceof Date ? firedAt : new Date());
+        await tick();
+      } catch (error) {
+        logger.error('Error queuing customer notices:', error);
+      }
+    },
+    {
+      scheduled: true,
+      timezone: DEFAULT_TIMEZONE
+    }
+  );
+
+  logger.info(`Scheduled customer notices at "${CUSTOMER_NOTICE_CRON}" (${DEFAULT_TIMEZONE})`);
+  return customerNoticeTask;
+}
+
+function stopScheduler() {
+  [tickTask, customerNoticeTask].filter(Boolean).forEach(task => task.stop());
+  tickTask = null;
+  customerNoticeTask = null;
+}
+
+// Initialize the scheduler; every instance runs it and the job queue keeps runs from doubling up
+async function initScheduler() {
+  stopScheduler();
+  scheduleCustomerNotices();
+  tickTask = cron.schedule(TICK_CRON, tick, { scheduled: true });
+
+  logger.info(`Notification scheduler started as worker ${WORKER_ID}`);
+  await tick();
 }
 
 module.exports = {
+  CUSTOMER_NOTICE_CRON,
+  JOB_LOCK_TIMEOUT,
+  retryDelay,
+  tick,
   initScheduler,
-  getUsersWithEmailNotifications,
-  scheduleUserNotifications,
-  updateUserSchedule
+  stopScheduler,
+  getUpcomingRuns
 };
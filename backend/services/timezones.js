@@ -0,0 +1,14 @@
+// Timezone for schedules and "days remaining" when a user has not picked one
+const DEFAULT_TIMEZONE = process.env.NOTIFICATION_TIMEZONE || 'Asia/Bangkok';
+
+const SUPPORTED_TIMEZONES = new Set([...Intl.supportedValuesOf('timeZone'), 'UTC']);
+
+// Whether a value is an IANA timezone name, e.g. "Europe/Berlin"
+function isValidTimezone(timezone) {
+  return typeof timezone === 'string' && SUPPORTED_TIMEZONES.has(timezone);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone
+};
@@ -0,0 +1,78 @@
+const KEY = '0123456789abcdef'.repeat(4);
+
+// The module keeps its keys once loaded, so each test gets a fresh copy
+function loadCrypto(secret = KEY) {
+  process.env.LICENSE_KEY_ENCRYPTION_KEY = secret;
+  let crypto;
+  jest.isolateModules(() => {
+    crypto = require('../crypto');
+  });
+  return crypto;
+}
+
+describe('crypto', () => {
+  const originalKey = process.env.LICENSE_KEY_ENCRYPTION_KEY;
+
+  afterEach(() => {
+    if (originalKey === undefined) {
+      delete process.env.LICENSE_KEY_ENCRYPTION_KEY;
+    } else {
+      process.env.LICENSE_KEY_ENCRYPTION_KEY = originalKey;
+    }
+  });
+
+  test('decrypts what it encrypted', () => {
+    const { encrypt, decrypt, isEncrypted } = loadCrypto();
+    const value = encrypt('ABCD-1234-ÉFGH');
+
+    expect(isEncrypted(value)).toBe(true);
+    expect(value).not.toContain('ABCD');
+    expect(decrypt(value)).toBe('ABCD-1234-ÉFGH');
+  });
+
+  test('uses a new IV for every value', () => {
+    const { encrypt } = loadCrypto();
+    expect(encrypt('same')).not.toBe(encrypt('same'));
+  });
+
+  test('rejects tampered ciphertext', () => {
+    const { encrypt, decrypt } = loadCrypto();
+    const [version, iv, tag, ciphertext] = encrypt('secret').split(':');
+    const flipped = Buffer.from(ciphertext, 'base64');
+    flipped[0] ^= 1;
+
+    expect(() => decrypt([version, iv, tag, flipped.toString('base64')].join(':'))).toThrow();
+  });
+
+  test('does not decrypt values written with another key', () => {
+    const value = loadCrypto().encrypt('secret');
+    const { decrypt } = loadCrypto('f'.repeat(64));
+
+    expect(() => decrypt(value)).toThrow();
+  });
+
+  test('rejects values in an unknown format', () => {
+    const { decrypt, isEncrypted } = loadCrypto();
+
+    expect(isEncrypted('plain-key')).toBe(false);
+    expect(isEncrypted(null)).toBe(false);
+    expect(() => decrypt('plain-key')).toThrow(expect.objectContaining({ code: 'DECRYPTION_FAILED' }));
+    expect(() => decrypt('v2:a:b:c')).toThrow(expect.objectContaining({ code: 'DECRYPTION_FAILED' }));
+  });
+
+  test('hashes trimmed values with the key', () => {
+    const { lookupHash } = loadCrypto();
+
+    expect(lookupHash(' ABCD ')).toBe(lookupHash('ABCD'));
+    expect(lookupHash('ABCD')).toMatch(/^[0-9a-f]{64}$/);
+    expect(lookupHash('ABCD')).not.toBe(lookupHash('ABCE'));
+    expect(loadCrypto('f'.repeat(64)).lookupHash('ABCD')).not.toBe(lookupHash('ABCD'));
+  });
+
+  test('requires a 64 hex character key', () => {
+    const { encrypt, lookupHash } = loadCrypto('too-short');
+
+    expect(() => encrypt('secret')).toThrow(expect.objectContaining({ code: 'ENCRYPTION_KEY_MISSING' }));
+    expect(() => lookupHash('secret')).toThrow(expect.objectContaining({ code: 'ENCRYPTION_KEY_MISSING' }));
+  });
+});
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Stored values look like "v1:<iv>:<auth tag>:<ciphertext>" (base64 parts), so the
+// format can change later without guessing how an existing value was written
+const VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+let keys;
+
+// Load the 32-byte key from LICENSE_KEY_ENCRYPTION_KEY (64 hex characters) on first use
+function getKeys() {
+  if (keys) {
+    return keys;
+  }
+
+  const secret = process.env.LICENSE_KEY_ENCRYPTION_KEY || '';
+  if (!/^[0-9a-fA-F]{64}$/.test(secret)) {
+    const error = new Error('LICENSE_KEY_ENCRYPTION_KEY must be set to 64 hex characters (openssl rand -hex 32)');
+    error.code = 'ENCRYPTION_KEY_MISSING';
+    throw error;
+  }
+
+  const master = Buffer.from(secret, 'hex');
+  // Separate keys for encryption and lookup hashes, both derived from the one secret
+  keys = {
+    encryption: Buffer.from(crypto.hkdfSync('sha256', master, Buffer.alloc(0), 'license-key-encryption', 32)),
+    hash: Buffer.from(crypto.hkdfSync('sha256', master, Buffer.alloc(0), 'license-key-hash', 32))
+  };
+  return keys;
+}
+
+// Check whether a stored value was written by encrypt()
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${VERSION}:`);
+}
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} plaintext
+ * @returns {string} Versioned, authenticated ciphertext
+ */
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKeys().encryption, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} value - Stored ciphertext
+ * @returns {string} Plaintext
+ */
+function decrypt(value) {
+  const [version, iv, tag, ciphertext] = String(value).split(':');
+  if (version !== VERSION || !iv || !tag || ciphertext === undefined) {
+    const error = new Error('Unsupported encrypted value');
+    error.code = 'DECRYPTION_FAILED';
+    throw error;
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKeys().encryption, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+/**
+ * Keyed hash of a secret for exact-match lookups without decrypting
+ * @param {string} plaintext
+ * @returns {string} Hex HMAC-SHA256
+ */
+function lookupHash(plaintext) {
+  return crypto.createHmac('sha256', getKeys().hash).update(String(plaintext).trim()).digest('hex');
+}
+
+module.exports = {
+  isEncrypted,
+  encrypt,
+  decrypt,
+  lookupHash
+};
@@ -0,0 +1,41 @@
+// Format a date as YYYY-MM-DD in server local time, matching how pg parses DATE columns
+function formatDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Quote a single value for CSV output (RFC 4180)
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = value instanceof Date ? formatDate(value) : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// Build one CSV line from a list of values
+function toCsvRow(values) {
+  return values.map(escapeCsvValue).join(',') + '\r\n';
+}
+
+/**
+ * Build a CSV document
+ * @param {Array<{key: string, label: string}>} columns - Columns in output order
+ * @param {Array<Object>} rows - Rows keyed by column key
+ * @returns {string} CSV text including the header line
+ */
+function toCsv(columns, rows) {
+  return toCsvRow(columns.map(column => column.label)) +
+    rows.map(row => toCsvRow(columns.map(column => row[column.key]))).join('');
+}
+
+module.exports = {
+  formatDate,
+  escapeCsvValue,
+  toCsvRow,
+  toCsv
+};
@@ -9,6 +9,7 @@ import Customers from './pages/Customers';
 import Vendors from './pages/Vendors';
 import Licenses from './pages/Licenses';
 import Settings from './pages/Settings';
+import SeatUtilization from './pages/SeatUtilization';
 import Login from './pages/Login';
 import MainLayout from './layout/MainLayout';
 
@@ -48,6 +49,7 @@ function App() {
               <Route path="vendors" element={<Vendors />} />
               <Route path="licenses" element={<Licenses />} />
               <Route path="settings" element={<Settings />} />
+              <Route path="reports/seat-utilization" element={<SeatUtilization />} />
             </Route>
             
             {/* Catch all other routes */}
@@ -0,0 +1,151 @@
+import { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Tab,
+  Tabs,
+  Typography
+} from '@mui/material';
+import { Download as DownloadIcon } from '@mui/icons-material';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as RechartsTooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import api from '../services/api';
+import { downloadFile } from '../utils/download';
+
+const GROUPS = [
+  { value: 'vendor', label: 'By Vendor', data: 'byVendor' },
+  { value: 'customer', label: 'By Customer', data: 'byCustomer' },
+  { value: 'license_type', label: 'By License Type', data: 'byLicenseType' },
+  { value: 'month', label: 'By Purchase Month', data: 'byMonth' }
+];
+
+// Bars shown per chart; the rest is in the CSV export
+const MAX_BARS = 15;
+
+const formatMoney = (amount, currency) => {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+  } catch {
+    return `${Number(amount).toFixed(2)} ${currency}`;
+  }
+};
+
+// License spend per vendor, customer, license type and purchase month, in the reporting currency
+const CostAnalytics = () => {
+  const [analytics, setAnalytics] = useState(null);
+  const [groupBy, setGroupBy] = useState('vendor');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchAnalytics = async () => {
+      try {
+        const response = await api.get('/dashboard/analytics');
+        setAnalytics(response.data);
+      } catch (error) {
+        console.error('Error fetching license analytics:', error);
+        setError('Failed to load license spend');
+      }
+    };
+
+    fetchAnalytics();
+  }, []);
+
+  const handleExport = async () => {
+    try {
+      await downloadFile('/dashboard/analytics', { format: 'csv', groupBy }, `license-spend-by-${groupBy}.csv`);
+    } catch (error) {
+      console.error('Error exporting license analytics:', error);
+      setError('Failed to export license spend');
+    }
+  };
+
+  const group = GROUPS.find(({ value }) => value === groupBy);
+  const currency = analytics?.currency;
+  const rows = analytics?.[group.data] || [];
+  const data = groupBy === 'month' ? rows.slice(-MAX_BARS) : rows.slice(0, MAX_BARS);
+
+  return (
+    <Card elevation={3}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, gap: 2, flexWrap: 'wrap' }}>
+          <Typography variant="h6">License Spend{currency && ` (${currency})`}</Typography>
+          <Button startIcon={<DownloadIcon />} onClick={handleExport} disabled={!analytics}>
+            Export CSV
+          </Button>
+        </Box>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+
+        {!analytics ? (
+          !error && (
+            <Box display="flex" justifyContent="center" p={4}>
+              <CircularProgress />
+            </Box>
+          )
+        ) : analytics.totals.license_count === 0 && analytics.unconverted.length === 0 ? (
+          <Typography color="textSecondary">No licenses have a cost yet.</Typography>
+        ) : (
+          <>
+            {analytics.unconverted.length > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                No exchange rate into {currency} for{' '}
+                {analytics.unconverted.map((total) => (
+                  `${total.license_count} ${total.currency} license${total.license_count === 1 ? '' : 's'} (${formatMoney(total.total_cost, total.currency)})`
+                )).join(', ')}
+                ; they are left out of the totals below. Add rates under Settings, Currencies.
+              </Alert>
+            )}
+
+            <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+              <Chip
+                color="primary"
+                label={`${formatMoney(analytics.totals.total_cost, currency)} across ${analytics.totals.license_count} licenses, ${formatMoney(analytics.totals.annualized_cost, currency)} per year`}
+              />
+            </Box>
+
+            <Tabs value={groupBy} onChange={(_, value) => setGroupBy(value)} variant="scrollable" sx={{ mb: 2 }}>
+              {GROUPS.map(({ value, label }) => (
+                <Tab key={value} value={value} label={label} />
+              ))}
+            </Tabs>
+
+            {rows.length > MAX_BARS && (
+              <Typography variant="caption" color="textSecondary" component="div" sx={{ mb: 1 }}>
+                Showing {groupBy === 'month' ? `the last ${MAX_BARS} months` : `the top ${MAX_BARS} of ${rows.length}`}; the CSV export has all of them.
+              </Typography>
+            )}
+
+            <Box sx={{ height: 360 }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={data} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" />
+                  <YAxis tickFormatter={(value) => formatMoney(value, currency)} width={100} />
+                  <RechartsTooltip formatter={(value) => formatMoney(value, currency)} />
+                  <Legend />
+                  <Bar dataKey="total_cost" name="Total cost" fill="#8884d8" />
+                  <Bar dataKey="annualized_cost" name="Annualized cost" fill="#82ca9d" />
+                </BarChart>
+              </ResponsiveContainer>
+            </Box>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CostAnalytics;
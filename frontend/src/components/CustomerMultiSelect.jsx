@@ -0,0 +1,72 @@
+import { useState, useEffect } from 'react';
+import { Autocomplete, CircularProgress, TextField } from '@mui/material';
+import api from '../services/api';
+
+// Multi-select of customers with server-side search; value is a list of { id, name }
+const CustomerMultiSelect = ({ value, onChange, label = 'Customers', helperText, disabled }) => {
+  const [inputValue, setInputValue] = useState('');
+  const [options, setOptions] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // Search customers once the user stops typing
+  useEffect(() => {
+    let active = true;
+    const timeoutId = setTimeout(async () => {
+      try {
+        setLoading(true);
+        const response = await api.get('/customers', { params: { search: inputValue, limit: 20 } });
+        if (active) {
+          setOptions(response.data.data.map(({ id, name }) => ({ id, name })));
+        }
+      } catch (error) {
+        console.error('Error fetching customers:', error);
+      } finally {
+        if (active) {
+          setLoading(false);
+        }
+      }
+    }, 300);
+
+    return () => {
+      active = false;
+      clearTimeout(timeoutId);
+    };
+  }, [inputValue]);
+
+  return (
+    <Autocomplete
+      multiple
+      options={options}
+      value={value}
+      onChange={(_, selected) => onChange(selected)}
+      inputValue={inputValue}
+      onInputChange={(_, text) => setInputValue(text)}
+      getOptionLabel={(option) => option.name}
+      isOptionEqualToValue={(option, selected) => option.id === selected.id}
+      filterOptions={(x) => x}
+      loading={loading}
+      disabled={disabled}
+      renderInput={(params) => (
+        <TextField
+          {...params}
+          label={label}
+          margin="dense"
+          helperText={helperText}
+          slotProps={{
+            input: {
+              ...params.InputProps,
+              endAdornment: (
+                <>
+                  {loading ? <CircularProgress color="inherit" size={20} /> : null}
+                  {params.InputProps.endAdornment}
+                </>
+              )
+            }
+          }}
+        />
+      )}
+    />
+  );
+};
+
+export default CustomerMultiSelect;
@@ -0,0 +1,300 @@
+import { useState, useEffect } from 'react';
+import {
+  Alert,
+  Autocomplete,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  FormControlLabel,
+  Switch,
+  Tab,
+  Tabs,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Save as SaveIcon, Visibility as PreviewIcon } from '@mui/icons-material';
+import { Formik, Form } from 'formik';
+import * as Yup from 'yup';
+import api from '../services/api';
+import ReminderStagesField from './ReminderStagesField';
+
+const RuleSchema = Yup.object().shape({
+  customer_cc: Yup.array().of(Yup.string().email('CC addresses must be valid emails')).max(10, 'At most 10 CC addresses'),
+  vendor_cc: Yup.array().of(Yup.string().email('CC addresses must be valid emails')).max(10, 'At most 10 CC addresses'),
+  reminder_stages: Yup.array().min(1, 'Add at least one reminder stage')
+});
+
+const AUDIENCE_LABELS = {
+  customer: 'Customer notice',
+  vendor: 'Vendor heads-up'
+};
+
+const firstError = (error) => (Array.isArray(error) ? error.find(Boolean) : error);
+
+// Extra addresses copied on a notice; type an address and press Enter to add it
+const CcField = ({ label, value, onChange, error }) => (
+  <Autocomplete
+    multiple
+    freeSolo
+    options={[]}
+    value={value}
+    onChange={(_, selected) => onChange([...new Set(selected.map((address) => address.trim()).filter(Boolean))])}
+    renderValue={(selected, getItemProps) =>
+      selected.map((address, index) => {
+        const { key, ...itemProps } = getItemProps({ index });
+        return <Chip key={key} label={address} size="small" {...itemProps} />;
+      })
+    }
+    renderInput={(params) => (
+      <TextField
+        {...params}
+        label={label}
+        margin="dense"
+        error={Boolean(error)}
+        helperText={firstError(error) || 'Press Enter after each address'}
+      />
+    )}
+  />
+);
+
+const RulePreview = ({ preview }) => {
+  const [tab, setTab] = useState(0);
+
+  if (preview.notices.length === 0) {
+    return <Alert severity="info">This rule does not send anything. Switch on a customer or vendor notice.</Alert>;
+  }
+
+  const notice = preview.notices[Math.min(tab, preview.notices.length - 1)];
+
+  return (
+    <Box>
+      {preview.sample && (
+        <Alert severity="info" sx={{ mb: 1 }}>
+          No license is due for a reminder today, so the customer&apos;s next expiring licenses are shown as a sample.
+        </Alert>
+      )}
+      <Tabs value={Math.min(tab, preview.notices.length - 1)} onChange={(_, value) => setTab(value)} variant="scrollable">
+        {preview.notices.map((item, index) => (
+          <Tab
+            key={`${item.audience}-${item.vendor?.id || index}`}
+            label={item.vendor ? `${AUDIENCE_LABELS[item.audience]}: ${item.vendor.name}` : AUDIENCE_LABELS[item.audience]}
+          />
+        ))}
+      </Tabs>
+      {notice.warning && <Alert severity="warning" sx={{ mt: 1 }}>{notice.warning}</Alert>}
+      <Box sx={{ mt: 1 }}>
+        <Typography variant="body2"><strong>To:</strong> {notice.to || '—'}</Typography>
+        <Typography variant="body2"><strong>CC:</strong> {notice.cc.join(', ') || '—'}</Typography>
+        <Typography variant="body2"><strong>Subject:</strong> {notice.subject || '—'}</Typography>
+      </Box>
+      {notice.html ? (
+        <Box
+          component="iframe"
+          title="Notice preview"
+          sandbox=""
+          srcDoc={notice.html}
+          sx={{ width: '100%', height: 320, mt: 1, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}
+        />
+      ) : (
+        <Alert severity="info" sx={{ mt: 1 }}>The customer has no upcoming licenses to show.</Alert>
+      )}
+    </Box>
+  );
+};
+
+// Renewal notices sent to a customer's contact and to the vendors of their licenses
+const CustomerNotificationRulesDialog = ({ customer, open, onClose }) => {
+  const [rule, setRule] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (!open || !customer) {
+      return;
+    }
+
+    const fetchRule = async () => {
+      try {
+        setRule(null);
+        setPreview(null);
+        setMessage(null);
+        const response = await api.get(`/customers/${customer.id}/notification-rules`);
+        setRule(response.data);
+      } catch (error) {
+        console.error('Error fetching customer notification rule:', error);
+        setMessage({ severity: 'error', text: 'Failed to load the notification rule' });
+      }
+    };
+
+    fetchRule();
+  }, [open, customer]);
+
+  const errorText = (error, fallback) =>
+    error.response?.data?.errors?.[0]?.msg || error.response?.data?.msg || fallback;
+
+  const handlePreview = async (values) => {
+    try {
+      setPreviewing(true);
+      const response = await api.post(`/customers/${customer.id}/notification-rules/preview`, values);
+      setPreview(response.data);
+    } catch (error) {
+      console.error('Error previewing customer notices:', error);
+      setMessage({ severity: 'error', text: errorText(error, 'Failed to preview the notices') });
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleSubmit = async (values, { setSubmitting }) => {
+    try {
+      const response = await api.put(`/customers/${customer.id}/notification-rules`, values);
+      setRule(response.data);
+      setMessage({ severity: 'success', text: 'Notification rule saved' });
+    } catch (error) {
+      console.error('Error saving customer notification rule:', error);
+      setMessage({ severity: 'error', text: errorText(error, 'Failed to save the notification rule') });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Contact Notifications: {customer?.name}</DialogTitle>
+      {!rule ? (
+        <DialogContent>
+          {message ? <Alert severity={message.severity}>{message.text}</Alert> : (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+              <CircularProgress />
+            </Box>
+          )}
+        </DialogContent>
+      ) : (
+        <Formik
+          initialValues={{
+            notify_customer: rule.notify_customer,
+            customer_cc: rule.customer_cc,
+            customer_cc_assigned_users: rule.customer_cc_assigned_users,
+            notify_vendor: rule.notify_vendor,
+            vendor_cc: rule.vendor_cc,
+            vendor_cc_assigned_users: rule.vendor_cc_assigned_users,
+            reminder_stages: rule.reminder_stages
+          }}
+          validationSchema={RuleSchema}
+          onSubmit={handleSubmit}
+          enableReinitialize
+        >
+          {({ values, errors, setFieldValue, isSubmitting }) => (
+            <Form>
+              <DialogContent dividers>
+                {message && (
+                  <Alert severity={message.severity} onClose={() => setMessage(null)} sx={{ mb: 2 }}>
+                    {message.text}
+                  </Alert>
+                )}
+
+                <ReminderStagesField
+                  value={values.reminder_stages}
+                  onChange={(stages) => setFieldValue('reminder_stages', stages)}
+                  error={Boolean(errors.reminder_stages)}
+                  helperText={errors.reminder_stages || 'Each stage is sent once per license and recipient'}
+                />
+
+                <Divider sx={{ my: 2 }} />
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={values.notify_customer}
+                      onChange={(e) => setFieldValue('notify_customer', e.target.checked)}
+                    />
+                  }
+                  label={`Send renewal notices to ${customer.contact_person || 'the customer contact'}${customer.email ? ` (${customer.email})` : ''}`}
+                />
+                {values.notify_customer && !customer.email && (
+                  <Alert severity="warning" sx={{ my: 1 }}>
+                    This customer has no email address. Add one before enabling customer notices.
+                  </Alert>
+                )}
+                <CcField
+                  label="CC on customer notices"
+                  value={values.customer_cc}
+                  onChange={(cc) => setFieldValue('customer_cc', cc)}
+                  error={errors.customer_cc}
+                />
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={values.customer_cc_assigned_users}
+                      onChange={(e) => setFieldValue('customer_cc_assigned_users', e.target.checked)}
+                    />
+                  }
+                  label="CC users assigned to this customer"
+                />
+
+                <Divider sx={{ my: 2 }} />
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={values.notify_vendor}
+                      onChange={(e) => setFieldValue('notify_vendor', e.target.checked)}
+                    />
+                  }
+                  label="Send a heads-up to the vendor contact of each expiring license"
+                />
+                <CcField
+                  label="CC on vendor notices"
+                  value={values.vendor_cc}
+                  onChange={(cc) => setFieldValue('vendor_cc', cc)}
+                  error={errors.vendor_cc}
+                />
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={values.vendor_cc_assigned_users}
+                      onChange={(e) => setFieldValue('vendor_cc_assigned_users', e.target.checked)}
+                    />
+                  }
+                  label="CC users assigned to this customer"
+                />
+
+                {preview && (
+                  <>
+                    <Divider sx={{ my: 2 }} />
+                    <RulePreview preview={preview} />
+                  </>
+                )}
+              </DialogContent>
+              <DialogActions>
+                <Button onClick={onClose}>Close</Button>
+                <Button
+                  startIcon={previewing ? <CircularProgress size={16} /> : <PreviewIcon />}
+                  onClick={() => handlePreview(values)}
+                  disabled={previewing || Object.keys(errors).length > 0}
+                >
+                  Preview
+                </Button>
+                <Button
+                  type="submit"
+                  variant="contained"
+                  startIcon={<SaveIcon />}
+                  disabled={isSubmitting}
+                >
+                  Save
+                </Button>
+              </DialogActions>
+            </Form>
+          )}
+        </Formik>
+      )}
+    </Dialog>
+  );
+};
+
+export default CustomerNotificationRulesDialog;
@@ -0,0 +1,281 @@
+import { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  FormControl,
+  Grid,
+  InputLabel,
+  MenuItem,
+  Select,
+  Tab,
+  Tabs,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import {
+  Save as SaveIcon,
+  Visibility as PreviewIcon,
+  RestartAlt as ResetIcon
+} from '@mui/icons-material';
+import api from '../services/api';
+
+const PARTS = ['subject', 'html', 'text'];
+
+const parseLicenseIds = (value) =>
+  value.split(/[\s,]+/).filter(Boolean).map(Number);
+
+const VariableList = ({ title, variables }) => (
+  <Box sx={{ mb: 2 }}>
+    <Typography variant="subtitle2" gutterBottom>{title}</Typography>
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+      {variables.map(({ name, description }) => (
+        <Tooltip key={name} title={description}>
+          <Chip label={`{{${name}}}`} size="small" variant="outlined" sx={{ fontFamily: 'monospace' }} />
+        </Tooltip>
+      ))}
+    </Box>
+  </Box>
+);
+
+// Mustache templates of the notification emails (admins only)
+const EmailTemplatesSettings = ({ onMessage }) => {
+  const [templates, setTemplates] = useState(null);
+  const [selectedId, setSelectedId] = useState('');
+  const [draft, setDraft] = useState(null);
+  const [licenseIds, setLicenseIds] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [previewTab, setPreviewTab] = useState(0);
+  const [busy, setBusy] = useState(null);
+
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        const response = await api.get('/settings/templates');
+        setTemplates(response.data);
+        setSelectedId(response.data[0]?.id || '');
+      } catch (error) {
+        console.error('Error fetching email templates:', error);
+        setTemplates([]);
+        onMessage('Failed to load email templates', 'error');
+      }
+    };
+
+    fetchTemplates();
+  }, [onMessage]);
+
+  const template = templates?.find(({ id }) => id === selectedId);
+
+  useEffect(() => {
+    if (template) {
+      setDraft({ subject: template.subject, html: template.html, text: template.text });
+      setPreview(null);
+    }
+  }, [template]);
+
+  const replaceTemplate = (updated) => {
+    setTemplates((current) => current.map((item) => (item.id === updated.id ? updated : item)));
+  };
+
+  const handlePreview = async () => {
+    try {
+      setBusy('preview');
+      const response = await api.post(`/settings/templates/${selectedId}/preview`, {
+        ...draft,
+        licenseIds: parseLicenseIds(licenseIds)
+      });
+      setPreview(response.data);
+    } catch (error) {
+      console.error('Error previewing email template:', error);
+      onMessage(error.response?.data?.error || 'Failed to preview template', 'error');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setBusy('save');
+      const response = await api.put(`/settings/templates/${selectedId}`, draft);
+      replaceTemplate(response.data);
+      onMessage('Email template saved successfully');
+    } catch (error) {
+      console.error('Error saving email template:', error);
+      onMessage(error.response?.data?.error || 'Failed to save template', 'error');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleReset = async () => {
+    try {
+      setBusy('reset');
+      const response = await api.delete(`/settings/templates/${selectedId}`);
+      replaceTemplate(response.data);
+      onMessage('Email template reset to the default');
+    } catch (error) {
+      console.error('Error resetting email template:', error);
+      onMessage(error.response?.data?.error || 'Failed to reset template', 'error');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (!templates || (template && !draft)) {
+    return (
+      <Box display="flex" justifyContent="center" p={3}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!template) {
+    return <Alert severity="info">No email templates are available.</Alert>;
+  }
+
+  const changed = PARTS.some((part) => draft[part] !== template[part]);
+
+  return (
+    <>
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2 }}>
+        <FormControl size="small" sx={{ minWidth: 280 }}>
+          <InputLabel id="email-template-label">Template</InputLabel>
+          <Select
+            labelId="email-template-label"
+            label="Template"
+            value={selectedId}
+            onChange={(e) => setSelectedId(e.target.value)}
+          >
+            {templates.map(({ id, name }) => (
+              <MenuItem key={id} value={id}>{name}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Chip
+          label={template.customized ? 'Customized' : 'Default'}
+          color={template.customized ? 'primary' : 'default'}
+          size="small"
+        />
+        {template.customized && template.updated_at && (
+          <Typography variant="caption" color="textSecondary">
+            Last changed {new Date(template.updated_at).toLocaleString()}
+            {template.updated_by_username ? ` by ${template.updated_by_username}` : ''}
+          </Typography>
+        )}
+      </Box>
+      <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+        {template.description}. Templates use Mustache: {'{{name}}'} inserts a value,
+        {' {{#licenses}}…{{/licenses}}'} repeats for each license and {'{{^name}}…{{/name}}'} shows text when a value is empty.
+      </Typography>
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={8}>
+          <TextField
+            label="Subject"
+            value={draft.subject}
+            onChange={(e) => setDraft({ ...draft, subject: e.target.value })}
+            fullWidth
+            margin="normal"
+            InputProps={{ sx: { fontFamily: 'monospace' } }}
+          />
+          <TextField
+            label="HTML body"
+            value={draft.html}
+            onChange={(e) => setDraft({ ...draft, html: e.target.value })}
+            fullWidth
+            multiline
+            minRows={12}
+            maxRows={24}
+            margin="normal"
+            InputProps={{ sx: { fontFamily: 'monospace', fontSize: '0.8rem' } }}
+          />
+          <TextField
+            label="Plain-text body"
+            value={draft.text}
+            onChange={(e) => setDraft({ ...draft, text: e.target.value })}
+            fullWidth
+            multiline
+            minRows={6}
+            maxRows={16}
+            margin="normal"
+            helperText="Sent alongside the HTML for mail clients that do not show HTML"
+            InputProps={{ sx: { fontFamily: 'monospace', fontSize: '0.8rem' } }}
+          />
+        </Grid>
+        <Grid item xs={12} md={4}>
+          <VariableList title="Variables" variables={template.variables} />
+          <VariableList title="License fields (inside a license list, or license.…)" variables={template.licenseVariables} />
+        </Grid>
+      </Grid>
+
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mt: 2, flexWrap: 'wrap' }}>
+        <TextField
+          label="Preview with license IDs"
+          value={licenseIds}
+          onChange={(e) => setLicenseIds(e.target.value)}
+          size="small"
+          placeholder="e.g. 12, 15"
+          helperText="Leave empty to preview with sample licenses"
+        />
+        <Button
+          variant="outlined"
+          startIcon={busy === 'preview' ? <CircularProgress size={16} /> : <PreviewIcon />}
+          onClick={handlePreview}
+          disabled={busy !== null}
+        >
+          Preview
+        </Button>
+        <Box sx={{ flexGrow: 1 }} />
+        <Button
+          startIcon={busy === 'reset' ? <CircularProgress size={16} /> : <ResetIcon />}
+          onClick={handleReset}
+          disabled={busy !== null || !template.customized}
+        >
+          Reset to Default
+        </Button>
+        <Button
+          variant="contained"
+          startIcon={busy === 'save' ? <CircularProgress size={16} /> : <SaveIcon />}
+          onClick={handleSave}
+          disabled={busy !== null || !changed}
+        >
+          Save Template
+        </Button>
+      </Box>
+
+      {preview && (
+        <Box sx={{ mt: 3 }}>
+          {preview.sample && (
+            <Alert severity="info" sx={{ mb: 1 }}>Rendered with sample licenses.</Alert>
+          )}
+          <Typography variant="body2" sx={{ mb: 1 }}><strong>Subject:</strong> {preview.subject}</Typography>
+          <Tabs value={previewTab} onChange={(_, value) => setPreviewTab(value)}>
+            <Tab label="HTML" />
+            <Tab label="Plain text" />
+          </Tabs>
+          {previewTab === 0 ? (
+            <Box
+              component="iframe"
+              title="Email preview"
+              sandbox=""
+              srcDoc={preview.html}
+              sx={{ width: '100%', height: 480, mt: 1, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}
+            />
+          ) : (
+            <Box
+              component="pre"
+              sx={{ mt: 1, p: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1, whiteSpace: 'pre-wrap', fontSize: '0.8rem' }}
+            >
+              {preview.text}
+            </Box>
+          )}
+        </Box>
+      )}
+    </>
+  );
+};
+
+export default EmailTemplatesSettings;
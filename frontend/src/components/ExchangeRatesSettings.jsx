@@ -0,0 +1,323 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TablePagination,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  Save as SaveIcon,
+  UploadFile as UploadFileIcon
+} from '@mui/icons-material';
+import api from '../services/api';
+
+const EMPTY_RATE = { rate_date: '', base_currency: '', quote_currency: '', rate: '' };
+
+const errorMessage = (error, fallback) => error.response?.data?.errors?.[0]?.msg || error.response?.data?.msg || fallback;
+
+// Reporting currency and the exchange rates license costs are converted with (admins only)
+const ExchangeRatesSettings = ({ onMessage }) => {
+  const [reporting, setReporting] = useState(null);
+  const [currency, setCurrency] = useState('');
+  const [rates, setRates] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(10);
+  const [filter, setFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [newRate, setNewRate] = useState(EMPTY_RATE);
+  const [importReport, setImportReport] = useState(null);
+
+  const fetchReportingCurrency = useCallback(async () => {
+    try {
+      const response = await api.get('/exchange-rates/reporting-currency');
+      setReporting(response.data);
+      setCurrency(response.data.currency);
+    } catch (error) {
+      console.error('Error fetching reporting currency:', error);
+      onMessage('Failed to load the reporting currency', 'error');
+    }
+  }, [onMessage]);
+
+  const fetchRates = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/exchange-rates', {
+        params: {
+          page: page + 1,
+          limit: rowsPerPage,
+          currency: filter.length === 3 ? filter : undefined
+        }
+      });
+      setRates(response.data.data);
+      setTotalCount(response.data.pagination.total);
+    } catch (error) {
+      console.error('Error fetching exchange rates:', error);
+      onMessage('Failed to load exchange rates', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, rowsPerPage, filter, onMessage]);
+
+  useEffect(() => {
+    fetchReportingCurrency();
+  }, [fetchReportingCurrency]);
+
+  useEffect(() => {
+    fetchRates();
+  }, [fetchRates]);
+
+  // Rates change which licenses can be converted
+  const refresh = () => {
+    fetchRates();
+    fetchReportingCurrency();
+  };
+
+  const handleSaveCurrency = async () => {
+    try {
+      const response = await api.put('/exchange-rates/reporting-currency', { currency });
+      setReporting(response.data);
+      onMessage(`Costs are now reported in ${response.data.currency}`);
+    } catch (error) {
+      console.error('Error saving reporting currency:', error);
+      onMessage(errorMessage(error, 'Failed to save the reporting currency'), 'error');
+    }
+  };
+
+  const handleAddRate = async () => {
+    try {
+      await api.post('/exchange-rates', newRate);
+      setNewRate(EMPTY_RATE);
+      onMessage('Exchange rate saved');
+      refresh();
+    } catch (error) {
+      console.error('Error saving exchange rate:', error);
+      onMessage(errorMessage(error, 'Failed to save the exchange rate'), 'error');
+    }
+  };
+
+  const handleDelete = async (rate) => {
+    try {
+      await api.delete(`/exchange-rates/${rate.id}`);
+      onMessage('Exchange rate deleted');
+      refresh();
+    } catch (error) {
+      console.error('Error deleting exchange rate:', error);
+      onMessage(errorMessage(error, 'Failed to delete the exchange rate'), 'error');
+    }
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    try {
+      const response = await api.post('/exchange-rates/import', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      setImportReport(response.data);
+      onMessage(`Imported ${response.data.valid} exchange rates`);
+      refresh();
+    } catch (error) {
+      console.error('Error importing exchange rates:', error);
+      if (error.response?.status === 422) {
+        setImportReport(error.response.data);
+      } else {
+        onMessage(errorMessage(error, 'Failed to import exchange rates'), 'error');
+      }
+    }
+  };
+
+  const setRateField = (field) => (e) => {
+    const value = field.endsWith('currency') ? e.target.value.toUpperCase() : e.target.value;
+    setNewRate((rate) => ({ ...rate, [field]: value }));
+  };
+
+  return (
+    <>
+      <Typography variant="subtitle1" gutterBottom>
+        Reporting Currency
+      </Typography>
+      <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+        Cost totals on the dashboard, in license statistics and in exports are converted into this currency
+        at the rate of each license&apos;s purchase date. Licenses keep their own amount and currency.
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2 }}>
+        <TextField
+          label="Currency"
+          size="small"
+          value={currency}
+          onChange={(e) => setCurrency(e.target.value.toUpperCase())}
+          inputProps={{ maxLength: 3 }}
+          sx={{ width: 120 }}
+        />
+        <Button
+          variant="contained"
+          startIcon={<SaveIcon />}
+          onClick={handleSaveCurrency}
+          disabled={!reporting || !/^[A-Z]{3}$/.test(currency) || currency === reporting.currency}
+        >
+          Save
+        </Button>
+      </Box>
+      {reporting?.unconvertible.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 3 }}>
+          No rate into {reporting.currency} for:{' '}
+          {reporting.unconvertible.map(({ currency: code, licenses }) => `${code} (${licenses} licenses)`).join(', ')}.
+          These licenses are left out of converted totals until a rate is added.
+        </Alert>
+      )}
+
+      <Typography variant="subtitle1" gutterBottom sx={{ mt: 3 }}>
+        Exchange Rates
+      </Typography>
+      <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+        A rate means 1 base = rate quote. Rates work in both directions and are chained through a
+        common currency of the same day. Import a CSV with date, base, quote and rate columns.
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', mb: 2, flexWrap: 'wrap' }}>
+        <TextField
+          label="Date"
+          type="date"
+          size="small"
+          value={newRate.rate_date}
+          onChange={setRateField('rate_date')}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          label="Base"
+          size="small"
+          value={newRate.base_currency}
+          onChange={setRateField('base_currency')}
+          inputProps={{ maxLength: 3 }}
+          sx={{ width: 90 }}
+        />
+        <TextField
+          label="Quote"
+          size="small"
+          value={newRate.quote_currency}
+          onChange={setRateField('quote_currency')}
+          inputProps={{ maxLength: 3 }}
+          sx={{ width: 90 }}
+        />
+        <TextField
+          label="Rate"
+          type="number"
+          size="small"
+          value={newRate.rate}
+          onChange={setRateField('rate')}
+          inputProps={{ min: 0, step: 'any' }}
+          sx={{ width: 140 }}
+        />
+        <Button
+          startIcon={<AddIcon />}
+          onClick={handleAddRate}
+          disabled={Object.values(newRate).some((value) => value === '')}
+        >
+          Add Rate
+        </Button>
+        <Box sx={{ flexGrow: 1 }} />
+        <Button variant="outlined" component="label" startIcon={<UploadFileIcon />}>
+          Import CSV
+          <input type="file" hidden accept=".csv" onChange={handleImport} />
+        </Button>
+      </Box>
+
+      {importReport && importReport.errors.length > 0 && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setImportReport(null)}>
+          Nothing was imported; fix these rows and try again:
+          {importReport.errors.map(({ row, errors }) => (
+            <Typography key={row} variant="body2">Row {row}: {errors.join('; ')}</Typography>
+          ))}
+        </Alert>
+      )}
+
+      <TextField
+        label="Filter by currency"
+        size="small"
+        value={filter}
+        onChange={(e) => { setFilter(e.target.value.toUpperCase()); setPage(0); }}
+        inputProps={{ maxLength: 3 }}
+        sx={{ mb: 1, width: 180 }}
+      />
+
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Date</TableCell>
+              <TableCell>Base</TableCell>
+              <TableCell>Quote</TableCell>
+              <TableCell align="right">Rate</TableCell>
+              <TableCell>Added By</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={6} align="center">
+                  <CircularProgress size={24} />
+                </TableCell>
+              </TableRow>
+            ) : rates.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={6}>
+                  <Typography color="textSecondary">No exchange rates yet.</Typography>
+                </TableCell>
+              </TableRow>
+            ) : (
+              rates.map((rate) => (
+                <TableRow key={rate.id}>
+                  <TableCell>{new Date(rate.rate_date).toLocaleDateString()}</TableCell>
+                  <TableCell>{rate.base_currency}</TableCell>
+                  <TableCell>{rate.quote_currency}</TableCell>
+                  <TableCell align="right">{Number(rate.rate)}</TableCell>
+                  <TableCell>{rate.created_by_username || '—'}</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Delete">
+                      <IconButton size="small" color="error" onClick={() => handleDelete(rate)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+      <TablePagination
+        component="div"
+        count={totalCount}
+        page={page}
+        onPageChange={(_, newPage) => setPage(newPage)}
+        rowsPerPage={rowsPerPage}
+        onRowsPerPageChange={(e) => { setRowsPerPage(parseInt(e.target.value, 10)); setPage(0); }}
+        rowsPerPageOptions={[10, 25, 50]}
+      />
+    </>
+  );
+};
+
+export default ExchangeRatesSettings;
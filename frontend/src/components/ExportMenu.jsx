@@ -0,0 +1,65 @@
+import { useState } from 'react';
+import { Button, Menu, MenuItem, Snackbar, Alert } from '@mui/material';
+import { Download as DownloadIcon } from '@mui/icons-material';
+import { downloadFile } from '../utils/download';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (XLSX)' },
+  { value: 'pdf', label: 'PDF' }
+];
+
+// Export button with a format menu; params should carry the list's current filters
+const ExportMenu = ({ url, params = {}, filename }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleExport = async (format) => {
+    setAnchorEl(null);
+    try {
+      setExporting(true);
+      await downloadFile(url, { ...params, format }, `${filename}.${format}`);
+    } catch (error) {
+      console.error(`Error exporting ${filename}:`, error);
+      setError(`Failed to export ${filename}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        variant="outlined"
+        startIcon={<DownloadIcon />}
+        onClick={(event) => setAnchorEl(event.currentTarget)}
+        disabled={exporting}
+      >
+        {exporting ? 'Exporting...' : 'Export'}
+      </Button>
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+      >
+        {FORMATS.map((format) => (
+          <MenuItem key={format.value} onClick={() => handleExport(format.value)}>
+            {format.label}
+          </MenuItem>
+        ))}
+      </Menu>
+      <Snackbar
+        open={Boolean(error)}
+        autoHideDuration={6000}
+        onClose={() => setError(null)}
+      >
+        <Alert severity="error" onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      </Snackbar>
+    </>
+  );
+};
+
+export default ExportMenu;
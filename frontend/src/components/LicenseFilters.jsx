@@ -0,0 +1,114 @@
+import { useState, useEffect } from 'react';
+import {
+  Autocomplete,
+  Box,
+  Button,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  TextField
+} from '@mui/material';
+import api from '../services/api';
+import { EMPTY_ADVANCED_FILTERS } from '../utils/licenseFilters';
+
+// Date ranges, cost range, currency, license types, creator and a custom expiry window;
+// changes are only applied with the Apply button so typing does not reload the list
+const LicenseFilters = ({ value, onChange }) => {
+  const [draft, setDraft] = useState(value);
+  const [options, setOptions] = useState({ licenseTypes: [], currencies: [], creators: [] });
+
+  useEffect(() => {
+    setDraft(value);
+  }, [value]);
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const response = await api.get('/licenses/filter-options');
+        setOptions(response.data);
+      } catch (error) {
+        console.error('Error fetching license filter options:', error);
+      }
+    };
+
+    fetchOptions();
+  }, []);
+
+  const setField = (field) => (e) => setDraft((filters) => ({ ...filters, [field]: e.target.value }));
+
+  const dateField = (field, label) => (
+    <TextField
+      label={label}
+      type="date"
+      size="small"
+      value={draft[field]}
+      onChange={setField(field)}
+      InputLabelProps={{ shrink: true }}
+      fullWidth
+    />
+  );
+
+  const numberField = (field, label, inputProps) => (
+    <TextField
+      label={label}
+      type="number"
+      size="small"
+      value={draft[field]}
+      onChange={setField(field)}
+      inputProps={inputProps}
+      fullWidth
+    />
+  );
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+      <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: 'repeat(2, 1fr)', md: 'repeat(4, 1fr)' }, gap: 2 }}>
+        {dateField('expirationFrom', 'Expires from')}
+        {dateField('expirationTo', 'Expires to')}
+        {dateField('purchaseFrom', 'Purchased from')}
+        {dateField('purchaseTo', 'Purchased to')}
+
+        {numberField('minCost', 'Min cost', { min: 0, step: 'any' })}
+        {numberField('maxCost', 'Max cost', { min: 0, step: 'any' })}
+        <FormControl size="small" fullWidth>
+          <InputLabel>Currency</InputLabel>
+          <Select value={draft.currency} onChange={setField('currency')} label="Currency">
+            <MenuItem value="">Any</MenuItem>
+            {options.currencies.map((currency) => (
+              <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl size="small" fullWidth>
+          <InputLabel>Created by</InputLabel>
+          <Select value={draft.createdBy} onChange={setField('createdBy')} label="Created by">
+            <MenuItem value="">Anyone</MenuItem>
+            {options.creators.map((creator) => (
+              <MenuItem key={creator.id} value={String(creator.id)}>{creator.username}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        {numberField('expiringWithinDays', 'Expiring within (days)', { min: 0, max: 3650 })}
+
+        <Box sx={{ gridColumn: { sm: 'span 2', md: 'span 3' } }}>
+          <Autocomplete
+            multiple
+            size="small"
+            options={options.licenseTypes}
+            value={draft.licenseType}
+            onChange={(_, licenseType) => setDraft((filters) => ({ ...filters, licenseType }))}
+            renderInput={(params) => <TextField {...params} label="License types" />}
+          />
+        </Box>
+        <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end', alignItems: 'center', gridColumn: { sm: 'span 2', md: 'auto' } }}>
+          <Button onClick={() => onChange(EMPTY_ADVANCED_FILTERS)}>Clear</Button>
+          <Button variant="contained" onClick={() => onChange(draft)}>Apply</Button>
+        </Box>
+      </Box>
+    </Paper>
+  );
+};
+
+export default LicenseFilters;
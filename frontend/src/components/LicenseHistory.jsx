@@ -0,0 +1,170 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+  Chip,
+  CircularProgress
+} from '@mui/material';
+import api from '../services/api';
+
+// Human readable labels for license fields
+const FIELD_LABELS = {
+  name: 'Name',
+  description: 'Description',
+  license_key_last4: 'License Key (last 4)',
+  license_key_changed: 'License Key Replaced',
+  license_type: 'License Type',
+  customer: 'Customer',
+  vendor: 'Vendor',
+  purchase_date: 'Purchase Date',
+  expiration_date: 'Expiration Date',
+  seats: 'Seats',
+  cost: 'Cost',
+  currency: 'Currency',
+  is_active: 'Active',
+  notes: 'Notes'
+};
+
+const ACTION_COLORS = {
+  create: 'success',
+  update: 'primary',
+  renew: 'secondary',
+  reveal_key: 'warning',
+  delete: 'error'
+};
+
+// Shown for entries without field-level changes
+const ACTION_SUMMARIES = {
+  create: 'License created',
+  reveal_key: 'License key revealed'
+};
+
+// Format a snapshot value for display
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') {
+    return '—';
+  }
+  if (field.endsWith('_date')) {
+    return new Date(value).toLocaleDateString();
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+  return String(value);
+};
+
+const LicenseHistory = ({ licenseId }) => {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!licenseId) return;
+
+    const fetchHistory = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await api.get(`/licenses/${licenseId}/history`);
+        setHistory(response.data || []);
+      } catch (error) {
+        console.error('Error fetching license history:', error);
+        setError('Failed to load license history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [licenseId]);
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" p={4}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return (
+      <Typography color="error" sx={{ p: 2 }}>
+        {error}
+      </Typography>
+    );
+  }
+
+  if (history.length === 0) {
+    return (
+      <Typography color="textSecondary" sx={{ p: 2 }}>
+        No changes have been recorded for this license.
+      </Typography>
+    );
+  }
+
+  return (
+    <TableContainer>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>When</TableCell>
+            <TableCell>Who</TableCell>
+            <TableCell>Action</TableCell>
+            <TableCell>Field</TableCell>
+            <TableCell>From</TableCell>
+            <TableCell>To</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {history.map((entry) => {
+            // Creates, deletes and key reveals have no field-level changes; show them as a single row
+            const changes = entry.changes.length > 0 ? entry.changes : [null];
+
+            return changes.map((change, index) => (
+              <TableRow key={`${entry.id}-${index}`}>
+                {index === 0 && (
+                  <>
+                    <TableCell rowSpan={changes.length}>
+                      {new Date(entry.created_at).toLocaleString()}
+                    </TableCell>
+                    <TableCell rowSpan={changes.length}>
+                      {entry.username || 'System'}
+                    </TableCell>
+                    <TableCell rowSpan={changes.length}>
+                      <Chip
+                        label={entry.action}
+                        color={ACTION_COLORS[entry.action] || 'default'}
+                        size="small"
+                      />
+                    </TableCell>
+                  </>
+                )}
+                {change ? (
+                  <>
+                    <TableCell>{FIELD_LABELS[change.field] || change.field}</TableCell>
+                    <TableCell>{formatValue(change.field, change.from)}</TableCell>
+                    <TableCell>{formatValue(change.field, change.to)}</TableCell>
+                  </>
+                ) : (
+                  <TableCell colSpan={3}>
+                    <Typography variant="body2" color="textSecondary">
+                      {ACTION_SUMMARIES[entry.action] || 'No field changes'}
+                    </Typography>
+                  </TableCell>
+                )}
+              </TableRow>
+            ));
+          })}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+};
+
+export default LicenseHistory;
@@ -0,0 +1,190 @@
+import { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+  LinearProgress
+} from '@mui/material';
+import { UploadFile as UploadFileIcon } from '@mui/icons-material';
+import api from '../services/api';
+
+const LicenseImportDialog = ({ open, onClose, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [createMissing, setCreateMissing] = useState(false);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleClose = () => {
+    setFile(null);
+    setCreateMissing(false);
+    setReport(null);
+    setError(null);
+    onClose();
+  };
+
+  const handleFileChange = (event) => {
+    setFile(event.target.files[0] || null);
+    setReport(null);
+    setError(null);
+  };
+
+  const runImport = async (dryRun) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('dryRun', dryRun);
+    formData.append('createMissing', createMissing);
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      const response = await api.post('/licenses/import', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      setReport(response.data);
+      if (response.data.committed) {
+        onImported?.(response.data);
+      }
+    } catch (error) {
+      console.error('Error importing licenses:', error);
+      // A rejected import still returns the per-row report
+      if (error.response?.status === 422) {
+        setReport(error.response.data);
+      } else {
+        setError(error.response?.data?.errors?.[0]?.msg || 'Failed to import licenses');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const canImport = report?.dryRun && report.errors.length === 0;
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle>Import Licenses</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="textSecondary" paragraph>
+          Upload a CSV or XLSX file with a header row. Columns: Name, License Key, Vendor, Customer,
+          Purchase Date, Expiration Date, and optionally License Type, Description, Seats, Cost,
+          Currency, Active and Notes. Validate the file first; nothing is saved unless every row is valid.
+        </Typography>
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+          <Button variant="outlined" component="label" startIcon={<UploadFileIcon />}>
+            Choose File
+            <input
+              type="file"
+              hidden
+              accept=".csv,.xlsx"
+              onChange={handleFileChange}
+            />
+          </Button>
+          <Typography variant="body2">{file ? file.name : 'No file selected'}</Typography>
+        </Box>
+
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={createMissing}
+              onChange={(e) => {
+                setCreateMissing(e.target.checked);
+                setReport(null);
+              }}
+            />
+          }
+          label="Create vendors and customers that do not exist"
+        />
+
+        {submitting && <LinearProgress sx={{ my: 2 }} />}
+
+        {error && (
+          <Alert severity="error" sx={{ my: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {report && (
+          <Box sx={{ mt: 2 }}>
+            {report.committed ? (
+              <Alert severity="success">
+                Imported {report.imported.length} license{report.imported.length === 1 ? '' : 's'}.
+              </Alert>
+            ) : report.errors.length === 0 ? (
+              <Alert severity="info">
+                All {report.totalRows} rows are valid and ready to import.
+              </Alert>
+            ) : (
+              <Alert severity="error">
+                {report.errors.length} of {report.totalRows} rows have errors. Nothing was imported.
+              </Alert>
+            )}
+
+            {(report.createdVendors.length > 0 || report.createdCustomers.length > 0) && (
+              <Typography variant="body2" sx={{ mt: 1 }}>
+                {report.committed ? 'Created' : 'Will create'}
+                {report.createdVendors.length > 0 && ` vendors: ${report.createdVendors.join(', ')}.`}
+                {report.createdCustomers.length > 0 && ` customers: ${report.createdCustomers.join(', ')}.`}
+              </Typography>
+            )}
+
+            {report.errors.length > 0 && (
+              <TableContainer sx={{ mt: 2, maxHeight: 300 }}>
+                <Table size="small" stickyHeader>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Row</TableCell>
+                      <TableCell>Name</TableCell>
+                      <TableCell>Errors</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {report.errors.map((rowError) => (
+                      <TableRow key={rowError.row}>
+                        <TableCell>{rowError.row}</TableCell>
+                        <TableCell>{rowError.name || '—'}</TableCell>
+                        <TableCell>{rowError.errors.join('; ')}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>{report?.committed ? 'Close' : 'Cancel'}</Button>
+        {!report?.committed && (
+          <>
+            <Button onClick={() => runImport(true)} disabled={!file || submitting}>
+              Validate
+            </Button>
+            <Button
+              variant="contained"
+              onClick={() => runImport(false)}
+              disabled={!canImport || submitting}
+            >
+              Import
+            </Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default LicenseImportDialog;
@@ -0,0 +1,72 @@
+import { useState } from 'react';
+import { IconButton, InputAdornment, TextField, Tooltip } from '@mui/material';
+import {
+  Visibility as VisibilityIcon,
+  VisibilityOff as VisibilityOffIcon,
+  ContentCopy as CopyIcon
+} from '@mui/icons-material';
+import api from '../services/api';
+
+// Read-only license key that stays masked until revealed; every reveal is audited server-side
+const LicenseKeyField = ({ licenseId, last4, canReveal }) => {
+  const [licenseKey, setLicenseKey] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const masked = last4 ? `•••• ${last4}` : '';
+
+  const handleReveal = async () => {
+    if (licenseKey) {
+      setLicenseKey(null);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await api.get(`/licenses/${licenseId}/key`);
+      setLicenseKey(response.data.license_key);
+    } catch (error) {
+      console.error('Error revealing license key:', error);
+      setError(error.response?.status === 403 ? 'You are not allowed to reveal license keys' : 'Failed to reveal license key');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <TextField
+      label="License Key"
+      fullWidth
+      margin="normal"
+      variant="standard"
+      value={licenseKey || masked}
+      error={Boolean(error)}
+      helperText={error}
+      InputProps={{
+        readOnly: true,
+        style: { color: 'rgba(0, 0, 0, 0.87)', fontFamily: 'monospace' },
+        endAdornment: canReveal && (
+          <InputAdornment position="end">
+            {licenseKey && (
+              <Tooltip title="Copy">
+                <IconButton size="small" onClick={() => navigator.clipboard.writeText(licenseKey)}>
+                  <CopyIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            )}
+            <Tooltip title={licenseKey ? 'Hide' : 'Reveal'}>
+              <span>
+                <IconButton size="small" onClick={handleReveal} disabled={loading}>
+                  {licenseKey ? <VisibilityOffIcon fontSize="small" /> : <VisibilityIcon fontSize="small" />}
+                </IconButton>
+              </span>
+            </Tooltip>
+          </InputAdornment>
+        )
+      }}
+    />
+  );
+};
+
+export default LicenseKeyField;
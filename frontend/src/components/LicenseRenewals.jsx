@@ -0,0 +1,187 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+  CircularProgress
+} from '@mui/material';
+import { Autorenew as AutorenewIcon } from '@mui/icons-material';
+import { DatePicker } from '@mui/x-date-pickers/DatePicker';
+import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const emptyRenewal = {
+  term_end: null,
+  cost: '',
+  currency: '',
+  purchase_order: ''
+};
+
+// Must be rendered inside a LocalizationProvider
+const LicenseRenewals = ({ license, onRenewed }) => {
+  const { can } = useAuth();
+  const [renewals, setRenewals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [renewal, setRenewal] = useState(emptyRenewal);
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchRenewals = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get(`/licenses/${license.id}/renewals`);
+      setRenewals(response.data || []);
+    } catch (error) {
+      console.error('Error fetching renewals:', error);
+      setError('Failed to load renewal history');
+    } finally {
+      setLoading(false);
+    }
+  }, [license.id]);
+
+  useEffect(() => {
+    fetchRenewals();
+  }, [fetchRenewals]);
+
+  const handleRenew = async () => {
+    try {
+      setSubmitting(true);
+      setError(null);
+      const response = await api.post(`/licenses/${license.id}/renew`, {
+        term_end: renewal.term_end.toISOString(),
+        cost: renewal.cost === '' ? undefined : Number(renewal.cost),
+        currency: renewal.currency || undefined,
+        purchase_order: renewal.purchase_order || undefined
+      });
+      setRenewal(emptyRenewal);
+      await fetchRenewals();
+      onRenewed?.(response.data.license);
+    } catch (error) {
+      console.error('Error renewing license:', error);
+      setError(
+        error.response?.data?.errors?.[0]?.msg ||
+        error.response?.data?.msg ||
+        'Failed to renew license'
+      );
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" p={4}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {can('licenses:write') && (
+        <>
+          <Typography variant="subtitle1" gutterBottom>
+            Renew License
+          </Typography>
+
+          {/* Rendered inside the license dialog form, so this must not be a nested <form> */}
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap', mb: 2 }}>
+            <DatePicker
+              label="New Expiration Date"
+              value={renewal.term_end}
+              minDate={license.expiration_date ? new Date(license.expiration_date) : undefined}
+              onChange={(date) => setRenewal({ ...renewal, term_end: date })}
+              slotProps={{ textField: { size: 'small' } }}
+            />
+            <TextField
+              size="small"
+              label="Cost"
+              type="number"
+              value={renewal.cost}
+              onChange={(e) => setRenewal({ ...renewal, cost: e.target.value })}
+              inputProps={{ min: 0, step: 0.01 }}
+              placeholder={license.cost ? String(license.cost) : ''}
+            />
+            <TextField
+              size="small"
+              label="Currency"
+              value={renewal.currency}
+              onChange={(e) => setRenewal({ ...renewal, currency: e.target.value.toUpperCase() })}
+              inputProps={{ maxLength: 3 }}
+              placeholder={license.currency || 'USD'}
+              sx={{ width: 100 }}
+            />
+            <TextField
+              size="small"
+              label="PO Number"
+              value={renewal.purchase_order}
+              onChange={(e) => setRenewal({ ...renewal, purchase_order: e.target.value })}
+            />
+            <Button
+              type="button"
+              variant="contained"
+              startIcon={<AutorenewIcon />}
+              onClick={handleRenew}
+              disabled={submitting || !renewal.term_end}
+            >
+              Renew
+            </Button>
+          </Box>
+        </>
+      )}
+
+      {error && (
+        <Typography color="error" variant="body2" sx={{ mb: 2 }}>
+          {error}
+        </Typography>
+      )}
+
+      <Typography variant="subtitle1" gutterBottom sx={{ mt: 3 }}>
+        Terms
+      </Typography>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Start</TableCell>
+              <TableCell>End</TableCell>
+              <TableCell align="right">Cost</TableCell>
+              <TableCell>PO Number</TableCell>
+              <TableCell>Recorded By</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {renewals.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={5} align="center">
+                  This license has not been renewed yet
+                </TableCell>
+              </TableRow>
+            ) : (
+              renewals.map((term) => (
+                <TableRow key={term.id}>
+                  <TableCell>{term.term_start ? new Date(term.term_start).toLocaleDateString() : 'N/A'}</TableCell>
+                  <TableCell>{new Date(term.term_end).toLocaleDateString()}</TableCell>
+                  <TableCell align="right">
+                    {term.cost !== null ? `${Number(term.cost).toFixed(2)} ${term.currency || ''}` : '—'}
+                  </TableCell>
+                  <TableCell>{term.purchase_order || '—'}</TableCell>
+                  <TableCell>{term.created_by_username || 'N/A'}</TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+};
+
+export default LicenseRenewals;
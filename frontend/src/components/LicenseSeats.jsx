@@ -0,0 +1,187 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+  Chip,
+  CircularProgress,
+  LinearProgress
+} from '@mui/material';
+import { PersonAdd as PersonAddIcon } from '@mui/icons-material';
+import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
+
+const LicenseSeats = ({ license, onChange }) => {
+  const { can } = useAuth();
+  const [assignments, setAssignments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [assignee, setAssignee] = useState({ assignee_name: '', assignee_email: '' });
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchAssignments = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get(`/licenses/${license.id}/assignments`);
+      setAssignments(response.data || []);
+    } catch (error) {
+      console.error('Error fetching seat assignments:', error);
+      setError('Failed to load seat assignments');
+    } finally {
+      setLoading(false);
+    }
+  }, [license.id]);
+
+  useEffect(() => {
+    fetchAssignments();
+  }, [fetchAssignments]);
+
+  const activeAssignments = assignments.filter(assignment => !assignment.returned_at);
+  const seats = Number(license.seats) || 0;
+  const seatsUsed = activeAssignments.length;
+
+  const handleAssign = async () => {
+    try {
+      setSubmitting(true);
+      setError(null);
+      await api.post(`/licenses/${license.id}/assignments`, assignee);
+      setAssignee({ assignee_name: '', assignee_email: '' });
+      await fetchAssignments();
+      onChange?.();
+    } catch (error) {
+      console.error('Error assigning seat:', error);
+      setError(
+        error.response?.data?.msg ||
+        error.response?.data?.errors?.[0]?.msg ||
+        'Failed to assign seat'
+      );
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleReturn = async (assignment) => {
+    try {
+      setError(null);
+      await api.put(`/licenses/${license.id}/assignments/${assignment.id}/return`);
+      await fetchAssignments();
+      onChange?.();
+    } catch (error) {
+      console.error('Error returning seat:', error);
+      setError(error.response?.data?.msg || 'Failed to return seat');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" p={4}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="subtitle1" gutterBottom>
+        {seatsUsed} / {seats} seats used
+      </Typography>
+      <LinearProgress
+        variant="determinate"
+        value={seats > 0 ? Math.min((seatsUsed / seats) * 100, 100) : 0}
+        color={seatsUsed > seats ? 'error' : 'primary'}
+        sx={{ mb: 3 }}
+      />
+
+      {/* Rendered inside the license dialog form, so this must not be a nested <form> */}
+      {can('licenses:write') && (
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2 }}>
+          <TextField
+            size="small"
+            label="Assignee Name"
+            value={assignee.assignee_name}
+            onChange={(e) => setAssignee({ ...assignee, assignee_name: e.target.value })}
+          />
+          <TextField
+            size="small"
+            label="Assignee Email"
+            type="email"
+            value={assignee.assignee_email}
+            onChange={(e) => setAssignee({ ...assignee, assignee_email: e.target.value })}
+          />
+          <Button
+            type="button"
+            variant="contained"
+            startIcon={<PersonAddIcon />}
+            onClick={handleAssign}
+            disabled={submitting || !assignee.assignee_name.trim() || seatsUsed >= seats}
+          >
+            Assign Seat
+          </Button>
+        </Box>
+      )}
+
+      {error && (
+        <Typography color="error" variant="body2" sx={{ mb: 2 }}>
+          {error}
+        </Typography>
+      )}
+
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Holder</TableCell>
+              <TableCell>Email</TableCell>
+              <TableCell>Assigned</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {assignments.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={5} align="center">
+                  No seats have been assigned
+                </TableCell>
+              </TableRow>
+            ) : (
+              assignments.map((assignment) => (
+                <TableRow key={assignment.id}>
+                  <TableCell>{assignment.assignee_name || assignment.assigned_to_username || 'N/A'}</TableCell>
+                  <TableCell>{assignment.assignee_email || '—'}</TableCell>
+                  <TableCell>{new Date(assignment.assigned_at).toLocaleDateString()}</TableCell>
+                  <TableCell>
+                    {assignment.returned_at ? (
+                      <Chip
+                        label={`Returned ${new Date(assignment.returned_at).toLocaleDateString()}`}
+                        size="small"
+                      />
+                    ) : (
+                      <Chip label="Active" color="success" size="small" />
+                    )}
+                  </TableCell>
+                  <TableCell align="right">
+                    {!assignment.returned_at && can('licenses:write') && (
+                      <Button size="small" onClick={() => handleReturn(assignment)}>
+                        Return
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+};
+
+export default LicenseSeats;
@@ -0,0 +1,116 @@
+import { useState } from 'react';
+import {
+  Box,
+  Button,
+  CircularProgress,
+  FormControlLabel,
+  Paper,
+  Switch,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Send as SendIcon } from '@mui/icons-material';
+import api from '../services/api';
+
+// Fields shown for each channel; keys match the backend channel config
+const CHANNEL_FIELDS = [
+  {
+    type: 'slack',
+    label: 'Slack',
+    fields: [{ name: 'webhookUrl', label: 'Incoming Webhook URL', placeholder: 'https://hooks.slack.com/services/...' }]
+  },
+  {
+    type: 'teams',
+    label: 'Microsoft Teams',
+    fields: [{ name: 'webhookUrl', label: 'Incoming Webhook URL', placeholder: 'https://....webhook.office.com/...' }]
+  },
+  {
+    type: 'webhook',
+    label: 'Webhook',
+    fields: [
+      { name: 'url', label: 'Endpoint URL', placeholder: 'https://example.com/hooks/licenses' },
+      {
+        name: 'secret',
+        label: 'Signing Secret',
+        type: 'password',
+        helperText: 'Requests carry an X-Webhook-Signature HMAC-SHA256 header signed with this secret'
+      }
+    ]
+  }
+];
+
+// Slack, Teams and webhook settings inside the notification settings form
+const NotificationChannelsSettings = ({ channels, errors, setFieldValue, onMessage }) => {
+  const [testing, setTesting] = useState(null);
+
+  // Tests the values currently in the form, so a channel can be checked before saving
+  const handleTest = async (type, label) => {
+    try {
+      setTesting(type);
+      await api.post(`/settings/notifications/channels/${type}/test`, { config: channels[type] });
+      onMessage(`Test notification sent to ${label}`, 'success');
+    } catch (error) {
+      console.error(`Error sending test ${type} notification:`, error);
+      onMessage(error.response?.data?.error || `Failed to send test notification to ${label}`, 'error');
+    } finally {
+      setTesting(null);
+    }
+  };
+
+  return (
+    <>
+      {CHANNEL_FIELDS.map(({ type, label, fields }) => {
+        const config = channels?.[type] || {};
+
+        return (
+          <Paper key={type} variant="outlined" sx={{ p: 2, mb: 2 }}>
+            <Box display="flex" justifyContent="space-between" alignItems="center">
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={Boolean(config.enabled)}
+                    onChange={(e) => setFieldValue(`channels.${type}.enabled`, e.target.checked)}
+                  />
+                }
+                label={label}
+              />
+              <Button
+                size="small"
+                variant="outlined"
+                color="secondary"
+                startIcon={testing === type ? <CircularProgress size={16} /> : <SendIcon />}
+                onClick={() => handleTest(type, label)}
+                disabled={testing !== null || fields.some(({ name }) => !config[name])}
+              >
+                Send Test
+              </Button>
+            </Box>
+
+            {config.enabled && fields.map((field) => (
+              <TextField
+                key={field.name}
+                label={field.label}
+                type={field.type || 'text'}
+                placeholder={field.placeholder}
+                fullWidth
+                margin="dense"
+                value={config[field.name] || ''}
+                onChange={(e) => setFieldValue(`channels.${type}.${field.name}`, e.target.value)}
+                error={Boolean(errors?.[type]?.[field.name])}
+                helperText={errors?.[type]?.[field.name] || field.helperText}
+              />
+            ))}
+          </Paper>
+        );
+      })}
+
+      {!CHANNEL_FIELDS.some(({ type }) => channels?.[type]?.enabled) && (
+        <Typography variant="body2" color="textSecondary">
+          Switch on a channel to also receive expiration notices outside of email.
+        </Typography>
+      )}
+    </>
+  );
+};
+
+export default NotificationChannelsSettings;
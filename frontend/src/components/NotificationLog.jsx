@@ -0,0 +1,232 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TablePagination,
+  TableRow,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import { Refresh as RefreshIcon, Replay as ReplayIcon } from '@mui/icons-material';
+import api from '../services/api';
+
+const CHANNEL_LABELS = {
+  email: 'Email',
+  slack: 'Slack',
+  teams: 'Microsoft Teams',
+  webhook: 'Webhook'
+};
+
+const AUDIENCE_LABELS = {
+  customer: 'Customer contact',
+  vendor: 'Vendor contact'
+};
+
+// Who a delivery was for: the internal user, or the customer whose contacts were notified
+const deliveryOwner = (delivery) => {
+  if (delivery.audience && delivery.audience !== 'internal') {
+    return `${delivery.customer_name || 'Deleted customer'} (${AUDIENCE_LABELS[delivery.audience]})`;
+  }
+  return delivery.username || 'Admin mailbox';
+};
+
+const STATUS_COLORS = {
+  sent: 'success',
+  failed: 'error'
+};
+
+// Delivery attempts of expiration notifications, with a resend action for failed ones
+const NotificationLog = ({ onMessage, showUser }) => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [totalCount, setTotalCount] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(10);
+  const [status, setStatus] = useState('');
+  const [channel, setChannel] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [resending, setResending] = useState(null);
+
+  const fetchDeliveries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/notifications/log', {
+        params: {
+          page: page + 1,
+          limit: rowsPerPage,
+          status: status || undefined,
+          channel: channel || undefined
+        }
+      });
+      setDeliveries(response.data.data);
+      setTotalCount(response.data.pagination.total);
+    } catch (error) {
+      console.error('Error fetching notification log:', error);
+      onMessage('Failed to load the notification log', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, rowsPerPage, status, channel, onMessage]);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [fetchDeliveries]);
+
+  const handleResend = async (delivery) => {
+    try {
+      setResending(delivery.id);
+      await api.post(`/notifications/log/${delivery.id}/resend`);
+      onMessage('Notification resent successfully');
+    } catch (error) {
+      console.error('Error resending notification:', error);
+      onMessage(error.response?.data?.msg || 'Failed to resend notification', 'error');
+    } finally {
+      setResending(null);
+      fetchDeliveries();
+    }
+  };
+
+  return (
+    <>
+      <Box sx={{ display: 'flex', gap: 2, mb: 2, alignItems: 'center' }}>
+        <FormControl size="small" sx={{ minWidth: 140 }}>
+          <InputLabel id="delivery-status-label">Status</InputLabel>
+          <Select
+            labelId="delivery-status-label"
+            label="Status"
+            value={status}
+            onChange={(e) => { setStatus(e.target.value); setPage(0); }}
+          >
+            <MenuItem value="">All</MenuItem>
+            <MenuItem value="sent">Sent</MenuItem>
+            <MenuItem value="failed">Failed</MenuItem>
+          </Select>
+        </FormControl>
+        <FormControl size="small" sx={{ minWidth: 180 }}>
+          <InputLabel id="delivery-channel-label">Channel</InputLabel>
+          <Select
+            labelId="delivery-channel-label"
+            label="Channel"
+            value={channel}
+            onChange={(e) => { setChannel(e.target.value); setPage(0); }}
+          >
+            <MenuItem value="">All</MenuItem>
+            {Object.entries(CHANNEL_LABELS).map(([value, label]) => (
+              <MenuItem key={value} value={value}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button startIcon={<RefreshIcon />} onClick={fetchDeliveries} disabled={loading}>
+          Refresh
+        </Button>
+      </Box>
+
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>When</TableCell>
+              {showUser && <TableCell>User</TableCell>}
+              <TableCell>Channel</TableCell>
+              <TableCell>Recipient</TableCell>
+              <TableCell>Licenses</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Message ID</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={showUser ? 8 : 7} align="center">
+                  <CircularProgress size={24} />
+                </TableCell>
+              </TableRow>
+            ) : deliveries.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={showUser ? 8 : 7}>
+                  <Typography color="textSecondary">No notifications have been sent yet.</Typography>
+                </TableCell>
+              </TableRow>
+            ) : (
+              deliveries.map((delivery) => (
+                <TableRow key={delivery.id}>
+                  <TableCell>{new Date(delivery.created_at).toLocaleString()}</TableCell>
+                  {showUser && <TableCell>{deliveryOwner(delivery)}</TableCell>}
+                  <TableCell>{CHANNEL_LABELS[delivery.channel] || delivery.channel}</TableCell>
+                  <TableCell sx={{ wordBreak: 'break-all' }}>
+                    {delivery.recipient}
+                    {delivery.cc?.length > 0 && (
+                      <Typography variant="caption" color="textSecondary" component="div">
+                        CC: {delivery.cc.join(', ')}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Tooltip title={delivery.licenses.map(({ name }) => name).join(', ')}>
+                      <span>{delivery.licenses.length}</span>
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell>
+                    <Tooltip title={delivery.error || ''}>
+                      <Chip
+                        label={delivery.status}
+                        color={STATUS_COLORS[delivery.status] || 'default'}
+                        size="small"
+                      />
+                    </Tooltip>
+                    {delivery.kind === 'digest' && (
+                      <Chip label="digest" size="small" variant="outlined" sx={{ ml: 1 }} />
+                    )}
+                    {delivery.resent_from && (
+                      <Chip label="resend" size="small" variant="outlined" sx={{ ml: 1 }} />
+                    )}
+                  </TableCell>
+                  <TableCell sx={{ fontFamily: 'monospace', fontSize: '0.75rem', wordBreak: 'break-all' }}>
+                    {delivery.message_id || '—'}
+                  </TableCell>
+                  <TableCell align="right">
+                    {delivery.status === 'failed' && (
+                      <Button
+                        size="small"
+                        startIcon={resending === delivery.id ? <CircularProgress size={16} /> : <ReplayIcon />}
+                        onClick={() => handleResend(delivery)}
+                        disabled={resending !== null || delivery.resent}
+                      >
+                        {delivery.resent ? 'Resent' : 'Resend'}
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+      <TablePagination
+        rowsPerPageOptions={[10, 25, 50]}
+        component="div"
+        count={totalCount}
+        rowsPerPage={rowsPerPage}
+        page={page}
+        onPageChange={(event, newPage) => setPage(newPage)}
+        onRowsPerPageChange={(event) => {
+          setRowsPerPage(parseInt(event.target.value, 10));
+          setPage(0);
+        }}
+      />
+    </>
+  );
+};
+
+export default NotificationLog;
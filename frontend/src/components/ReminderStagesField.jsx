@@ -0,0 +1,39 @@
+import { Autocomplete, Chip, TextField } from '@mui/material';
+
+const SUGGESTED_STAGES = [180, 90, 60, 30, 14, 7, 3, 1, 0];
+
+const stageLabel = (stage) => (Number(stage) === 0 ? 'On expiry' : `${stage} day${Number(stage) === 1 ? '' : 's'}`);
+
+// Days before expiration at which reminders go out; type a number and press Enter to add one
+const ReminderStagesField = ({ value, onChange, error, helperText }) => (
+  <Autocomplete
+    multiple
+    freeSolo
+    options={SUGGESTED_STAGES.filter((stage) => !value.includes(stage))}
+    value={value}
+    getOptionLabel={(option) => stageLabel(option)}
+    onChange={(_, selected) => {
+      const stages = selected
+        .map((stage) => Number(stage))
+        .filter((stage) => Number.isInteger(stage) && stage >= 0 && stage <= 365);
+      onChange([...new Set(stages)].sort((a, b) => b - a));
+    }}
+    renderValue={(selected, getItemProps) =>
+      selected.map((stage, index) => {
+        const { key, ...itemProps } = getItemProps({ index });
+        return <Chip key={key} label={stageLabel(stage)} size="small" {...itemProps} />;
+      })
+    }
+    renderInput={(params) => (
+      <TextField
+        {...params}
+        label="Reminder Stages (days before expiration)"
+        margin="normal"
+        error={error}
+        helperText={helperText}
+      />
+    )}
+  />
+);
+
+export default ReminderStagesField;
@@ -0,0 +1,193 @@
+import { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Select,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography
+} from '@mui/material';
+import { Download as DownloadIcon } from '@mui/icons-material';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as RechartsTooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import api from '../services/api';
+import { downloadFile } from '../utils/download';
+
+const WINDOWS = [12, 18, 24];
+
+// Series stacked per month; smaller vendors or customers are added up as "Other"
+const MAX_SERIES = 8;
+
+const COLORS = ['#8884d8', '#82ca9d', '#ffc658', '#ff8042', '#0088fe', '#00c49f', '#a4de6c', '#d0ed57', '#bdbdbd'];
+
+const formatMoney = (amount, currency) => {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount);
+  } catch {
+    return `${Math.round(amount)} ${currency}`;
+  }
+};
+
+// One row per month with a column per vendor or customer, for a stacked bar chart
+const toChartData = (months, groups) => {
+  const shown = groups.slice(0, MAX_SERIES);
+  const other = groups.slice(MAX_SERIES);
+  const series = shown.map((group, index) => ({ dataKey: `s${index}`, name: group.label, months: group.months }));
+  if (other.length > 0) {
+    series.push({
+      dataKey: 'other',
+      name: `Other (${other.length})`,
+      months: months.map((_, index) => other.reduce((sum, group) => sum + group.months[index], 0))
+    });
+  }
+
+  const data = months.map((month, index) => series.reduce(
+    (row, { dataKey, months: amounts }) => ({ ...row, [dataKey]: amounts[index] }),
+    { month }
+  ));
+  return { series, data };
+};
+
+// Projected renewal spend per month, stacked by vendor or customer
+const RenewalForecast = () => {
+  const [forecast, setForecast] = useState(null);
+  const [months, setMonths] = useState(12);
+  const [groupBy, setGroupBy] = useState('vendor');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchForecast = async () => {
+      try {
+        const response = await api.get('/dashboard/forecast', { params: { months } });
+        setForecast(response.data);
+      } catch (error) {
+        console.error('Error fetching renewal forecast:', error);
+        setError('Failed to load the renewal forecast');
+      }
+    };
+
+    fetchForecast();
+  }, [months]);
+
+  const handleExport = async () => {
+    try {
+      await downloadFile('/dashboard/forecast', { format: 'csv', months, groupBy }, `renewal-forecast-by-${groupBy}.csv`);
+    } catch (error) {
+      console.error('Error exporting renewal forecast:', error);
+      setError('Failed to export the renewal forecast');
+    }
+  };
+
+  const currency = forecast?.currency;
+  const { series, data } = forecast
+    ? toChartData(forecast.months, groupBy === 'vendor' ? forecast.byVendor : forecast.byCustomer)
+    : { series: [], data: [] };
+
+  return (
+    <Card elevation={3}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, gap: 2, flexWrap: 'wrap' }}>
+          <Typography variant="h6">Renewal Forecast{currency && ` (${currency})`}</Typography>
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+            <ToggleButtonGroup
+              size="small"
+              exclusive
+              value={groupBy}
+              onChange={(_, value) => value && setGroupBy(value)}
+            >
+              <ToggleButton value="vendor">By Vendor</ToggleButton>
+              <ToggleButton value="customer">By Customer</ToggleButton>
+            </ToggleButtonGroup>
+            <FormControl size="small" sx={{ minWidth: 130 }}>
+              <InputLabel id="forecast-months-label">Period</InputLabel>
+              <Select
+                labelId="forecast-months-label"
+                label="Period"
+                value={months}
+                onChange={(e) => setMonths(e.target.value)}
+              >
+                {WINDOWS.map((value) => (
+                  <MenuItem key={value} value={value}>{value} months</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <Button startIcon={<DownloadIcon />} onClick={handleExport} disabled={!forecast}>
+              Export CSV
+            </Button>
+          </Box>
+        </Box>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+
+        {!forecast ? (
+          !error && (
+            <Box display="flex" justifyContent="center" p={4}>
+              <CircularProgress />
+            </Box>
+          )
+        ) : (
+          <>
+            {forecast.unconverted.length > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                Renewals without an exchange rate into {currency} are not included:{' '}
+                {forecast.unconverted.map((group) => formatMoney(group.total, group.label)).join(', ')}.
+              </Alert>
+            )}
+            {forecast.overdue.length > 0 && (
+              <Alert severity="info" sx={{ mb: 2 }}>
+                Expired earlier this month and not renewed, not included:{' '}
+                {forecast.overdue
+                  .map((license) => `${license.name} (${license.expiration_date}, ${formatMoney(license.cost, license.currency)})`)
+                  .join(', ')}.
+              </Alert>
+            )}
+
+            <Box sx={{ mb: 2 }}>
+              <Chip
+                color="primary"
+                label={`${formatMoney(forecast.total, currency)} in renewals over the next ${forecast.months.length} months`}
+              />
+            </Box>
+
+            {series.length === 0 ? (
+              <Typography color="textSecondary">No renewals with a cost fall in this period.</Typography>
+            ) : (
+              <Box sx={{ height: 400 }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={data} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="month" />
+                    <YAxis tickFormatter={(value) => formatMoney(value, currency)} width={100} />
+                    <RechartsTooltip formatter={(value) => formatMoney(value, currency)} />
+                    <Legend />
+                    {series.map(({ dataKey, name }, index) => (
+                      <Bar key={dataKey} dataKey={dataKey} name={name} stackId="forecast" fill={COLORS[index % COLORS.length]} />
+                    ))}
+                  </BarChart>
+                </ResponsiveContainer>
+              </Box>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RenewalForecast;
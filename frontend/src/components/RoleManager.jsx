@@ -0,0 +1,228 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Checkbox,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  FormControlLabel,
+  FormGroup,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemSecondaryAction,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import api from '../services/api';
+
+const emptyRole = { name: '', description: '', permissions: [] };
+
+// Lists roles and lets user managers create, edit and delete them
+const RoleManager = ({ roles, onChange, onNotify }) => {
+  const [permissionCatalog, setPermissionCatalog] = useState([]);
+  const [editingRole, setEditingRole] = useState(null);
+  const [isNew, setIsNew] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    api.get('/roles/permissions')
+      .then(response => setPermissionCatalog(response.data))
+      .catch(error => console.error('Error fetching permissions:', error));
+  }, []);
+
+  const handleOpen = (role = null) => {
+    setIsNew(!role);
+    setEditingRole(role ? { ...role, description: role.description || '' } : emptyRole);
+  };
+
+  const togglePermission = (permission) => {
+    setEditingRole(prev => ({
+      ...prev,
+      permissions: prev.permissions.includes(permission)
+        ? prev.permissions.filter(p => p !== permission)
+        : [...prev.permissions, permission]
+    }));
+  };
+
+  const handleSave = async () => {
+    const { name, description, permissions } = editingRole;
+    try {
+      setSaving(true);
+      if (isNew) {
+        await api.post('/roles', { name, description, permissions });
+      } else {
+        await api.put(`/roles/${name}`, { description, permissions });
+      }
+      onNotify(`Role ${isNew ? 'created' : 'updated'} successfully`, 'success');
+      setEditingRole(null);
+      onChange();
+    } catch (error) {
+      console.error('Error saving role:', error);
+      onNotify(
+        error.response?.data?.errors?.[0]?.msg || error.response?.data?.msg || 'Failed to save role',
+        'error'
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (role) => {
+    try {
+      await api.delete(`/roles/${role.name}`);
+      onNotify('Role deleted successfully', 'success');
+      onChange();
+    } catch (error) {
+      console.error('Error deleting role:', error);
+      onNotify(error.response?.data?.msg || 'Failed to delete role', 'error');
+    }
+  };
+
+  return (
+    <>
+      <Box sx={{ p: 3, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="h6">Roles</Typography>
+        <Button variant="outlined" startIcon={<AddIcon />} onClick={() => handleOpen()}>
+          Add Role
+        </Button>
+      </Box>
+
+      <Divider />
+
+      <List>
+        {roles.map((role) => (
+          <ListItem key={role.name} sx={{ '&:nth-of-type(odd)': { bgcolor: 'action.hover' }, pr: 12 }}>
+            <ListItemText
+              primary={
+                <>
+                  {role.name}
+                  <Typography component="span" variant="body2" color="textSecondary" sx={{ ml: 1 }}>
+                    {role.user_count} user{role.user_count === 1 ? '' : 's'}
+                  </Typography>
+                </>
+              }
+              secondary={
+                <>
+                  {role.description}
+                  <Box component="span" sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1 }}>
+                    {role.permissions.map((permission) => (
+                      <Chip
+                        key={permission}
+                        label={permission === '*' ? 'All permissions' : permission}
+                        size="small"
+                        color={permission === '*' ? 'primary' : 'default'}
+                        component="span"
+                      />
+                    ))}
+                  </Box>
+                </>
+              }
+            />
+            <ListItemSecondaryAction>
+              {/* The admin role always keeps full access */}
+              {role.name !== 'admin' && (
+                <Tooltip title="Edit">
+                  <IconButton edge="end" aria-label="edit" onClick={() => handleOpen(role)}>
+                    <EditIcon />
+                  </IconButton>
+                </Tooltip>
+              )}
+              {!role.is_system && (
+                <Tooltip title={role.user_count > 0 ? 'Reassign its users first' : 'Delete'}>
+                  <span>
+                    <IconButton
+                      edge="end"
+                      aria-label="delete"
+                      onClick={() => handleDelete(role)}
+                      disabled={role.user_count > 0}
+                      sx={{ color: 'error.main' }}
+                    >
+                      <DeleteIcon />
+                    </IconButton>
+                  </span>
+                </Tooltip>
+              )}
+            </ListItemSecondaryAction>
+          </ListItem>
+        ))}
+      </List>
+
+      <Dialog open={Boolean(editingRole)} onClose={() => setEditingRole(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{isNew ? 'Add Role' : `Edit Role: ${editingRole?.name}`}</DialogTitle>
+        {editingRole && (
+          <DialogContent>
+            {isNew && (
+              <TextField
+                autoFocus
+                margin="dense"
+                label="Name"
+                fullWidth
+                value={editingRole.name}
+                onChange={(e) => setEditingRole({ ...editingRole, name: e.target.value.toLowerCase() })}
+                helperText="Lowercase letters, numbers and dashes"
+              />
+            )}
+            <TextField
+              margin="dense"
+              label="Description"
+              fullWidth
+              value={editingRole.description}
+              onChange={(e) => setEditingRole({ ...editingRole, description: e.target.value })}
+              sx={{ mb: 2 }}
+            />
+            <Typography variant="subtitle2" gutterBottom>
+              Permissions
+            </Typography>
+            <FormGroup>
+              {permissionCatalog.map((permission) => (
+                <FormControlLabel
+                  key={permission.name}
+                  control={
+                    <Checkbox
+                      checked={editingRole.permissions.includes(permission.name)}
+                      onChange={() => togglePermission(permission.name)}
+                    />
+                  }
+                  label={
+                    <>
+                      <Typography component="span" variant="body2">{permission.name}</Typography>
+                      <Typography component="span" variant="body2" color="textSecondary" sx={{ ml: 1 }}>
+                        {permission.description}
+                      </Typography>
+                    </>
+                  }
+                />
+              ))}
+            </FormGroup>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setEditingRole(null)} disabled={saving}>
+            Cancel
+          </Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={saving || (isNew && !editingRole?.name)}
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default RoleManager;
@@ -0,0 +1,181 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  FormControlLabel,
+  IconButton,
+  InputLabel,
+  ListSubheader,
+  MenuItem,
+  Select,
+  TextField,
+  Tooltip
+} from '@mui/material';
+import {
+  BookmarkAdd as BookmarkAddIcon,
+  Delete as DeleteIcon,
+  Link as LinkIcon
+} from '@mui/icons-material';
+import api from '../services/api';
+
+const errorMessage = (error, fallback) => error.response?.data?.errors?.[0]?.msg || error.response?.data?.msg || fallback;
+
+// Pick, save, share and delete named license filters; the page owns the filters themselves
+const SavedViews = ({ filters, selectedViewId, onSelect, onError }) => {
+  const [views, setViews] = useState([]);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [shared, setShared] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  const fetchViews = useCallback(async () => {
+    try {
+      const response = await api.get('/licenses/views');
+      setViews(response.data);
+    } catch (error) {
+      console.error('Error fetching saved views:', error);
+      onError('Failed to load saved views');
+    }
+  }, [onError]);
+
+  useEffect(() => {
+    fetchViews();
+  }, [fetchViews]);
+
+  const selectedView = views.find((view) => String(view.id) === String(selectedViewId));
+  const ownViews = views.filter((view) => view.is_owner);
+  const sharedViews = views.filter((view) => !view.is_owner);
+
+  const handleSelect = (e) => {
+    onSelect(views.find((view) => String(view.id) === String(e.target.value)) || null);
+  };
+
+  const handleOpenDialog = () => {
+    setName(selectedView?.is_owner ? selectedView.name : '');
+    setShared(selectedView?.is_owner ? selectedView.is_shared : false);
+    setDialogOpen(true);
+  };
+
+  // Update the selected view when it is the user's own and keeps its name, otherwise save a new one
+  const handleSave = async () => {
+    const update = selectedView?.is_owner && name.trim() === selectedView.name;
+    try {
+      setSaving(true);
+      const response = update
+        ? await api.put(`/licenses/views/${selectedView.id}`, { filters, is_shared: shared })
+        : await api.post('/licenses/views', { name: name.trim(), filters, is_shared: shared });
+      setDialogOpen(false);
+      await fetchViews();
+      onSelect(response.data);
+    } catch (error) {
+      console.error('Error saving view:', error);
+      onError(errorMessage(error, 'Failed to save the view'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await api.delete(`/licenses/views/${selectedView.id}`);
+      onSelect(null);
+      fetchViews();
+    } catch (error) {
+      console.error('Error deleting view:', error);
+      onError(errorMessage(error, 'Failed to delete the view'));
+    }
+  };
+
+  // The page keeps the selected view (or the filters) in the URL
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) {
+      console.error('Error copying link:', error);
+      onError('Failed to copy the link');
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+      <FormControl variant="outlined" size="small" sx={{ minWidth: 220 }}>
+        <InputLabel>Saved View</InputLabel>
+        <Select
+          value={selectedView ? String(selectedView.id) : ''}
+          onChange={handleSelect}
+          label="Saved View"
+        >
+          <MenuItem value="">
+            <em>None</em>
+          </MenuItem>
+          {ownViews.length > 0 && <ListSubheader>My views</ListSubheader>}
+          {ownViews.map((view) => (
+            <MenuItem key={view.id} value={String(view.id)}>
+              {view.name}{view.is_shared ? ' (shared)' : ''}
+            </MenuItem>
+          ))}
+          {sharedViews.length > 0 && <ListSubheader>Shared with me</ListSubheader>}
+          {sharedViews.map((view) => (
+            <MenuItem key={view.id} value={String(view.id)}>
+              {view.name} — {view.owner_username || 'unknown'}
+            </MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+      <Tooltip title="Save view">
+        <IconButton onClick={handleOpenDialog}>
+          <BookmarkAddIcon />
+        </IconButton>
+      </Tooltip>
+      <Tooltip title={linkCopied ? 'Link copied' : 'Copy link'}>
+        <IconButton onClick={handleCopyLink}>
+          <LinkIcon />
+        </IconButton>
+      </Tooltip>
+      {selectedView?.is_owner && (
+        <Tooltip title="Delete view">
+          <IconButton color="error" onClick={handleDelete}>
+            <DeleteIcon />
+          </IconButton>
+        </Tooltip>
+      )}
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Save View</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            margin="dense"
+            label="Name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            inputProps={{ maxLength: 100 }}
+            helperText={selectedView?.is_owner ? 'Keep the name to update this view, or enter a new one' : ' '}
+            fullWidth
+          />
+          <FormControlLabel
+            control={<Checkbox checked={shared} onChange={(e) => setShared(e.target.checked)} />}
+            label="Share with the team"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button onClick={handleSave} variant="contained" disabled={saving || !name.trim()}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default SavedViews;
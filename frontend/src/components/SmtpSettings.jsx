@@ -0,0 +1,271 @@
+import { useState, useEffect } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  FormControl,
+  FormControlLabel,
+  Grid,
+  InputLabel,
+  MenuItem,
+  Select,
+  Switch,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Save as SaveIcon, Send as SendIcon } from '@mui/icons-material';
+import { Formik, Form, Field } from 'formik';
+import * as Yup from 'yup';
+import api from '../services/api';
+
+const SECURITY_OPTIONS = [
+  { value: 'starttls', label: 'STARTTLS (usually port 587)' },
+  { value: 'tls', label: 'TLS (usually port 465)' },
+  { value: 'none', label: 'None (usually port 25)' }
+];
+
+const SmtpSchema = Yup.object().shape({
+  host: Yup.string().trim().required('Host is required'),
+  port: Yup.number().integer().min(1).max(65535).required('Port is required'),
+  security: Yup.string().oneOf(SECURITY_OPTIONS.map(({ value }) => value)),
+  user: Yup.string(),
+  password: Yup.string(),
+  from: Yup.string()
+    .matches(/^(?:[^<>]*<\S+@\S+\.\S+>|\S+@\S+\.\S+)$/, 'Use an address or "Name <address>"')
+    .required('From address is required'),
+  replyTo: Yup.string().email('Invalid email'),
+  rejectUnauthorized: Yup.boolean()
+});
+
+const EMPTY_SETTINGS = {
+  host: '',
+  port: 587,
+  security: 'starttls',
+  user: '',
+  password: '',
+  from: '',
+  replyTo: '',
+  rejectUnauthorized: true
+};
+
+// The password is never sent back; leaving the field empty keeps the saved one
+const toPayload = ({ password, ...values }) => (password ? { ...values, password } : values);
+
+// SMTP server used for email notifications (admins only)
+const SmtpSettings = ({ onMessage }) => {
+  const [settings, setSettings] = useState(null);
+  const [testRecipient, setTestRecipient] = useState('');
+  const [testing, setTesting] = useState(false);
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await api.get('/settings/smtp');
+        setSettings(response.data);
+      } catch (error) {
+        console.error('Error fetching SMTP settings:', error);
+        setSettings({ configured: false, source: null, hasPassword: false, ...EMPTY_SETTINGS });
+        onMessage('Failed to load SMTP settings', 'error');
+      }
+    };
+
+    fetchSettings();
+  }, [onMessage]);
+
+  const handleSubmit = async (values, { setSubmitting }) => {
+    try {
+      const response = await api.put('/settings/smtp', toPayload(values));
+      setSettings(response.data);
+      onMessage('SMTP settings saved successfully');
+    } catch (error) {
+      console.error('Error saving SMTP settings:', error);
+      onMessage(error.response?.data?.error || 'Failed to save SMTP settings', 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Tests the values in the form, so settings can be checked before saving
+  const handleTest = async (values) => {
+    try {
+      setTesting(true);
+      const response = await api.post('/settings/smtp/test', {
+        ...toPayload(values),
+        to: testRecipient || undefined
+      });
+      onMessage(response.data.message);
+    } catch (error) {
+      console.error('Error testing SMTP settings:', error);
+      onMessage(error.response?.data?.error || 'SMTP test failed', 'error');
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  if (!settings) {
+    return (
+      <Box display="flex" justifyContent="center" p={3}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const { source, hasPassword, configured, ...values } = settings;
+
+  return (
+    <>
+      {!configured && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          No SMTP server is configured, so email notifications are not sent. Other notification channels keep working.
+        </Alert>
+      )}
+      {source === 'environment' && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          These settings come from the server environment. Saving them here overrides the environment.
+        </Alert>
+      )}
+
+      <Formik
+        initialValues={{ ...EMPTY_SETTINGS, ...values, password: '' }}
+        validationSchema={SmtpSchema}
+        onSubmit={handleSubmit}
+        enableReinitialize
+      >
+        {({ errors, touched, isSubmitting, values: formValues, setFieldValue }) => (
+          <Form>
+            <Grid container spacing={2}>
+              <Grid item xs={12} md={8}>
+                <Field
+                  as={TextField}
+                  name="host"
+                  label="SMTP Host"
+                  fullWidth
+                  margin="normal"
+                  error={touched.host && Boolean(errors.host)}
+                  helperText={touched.host && errors.host}
+                />
+              </Grid>
+              <Grid item xs={12} md={4}>
+                <Field
+                  as={TextField}
+                  name="port"
+                  label="Port"
+                  type="number"
+                  fullWidth
+                  margin="normal"
+                  inputProps={{ min: 1, max: 65535 }}
+                  error={touched.port && Boolean(errors.port)}
+                  helperText={touched.port && errors.port}
+                />
+              </Grid>
+              <Grid item xs={12} md={6}>
+                <FormControl fullWidth margin="normal">
+                  <InputLabel id="smtp-security-label">Security</InputLabel>
+                  <Field as={Select} name="security" labelId="smtp-security-label" label="Security">
+                    {SECURITY_OPTIONS.map(({ value, label }) => (
+                      <MenuItem key={value} value={value}>{label}</MenuItem>
+                    ))}
+                  </Field>
+                </FormControl>
+              </Grid>
+              <Grid item xs={12} md={6}>
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={formValues.rejectUnauthorized}
+                      onChange={(e) => setFieldValue('rejectUnauthorized', e.target.checked)}
+                    />
+                  }
+                  label="Verify the server's TLS certificate"
+                  sx={{ mt: 3 }}
+                />
+              </Grid>
+              <Grid item xs={12} md={6}>
+                <Field
+                  as={TextField}
+                  name="user"
+                  label="Username"
+                  fullWidth
+                  margin="normal"
+                  helperText="Leave empty if the server does not require authentication"
+                />
+              </Grid>
+              <Grid item xs={12} md={6}>
+                <Field
+                  as={TextField}
+                  name="password"
+                  label="Password"
+                  type="password"
+                  fullWidth
+                  margin="normal"
+                  placeholder={hasPassword ? '••••••••' : ''}
+                  helperText={hasPassword ? 'Leave empty to keep the saved password' : undefined}
+                />
+              </Grid>
+              <Grid item xs={12} md={6}>
+                <Field
+                  as={TextField}
+                  name="from"
+                  label="From Address"
+                  fullWidth
+                  margin="normal"
+                  placeholder="License Management System <licenses@example.com>"
+                  error={touched.from && Boolean(errors.from)}
+                  helperText={touched.from && errors.from}
+                />
+              </Grid>
+              <Grid item xs={12} md={6}>
+                <Field
+                  as={TextField}
+                  name="replyTo"
+                  label="Reply-To Address"
+                  fullWidth
+                  margin="normal"
+                  error={touched.replyTo && Boolean(errors.replyTo)}
+                  helperText={touched.replyTo && errors.replyTo}
+                />
+              </Grid>
+
+              <Grid item xs={12}>
+                <Box sx={{ display: 'flex', gap: 2, mt: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+                  <Button
+                    type="submit"
+                    variant="contained"
+                    color="primary"
+                    startIcon={isSubmitting ? <CircularProgress size={20} /> : <SaveIcon />}
+                    disabled={isSubmitting}
+                  >
+                    {isSubmitting ? 'Saving...' : 'Save Settings'}
+                  </Button>
+                  <TextField
+                    size="small"
+                    label="Send test to"
+                    placeholder="Your account email"
+                    value={testRecipient}
+                    onChange={(e) => setTestRecipient(e.target.value)}
+                  />
+                  <Button
+                    type="button"
+                    variant="outlined"
+                    color="secondary"
+                    startIcon={testing ? <CircularProgress size={20} /> : <SendIcon />}
+                    onClick={() => handleTest(formValues)}
+                    disabled={testing || !formValues.host}
+                  >
+                    Send Test Email
+                  </Button>
+                </Box>
+                <Typography variant="caption" color="textSecondary" display="block" sx={{ mt: 1 }}>
+                  The test connects with the values above, including unsaved changes.
+                </Typography>
+              </Grid>
+            </Grid>
+          </Form>
+        )}
+      </Formik>
+    </>
+  );
+};
+
+export default SmtpSettings;
@@ -0,0 +1,32 @@
+import { Autocomplete, TextField } from '@mui/material';
+
+const TIMEZONES = ['UTC', ...Intl.supportedValuesOf('timeZone').filter((zone) => zone !== 'UTC')];
+
+// Current UTC offset of a timezone, e.g. "GMT+7"
+const utcOffset = (timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'shortOffset' }).formatToParts(new Date());
+  return parts.find(({ type }) => type === 'timeZoneName')?.value || '';
+};
+
+// IANA timezone picker, grouped by region
+const TimezoneField = ({ value, onChange, error, helperText }) => (
+  <Autocomplete
+    options={TIMEZONES}
+    value={value}
+    disableClearable
+    groupBy={(option) => (option.includes('/') ? option.split('/')[0] : 'Other')}
+    getOptionLabel={(option) => `${option.replace(/_/g, ' ')} (${utcOffset(option)})`}
+    onChange={(_, selected) => onChange(selected)}
+    renderInput={(params) => (
+      <TextField
+        {...params}
+        label="Timezone"
+        margin="normal"
+        error={error}
+        helperText={helperText}
+      />
+    )}
+  />
+);
+
+export default TimezoneField;
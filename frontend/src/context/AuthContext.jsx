@@ -19,7 +19,7 @@ export const AuthProvider = ({ children }) => {
 
   const verifyToken = async () => {
     try {
-      const response = await api.get('/auth/me');
+      const response = await api.get('/auth/user');
       setUser(response.data);
     } catch (error) {
       console.error('Token verification failed:', error);
@@ -43,8 +43,14 @@ export const AuthProvider = ({ children }) => {
     window.location.href = '/login';
   };
 
+  // Mirror of the backend permission check; '*' grants everything
+  const can = (permission) => {
+    const permissions = user?.permissions || [];
+    return permissions.includes('*') || permissions.includes(permission);
+  };
+
   return (
-    <AuthContext.Provider value={{ user, loading, login, logout }}>
+    <AuthContext.Provider value={{ user, loading, login, logout, can }}>
       {!loading && children}
     </AuthContext.Provider>
   );
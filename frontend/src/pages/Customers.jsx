@@ -29,6 +29,7 @@ import {
   Edit as EditIcon, 
   Delete as DeleteIcon,
   Search as SearchIcon,
+  NotificationsActive as NotificationsIcon,
   FirstPage as FirstPageIcon,
   LastPage as LastPageIcon,
   KeyboardArrowLeft,
@@ -37,6 +38,8 @@ import {
 import { Formik, Form, Field } from 'formik';
 import * as Yup from 'yup';
 import api from '../services/api';
+import ExportMenu from '../components/ExportMenu';
+import CustomerNotificationRulesDialog from '../components/CustomerNotificationRulesDialog';
 import { useAuth } from '../context/AuthContext';
 
 // Validation Schema
@@ -55,7 +58,7 @@ const CustomerSchema = Yup.object().shape({
 });
 
 const Customers = () => {
-  const { user } = useAuth();
+  const { user, can } = useAuth();
   const [customers, setCustomers] = useState([]);
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(10);
@@ -66,6 +69,8 @@ const Customers = () => {
   const [selectedCustomer, setSelectedCustomer] = useState(null);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [customerToDelete, setCustomerToDelete] = useState(null);
+  const [rulesCustomer, setRulesCustomer] = useState(null);
+  const [rulesDialogOpen, setRulesDialogOpen] = useState(false);
   const navigate = useNavigate();
 
   // Fetch customers
@@ -251,14 +256,19 @@ const Customers = () => {
         <Typography variant="h4" component="h1" gutterBottom>
           Customers
         </Typography>
-        <Button
-          variant="contained"
-          color="primary"
-          startIcon={<AddIcon />}
-          onClick={() => handleOpenDialog()}
-        >
-          Add Customer
-        </Button>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <ExportMenu url="/customers/export" params={{ search: searchTerm }} filename="customers" />
+          {can('customers:write') && (
+            <Button
+              variant="contained"
+              color="primary"
+              startIcon={<AddIcon />}
+              onClick={() => handleOpenDialog()}
+            >
+              Add Customer
+            </Button>
+          )}
+        </Box>
       </Box>
 
       {/* Search Bar */}
@@ -307,16 +317,27 @@ const Customers = () => {
                     <TableCell>{customer.email}</TableCell>
                     <TableCell>{customer.phone}</TableCell>
                     <TableCell align="right">
-                      <Tooltip title="Edit">
-                        <IconButton onClick={() => handleOpenDialog(customer)}>
-                          <EditIcon />
-                        </IconButton>
-                      </Tooltip>
-                      <Tooltip title="Delete">
-                        <IconButton onClick={() => handleDeleteClick(customer)}>
-                          <DeleteIcon color="error" />
-                        </IconButton>
-                      </Tooltip>
+                      {can('customers:write') && (
+                        <Tooltip title="Contact Notifications">
+                          <IconButton onClick={() => { setRulesCustomer(customer); setRulesDialogOpen(true); }}>
+                            <NotificationsIcon />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                      {can('customers:write') && (
+                        <Tooltip title="Edit">
+                          <IconButton onClick={() => handleOpenDialog(customer)}>
+                            <EditIcon />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                      {can('customers:delete') && (
+                        <Tooltip title="Delete">
+                          <IconButton onClick={() => handleDeleteClick(customer)}>
+                            <DeleteIcon color="error" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
                     </TableCell>
                   </TableRow>
                 ))
@@ -497,6 +518,12 @@ const Customers = () => {
           </Button>
         </DialogActions>
       </Dialog>
+
+      <CustomerNotificationRulesDialog
+        customer={rulesCustomer}
+        open={rulesDialogOpen}
+        onClose={() => setRulesDialogOpen(false)}
+      />
     </Container>
   );
 };
@@ -26,9 +26,14 @@ import WarningIcon from '@mui/icons-material/Warning';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
 import RefreshIcon from '@mui/icons-material/Refresh';
 import ErrorIcon from '@mui/icons-material/Error';
+import EventSeatIcon from '@mui/icons-material/EventSeat';
+import { useNavigate } from 'react-router-dom';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, Legend, ResponsiveContainer } from 'recharts';
 import api from '../services/api';
+import CostAnalytics from '../components/CostAnalytics';
+import RenewalForecast from '../components/RenewalForecast';
 
 const Dashboard = () => {
   const [loading, setLoading] = useState(true);
@@ -44,8 +49,11 @@ const Dashboard = () => {
     expiringLicenses: 0,
     expiredLicenses: 0,
     totalCustomers: 0,
-    totalVendors: 0
+    totalVendors: 0,
+    totalSeats: 0,
+    seatsUsed: 0
   });
+  const navigate = useNavigate();
   const [vendorDistribution, setVendorDistribution] = useState([]);
   const [activeFilter, setActiveFilter] = useState('all'); // 'all' or 'expiring' or 'expired'
 
@@ -283,6 +291,14 @@ const Dashboard = () => {
               value: stats.totalVendors, 
               icon: <BusinessIcon color="primary" />,
               color: 'primary'
+            },
+            {
+              title: 'Seats Used',
+              value: `${stats.seatsUsed || 0} / ${stats.totalSeats || 0}`,
+              icon: <EventSeatIcon color="primary" />,
+              color: 'primary',
+              onClick: () => navigate('/reports/seat-utilization'),
+              clickable: true
             }
           ].map((item, index) => (
             <Grid item xs={12} sm={6} md={4} lg={2} key={index}>
@@ -314,6 +330,46 @@ const Dashboard = () => {
           ))}
         </Grid>
 
+        <Grid container spacing={3} sx={{ mb: 4 }}>
+          <Grid item xs={12} lg={7}>
+            <CostAnalytics />
+          </Grid>
+          <Grid item xs={12} lg={5}>
+            <Card elevation={3} sx={{ height: '100%' }}>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>
+                  Licenses by Vendor
+                </Typography>
+                {vendorDistribution.length === 0 ? (
+                  <Typography color="textSecondary">No licenses yet.</Typography>
+                ) : (
+                  <Box sx={{ height: 400 }}>
+                    <ResponsiveContainer width="100%" height="100%">
+                      <BarChart
+                        data={vendorDistribution.slice(0, 15)}
+                        layout="vertical"
+                        margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+                      >
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis type="number" allowDecimals={false} />
+                        <YAxis type="category" dataKey="name" width={120} />
+                        <RechartsTooltip />
+                        <Legend />
+                        <Bar dataKey="licenses" name="Licenses" fill="#8884d8" />
+                        <Bar dataKey="active_licenses" name="Active" fill="#82ca9d" />
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </Box>
+                )}
+              </CardContent>
+            </Card>
+          </Grid>
+        </Grid>
+
+        <Box sx={{ mb: 4 }}>
+          <RenewalForecast />
+        </Box>
+
         {/* License List Section */}
         {showLicenses && (
           <Grid item xs={12} sx={{ mt: 4 }}>
@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { 
   Box, 
   Button, 
@@ -27,7 +27,10 @@ import {
   Select,
   Chip,
   Autocomplete,
-  CircularProgress
+  CircularProgress,
+  Tabs,
+  Tab,
+  Badge
 } from '@mui/material';
 import { 
   Add as AddIcon, 
@@ -36,14 +39,38 @@ import {
   Search as SearchIcon,
   CheckCircle as CheckCircleIcon,
   Cancel as CancelIcon,
-  Visibility as VisibilityIcon
+  Visibility as VisibilityIcon,
+  UploadFile as UploadFileIcon,
+  FilterList as FilterListIcon
 } from '@mui/icons-material';
+import { useSearchParams } from 'react-router-dom';
 import { Formik, Form, Field, useField } from 'formik';
 import * as Yup from 'yup';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import api from '../services/api';
+import LicenseHistory from '../components/LicenseHistory';
+import LicenseSeats from '../components/LicenseSeats';
+import LicenseRenewals from '../components/LicenseRenewals';
+import LicenseImportDialog from '../components/LicenseImportDialog';
+import ExportMenu from '../components/ExportMenu';
+import SavedViews from '../components/SavedViews';
+import LicenseFilters from '../components/LicenseFilters';
+import LicenseKeyField from '../components/LicenseKeyField';
+import { useAuth } from '../context/AuthContext';
+import { buildFilters, countAdvancedFilters, parseFilters, readUrlFilters } from '../utils/licenseFilters';
+
+// Debounce search
+const debounce = (func, delay) => {
+  let timeoutId;
+  return function(...args) {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => {
+      func.apply(this, args);
+    }, delay);
+  };
+};
 
 // Custom Autocomplete field with Formik integration and async search
 const FormikAutocomplete = ({ 
@@ -59,20 +86,9 @@ const FormikAutocomplete = ({
   const [open, setOpen] = useState(false);
   const errorText = meta.error && meta.touched ? meta.error : '';
 
-  // Debounce search
-  const debounce = (func, delay) => {
-    let timeoutId;
-    return function(...args) {
-      clearTimeout(timeoutId);
-      timeoutId = setTimeout(() => {
-        func.apply(this, args);
-      }, delay);
-    };
-  };
-
   // Fetch options when input changes
-  const fetchOptionsDelayed = useCallback(
-    debounce(async (searchValue) => {
+  const fetchOptionsDelayed = useMemo(
+    () => debounce(async (searchValue) => {
       if (!searchValue) {
         setOptions([]);
         return;
@@ -169,17 +185,30 @@ const LicenseSchema = Yup.object().shape({
   cost: Yup.number()
     .min(0, 'Cost cannot be negative')
     .required('Cost is required'),
+  currency: Yup.string()
+    .matches(/^[A-Za-z]{3}$/, 'Use a 3-letter currency code')
+    .required('Currency is required'),
   notes: Yup.string().nullable()
 });
 
+// The stored key is only replaced when a new one is entered
+const LicenseUpdateSchema = LicenseSchema.shape({
+  license_key: Yup.string()
+});
+
 const Licenses = () => {
+  const { can } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Filters a link opened the page with; ?view= is loaded once the saved view is fetched
+  const [initialFilters] = useState(() => parseFilters(readUrlFilters(searchParams)));
+  const initialViewRef = useRef(searchParams.get('view'));
   const [licenses, setLicenses] = useState([]);
   const [customers, setCustomers] = useState([]);
   const [vendors, setVendors] = useState([]);
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(10);
   const [totalCount, setTotalCount] = useState(0);
-  const [searchTerm, setSearchTerm] = useState('');
+  const [searchTerm, setSearchTerm] = useState(initialFilters.searchTerm);
   const [loading, setLoading] = useState(true);
   const [openDialog, setOpenDialog] = useState(false);
   const [selectedLicense, setSelectedLicense] = useState(null);
@@ -189,31 +218,30 @@ const Licenses = () => {
   const [orderBy, setOrderBy] = useState('name');
   const [order, setOrder] = useState('asc');
   const [viewMode, setViewMode] = useState(false);
-  const [searchType, setSearchType] = useState('license'); // 'license', 'customer', or 'vendor'
-
-  // Debounce function
-  const debounce = (func, delay) => {
-    let timeoutId;
-    return function(...args) {
-      clearTimeout(timeoutId);
-      timeoutId = setTimeout(() => {
-        func.apply(this, args);
-      }, delay);
-    };
-  };
+  const [dialogTab, setDialogTab] = useState(0);
+  const [importDialogOpen, setImportDialogOpen] = useState(false);
+  const [searchType, setSearchType] = useState(initialFilters.searchType); // 'license', 'customer', or 'vendor'
+  const [status, setStatus] = useState(initialFilters.status); // '', 'active' or 'inactive'
+  const [expiry, setExpiry] = useState(initialFilters.expiry); // '', 'expired', 'current' or 'soon'
+  const [advanced, setAdvanced] = useState(initialFilters.advanced);
+  const [showAdvanced, setShowAdvanced] = useState(countAdvancedFilters(initialFilters.advanced) > 0);
+  const [otherFilters, setOtherFilters] = useState(initialFilters.otherFilters);
+  const [selectedViewId, setSelectedViewId] = useState(initialViewRef.current || '');
 
   // Use refs to track the latest search value and controller
-  const searchRef = useRef('');
+  const searchRef = useRef(initialFilters.searchTerm);
   const controllerRef = useRef(null);
-  const [localSearchTerm, setLocalSearchTerm] = useState('');
+  // Number of licenses shown, read by fetchData without making it depend on the list
+  const loadedCountRef = useRef(0);
+  const [localSearchTerm, setLocalSearchTerm] = useState(initialFilters.searchTerm);
   
   // Memoize the search function
-  const performSearch = useCallback(debounce((value) => {
+  const performSearch = useMemo(() => debounce((value) => {
     if (searchTerm !== value) {
       setSearchTerm(value);
       setPage(0);
     }
-  }, 300), [searchTerm, searchType]);
+  }, 300), [searchTerm]);
 
   // Handle search input change
   const handleSearchChange = (event) => {
@@ -222,6 +250,7 @@ const Licenses = () => {
     setLocalSearchTerm(value);
     // Update the ref
     searchRef.current = value;
+    setSelectedViewId('');
     // Trigger debounced search
     performSearch(value);
   };
@@ -231,6 +260,60 @@ const Licenses = () => {
     setLocalSearchTerm(searchTerm);
   }, [searchTerm]);
 
+  const filters = buildFilters({ searchType, searchTerm, status, expiry, advanced, otherFilters });
+
+  // Replace the whole filter bar, e.g. with the filters of a saved view
+  const applyFilters = useCallback((nextFilters) => {
+    const next = parseFilters(nextFilters);
+    searchRef.current = next.searchTerm;
+    setSearchType(next.searchType);
+    setSearchTerm(next.searchTerm);
+    setLocalSearchTerm(next.searchTerm);
+    setStatus(next.status);
+    setExpiry(next.expiry);
+    setAdvanced(next.advanced);
+    setOtherFilters(next.otherFilters);
+    setPage(0);
+  }, []);
+
+  // Changing a filter by hand leaves the selected saved view
+  const changeFilter = (setter) => (value) => {
+    setter(value);
+    setSelectedViewId('');
+    setPage(0);
+  };
+
+  const handleSelectView = (view) => {
+    if (view) {
+      applyFilters(view.filters);
+    }
+    setSelectedViewId(view ? String(view.id) : '');
+  };
+
+  const handleViewError = useCallback((message) => setFormError(message), []);
+
+  // Open the saved view a link points to
+  useEffect(() => {
+    const viewId = initialViewRef.current;
+    if (!viewId) {
+      return;
+    }
+
+    api.get(`/licenses/views/${viewId}`)
+      .then((response) => applyFilters(response.data.filters))
+      .catch((error) => {
+        console.error('Error loading saved view:', error);
+        setFormError(error.response?.status === 404 ? 'This saved view no longer exists or is not shared with you' : 'Failed to load the saved view');
+        setSelectedViewId('');
+      });
+  }, [applyFilters]);
+
+  // Keep the selected view, or else the filters, in the URL so the page can be bookmarked and shared
+  const filtersKey = JSON.stringify(filters);
+  useEffect(() => {
+    setSearchParams(selectedViewId ? { view: selectedViewId } : JSON.parse(filtersKey), { replace: true });
+  }, [selectedViewId, filtersKey, setSearchParams]);
+
   // Handle sorting
   const handleRequestSort = (property) => {
     const isAsc = orderBy === property && order === 'asc';
@@ -330,7 +413,7 @@ const Licenses = () => {
     
     try {
       // Only show loading if we don't have any data yet or if we're doing a new search
-      if (licenses.length === 0 || currentSearchTerm !== searchTerm) {
+      if (loadedCountRef.current === 0 || currentSearchTerm !== searchTerm) {
         setLoading(true);
       }
       setFormError(null);
@@ -347,19 +430,11 @@ const Licenses = () => {
         page: page + 1
       };
       
-      // Add search parameters based on search type
-      if (currentSearchTerm) {
-        if (searchType === 'customer') {
-          params.customer_search = currentSearchTerm;
-        } else if (searchType === 'vendor') {
-          params.vendor_search = currentSearchTerm;
-        } else {
-          params.search = currentSearchTerm; // Default license search
-        }
-      }
-      
       const licensesRes = await api.get('/licenses', { 
-        params,
+        params: {
+          ...params,
+          ...buildFilters({ searchType, searchTerm: currentSearchTerm, status, expiry, advanced, otherFilters })
+        },
         signal: controller.signal
       });
       
@@ -378,6 +453,7 @@ const Licenses = () => {
         
         // Only update if the search term hasn't changed since we started the request
         if (!controller.signal.aborted && searchRef.current === currentSearchTerm) {
+          loadedCountRef.current = licensesData.length;
           setLicenses(licensesData);
           setTotalCount(Number(total) || 0);
         }
@@ -386,6 +462,7 @@ const Licenses = () => {
       if (error.name !== 'CanceledError' && error.name !== 'AbortError') {
         console.error('Error:', error);
         setFormError(error.response?.data?.message || 'Failed to load data');
+        loadedCountRef.current = 0;
         setLicenses([]);
         
         if (error.response?.status === 401) {
@@ -398,7 +475,7 @@ const Licenses = () => {
         setLoading(false);
       }
     }
-  }, [page, rowsPerPage, searchTerm]);
+  }, [page, rowsPerPage, searchTerm, searchType, status, expiry, advanced, otherFilters]);
   
   // Initial data load and when dependencies change
   useEffect(() => {
@@ -424,10 +501,22 @@ const Licenses = () => {
       purchase_date: license.purchase_date ? new Date(license.purchase_date) : null,
       expiration_date: license.expiration_date ? new Date(license.expiration_date) : null,
     });
+    setDialogTab(0);
     setOpenDialog(true);
     setViewMode(true);
   };
 
+  // Keep the open view dialog in sync after a renewal advanced the license
+  const handleLicenseRenewed = (license) => {
+    setSelectedLicense(prev => ({
+      ...prev,
+      ...license,
+      purchase_date: license.purchase_date ? new Date(license.purchase_date) : null,
+      expiration_date: license.expiration_date ? new Date(license.expiration_date) : null,
+    }));
+    fetchData();
+  };
+
   // Handle dialog open/close
   const handleOpenDialog = (license = null) => {
     setSelectedLicense(license);
@@ -447,10 +536,16 @@ const Licenses = () => {
       const formattedValues = {
         ...values,
         seats: Number(values.seats) || 1, // Ensure seats is a number
+        currency: values.currency.toUpperCase(),
         purchase_date: values.purchase_date ? new Date(values.purchase_date).toISOString() : null,
         expiration_date: values.expiration_date ? new Date(values.expiration_date).toISOString() : null,
       };
 
+      // Keep the current key unless a new one was entered
+      if (!formattedValues.license_key) {
+        delete formattedValues.license_key;
+      }
+
       if (selectedLicense) {
         await api.put(`/licenses/${selectedLicense.id}`, formattedValues);
       } else {
@@ -514,16 +609,27 @@ const Licenses = () => {
     return new Date(dateString).toLocaleDateString();
   };
 
+  // The cost in the reporting currency, at the rate of the purchase date
+  const reportingCostText = (license) => {
+    if (!license || !license.reporting_currency || license.currency === license.reporting_currency) {
+      return '';
+    }
+    return license.reporting_cost === null
+      ? `No exchange rate into ${license.reporting_currency}`
+      : `≈ ${Number(license.reporting_cost).toFixed(2)} ${license.reporting_currency} at the purchase date rate`;
+  };
+
   // Initial form values
   const initialValues = selectedLicense ? {
     name: selectedLicense.name || '',
-    license_key: selectedLicense.license_key || '',
+    license_key: '',
     customer_id: selectedLicense.customer_id || '',
     vendor_id: selectedLicense.vendor_id || '',
     purchase_date: selectedLicense.purchase_date ? new Date(selectedLicense.purchase_date) : null,
     expiration_date: selectedLicense.expiration_date ? new Date(selectedLicense.expiration_date) : null,
     seats: selectedLicense.seats || 1,
     cost: selectedLicense.cost || 0,
+    currency: selectedLicense.currency || 'USD',
     notes: selectedLicense.notes || ''
   } : {
     name: '',
@@ -534,6 +640,7 @@ const Licenses = () => {
     expiration_date: null,
     seats: 1,
     cost: 0,
+    currency: 'USD',
     notes: ''
   };
 
@@ -544,14 +651,48 @@ const Licenses = () => {
           <Typography variant="h4" component="h1">
             Licenses
           </Typography>
-          <Button
-            variant="contained"
-            color="primary"
-            startIcon={<AddIcon />}
-            onClick={() => handleOpenDialog()}
-          >
-            Add License
-          </Button>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <ExportMenu
+              url="/licenses/export"
+              params={filters}
+              filename="licenses"
+            />
+            {can('licenses:import') && (
+              <Button
+                variant="outlined"
+                startIcon={<UploadFileIcon />}
+                onClick={() => setImportDialogOpen(true)}
+              >
+                Import
+              </Button>
+            )}
+            {can('licenses:write') && (
+              <Button
+                variant="contained"
+                color="primary"
+                startIcon={<AddIcon />}
+                onClick={() => handleOpenDialog()}
+              >
+                Add License
+              </Button>
+            )}
+          </Box>
+        </Box>
+
+        {/* Saved Views */}
+        <Box sx={{ mb: 2, display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+          <SavedViews
+            filters={filters}
+            selectedViewId={selectedViewId}
+            onSelect={handleSelectView}
+            onError={handleViewError}
+          />
+          {Object.keys(otherFilters).length > 0 && (
+            <Chip
+              label={`${Object.keys(otherFilters).length} more filter(s) from the view`}
+              onDelete={() => changeFilter(setOtherFilters)({})}
+            />
+          )}
         </Box>
 
         {/* Search Bar */}
@@ -560,7 +701,7 @@ const Licenses = () => {
             <InputLabel>Search By</InputLabel>
             <Select
               value={searchType}
-              onChange={(e) => setSearchType(e.target.value)}
+              onChange={(e) => changeFilter(setSearchType)(e.target.value)}
               label="Search By"
             >
               <MenuItem value="license">License</MenuItem>
@@ -580,8 +721,45 @@ const Licenses = () => {
               onBlur: (e) => e.preventDefault(),
             }}
           />
+          <FormControl variant="outlined" size="small" sx={{ minWidth: 130 }}>
+            <InputLabel>Status</InputLabel>
+            <Select
+              value={status}
+              onChange={(e) => changeFilter(setStatus)(e.target.value)}
+              label="Status"
+            >
+              <MenuItem value="">All</MenuItem>
+              <MenuItem value="active">Active</MenuItem>
+              <MenuItem value="inactive">Inactive</MenuItem>
+            </Select>
+          </FormControl>
+          <FormControl variant="outlined" size="small" sx={{ minWidth: 170 }}>
+            <InputLabel>Expiration</InputLabel>
+            <Select
+              value={expiry}
+              onChange={(e) => changeFilter(setExpiry)(e.target.value)}
+              label="Expiration"
+            >
+              <MenuItem value="">Any</MenuItem>
+              <MenuItem value="expired">Expired</MenuItem>
+              <MenuItem value="current">Not expired</MenuItem>
+              <MenuItem value="soon">Expiring in 30 days</MenuItem>
+            </Select>
+          </FormControl>
+          <Badge badgeContent={countAdvancedFilters(advanced)} color="primary">
+            <Button
+              variant={showAdvanced ? 'contained' : 'outlined'}
+              startIcon={<FilterListIcon />}
+              onClick={() => setShowAdvanced((shown) => !shown)}
+              sx={{ whiteSpace: 'nowrap' }}
+            >
+              More Filters
+            </Button>
+          </Badge>
         </Box>
 
+        {showAdvanced && <LicenseFilters value={advanced} onChange={changeFilter(setAdvanced)} />}
+
         {/* Licenses Table */}
         <Paper>
           <TableContainer>
@@ -686,12 +864,19 @@ const Licenses = () => {
                         <TableCell>{license.vendor_name || 'N/A'}</TableCell>
                         <TableCell>
                           <Box component="span" sx={{ fontFamily: 'monospace' }}>
-                            {license.license_key}
+                            {license.license_key_last4 ? `•••• ${license.license_key_last4}` : ''}
                           </Box>
                         </TableCell>
                         <TableCell>{formatDate(license.purchase_date)}</TableCell>
                         <TableCell>{formatDate(license.expiration_date)}</TableCell>
-                        <TableCell>{license.seats}</TableCell>
+                        <TableCell>
+                          <Typography
+                            variant="body2"
+                            color={(license.seats_used || 0) > license.seats ? 'error' : 'inherit'}
+                          >
+                            {license.seats_used || 0} / {license.seats} seats used
+                          </Typography>
+                        </TableCell>
                         <TableCell>
                           {expired ? (
                             <Chip 
@@ -715,16 +900,20 @@ const Licenses = () => {
                               <VisibilityIcon />
                             </IconButton>
                           </Tooltip>
-                          <Tooltip title="Edit">
-                            <IconButton onClick={() => handleOpenDialog(license)}>
-                              <EditIcon />
-                            </IconButton>
-                          </Tooltip>
-                          <Tooltip title="Delete">
-                            <IconButton onClick={() => handleDeleteClick(license)}>
-                              <DeleteIcon color="error" />
-                            </IconButton>
-                          </Tooltip>
+                          {can('licenses:write') && (
+                            <Tooltip title="Edit">
+                              <IconButton onClick={() => handleOpenDialog(license)}>
+                                <EditIcon />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                          {can('licenses:delete') && (
+                            <Tooltip title="Delete">
+                              <IconButton onClick={() => handleDeleteClick(license)}>
+                                <DeleteIcon color="error" />
+                              </IconButton>
+                            </Tooltip>
+                          )}
                         </TableCell>
                       </TableRow>
                     );
@@ -757,7 +946,7 @@ const Licenses = () => {
           </DialogTitle>
           <Formik
             initialValues={initialValues}
-            validationSchema={viewMode ? null : LicenseSchema}
+            validationSchema={viewMode ? null : selectedLicense ? LicenseUpdateSchema : LicenseSchema}
             onSubmit={viewMode ? (e) => { e.preventDefault(); } : handleSubmit}
             enableReinitialize
           >
@@ -772,185 +961,235 @@ const Licenses = () => {
             }) => (
               <Form>
                 <DialogContent>
-                  <Box display="grid" gridTemplateColumns="repeat(2, 1fr)" gap={3}>
-                    <Field
-                      as={TextField}
-                      name="name"
-                      label="License Name"
-                      fullWidth
-                      margin="normal"
-                      error={!viewMode && touched.name && Boolean(errors.name)}
-                      helperText={!viewMode && touched.name && errors.name}
-                      InputProps={{
-                        readOnly: viewMode,
-                        style: viewMode ? { color: 'rgba(0, 0, 0, 0.87)' } : {}
-                      }}
-                      variant={viewMode ? 'standard' : 'outlined'}
-                    />
+                  {viewMode && (
+                    <Tabs
+                      value={dialogTab}
+                      onChange={(event, newValue) => setDialogTab(newValue)}
+                      sx={{ borderBottom: 1, borderColor: 'divider', mb: 2 }}
+                    >
+                      <Tab label="Details" />
+                      <Tab label="Seats" />
+                      <Tab label="Renewals" />
+                      <Tab label="History" />
+                    </Tabs>
+                  )}
 
-                    <Field
-                      as={TextField}
-                      name="license_key"
-                      label="License Key"
-                      fullWidth
-                      margin="normal"
-                      error={!viewMode && touched.license_key && Boolean(errors.license_key)}
-                      helperText={!viewMode && touched.license_key && errors.license_key}
-                      InputProps={{
-                        readOnly: viewMode,
-                        style: viewMode ? { color: 'rgba(0, 0, 0, 0.87)' } : {}
-                      }}
-                      variant={viewMode ? 'standard' : 'outlined'}
-                    />
+                  {viewMode && dialogTab === 1 && (
+                    <LicenseSeats license={selectedLicense} onChange={fetchData} />
+                  )}
 
-                    {viewMode ? (
-                      <Field
-                        as={TextField}
-                        name="customer_display"
-                        label="Customer"
-                        fullWidth
-                        margin="normal"
-                        InputProps={{
-                          readOnly: true,
-                          style: { color: 'rgba(0, 0, 0, 0.87)' }
-                        }}
-                        variant="standard"
-                        value={selectedLicense?.customer_name || 'N/A'}
-                      />
-                    ) : (
-                      <FormikAutocomplete
-                        name="customer_id"
-                        label="Customer"
-                        fetchOptions={fetchCustomers}
-                      />
-                    )}
+                  {viewMode && dialogTab === 2 && (
+                    <LicenseRenewals license={selectedLicense} onRenewed={handleLicenseRenewed} />
+                  )}
+
+                  {viewMode && dialogTab === 3 && (
+                    <LicenseHistory licenseId={selectedLicense?.id} />
+                  )}
 
-                    {viewMode ? (
+                  <Box sx={{ display: viewMode && dialogTab !== 0 ? 'none' : 'block' }}>
+                    <Box display="grid" gridTemplateColumns="repeat(2, 1fr)" gap={3}>
                       <Field
                         as={TextField}
-                        name="vendor_display"
-                        label="Vendor"
+                        name="name"
+                        label="License Name"
                         fullWidth
                         margin="normal"
+                        error={!viewMode && touched.name && Boolean(errors.name)}
+                        helperText={!viewMode && touched.name && errors.name}
                         InputProps={{
-                          readOnly: true,
-                          style: { color: 'rgba(0, 0, 0, 0.87)' }
+                          readOnly: viewMode,
+                          style: viewMode ? { color: 'rgba(0, 0, 0, 0.87)' } : {}
                         }}
-                        variant="standard"
-                        value={selectedLicense?.vendor_name || 'N/A'}
+                        variant={viewMode ? 'standard' : 'outlined'}
                       />
-                    ) : (
-                      <FormikAutocomplete
-                        name="vendor_id"
-                        label="Vendor"
-                        fetchOptions={fetchVendors}
-                      />
-                    )}
-
-                    <DatePicker
-                      label="Purchase Date"
-                      value={values.purchase_date}
-                      onChange={(date) => setFieldValue('purchase_date', date)}
-                      readOnly={viewMode}
-                      renderInput={(params) => (
-                        <TextField
-                          {...params}
+
+                      {viewMode ? (
+                        <LicenseKeyField
+                          licenseId={selectedLicense?.id}
+                          last4={selectedLicense?.license_key_last4}
+                          canReveal={can('licenses:reveal')}
+                        />
+                      ) : (
+                        <Field
+                          as={TextField}
+                          name="license_key"
+                          label={selectedLicense ? 'New License Key' : 'License Key'}
+                          fullWidth
+                          margin="normal"
+                          error={touched.license_key && Boolean(errors.license_key)}
+                          helperText={
+                            (touched.license_key && errors.license_key) ||
+                            (selectedLicense && `Leave blank to keep the current key (ending in ${selectedLicense.license_key_last4 || '----'})`)
+                          }
+                          variant="outlined"
+                        />
+                      )}
+
+                      {viewMode ? (
+                        <Field
+                          as={TextField}
+                          name="customer_display"
+                          label="Customer"
                           fullWidth
                           margin="normal"
-                          error={!viewMode && touched.purchase_date && Boolean(errors.purchase_date)}
-                          helperText={!viewMode && (touched.purchase_date && errors.purchase_date) || ' '}
                           InputProps={{
-                            readOnly: viewMode,
-                            style: viewMode ? { color: 'rgba(0, 0, 0, 0.87)' } : {}
+                            readOnly: true,
+                            style: { color: 'rgba(0, 0, 0, 0.87)' }
                           }}
-                          variant={viewMode ? 'standard' : 'outlined'}
+                          variant="standard"
+                          value={selectedLicense?.customer_name || 'N/A'}
+                        />
+                      ) : (
+                        <FormikAutocomplete
+                          name="customer_id"
+                          label="Customer"
+                          fetchOptions={fetchCustomers}
                         />
                       )}
-                    />
 
-                    <DatePicker
-                      label="Expiration Date"
-                      value={values.expiration_date}
-                      minDate={values.purchase_date}
-                      onChange={(date) => setFieldValue('expiration_date', date)}
-                      readOnly={viewMode}
-                      renderInput={(params) => (
-                        <TextField
-                          {...params}
+                      {viewMode ? (
+                        <Field
+                          as={TextField}
+                          name="vendor_display"
+                          label="Vendor"
                           fullWidth
                           margin="normal"
-                          error={!viewMode && touched.expiration_date && Boolean(errors.expiration_date)}
-                          helperText={!viewMode && (touched.expiration_date && errors.expiration_date) || ' '}
                           InputProps={{
-                            readOnly: viewMode,
-                            style: viewMode ? { color: 'rgba(0, 0, 0, 0.87)' } : {}
+                            readOnly: true,
+                            style: { color: 'rgba(0, 0, 0, 0.87)' }
                           }}
-                          variant={viewMode ? 'standard' : 'outlined'}
+                          variant="standard"
+                          value={selectedLicense?.vendor_name || 'N/A'}
+                        />
+                      ) : (
+                        <FormikAutocomplete
+                          name="vendor_id"
+                          label="Vendor"
+                          fetchOptions={fetchVendors}
                         />
                       )}
-                    />
 
-                    <Field
-                      as={TextField}
-                      name="seats"
-                      label="Number of Seats"
-                      type="number"
-                      fullWidth
-                      margin="normal"
-                      inputProps={{ 
-                        min: 1,
-                        readOnly: viewMode
-                      }}
-                      error={!viewMode && touched.seats && Boolean(errors.seats)}
-                      helperText={!viewMode && touched.seats && errors.seats}
-                      InputProps={{
-                        readOnly: viewMode,
-                        style: viewMode ? { color: 'rgba(0, 0, 0, 0.87)' } : {}
-                      }}
-                      variant={viewMode ? 'standard' : 'outlined'}
-                    />
+                      <DatePicker
+                        label="Purchase Date"
+                        value={values.purchase_date}
+                        onChange={(date) => setFieldValue('purchase_date', date)}
+                        readOnly={viewMode}
+                        renderInput={(params) => (
+                          <TextField
+                            {...params}
+                            fullWidth
+                            margin="normal"
+                            error={!viewMode && touched.purchase_date && Boolean(errors.purchase_date)}
+                            helperText={!viewMode && (touched.purchase_date && errors.purchase_date) || ' '}
+                            InputProps={{
+                              readOnly: viewMode,
+                              style: viewMode ? { color: 'rgba(0, 0, 0, 0.87)' } : {}
+                            }}
+                            variant={viewMode ? 'standard' : 'outlined'}
+                          />
+                        )}
+                      />
+
+                      <DatePicker
+                        label="Expiration Date"
+                        value={values.expiration_date}
+                        minDate={values.purchase_date}
+                        onChange={(date) => setFieldValue('expiration_date', date)}
+                        readOnly={viewMode}
+                        renderInput={(params) => (
+                          <TextField
+                            {...params}
+                            fullWidth
+                            margin="normal"
+                            error={!viewMode && touched.expiration_date && Boolean(errors.expiration_date)}
+                            helperText={!viewMode && (touched.expiration_date && errors.expiration_date) || ' '}
+                            InputProps={{
+                              readOnly: viewMode,
+                              style: viewMode ? { color: 'rgba(0, 0, 0, 0.87)' } : {}
+                            }}
+                            variant={viewMode ? 'standard' : 'outlined'}
+                          />
+                        )}
+                      />
+
+                      <Field
+                        as={TextField}
+                        name="seats"
+                        label="Number of Seats"
+                        type="number"
+                        fullWidth
+                        margin="normal"
+                        inputProps={{ 
+                          min: 1,
+                          readOnly: viewMode
+                        }}
+                        error={!viewMode && touched.seats && Boolean(errors.seats)}
+                        helperText={!viewMode && touched.seats && errors.seats}
+                        InputProps={{
+                          readOnly: viewMode,
+                          style: viewMode ? { color: 'rgba(0, 0, 0, 0.87)' } : {}
+                        }}
+                        variant={viewMode ? 'standard' : 'outlined'}
+                      />
+
+                      <Field
+                        as={TextField}
+                        name="cost"
+                        label="Cost"
+                        type="number"
+                        fullWidth
+                        margin="normal"
+                        InputProps={{
+                          startAdornment: (
+                            <Typography sx={{ mr: 1 }} color="text.secondary">
+                              {values.currency.toUpperCase()}
+                            </Typography>
+                          ),
+                          readOnly: viewMode,
+                          style: viewMode ? { color: 'rgba(0, 0, 0, 0.87)' } : {}
+                        }}
+                        inputProps={{ 
+                          min: 0, 
+                          step: 0.01,
+                          readOnly: viewMode
+                        }}
+                        error={!viewMode && touched.cost && Boolean(errors.cost)}
+                        helperText={viewMode ? reportingCostText(selectedLicense) : touched.cost && errors.cost}
+                        variant={viewMode ? 'standard' : 'outlined'}
+                      />
+
+                      <Field
+                        as={TextField}
+                        name="currency"
+                        label="Currency"
+                        fullWidth
+                        margin="normal"
+                        inputProps={{
+                          maxLength: 3,
+                          readOnly: viewMode,
+                          style: { textTransform: 'uppercase' }
+                        }}
+                        error={!viewMode && touched.currency && Boolean(errors.currency)}
+                        helperText={!viewMode && touched.currency && errors.currency}
+                        variant={viewMode ? 'standard' : 'outlined'}
+                      />
+                    </Box>
 
                     <Field
                       as={TextField}
-                      name="cost"
-                      label="Cost"
-                      type="number"
+                      name="notes"
+                      label="Notes"
                       fullWidth
+                      multiline
+                      rows={4}
                       margin="normal"
                       InputProps={{
-                        startAdornment: (
-                          <Typography sx={{ mr: 1 }} color="text.secondary">
-                            $
-                          </Typography>
-                        ),
                         readOnly: viewMode,
                         style: viewMode ? { color: 'rgba(0, 0, 0, 0.87)' } : {}
                       }}
-                      inputProps={{ 
-                        min: 0, 
-                        step: 0.01,
-                        readOnly: viewMode
-                      }}
-                      error={!viewMode && touched.cost && Boolean(errors.cost)}
-                      helperText={!viewMode && touched.cost && errors.cost}
                       variant={viewMode ? 'standard' : 'outlined'}
                     />
                   </Box>
-
-                  <Field
-                    as={TextField}
-                    name="notes"
-                    label="Notes"
-                    fullWidth
-                    multiline
-                    rows={4}
-                    margin="normal"
-                    InputProps={{
-                      readOnly: viewMode,
-                      style: viewMode ? { color: 'rgba(0, 0, 0, 0.87)' } : {}
-                    }}
-                    variant={viewMode ? 'standard' : 'outlined'}
-                  />
                 </DialogContent>
                 <DialogActions>
                   <Button onClick={handleCloseDialog}>{viewMode ? 'Close' : 'Cancel'}</Button>
@@ -984,6 +1223,12 @@ const Licenses = () => {
           </DialogActions>
         </Dialog>
 
+        <LicenseImportDialog
+          open={importDialogOpen}
+          onClose={() => setImportDialogOpen(false)}
+          onImported={fetchData}
+        />
+
         {formError && (
           <Box sx={{ mt: 2, mb: 2 }}>
             <Typography color="error" variant="body1">
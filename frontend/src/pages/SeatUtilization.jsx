@@ -0,0 +1,220 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Container,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+  Chip,
+  Tabs,
+  Tab,
+  CircularProgress,
+  LinearProgress
+} from '@mui/material';
+import {
+  Download as DownloadIcon,
+  ArrowBack as ArrowBackIcon
+} from '@mui/icons-material';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+import { downloadFile } from '../utils/download';
+
+const STATUS_CHIPS = {
+  over_allocated: { label: 'Over-allocated', color: 'error' },
+  underused: { label: 'Underused', color: 'warning' },
+  ok: { label: 'OK', color: 'success' }
+};
+
+const UtilizationCell = ({ seats, seatsUsed, utilization }) => (
+  <Box sx={{ minWidth: 160 }}>
+    <Typography variant="body2">
+      {seatsUsed} / {seats} ({utilization}%)
+    </Typography>
+    <LinearProgress
+      variant="determinate"
+      value={Math.min(utilization, 100)}
+      color={seatsUsed > seats ? 'error' : 'primary'}
+    />
+  </Box>
+);
+
+const SeatUtilization = () => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [groupBy, setGroupBy] = useState('license');
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      try {
+        setLoading(true);
+        const response = await api.get('/dashboard/seat-utilization');
+        setReport(response.data);
+      } catch (error) {
+        console.error('Error fetching seat utilization:', error);
+        setError('Failed to load seat utilization report');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReport();
+  }, []);
+
+  const handleExport = async () => {
+    try {
+      await downloadFile(
+        '/dashboard/seat-utilization',
+        { format: 'csv', groupBy },
+        `seat-utilization-by-${groupBy}.csv`
+      );
+    } catch (error) {
+      console.error('Error exporting seat utilization:', error);
+      setError('Failed to export seat utilization report');
+    }
+  };
+
+  return (
+    <Container maxWidth="xl" sx={{ mt: 4, mb: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Button component={Link} to="/" startIcon={<ArrowBackIcon />}>
+            Dashboard
+          </Button>
+          <Typography variant="h4" component="h1">
+            Seat Utilization
+          </Typography>
+        </Box>
+        <Button
+          variant="contained"
+          startIcon={<DownloadIcon />}
+          onClick={handleExport}
+          disabled={loading}
+        >
+          Export CSV
+        </Button>
+      </Box>
+
+      {error && (
+        <Typography color="error" sx={{ mb: 2 }}>
+          {error}
+        </Typography>
+      )}
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" p={4}>
+          <CircularProgress />
+        </Box>
+      ) : report && (
+        <>
+          <Box sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap' }}>
+            <Chip label={`${report.summary.seatsUsed} / ${report.summary.totalSeats} seats used (${report.summary.utilization}%)`} />
+            <Chip
+              label={`${report.summary.overAllocatedLicenses} over-allocated`}
+              color={report.summary.overAllocatedLicenses > 0 ? 'error' : 'default'}
+            />
+            <Chip
+              label={`${report.summary.underusedLicenses} under ${report.summary.underusedThreshold}% use`}
+              color={report.summary.underusedLicenses > 0 ? 'warning' : 'default'}
+            />
+          </Box>
+
+          <Paper>
+            <Tabs
+              value={groupBy}
+              onChange={(event, newValue) => setGroupBy(newValue)}
+              sx={{ borderBottom: 1, borderColor: 'divider' }}
+            >
+              <Tab label="By License" value="license" />
+              <Tab label="By Customer" value="customer" />
+            </Tabs>
+
+            <TableContainer>
+              {groupBy === 'license' ? (
+                <Table>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>License</TableCell>
+                      <TableCell>Customer</TableCell>
+                      <TableCell>Vendor</TableCell>
+                      <TableCell>Expiration</TableCell>
+                      <TableCell>Seats Used</TableCell>
+                      <TableCell>Status</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {report.licenses.length === 0 ? (
+                      <TableRow>
+                        <TableCell colSpan={6} align="center">No active licenses found</TableCell>
+                      </TableRow>
+                    ) : report.licenses.map((license) => (
+                      <TableRow key={license.id}>
+                        <TableCell>{license.name}</TableCell>
+                        <TableCell>{license.customer_name || 'N/A'}</TableCell>
+                        <TableCell>{license.vendor_name || 'N/A'}</TableCell>
+                        <TableCell>
+                          {license.expiration_date ? new Date(license.expiration_date).toLocaleDateString() : 'N/A'}
+                        </TableCell>
+                        <TableCell>
+                          <UtilizationCell
+                            seats={license.seats}
+                            seatsUsed={license.seats_used}
+                            utilization={license.utilization}
+                          />
+                        </TableCell>
+                        <TableCell>
+                          <Chip size="small" {...STATUS_CHIPS[license.status]} />
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              ) : (
+                <Table>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Customer</TableCell>
+                      <TableCell>Licenses</TableCell>
+                      <TableCell>Seats Used</TableCell>
+                      <TableCell>Over-allocated</TableCell>
+                      <TableCell>Underused</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {report.customers.length === 0 ? (
+                      <TableRow>
+                        <TableCell colSpan={5} align="center">No active licenses found</TableCell>
+                      </TableRow>
+                    ) : report.customers.map((customer) => (
+                      <TableRow key={customer.customer_id || 'unassigned'}>
+                        <TableCell>{customer.customer_name}</TableCell>
+                        <TableCell>{customer.license_count}</TableCell>
+                        <TableCell>
+                          <UtilizationCell
+                            seats={customer.seats}
+                            seatsUsed={customer.seats_used}
+                            utilization={customer.utilization}
+                          />
+                        </TableCell>
+                        <TableCell>{customer.over_allocated_licenses}</TableCell>
+                        <TableCell>{customer.underused_licenses}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </TableContainer>
+          </Paper>
+        </>
+      )}
+    </Container>
+  );
+};
+
+export default SeatUtilization;
@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { ErrorBoundary } from 'react-error-boundary';
 
 // Error fallback component
@@ -51,11 +51,25 @@ import {
   Email as EmailIcon,
   Person as PersonIcon,
   Notifications as NotificationsIcon,
+  Dns as DnsIcon,
+  History as HistoryIcon,
+  Article as ArticleIcon,
+  CurrencyExchange as CurrencyExchangeIcon,
   Refresh as RefreshIcon
 } from '@mui/icons-material';
 import { Formik, Form, Field } from 'formik';
 import * as Yup from 'yup';
 import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import RoleManager from '../components/RoleManager';
+import CustomerMultiSelect from '../components/CustomerMultiSelect';
+import NotificationChannelsSettings from '../components/NotificationChannelsSettings';
+import SmtpSettings from '../components/SmtpSettings';
+import EmailTemplatesSettings from '../components/EmailTemplatesSettings';
+import ExchangeRatesSettings from '../components/ExchangeRatesSettings';
+import ReminderStagesField from '../components/ReminderStagesField';
+import TimezoneField from '../components/TimezoneField';
+import NotificationLog from '../components/NotificationLog';
 
 // Tab Panel Component
 function TabPanel(props) {
@@ -84,13 +98,43 @@ function a11yProps(index) {
   };
 }
 
+// Channel fields are only required while the channel is switched on
+const whenChannelEnabled = (schema) => Yup.string().when('enabled', (enabled, base) => (
+  enabled[0] === true ? schema : base
+));
+
+const CHANNEL_DEFAULTS = {
+  slack: { enabled: false, webhookUrl: '' },
+  teams: { enabled: false, webhookUrl: '' },
+  webhook: { enabled: false, url: '', secret: '' }
+};
+
+// Suggested for users who have not saved notification settings yet
+const BROWSER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
 // Validation Schema for Notification Settings
+const DIGEST_FREQUENCIES = [
+  { value: 'daily', label: 'Daily reminders at each stage' },
+  { value: 'weekly', label: 'Weekly digest' },
+  { value: 'monthly', label: 'Monthly digest' }
+];
+
+// Weekday numbers follow cron, as stored by the backend
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Stops at 28 so every month has the chosen day
+const DAYS_OF_MONTH = Array.from({ length: 28 }, (_, index) => index + 1);
+
 const NotificationSchema = Yup.object().shape({
-  daysBeforeExpiration: Yup.number()
-    .min(1, 'Must be at least 1 day')
-    .max(90, 'Cannot be more than 90 days')
-    .required('Required'),
+  reminderStages: Yup.array()
+    .of(Yup.number().integer().min(0).max(365))
+    .min(1, 'Add at least one reminder stage')
+    .max(10, 'At most 10 reminder stages'),
   notificationTime: Yup.string().required('Required'),
+  timezone: Yup.string().required('Required'),
+  digestFrequency: Yup.string().oneOf(DIGEST_FREQUENCIES.map(({ value }) => value)),
+  digestWeekday: Yup.number().integer().min(0).max(6),
+  digestDayOfMonth: Yup.number().integer().min(1).max(28),
   sendToEmail: Yup.boolean(),
   emailAddress: Yup.string()
     .when('sendToEmail', (sendToEmail, schema) => {
@@ -98,7 +142,22 @@ const NotificationSchema = Yup.object().shape({
         ? schema.email('Invalid email').required('Email is required')
         : schema;
     }),
-  includeInactive: Yup.boolean()
+  includeInactive: Yup.boolean(),
+  channels: Yup.object({
+    slack: Yup.object({
+      enabled: Yup.boolean(),
+      webhookUrl: whenChannelEnabled(Yup.string().url('Invalid URL').matches(/^https:/, 'Must be an https URL').required('Webhook URL is required'))
+    }),
+    teams: Yup.object({
+      enabled: Yup.boolean(),
+      webhookUrl: whenChannelEnabled(Yup.string().url('Invalid URL').matches(/^https:/, 'Must be an https URL').required('Webhook URL is required'))
+    }),
+    webhook: Yup.object({
+      enabled: Yup.boolean(),
+      url: whenChannelEnabled(Yup.string().url('Invalid URL').required('Endpoint URL is required')),
+      secret: whenChannelEnabled(Yup.string().min(16, 'Must be at least 16 characters').required('Signing secret is required'))
+    })
+  })
 });
 
 // Validation Schema for User Profile
@@ -124,14 +183,23 @@ const ProfileSchema = Yup.object().shape({
 });
 
 function Settings() {
+  const { user: currentUser, can } = useAuth();
+  const canManageUsers = can('users:manage');
+  const canManageSettings = can('settings:manage');
+  const canManageNotifications = can('notifications:manage');
   const [tabValue, setTabValue] = useState(null);
   const [error, setError] = useState(null);
   const [notificationSettings, setNotificationSettings] = useState({
-    daysBeforeExpiration: 30,
+    reminderStages: [90, 60, 30, 7, 1],
     notificationTime: '09:00',
+    timezone: BROWSER_TIMEZONE,
+    digestFrequency: 'daily',
+    digestWeekday: 1,
+    digestDayOfMonth: 1,
     sendToEmail: true,
     emailAddress: '',
-    includeInactive: false
+    includeInactive: false,
+    channels: CHANNEL_DEFAULTS
   });
   const [profile, setProfile] = useState({
     name: '',
@@ -141,6 +209,7 @@ function Settings() {
     confirmPassword: ''
   });
   const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
   const [openUserDialog, setOpenUserDialog] = useState(false);
   const [selectedUser, setSelectedUser] = useState(null);
   const [openDeleteDialog, setOpenDeleteDialog] = useState(false);
@@ -152,15 +221,20 @@ function Settings() {
     severity: 'success'
   });
 
-  // Initial users data - defined outside the component to persist between renders
-  const initialUsers = [
-    { id: 1, name: 'Admin User', email: 'admin@example.com', role: 'admin', active: true },
-    { id: 2, name: 'John Doe', email: 'john@example.com', role: 'user', active: true },
-    { id: 3, name: 'Jane Smith', email: 'jane@example.com', role: 'user', active: false }
-  ];
-  
-  // Keep track of whether we've initialized users
-  const usersInitialized = useRef(false);
+  const showSnackbar = useCallback((message, severity = 'success') => {
+    setSnackbar({ open: true, message, severity });
+  }, []);
+
+  // Users and roles are only visible to user managers
+  const fetchUsers = useCallback(async () => {
+    const response = await api.get('/users');
+    setUsers(response.data);
+  }, []);
+
+  const fetchRoles = useCallback(async () => {
+    const response = await api.get('/roles');
+    setRoles(response.data);
+  }, []);
 
   // Fetch settings and users with error boundary
   const fetchData = useCallback(async () => {
@@ -171,11 +245,16 @@ function Settings() {
       // Fetch notification settings from the backend
       const settingsRes = await api.get('/settings/notifications').catch(() => ({
         data: {
-          daysBeforeExpiration: 30,
+          reminderStages: [90, 60, 30, 7, 1],
           notificationTime: '09:00',
+          timezone: BROWSER_TIMEZONE,
+          digestFrequency: 'daily',
+          digestWeekday: 1,
+          digestDayOfMonth: 1,
           sendToEmail: true,
           emailAddress: 'admin@example.com',
-          includeInactive: false
+          includeInactive: false,
+          channels: CHANNEL_DEFAULTS
         }
       }));
       
@@ -190,10 +269,8 @@ function Settings() {
         confirmPassword: ''
       });
       
-      // Only initialize users once on first load
-      if (!usersInitialized.current) {
-        setUsers(initialUsers);
-        usersInitialized.current = true;
+      if (canManageUsers) {
+        await Promise.all([fetchUsers(), fetchRoles()]);
       }
       
       setLoading(false);
@@ -207,7 +284,7 @@ function Settings() {
       });
       setLoading(false);
     }
-  }, []);
+  }, [canManageUsers, fetchUsers, fetchRoles]);
 
   useEffect(() => {
     let mounted = true;
@@ -303,7 +380,7 @@ function Settings() {
   };
 
   const handleUserDialogOpen = (user = null) => {
-    setSelectedUser(user || { name: '', email: '', role: 'user', active: true });
+    setSelectedUser(user || { username: '', full_name: '', email: '', role: 'viewer', is_active: true, customers: [] });
     setOpenUserDialog(true);
   };
 
@@ -314,35 +391,35 @@ function Settings() {
 
   const handleUserSave = async (userData) => {
     try {
-      if (userData.id) {
-        // Update existing user
-        // await api.put(`/users/${userData.id}`, userData);
-        setUsers(prevUsers => prevUsers.map(u => u.id === userData.id ? userData : u));
+      let userId = userData.id;
+      if (userId) {
+        const { email, full_name, role, is_active } = userData;
+        // Users cannot change their own role or deactivate themselves
+        const changes = userId === currentUser?.id
+          ? { email, full_name }
+          : { email, full_name, role, is_active };
+        await api.put(`/users/${userId}`, changes);
       } else {
-        // Create new user
-        // const newUser = await api.post('/users', userData);
-        const newUser = { 
-          ...userData, 
-          id: Date.now(), // Mock ID
-          active: true // Ensure new users are active by default
-        };
-        setUsers(prevUsers => [...prevUsers, newUser]);
+        const { username, email, password, full_name, role } = userData;
+        const response = await api.post('/users', { username, email, password, full_name, role });
+        userId = response.data.id;
       }
-      
-      setSnackbar({
-        open: true,
-        message: `User ${userData.id ? 'updated' : 'created'} successfully`,
-        severity: 'success'
+
+      await api.put(`/users/${userId}/customers`, {
+        customerIds: userData.customers.map(customer => customer.id)
       });
       
+      await Promise.all([fetchUsers(), fetchRoles()]);
+      showSnackbar(`User ${userData.id ? 'updated' : 'created'} successfully`);
       handleUserDialogClose();
     } catch (error) {
       console.error('Error saving user:', error);
-      setSnackbar({
-        open: true,
-        message: `Failed to ${userData.id ? 'update' : 'create'} user`,
-        severity: 'error'
-      });
+      showSnackbar(
+        error.response?.data?.errors?.[0]?.msg ||
+        error.response?.data?.msg ||
+        `Failed to ${userData.id ? 'update' : 'create'} user`,
+        'error'
+      );
     }
   };
 
@@ -355,43 +432,15 @@ function Settings() {
     if (!userToDelete) return;
     
     try {
-      // In a real app, you would delete the user via API
-      // await api.delete(`/users/${userToDelete.id}`);
-      
-      // Use functional update to ensure we have the latest state
-      setUsers(prevUsers => {
-        // Don't allow deleting the last admin user
-        const remainingAdmins = prevUsers.filter(u => u.role === 'admin' && u.id !== userToDelete.id).length;
-        if (userToDelete.role === 'admin' && remainingAdmins === 0) {
-          setSnackbar({
-            open: true,
-            message: 'Cannot delete the last admin user',
-            severity: 'error'
-          });
-          return prevUsers;
-        }
-        
-        const updatedUsers = prevUsers.filter(u => u.id !== userToDelete.id);
-        return updatedUsers;
-      });
-      
-      setSnackbar({
-        open: true,
-        message: 'User deleted successfully',
-        severity: 'success'
-      });
+      await api.delete(`/users/${userToDelete.id}`);
+      await Promise.all([fetchUsers(), fetchRoles()]);
+      showSnackbar('User deleted successfully');
     } catch (error) {
       console.error('Error deleting user:', error);
-      setSnackbar({
-        open: true,
-        message: 'Failed to delete user',
-        severity: 'error'
-      });
+      showSnackbar(error.response?.data?.msg || 'Failed to delete user', 'error');
     } finally {
       setOpenDeleteDialog(false);
       setUserToDelete(null);
-      setOpenDeleteDialog(false);
-      setUserToDelete(null);
     }
   };
 
@@ -471,7 +520,19 @@ function Settings() {
           >
             <Tab label="Profile" icon={<PersonIcon />} iconPosition="start" {...a11yProps(0)} />
             <Tab label="Notifications" icon={<NotificationsIcon />} iconPosition="start" {...a11yProps(1)} />
-            <Tab label="Users" icon={<PersonIcon />} iconPosition="start" {...a11yProps(2)} />
+            {canManageUsers && (
+              <Tab label="Users" icon={<PersonIcon />} iconPosition="start" {...a11yProps(2)} />
+            )}
+            {canManageSettings && (
+              <Tab label="Email Server" icon={<DnsIcon />} iconPosition="start" value={3} {...a11yProps(3)} />
+            )}
+            {canManageSettings && (
+              <Tab label="Email Templates" icon={<ArticleIcon />} iconPosition="start" value={5} {...a11yProps(5)} />
+            )}
+            {canManageSettings && (
+              <Tab label="Currencies" icon={<CurrencyExchangeIcon />} iconPosition="start" value={6} {...a11yProps(6)} />
+            )}
+            <Tab label="Delivery Log" icon={<HistoryIcon />} iconPosition="start" value={4} {...a11yProps(4)} />
           </Tabs>
         </Box>
         
@@ -594,16 +655,11 @@ function Settings() {
                 <Form>
                   <Grid container spacing={3}>
                     <Grid item xs={12} md={6}>
-                      <Field
-                        as={TextField}
-                        name="daysBeforeExpiration"
-                        label="Days Before Expiration"
-                        type="number"
-                        fullWidth
-                        margin="normal"
-                        inputProps={{ min: 1, max: 90 }}
-                        error={touched.daysBeforeExpiration && Boolean(errors.daysBeforeExpiration)}
-                        helperText={touched.daysBeforeExpiration && errors.daysBeforeExpiration}
+                      <ReminderStagesField
+                        value={values.reminderStages}
+                        onChange={(stages) => setFieldValue('reminderStages', stages)}
+                        error={Boolean(errors.reminderStages)}
+                        helperText={errors.reminderStages || 'Each license gets one reminder per stage'}
                       />
                       
                       <FormControl fullWidth margin="normal">
@@ -627,6 +683,65 @@ function Settings() {
                           </Typography>
                         )}
                       </FormControl>
+
+                      <TimezoneField
+                        value={values.timezone}
+                        onChange={(timezone) => setFieldValue('timezone', timezone)}
+                        error={Boolean(errors.timezone)}
+                        helperText={errors.timezone || 'Notification time and days until expiry follow this timezone'}
+                      />
+
+                      <FormControl fullWidth margin="normal">
+                        <InputLabel id="digest-frequency-label">Frequency</InputLabel>
+                        <Field
+                          as={Select}
+                          name="digestFrequency"
+                          labelId="digest-frequency-label"
+                          label="Frequency"
+                        >
+                          {DIGEST_FREQUENCIES.map(({ value, label }) => (
+                            <MenuItem key={value} value={value}>
+                              {label}
+                            </MenuItem>
+                          ))}
+                        </Field>
+                      </FormControl>
+
+                      {values.digestFrequency === 'weekly' && (
+                        <FormControl fullWidth margin="normal">
+                          <InputLabel id="digest-weekday-label">Send On</InputLabel>
+                          <Field
+                            as={Select}
+                            name="digestWeekday"
+                            labelId="digest-weekday-label"
+                            label="Send On"
+                          >
+                            {WEEKDAYS.map((day, index) => (
+                              <MenuItem key={day} value={index}>
+                                {day}
+                              </MenuItem>
+                            ))}
+                          </Field>
+                        </FormControl>
+                      )}
+
+                      {values.digestFrequency === 'monthly' && (
+                        <FormControl fullWidth margin="normal">
+                          <InputLabel id="digest-day-label">Day of Month</InputLabel>
+                          <Field
+                            as={Select}
+                            name="digestDayOfMonth"
+                            labelId="digest-day-label"
+                            label="Day of Month"
+                          >
+                            {DAYS_OF_MONTH.map((day) => (
+                              <MenuItem key={day} value={day}>
+                                {day}
+                              </MenuItem>
+                            ))}
+                          </Field>
+                        </FormControl>
+                      )}
                       
                       <Field
                         as={FormControlLabel}
@@ -675,10 +790,31 @@ function Settings() {
                       
                       <Box sx={{ mt: 3, p: 2, bgcolor: 'action.hover', borderRadius: 1 }}>
                         <Typography variant="body2" color="textSecondary">
-                          <strong>Note:</strong> Email notifications will be sent {values.daysBeforeExpiration} day(s) before license expiration at {values.notificationTime}.
+                          {values.digestFrequency === 'daily' ? (
+                            <>
+                              <strong>Note:</strong> Reminders are sent {values.reminderStages.join(', ')} day(s) before license expiration at {values.notificationTime} ({values.timezone}) to every enabled channel, once per stage.
+                            </>
+                          ) : (
+                            <>
+                              <strong>Note:</strong> Instead of daily reminders, one digest is sent
+                              {values.digestFrequency === 'weekly' ? ` every ${WEEKDAYS[values.digestWeekday]}` : ` on day ${values.digestDayOfMonth} of each month`} at {values.notificationTime} ({values.timezone}) to every enabled channel. It lists licenses that expired since the last digest, licenses that entered the {values.reminderStages.join(', ')} day windows, renewals recorded and the cost at risk.
+                            </>
+                          )}
                         </Typography>
                       </Box>
                     </Grid>
+
+                    <Grid item xs={12}>
+                      <Typography variant="subtitle1" gutterBottom>
+                        Other Channels
+                      </Typography>
+                      <NotificationChannelsSettings
+                        channels={values.channels}
+                        errors={errors.channels}
+                        setFieldValue={setFieldValue}
+                        onMessage={showSnackbar}
+                      />
+                    </Grid>
                     
                     <Grid item xs={12}>
                       <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
@@ -698,7 +834,9 @@ function Settings() {
                           onClick={async () => {
                             try {
                               setSnackbar({ open: true, message: 'Sending test email...', severity: 'info' });
-                              await api.get('/settings/test-email');
+                              await api.post('/settings/notifications/channels/email/test', {
+                                config: { address: values.emailAddress }
+                              });
                               setSnackbar({ open: true, message: 'Test email sent successfully!', severity: 'success' });
                             } catch (error) {
                               console.error('Error sending test email:', error);
@@ -724,86 +862,152 @@ function Settings() {
         </TabPanel>
         
         {/* Users Tab */}
-        <TabPanel value={tabValue} index={2}>
-          <Paper elevation={3}>
-            <Box sx={{ p: 3, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-              <Typography variant="h6">User Management</Typography>
-              <Button
-                variant="contained"
-                color="primary"
-                startIcon={<AddIcon />}
-                onClick={() => handleUserDialogOpen()}
-              >
-                Add User
-              </Button>
-            </Box>
-            
-            <Divider />
-            
-            <List>
-              {loading ? (
-                <Box p={3} textAlign="center">
-                  <Typography>Loading users...</Typography>
-                </Box>
-              ) : users.length === 0 ? (
-                <Box p={3} textAlign="center">
-                  <Typography>No users found</Typography>
-                </Box>
-              ) : (
-                users.map((user) => (
-                  <ListItem 
-                    key={user.id}
-                    sx={{ 
-                      '&:nth-of-type(odd)': { bgcolor: 'action.hover' },
-                      borderLeft: '4px solid',
-                      borderColor: user.active ? 'success.main' : 'text.disabled'
-                    }}
-                  >
-                    <ListItemText
-                      primary={user.name}
-                      secondary={
-                        <>
-                          {user.email}
-                          <Box component="span" sx={{ ml: 2 }}>
-                            <Chip 
-                              label={user.role} 
-                              size="small" 
-                              color={user.role === 'admin' ? 'primary' : 'default'}
-                            />
-                            {!user.active && (
+        {canManageUsers && (
+          <TabPanel value={tabValue} index={2}>
+            <Paper elevation={3}>
+              <Box sx={{ p: 3, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <Typography variant="h6">User Management</Typography>
+                <Button
+                  variant="contained"
+                  color="primary"
+                  startIcon={<AddIcon />}
+                  onClick={() => handleUserDialogOpen()}
+                >
+                  Add User
+                </Button>
+              </Box>
+              
+              <Divider />
+              
+              <List>
+                {loading ? (
+                  <Box p={3} textAlign="center">
+                    <Typography>Loading users...</Typography>
+                  </Box>
+                ) : users.length === 0 ? (
+                  <Box p={3} textAlign="center">
+                    <Typography>No users found</Typography>
+                  </Box>
+                ) : (
+                  users.map((user) => (
+                    <ListItem 
+                      key={user.id}
+                      sx={{ 
+                        '&:nth-of-type(odd)': { bgcolor: 'action.hover' },
+                        borderLeft: '4px solid',
+                        borderColor: user.is_active ? 'success.main' : 'text.disabled'
+                      }}
+                    >
+                      <ListItemText
+                        primary={`${user.full_name} (${user.username})`}
+                        secondary={
+                          <>
+                            {user.email}
+                            <Box component="span" sx={{ ml: 2 }}>
                               <Chip 
-                                label="Inactive" 
+                                label={user.role} 
                                 size="small" 
-                                sx={{ ml: 1 }}
+                                color={user.role === 'admin' ? 'primary' : 'default'}
                               />
-                            )}
-                          </Box>
-                        </>
-                      }
-                    />
-                    <ListItemSecondaryAction>
-                      <IconButton 
-                        edge="end" 
-                        aria-label="edit"
-                        onClick={() => handleUserDialogOpen(user)}
-                        disabled={loading}
-                      >
-                        <EditIcon />
-                      </IconButton>
-                      <IconButton 
-                        edge="end" 
-                        aria-label="delete"
-                        onClick={() => handleDeleteClick(user)}
-                        disabled={loading || user.role === 'admin'}
-                        sx={{ color: 'error.main' }}
-                      >
-                        <DeleteIcon />
-                      </IconButton>
-                    </ListItemSecondaryAction>
-                  </ListItem>
-                ))
-              )}
-            </List>
+                              {user.customers?.length > 0 && (
+                                <Chip 
+                                  label={`${user.customers.length} customer${user.customers.length === 1 ? '' : 's'}`}
+                                  size="small" 
+                                  variant="outlined"
+                                  sx={{ ml: 1 }}
+                                />
+                              )}
+                              {!user.is_active && (
+                                <Chip 
+                                  label="Inactive" 
+                                  size="small" 
+                                  sx={{ ml: 1 }}
+                                />
+                              )}
+                            </Box>
+                          </>
+                        }
+                      />
+                      <ListItemSecondaryAction>
+                        <IconButton 
+                          edge="end" 
+                          aria-label="edit"
+                          onClick={() => handleUserDialogOpen(user)}
+                          disabled={loading}
+                        >
+                          <EditIcon />
+                        </IconButton>
+                        <IconButton 
+                          edge="end" 
+                          aria-label="delete"
+                          onClick={() => handleDeleteClick(user)}
+                          disabled={loading || user.id === currentUser?.id}
+                          sx={{ color: 'error.main' }}
+                        >
+                          <DeleteIcon />
+                        </IconButton>
+                      </ListItemSecondaryAction>
+                    </ListItem>
+                  ))
+                )}
+              </List>
+            </Paper>
+
+            <Paper elevation={3} sx={{ mt: 3 }}>
+              <RoleManager roles={roles} onChange={fetchRoles} onNotify={showSnackbar} />
+            </Paper>
+          </TabPanel>
+        )}
+
+        {/* Email Server Tab */}
+        {canManageSettings && (
+          <TabPanel value={tabValue} index={3}>
+            <Paper elevation={3} sx={{ p: 3 }}>
+              <Typography variant="h6" gutterBottom>
+                Email Server (SMTP)
+              </Typography>
+              <Divider sx={{ mb: 3 }} />
+              <SmtpSettings onMessage={showSnackbar} />
+            </Paper>
+          </TabPanel>
+        )}
+
+        {/* Email Templates Tab */}
+        {canManageSettings && (
+          <TabPanel value={tabValue} index={5}>
+            <Paper elevation={3} sx={{ p: 3 }}>
+              <Typography variant="h6" gutterBottom>
+                Email Templates
+              </Typography>
+              <Divider sx={{ mb: 3 }} />
+              {tabValue === 5 && <EmailTemplatesSettings onMessage={showSnackbar} />}
+            </Paper>
+          </TabPanel>
+        )}
+
+        {/* Currencies Tab */}
+        {canManageSettings && (
+          <TabPanel value={tabValue} index={6}>
+            <Paper elevation={3} sx={{ p: 3 }}>
+              <Typography variant="h6" gutterBottom>
+                Currencies
+              </Typography>
+              <Divider sx={{ mb: 3 }} />
+              {tabValue === 6 && <ExchangeRatesSettings onMessage={showSnackbar} />}
+            </Paper>
+          </TabPanel>
+        )}
+
+        {/* Delivery Log Tab */}
+        <TabPanel value={tabValue} index={4}>
+          <Paper elevation={3} sx={{ p: 3 }}>
+            <Typography variant="h6" gutterBottom>
+              Notification Delivery Log
+            </Typography>
+            <Divider sx={{ mb: 3 }} />
+            {tabValue === 4 && (
+              <NotificationLog onMessage={showSnackbar} showUser={canManageNotifications} />
+            )}
           </Paper>
         </TabPanel>
       </Box>
@@ -814,7 +1018,9 @@ function Settings() {
         onClose={handleUserDialogClose}
         onSave={handleUserSave}
         user={selectedUser}
+        roles={roles}
         isEditing={!!selectedUser?.id}
+        isSelf={selectedUser?.id === currentUser?.id}
       />
       
       {/* Delete Confirmation Dialog */}
@@ -825,7 +1031,7 @@ function Settings() {
         <DialogTitle>Delete User</DialogTitle>
         <DialogContent>
           <DialogContentText>
-            Are you sure you want to delete {userToDelete?.name}? This action cannot be undone.
+            Are you sure you want to delete {userToDelete?.full_name}? This action cannot be undone.
           </DialogContentText>
         </DialogContent>
         <DialogActions>
@@ -858,12 +1064,15 @@ function Settings() {
 }
 
 // User Dialog Component
-const UserDialog = ({ open, onClose, onSave, user, isEditing }) => {
+const UserDialog = ({ open, onClose, onSave, user, roles, isEditing, isSelf }) => {
   const [formData, setFormData] = useState({
-    name: '',
+    username: '',
+    full_name: '',
     email: '',
-    role: 'user',
-    active: true
+    password: '',
+    role: 'viewer',
+    is_active: true,
+    customers: []
   });
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -872,19 +1081,27 @@ const UserDialog = ({ open, onClose, onSave, user, isEditing }) => {
   useEffect(() => {
     if (user) {
       setFormData({
-        name: user.name || '',
+        username: user.username || '',
+        full_name: user.full_name || '',
         email: user.email || '',
-        role: user.role || 'user',
-        active: user.active !== undefined ? user.active : true
+        password: '',
+        role: user.role || 'viewer',
+        is_active: user.is_active !== undefined ? user.is_active : true,
+        customers: user.customers || []
       });
+      setErrors({});
     }
   }, [user]);
 
   const validate = () => {
     const newErrors = {};
     
-    if (!formData.name.trim()) {
-      newErrors.name = 'Name is required';
+    if (!isEditing && !formData.username.trim()) {
+      newErrors.username = 'Username is required';
+    }
+
+    if (!formData.full_name.trim()) {
+      newErrors.full_name = 'Name is required';
     }
     
     if (!formData.email.trim()) {
@@ -892,6 +1109,10 @@ const UserDialog = ({ open, onClose, onSave, user, isEditing }) => {
     } else if (!/\S+@\S+\.\S+/.test(formData.email)) {
       newErrors.email = 'Email is invalid';
     }
+
+    if (!isEditing && formData.password.length < 6) {
+      newErrors.password = 'Password must be at least 6 characters';
+    }
     
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -905,22 +1126,22 @@ const UserDialog = ({ open, onClose, onSave, user, isEditing }) => {
     }));
   };
 
-  const handleSubmit = (e) => {
+  // Roles without customers:all only see the customers assigned below
+  const selectedRole = roles.find(role => role.name === formData.role);
+  const isScopedRole = selectedRole && !selectedRole.permissions.some(
+    permission => permission === '*' || permission === 'customers:all'
+  );
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
     
     if (validate()) {
       setIsSubmitting(true);
-      
-      // In a real app, you would validate the email is not already in use
-      // and handle password reset for new users
-      
-      setTimeout(() => {
-        onSave({
-          ...formData,
-          id: user?.id
-        });
-        setIsSubmitting(false);
-      }, 500);
+      await onSave({
+        ...formData,
+        id: user?.id
+      });
+      setIsSubmitting(false);
     }
   };
 
@@ -932,17 +1153,32 @@ const UserDialog = ({ open, onClose, onSave, user, isEditing }) => {
       <form onSubmit={handleSubmit}>
         <DialogContent>
           <TextField
-            autoFocus
+            autoFocus={!isEditing}
+            margin="dense"
+            name="username"
+            label="Username"
+            type="text"
+            fullWidth
+            variant="outlined"
+            value={formData.username}
+            onChange={handleChange}
+            error={!!errors.username}
+            helperText={errors.username}
+            disabled={isSubmitting || isEditing}
+            sx={{ mb: 2 }}
+          />
+
+          <TextField
             margin="dense"
-            name="name"
+            name="full_name"
             label="Full Name"
             type="text"
             fullWidth
             variant="outlined"
-            value={formData.name}
+            value={formData.full_name}
             onChange={handleChange}
-            error={!!errors.name}
-            helperText={errors.name}
+            error={!!errors.full_name}
+            helperText={errors.full_name}
             disabled={isSubmitting}
             sx={{ mb: 2 }}
           />
@@ -958,9 +1194,26 @@ const UserDialog = ({ open, onClose, onSave, user, isEditing }) => {
             onChange={handleChange}
             error={!!errors.email}
             helperText={errors.email}
-            disabled={isSubmitting || isEditing}
+            disabled={isSubmitting}
             sx={{ mb: 2 }}
           />
+
+          {!isEditing && (
+            <TextField
+              margin="dense"
+              name="password"
+              label="Initial Password"
+              type="password"
+              fullWidth
+              variant="outlined"
+              value={formData.password}
+              onChange={handleChange}
+              error={!!errors.password}
+              helperText={errors.password}
+              disabled={isSubmitting}
+              sx={{ mb: 2 }}
+            />
+          )}
           
           <FormControl fullWidth margin="dense">
             <InputLabel id="role-label">Role</InputLabel>
@@ -970,30 +1223,45 @@ const UserDialog = ({ open, onClose, onSave, user, isEditing }) => {
               value={formData.role}
               onChange={handleChange}
               label="Role"
-              disabled={isSubmitting}
+              disabled={isSubmitting || isSelf}
             >
-              <MenuItem value="admin">Administrator</MenuItem>
-              <MenuItem value="user">Standard User</MenuItem>
+              {roles.map((role) => (
+                <MenuItem key={role.name} value={role.name}>
+                  {role.name}
+                </MenuItem>
+              ))}
             </Select>
           </FormControl>
           
-          <FormControlLabel
-            control={
-              <Switch
-                checked={formData.active}
-                onChange={handleChange}
-                name="active"
-                color="primary"
-                disabled={isSubmitting}
-              />
-            }
-            label="Active"
-            sx={{ mt: 2, display: 'block' }}
+          <CustomerMultiSelect
+            value={formData.customers}
+            onChange={(customers) => setFormData(prev => ({ ...prev, customers }))}
+            label="Assigned Customers"
+            helperText={isScopedRole
+              ? 'This user only sees these customers and their licenses'
+              : 'This role sees all customers; assignments apply if the role changes'}
+            disabled={isSubmitting}
           />
           
-          {!isEditing && (
+          {isEditing && (
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={formData.is_active}
+                  onChange={handleChange}
+                  name="is_active"
+                  color="primary"
+                  disabled={isSubmitting || isSelf}
+                />
+              }
+              label="Active"
+              sx={{ mt: 2, display: 'block' }}
+            />
+          )}
+
+          {isSelf && (
             <Alert severity="info" sx={{ mt: 2 }}>
-              An email with setup instructions will be sent to the user's email address.
+              You cannot change your own role or deactivate your own account.
             </Alert>
           )}
         </DialogContent>
@@ -32,6 +32,7 @@ import {
 import { Formik, Form, Field } from 'formik';
 import * as Yup from 'yup';
 import api from '../services/api';
+import ExportMenu from '../components/ExportMenu';
 import { useAuth } from '../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
 
@@ -65,11 +66,15 @@ const VendorSchema = Yup.object().shape({
     .transform(value => value === '' ? undefined : value),
   notes: Yup.string()
     .nullable()
-    .transform(value => value === '' ? undefined : value)
+    .transform(value => value === '' ? undefined : value),
+  renewal_uplift_percent: Yup.number()
+    .moreThan(-100, 'Uplift must be above -100%')
+    .max(1000, 'Uplift cannot exceed 1000%')
+    .required('Renewal uplift is required')
 });
 
 const Vendors = () => {
-  const { user } = useAuth();
+  const { user, can } = useAuth();
   const navigate = useNavigate();
   const [vendors, setVendors] = useState([]);
   const [page, setPage] = useState(0);
@@ -143,6 +148,7 @@ const Vendors = () => {
         website: values.website?.trim() || undefined,
         address: values.address?.trim() || undefined,
         notes: values.notes?.trim() || undefined,
+        renewal_uplift_percent: Number(values.renewal_uplift_percent),
       };
 
       console.log('Prepared vendor data:', vendorData);
@@ -223,14 +229,19 @@ const Vendors = () => {
         <Typography variant="h4" component="h1">
           Vendors
         </Typography>
-        <Button
-          variant="contained"
-          color="primary"
-          startIcon={<AddIcon />}
-          onClick={() => handleOpenDialog()}
-        >
-          Add Vendor
-        </Button>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <ExportMenu url="/vendors/export" params={{ search: searchTerm }} filename="vendors" />
+          {can('vendors:write') && (
+            <Button
+              variant="contained"
+              color="primary"
+              startIcon={<AddIcon />}
+              onClick={() => handleOpenDialog()}
+            >
+              Add Vendor
+            </Button>
+          )}
+        </Box>
       </Box>
 
       {/* Search Bar */}
@@ -295,16 +306,20 @@ const Vendors = () => {
                       )}
                     </TableCell>
                     <TableCell align="right">
-                      <Tooltip title="Edit">
-                        <IconButton onClick={() => handleOpenDialog(vendor)}>
-                          <EditIcon />
-                        </IconButton>
-                      </Tooltip>
-                      <Tooltip title="Delete">
-                        <IconButton onClick={() => handleDeleteClick(vendor)}>
-                          <DeleteIcon color="error" />
-                        </IconButton>
-                      </Tooltip>
+                      {can('vendors:write') && (
+                        <Tooltip title="Edit">
+                          <IconButton onClick={() => handleOpenDialog(vendor)}>
+                            <EditIcon />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                      {can('vendors:delete') && (
+                        <Tooltip title="Delete">
+                          <IconButton onClick={() => handleDeleteClick(vendor)}>
+                            <DeleteIcon color="error" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
                     </TableCell>
                   </TableRow>
                 ))
@@ -342,7 +357,8 @@ const Vendors = () => {
             phone: selectedVendor?.phone || '',
             website: selectedVendor?.website || '',
             address: selectedVendor?.address || '',
-            notes: selectedVendor?.notes || ''
+            notes: selectedVendor?.notes || '',
+            renewal_uplift_percent: selectedVendor ? Number(selectedVendor.renewal_uplift_percent || 0) : 0
           }}
           validationSchema={VendorSchema}
           onSubmit={handleSubmit}
@@ -413,6 +429,20 @@ const Vendors = () => {
                   error={touched.address && Boolean(errors.address)}
                   helperText={touched.address && errors.address}
                 />
+                <Field
+                  as={TextField}
+                  name="renewal_uplift_percent"
+                  label="Renewal Uplift (%)"
+                  type="number"
+                  fullWidth
+                  margin="normal"
+                  inputProps={{ step: 0.1 }}
+                  error={touched.renewal_uplift_percent && Boolean(errors.renewal_uplift_percent)}
+                  helperText={
+                    (touched.renewal_uplift_percent && errors.renewal_uplift_percent) ||
+                    'Expected price change at each renewal, used by the renewal forecast'
+                  }
+                />
                 <Field
                   as={TextField}
                   name="notes"
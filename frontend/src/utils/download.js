@@ -0,0 +1,20 @@
+import api from '../services/api';
+
+// Download a file from an authenticated API endpoint
+export const downloadFile = async (url, params = {}, fallbackFilename = 'export') => {
+  const response = await api.get(url, { params, responseType: 'blob' });
+
+  // Prefer the filename the server suggests
+  const disposition = response.headers['content-disposition'] || '';
+  const match = disposition.match(/filename="?([^";]+)"?/);
+  const filename = match ? match[1] : fallbackFilename;
+
+  const objectUrl = window.URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(objectUrl);
+};
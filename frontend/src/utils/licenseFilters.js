@@ -0,0 +1,83 @@
+// Filters of the Licenses page, converted between the filter bar and the list filters
+// GET /licenses takes, which are also what the URL and saved views hold
+
+// Filters of the "More filters" panel
+export const EMPTY_ADVANCED_FILTERS = {
+  expirationFrom: '',
+  expirationTo: '',
+  purchaseFrom: '',
+  purchaseTo: '',
+  minCost: '',
+  maxCost: '',
+  currency: '',
+  licenseType: [],
+  createdBy: '',
+  expiringWithinDays: ''
+};
+
+const SEARCH_TYPES = { search: 'license', customer_search: 'customer', vendor_search: 'vendor' };
+
+// Choices of the Expiration select
+const EXPIRY_FILTERS = {
+  expired: { expired: true },
+  current: { expired: false },
+  soon: { expiresSoon: true }
+};
+
+// Filters without a control of their own, kept as they came from a saved view or link
+const OTHER_FILTERS = ['vendorId', 'customerId'];
+
+const isSet = (value) => value !== undefined && value !== null && value !== '' &&
+  !(Array.isArray(value) && value.length === 0);
+
+// Number of filters set in the panel, for the badge on its toggle
+export const countAdvancedFilters = (filters) => Object.values(filters).filter(isSet).length;
+
+// Map the search box onto the list/export filter for the selected search type
+export const buildSearchParams = (searchType, term) => {
+  if (!term) return {};
+  if (searchType === 'customer') return { customer_search: term };
+  if (searchType === 'vendor') return { vendor_search: term };
+  return { search: term }; // Default license search
+};
+
+const parseExpiry = (filters) => {
+  if (isSet(filters.expired)) return String(filters.expired) === 'true' ? 'expired' : 'current';
+  if (String(filters.expiresSoon) === 'true') return 'soon';
+  return '';
+};
+
+// Read the filter bar back from list filters, as found in the URL or a saved view
+export const parseFilters = (filters) => {
+  const searchKey = Object.keys(SEARCH_TYPES).find((key) => isSet(filters[key]));
+  return {
+    searchType: searchKey ? SEARCH_TYPES[searchKey] : 'license',
+    searchTerm: searchKey ? String(filters[searchKey]) : '',
+    status: isSet(filters.isActive) ? (String(filters.isActive) === 'true' ? 'active' : 'inactive') : '',
+    expiry: parseExpiry(filters),
+    advanced: Object.keys(EMPTY_ADVANCED_FILTERS).reduce((advanced, key) => ({
+      ...advanced,
+      [key]: key === 'licenseType'
+        ? [].concat(filters.licenseType ?? []).map(String)
+        : (isSet(filters[key]) ? String(filters[key]) : '')
+    }), {}),
+    otherFilters: OTHER_FILTERS.reduce((picked, key) => (
+      isSet(filters[key]) ? { ...picked, [key]: String(filters[key]) } : picked
+    ), {})
+  };
+};
+
+// List filters for GET /licenses (and its export) from the filter bar
+export const buildFilters = ({ searchType, searchTerm, status, expiry, advanced, otherFilters }) => ({
+  ...otherFilters,
+  ...buildSearchParams(searchType, searchTerm),
+  ...(status && { isActive: status === 'active' }),
+  ...EXPIRY_FILTERS[expiry],
+  ...Object.fromEntries(Object.entries(advanced).filter(([, value]) => isSet(value)))
+});
+
+// List filters in a URL query string; license types may repeat
+export const readUrlFilters = (searchParams) => ({
+  ...Object.fromEntries(searchParams),
+  licenseType: searchParams.getAll('licenseType')
+});